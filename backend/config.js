@@ -0,0 +1,187 @@
+/**
+ * Oracle 配置
+ * 解析 Oracle 的全部設定（預設值、秒轉毫秒、分鏈設定回退到共用設定），鍵名與環境變數相同，說明見 .env.example。
+ * server.js 傳入 process.env；嵌入其他服務時可傳入相同鍵名的物件，數字及布林值與字串的解析結果相同。
+ * 日誌設定（LOG_*）屬於整個程序，由啟動程式設定 logger，不在此解析。
+ */
+
+const ProviderPool = require('./services/providerPool');
+const DoubleSpendPolicy = require('./services/doubleSpendPolicy');
+const ApiAuth = require('./services/apiAuth');
+const WebhookNotifier = require('./services/webhookNotifier');
+
+function parseOptionalBlock(value) {
+    const block = parseInt(value);
+    return Number.isNaN(block) ? null : block;
+}
+
+function parseCheckpoint(value) {
+    if (!value) {
+        return null;
+    }
+    const [number, hash] = value.split(':');
+    return { number: parseInt(number), hash: hash.toLowerCase() };
+}
+
+// 數字及布林值轉為字串，與讀取環境變數時相同；未設定（undefined / null）的鍵略過
+function normalize(source) {
+    const env = {};
+    for (const [key, value] of Object.entries(source || {})) {
+        if (value !== undefined && value !== null) {
+            env[key] = String(value);
+        }
+    }
+    return env;
+}
+
+/**
+ * @param {object} source - 環境變數或相同鍵名的配置物件，預設為 process.env
+ * @returns {object} 解析後的配置，鍵名與環境變數相同
+ */
+function loadConfig(source = process.env) {
+    const env = normalize(source);
+
+    // Environment variables for both contracts
+    const ASSET_CONTRACT_ADDRESS = env.ASSET_CONTRACT_ADDRESS;
+    const PAYMENT_CONTRACT_ADDRESS = env.PAYMENT_CONTRACT_ADDRESS;
+    const ASSET_ETHEREUM_NODE_URL = env.ASSET_ETHEREUM_NODE_URL || env.ETHEREUM_NODE_URL;
+    const PAYMENT_ETHEREUM_NODE_URL = env.PAYMENT_ETHEREUM_NODE_URL || env.ETHEREUM_NODE_URL;
+    // 多節點配置（逗號分隔），未設定時使用單一 URL
+    const ASSET_ETHEREUM_NODE_URLS = ProviderPool.parseUrls(env.ASSET_ETHEREUM_NODE_URLS || env.ETHEREUM_NODE_URLS || ASSET_ETHEREUM_NODE_URL);
+    const PAYMENT_ETHEREUM_NODE_URLS = ProviderPool.parseUrls(env.PAYMENT_ETHEREUM_NODE_URLS || env.ETHEREUM_NODE_URLS || PAYMENT_ETHEREUM_NODE_URL);
+    const ASSET_PRIVATE_KEY = env.ASSET_PRIVATE_KEY || env.PRIVATE_KEY;
+    const PAYMENT_PRIVATE_KEY = env.PAYMENT_PRIVATE_KEY || env.PRIVATE_KEY;
+
+    // 安全性配置 - 直接使用自定義確認數
+    const DEFAULT_CONFIRMATIONS = parseInt(env.CUSTOM_CONFIRMATIONS);
+
+    // 事件回補配置：沒有持久化游標時從指定區塊開始，並以固定大小分段查詢事件
+    const ASSET_START_BLOCK = parseOptionalBlock(env.ASSET_START_BLOCK || env.START_BLOCK);
+    const PAYMENT_START_BLOCK = parseOptionalBlock(env.PAYMENT_START_BLOCK || env.START_BLOCK);
+    const EVENT_QUERY_CHUNK_SIZE = parseInt(env.EVENT_QUERY_CHUNK_SIZE) || 1000;
+
+    // 交易管理配置：estimateGas 失敗時的 gas 上限，及交易未被打包時提高費用替換的期限
+    const TX_GAS_LIMIT = parseInt(env.TX_GAS_LIMIT) || 200000;
+    const TX_STUCK_TIMEOUT = (parseInt(env.TX_STUCK_TIMEOUT) || 120) * 1000;
+    // fulfillTime 記錄的時間戳直接影響交易階段判定，使用較短的期限
+    const TX_FULFILL_DEADLINE = (parseInt(env.TX_FULFILL_DEADLINE) || 45) * 1000;
+    // 等待單筆交易上鏈的總時限（含所有替換），超過時放棄等待並回報 TX_STUCK
+    const TX_MAX_WAIT = (parseInt(env.TX_MAX_WAIT) || 1800) * 1000;
+
+    // 費用策略配置（gwei），可分別設定兩條鏈
+    const FEE_POLICY = env.FEE_POLICY || 'percentile';
+    const ASSET_FEE_MAX_FEE_GWEI = env.ASSET_FEE_MAX_FEE_GWEI || env.FEE_MAX_FEE_GWEI;
+    const PAYMENT_FEE_MAX_FEE_GWEI = env.PAYMENT_FEE_MAX_FEE_GWEI || env.FEE_MAX_FEE_GWEI;
+    const ASSET_FEE_MAX_PRIORITY_FEE_GWEI = env.ASSET_FEE_MAX_PRIORITY_FEE_GWEI || env.FEE_MAX_PRIORITY_FEE_GWEI;
+    const PAYMENT_FEE_MAX_PRIORITY_FEE_GWEI = env.PAYMENT_FEE_MAX_PRIORITY_FEE_GWEI || env.FEE_MAX_PRIORITY_FEE_GWEI;
+    const FEE_MIN_PRIORITY_FEE_GWEI = env.FEE_MIN_PRIORITY_FEE_GWEI;
+    const FEE_REWARD_PERCENTILE = parseInt(env.FEE_REWARD_PERCENTILE) || 50;
+    const FEE_HISTORY_BLOCKS = parseInt(env.FEE_HISTORY_BLOCKS) || 10;
+    const FEE_BUMP_PERCENT = parseFloat(env.FEE_BUMP_PERCENT) || 12.5;
+    const GAS_LIMIT_MARGIN = parseFloat(env.GAS_LIMIT_MARGIN) || 1.25;
+
+    // 事件來源：poll（定時輪詢）或 websocket（訂閱新區塊及合約日誌，中斷時退回輪詢）
+    const EVENT_SOURCE = env.EVENT_SOURCE || 'poll';
+    const ASSET_ETHEREUM_WS_URL = env.ASSET_ETHEREUM_WS_URL || env.ETHEREUM_WS_URL;
+    const PAYMENT_ETHEREUM_WS_URL = env.PAYMENT_ETHEREUM_WS_URL || env.ETHEREUM_WS_URL;
+    const EVENT_POLL_INTERVAL = (parseInt(env.EVENT_POLL_INTERVAL) || 15) * 1000;
+
+    // RPC 節點池：安全相關讀取需一致的節點數（1 表示不啟用 quorum），以及失敗節點的冷卻時間
+    const ASSET_RPC_QUORUM = parseInt(env.ASSET_RPC_QUORUM || env.RPC_QUORUM) || 1;
+    const PAYMENT_RPC_QUORUM = parseInt(env.PAYMENT_RPC_QUORUM || env.RPC_QUORUM) || 1;
+    const RPC_COOLDOWN = (parseInt(env.RPC_COOLDOWN) || 30) * 1000;
+
+    // Payment 鏈區塊頭追蹤：檢查點來源（finalized | depth）、depth 模式的深度，以及可選的信任起點（區塊號:雜湊）
+    const HEADER_FINALITY = env.HEADER_FINALITY || 'finalized';
+    const HEADER_CHECKPOINT_DEPTH = parseInt(env.HEADER_CHECKPOINT_DEPTH) || 64;
+    const PAYMENT_TRUSTED_CHECKPOINT = parseCheckpoint(env.PAYMENT_TRUSTED_CHECKPOINT);
+
+    // 交易階段窗口（秒）：確認窗口自創建時間起算（不超過合約的 duration），執行窗口自確認時間起算；未設定時使用交易的 duration
+    const CONFIRMATION_WINDOW = parseInt(env.CONFIRMATION_WINDOW) || null;
+    const EXECUTION_WINDOW = parseInt(env.EXECUTION_WINDOW) || null;
+
+    // 交易期限排程：到期時合約狀態尚不允許處理（或處理失敗）的重試間隔
+    const DEADLINE_RETRY_INTERVAL = (parseInt(env.DEADLINE_RETRY_INTERVAL) || 30) * 1000;
+
+    // 時鐘：寫入合約的時間戳、交易期限及跨鏈驗證等待使用的時間來源
+    // system（實際時間）| fixed[:時間]（固定不動）| manual[:時間]（由 POST /admin/clock 推進），後兩者僅供測試
+    const ORACLE_CLOCK = env.ORACLE_CLOCK || 'system';
+
+    // 雙重支付規則：Asset 超時至少需比 Payment 超時多出的秒數、超時上限，以及個別規則模式（rule:reject|warn|off）
+    const DOUBLE_SPEND_MIN_DURATION_GAP = parseInt(env.DOUBLE_SPEND_MIN_DURATION_GAP) || 0;
+    const DOUBLE_SPEND_MAX_DURATION = parseInt(env.DOUBLE_SPEND_MAX_DURATION) || null;
+    const DOUBLE_SPEND_RULES = DoubleSpendPolicy.parseRuleModes(env.DOUBLE_SPEND_RULES);
+
+    // API 驗證：金鑰（id:role:secret[:每分鐘請求數]）、是否允許匿名（public 角色）、路由角色覆寫（/route:role）、
+    // 未列出路由所需角色、各角色預設限流（每分鐘）、HMAC 時間戳允許誤差（秒）及存取日誌
+    const API_KEYS = ApiAuth.parseKeys(env.API_KEYS);
+    const API_ALLOW_ANONYMOUS = env.API_ALLOW_ANONYMOUS !== 'false';
+    const API_ROUTE_ROLES = ApiAuth.parseRouteRoles(env.API_ROUTE_ROLES);
+    const API_DEFAULT_ROLE = env.API_DEFAULT_ROLE || 'operator';
+    const API_RATE_LIMIT_PUBLIC = parseInt(env.API_RATE_LIMIT_PUBLIC) || 60;
+    const API_RATE_LIMIT_OPERATOR = parseInt(env.API_RATE_LIMIT_OPERATOR) || 600;
+    const API_RATE_LIMIT_ADMIN = parseInt(env.API_RATE_LIMIT_ADMIN) || 600;
+    const API_HMAC_MAX_SKEW = parseInt(env.API_HMAC_MAX_SKEW) || 300;
+    const API_ACCESS_LOG = env.API_ACCESS_LOG;
+
+    // 事件推送（GET /events）：保留供重連補送的事件數、同時連線數上限、心跳間隔（秒）
+    const EVENT_STREAM_BUFFER = parseInt(env.EVENT_STREAM_BUFFER) || 500;
+    const EVENT_STREAM_MAX_CLIENTS = parseInt(env.EVENT_STREAM_MAX_CLIENTS) || 100;
+    const EVENT_STREAM_HEARTBEAT = (parseInt(env.EVENT_STREAM_HEARTBEAT) || 15) * 1000;
+
+    // Webhook 通知：訂閱（id|url|events|secret，以分號分隔）、每則通知最多傳送次數、第一次重試等待秒數（之後加倍）、
+    // 重試等待上限（秒）、請求逾時（秒）及死信檔案
+    const WEBHOOKS = WebhookNotifier.parseSubscriptions(env.WEBHOOKS);
+    const WEBHOOK_MAX_ATTEMPTS = parseInt(env.WEBHOOK_MAX_ATTEMPTS) || 6;
+    const WEBHOOK_RETRY_BASE_DELAY = (parseInt(env.WEBHOOK_RETRY_BASE_DELAY) || 2) * 1000;
+    const WEBHOOK_RETRY_MAX_DELAY = (parseInt(env.WEBHOOK_RETRY_MAX_DELAY) || 300) * 1000;
+    const WEBHOOK_TIMEOUT = (parseInt(env.WEBHOOK_TIMEOUT) || 10) * 1000;
+    const WEBHOOK_DEAD_LETTER_FILE = env.WEBHOOK_DEAD_LETTER_FILE;
+
+    // 簽名帳戶餘額監控：低於門檻（ETH，可分鏈設定）時發出 balance.low 通知，以及檢查間隔（秒）
+    const ASSET_BALANCE_LOW_THRESHOLD = env.ASSET_BALANCE_LOW_THRESHOLD || env.BALANCE_LOW_THRESHOLD || '0.05';
+    const PAYMENT_BALANCE_LOW_THRESHOLD = env.PAYMENT_BALANCE_LOW_THRESHOLD || env.BALANCE_LOW_THRESHOLD || '0.05';
+    const BALANCE_CHECK_INTERVAL = (parseInt(env.BALANCE_CHECK_INTERVAL) || 300) * 1000;
+
+    // 管理 API：ADMIN_API_TOKEN 視為 admin 角色的金鑰（與 API_KEYS 並存）、確認令牌有效秒數、稽核檔案，
+    // 以及補發時間履行時往回搜尋請求事件的區塊數
+    const ADMIN_API_TOKEN = env.ADMIN_API_TOKEN;
+    const ADMIN_CONFIRMATION_TTL = (parseInt(env.ADMIN_CONFIRMATION_TTL) || 120) * 1000;
+    const ADMIN_AUDIT_FILE = env.ADMIN_AUDIT_FILE;
+    const ADMIN_REQUEST_LOOKBACK = parseInt(env.ADMIN_REQUEST_LOOKBACK) || 10000;
+
+    // 鏈重組防護：只處理已達確認深度的事件，並保留最近區塊的雜湊用於偵測重組
+    const EVENT_CONFIRMATION_DEPTH = parseInt(env.EVENT_CONFIRMATION_DEPTH ?? '2');
+    const REORG_TRACKING_DEPTH = parseInt(env.REORG_TRACKING_DEPTH) || 64;
+
+    // 狀態持久化配置
+    const STATE_STORE_BACKEND = env.STATE_STORE_BACKEND || 'file';
+    const STATE_STORE_DIR = env.STATE_STORE_DIR;
+
+    // HTTP API 連接埠（未設定時由系統指定）
+    const SERVER_PORT = env.SERVER_PORT;
+    // stop() 等待進行中的處理完成的時限（秒）
+    const SHUTDOWN_TIMEOUT = (parseInt(env.SHUTDOWN_TIMEOUT) || 30) * 1000;
+
+    return {
+        ASSET_CONTRACT_ADDRESS, PAYMENT_CONTRACT_ADDRESS, ASSET_ETHEREUM_NODE_URL, PAYMENT_ETHEREUM_NODE_URL,
+        ASSET_ETHEREUM_NODE_URLS, PAYMENT_ETHEREUM_NODE_URLS, ASSET_PRIVATE_KEY, PAYMENT_PRIVATE_KEY,
+        DEFAULT_CONFIRMATIONS, ASSET_START_BLOCK, PAYMENT_START_BLOCK, EVENT_QUERY_CHUNK_SIZE, TX_GAS_LIMIT,
+        TX_STUCK_TIMEOUT, TX_FULFILL_DEADLINE, TX_MAX_WAIT, FEE_POLICY, ASSET_FEE_MAX_FEE_GWEI, PAYMENT_FEE_MAX_FEE_GWEI,
+        ASSET_FEE_MAX_PRIORITY_FEE_GWEI, PAYMENT_FEE_MAX_PRIORITY_FEE_GWEI, FEE_MIN_PRIORITY_FEE_GWEI,
+        FEE_REWARD_PERCENTILE, FEE_HISTORY_BLOCKS, FEE_BUMP_PERCENT, GAS_LIMIT_MARGIN, EVENT_SOURCE,
+        ASSET_ETHEREUM_WS_URL, PAYMENT_ETHEREUM_WS_URL, EVENT_POLL_INTERVAL, ASSET_RPC_QUORUM, PAYMENT_RPC_QUORUM,
+        RPC_COOLDOWN, HEADER_FINALITY, HEADER_CHECKPOINT_DEPTH, PAYMENT_TRUSTED_CHECKPOINT, CONFIRMATION_WINDOW,
+        EXECUTION_WINDOW, DEADLINE_RETRY_INTERVAL, ORACLE_CLOCK, DOUBLE_SPEND_MIN_DURATION_GAP,
+        DOUBLE_SPEND_MAX_DURATION, DOUBLE_SPEND_RULES, API_KEYS, API_ALLOW_ANONYMOUS, API_ROUTE_ROLES,
+        API_DEFAULT_ROLE, API_RATE_LIMIT_PUBLIC, API_RATE_LIMIT_OPERATOR, API_RATE_LIMIT_ADMIN, API_HMAC_MAX_SKEW,
+        API_ACCESS_LOG, EVENT_STREAM_BUFFER, EVENT_STREAM_MAX_CLIENTS, EVENT_STREAM_HEARTBEAT,
+        WEBHOOKS, WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_DELAY, WEBHOOK_RETRY_MAX_DELAY,
+        WEBHOOK_TIMEOUT, WEBHOOK_DEAD_LETTER_FILE, ASSET_BALANCE_LOW_THRESHOLD, PAYMENT_BALANCE_LOW_THRESHOLD,
+        BALANCE_CHECK_INTERVAL, ADMIN_API_TOKEN, ADMIN_CONFIRMATION_TTL, ADMIN_AUDIT_FILE, ADMIN_REQUEST_LOOKBACK,
+        EVENT_CONFIRMATION_DEPTH, REORG_TRACKING_DEPTH, STATE_STORE_BACKEND, STATE_STORE_DIR, SERVER_PORT,
+        SHUTDOWN_TIMEOUT
+    };
+}
+
+module.exports = { loadConfig, parseOptionalBlock };
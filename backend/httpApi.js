@@ -0,0 +1,415 @@
+/**
+ * Oracle 的 HTTP API
+ * 建立 Express app 及所有路由（查詢、日誌、統計、事件推送、指標、管理操作），並負責監聽及關閉 HTTP 服務。
+ * 只透過 runtime 提供的查詢及管理函數存取 Oracle 狀態，不直接讀寫交易記錄；由 oracle.js 在第一次取用時建立。
+ */
+
+const express = require('express');
+const logger = require('./services/logger');
+const AdminGuard = require('./services/adminGuard');
+const ApiAuth = require('./services/apiAuth');
+const MetricsRegistry = require('./services/metrics');
+const LogQuery = require('./services/logQuery');
+const { parseOptionalBlock } = require('./config');
+
+/**
+ * @param {object} runtime - oracle.js 提供的查詢及管理函數，以及 clock、metrics、eventStream、webhookNotifier
+ * @param {object} config - loadConfig() 解析後的配置
+ * @returns {{app: express.Application, listen: Function, close: Function, address: Function}}
+ */
+function createHttpApi(runtime, config) {
+    const {
+        ASSET_CONTRACT_ADDRESS, PAYMENT_CONTRACT_ADDRESS, API_KEYS, API_ALLOW_ANONYMOUS, API_ROUTE_ROLES,
+        API_DEFAULT_ROLE, API_RATE_LIMIT_PUBLIC, API_RATE_LIMIT_OPERATOR, API_RATE_LIMIT_ADMIN, API_HMAC_MAX_SKEW,
+        API_ACCESS_LOG, ADMIN_API_TOKEN, ADMIN_CONFIRMATION_TTL, ADMIN_AUDIT_FILE, SERVER_PORT
+    } = config;
+    const {
+        clock, metrics, eventStream, webhookNotifier, describeStatus, describeAssetTrade, describePayment,
+        describeStats, describeDeadlines, describeHealth, describeSyncProgress, describeSchedulerStats,
+        readContractTradeState, planAdminAction, isTradeProcessing, executeAdminAction, resync
+    } = runtime;
+
+    const app = express();
+    let server = null;
+
+    // 保留原始請求內容供 HMAC 簽章驗證
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+
+    // API 驗證、角色及限流
+    const apiAuth = new ApiAuth({
+        keys: ADMIN_API_TOKEN ? [...API_KEYS, { id: 'admin', role: 'admin', secret: ADMIN_API_TOKEN }] : API_KEYS,
+        allowAnonymous: API_ALLOW_ANONYMOUS,
+        routeRoles: API_ROUTE_ROLES,
+        defaultRole: API_DEFAULT_ROLE,
+        rateLimits: {
+            public: API_RATE_LIMIT_PUBLIC,
+            operator: API_RATE_LIMIT_OPERATOR,
+            admin: API_RATE_LIMIT_ADMIN
+        },
+        maxClockSkew: API_HMAC_MAX_SKEW,
+        accessLogFile: API_ACCESS_LOG
+    });
+
+    // 管理 API：人工處理卡住的交易（二段式確認、稽核記錄）
+    const adminGuard = new AdminGuard({
+        confirmationTtl: ADMIN_CONFIRMATION_TTL,
+        auditFile: ADMIN_AUDIT_FILE
+    });
+    const logQuery = new LogQuery({ dir: logger.getLogDir() });
+
+    // Set up API endpoints
+    app.use(apiAuth.middleware());
+
+    app.get('/status', async (req, res) => {
+        try {
+            const statusData = await describeStatus();
+
+            logger('info', 'API狀態查詢', {
+                remoteAddress: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+
+            res.json(statusData);
+        } catch (error) {
+            logger('error', `獲取狀態時發生錯誤`, {
+                error: error.message
+            });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    app.get('/trade/:tradeId', async (req, res) => {
+        try {
+            const { tradeId } = req.params;
+            const responseData = await describeAssetTrade(tradeId);
+
+            logger('info', 'API交易查詢', {
+                tradeId,
+                remoteAddress: req.ip
+            });
+
+            res.json(responseData);
+        } catch (error) {
+            logger('error', `獲取交易資訊時發生錯誤`, {
+                tradeId: req.params.tradeId,
+                error: error.message
+            });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    app.get('/payment/:paymentId', async (req, res) => {
+        try {
+            const { paymentId } = req.params;
+            const responseData = await describePayment(paymentId);
+
+            logger('info', 'API支付查詢', {
+                paymentId,
+                remoteAddress: req.ip
+            });
+
+            res.json(responseData);
+        } catch (error) {
+            logger('error', `獲取支付資訊時發生錯誤`, {
+                paymentId: req.params.paymentId,
+                error: error.message
+            });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // 日誌查詢端點：搜尋所有日誌檔（含輪替後的壓縮檔），依時間、等級、關鍵字、交易 / 支付 ID 過濾並分頁
+    app.get('/logs', apiAuth.requireRole('admin'), async (req, res) => {
+        try {
+            const filter = logQuery.parseQuery(req.query);
+            // 先寫出緩衝區，讓結果包含最新的日誌
+            await logger.flush();
+            const result = await logQuery.search(filter);
+
+            logger('info', 'API日誌查詢', {
+                query: req.query,
+                returned: result.entries.length,
+                scannedFiles: result.scannedFiles.length,
+                remoteAddress: req.ip
+            });
+
+            res.json({
+                logFile: logger.getCurrentLogFile(),
+                count: result.entries.length,
+                nextCursor: result.nextCursor,
+                scannedFiles: result.scannedFiles,
+                entries: result.entries
+            });
+        } catch (error) {
+            if (error.code === 'INVALID_QUERY') {
+                return res.status(400).json({ error: error.message });
+            }
+            logger('error', `讀取日誌時發生錯誤`, {
+                error: error.message
+            });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // 新增統計資訊端點
+    app.get('/stats', async (req, res) => {
+        try {
+            const statsData = await describeStats();
+
+            logger('info', 'API統計查詢', {
+                remoteAddress: req.ip
+            });
+
+            res.json(statsData);
+        } catch (error) {
+            logger('error', `獲取統計資訊時發生錯誤`, {
+                error: error.message
+            });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // 交易生命週期事件推送（SSE），可用 tradeId、paymentId、address、types 過濾
+    app.get('/events', eventStream.handler());
+
+    // Prometheus 指標
+    app.get('/metrics', (req, res) => {
+        res.type(MetricsRegistry.contentType).send(metrics.render());
+    });
+
+    // 即將到來的交易期限（依到期順序）
+    app.get('/deadlines', (req, res) => {
+        res.json(describeDeadlines(parseInt(req.query.limit) || 50));
+    });
+
+    // 管理端點：第一次請求回傳預覽及確認令牌，帶 confirmationToken 再次請求才執行
+    app.post('/admin/:chain(trade|payment)/:id/:action(fail|execution-timeout|refulfill)', apiAuth.requireRole('admin'), async (req, res) => {
+        const chain = req.params.chain === 'trade' ? 'asset' : 'payment';
+        const { id, action } = req.params;
+        const { confirmationToken, reason } = req.body || {};
+        const target = `${chain}:${id}`;
+        const auditBase = { action, target, actor: req.auth.keyId, ip: req.ip, reason: reason || null };
+
+        try {
+            const before = await readContractTradeState(chain, id);
+            if (!before.exists) {
+                adminGuard.audit({ ...auditBase, outcome: 'rejected', error: '交易不存在或已結束' });
+                return res.status(404).json({ error: '交易不存在或已結束（合約已移除記錄）' });
+            }
+
+            const { stateAction, rejection } = planAdminAction(chain, id, action, before);
+            if (rejection) {
+                adminGuard.audit({ ...auditBase, outcome: 'rejected', before, error: rejection });
+                return res.status(409).json({ error: rejection, before });
+            }
+
+            if (!confirmationToken) {
+                const confirmation = adminGuard.issueConfirmation(action, target);
+                adminGuard.audit({ ...auditBase, outcome: 'requested', before });
+                return res.status(202).json({ action, target, stateAction, before, ...confirmation });
+            }
+
+            const invalid = adminGuard.consumeConfirmation(confirmationToken, action, target);
+            if (invalid) {
+                adminGuard.audit({ ...auditBase, outcome: 'rejected', error: invalid });
+                return res.status(403).json({ error: invalid });
+            }
+
+            if (isTradeProcessing(chain, id)) {
+                adminGuard.audit({ ...auditBase, outcome: 'rejected', error: '交易正在處理中' });
+                return res.status(409).json({ error: '交易正在處理中，請稍後重新請求確認令牌' });
+            }
+
+            const { after, succeeded } = await executeAdminAction(chain, id, action, before, req.auth.keyId);
+
+            adminGuard.audit({ ...auditBase, outcome: 'executed', stateAction, succeeded, before, after });
+            res.json({ action, target, stateAction, succeeded, before, after });
+        } catch (error) {
+            adminGuard.audit({ ...auditBase, outcome: 'failed', error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // 重新校正：依合約狀態重建內存記錄及期限；指定起始區塊時自該區塊重放事件（已履行的請求會被略過）
+    app.post('/admin/resync', apiAuth.requireRole('admin'), async (req, res) => {
+        const { confirmationToken, reason } = req.body || {};
+        const assetFromBlock = parseOptionalBlock(req.body?.assetFromBlock);
+        const paymentFromBlock = parseOptionalBlock(req.body?.paymentFromBlock);
+        const target = `asset@${assetFromBlock ?? 'last'},payment@${paymentFromBlock ?? 'last'}`;
+        const auditBase = { action: 'resync', target, actor: req.auth.keyId, ip: req.ip, reason: reason || null };
+
+        try {
+            const before = describeSyncProgress();
+            if (!confirmationToken) {
+                const confirmation = adminGuard.issueConfirmation('resync', target);
+                adminGuard.audit({ ...auditBase, outcome: 'requested', before });
+                return res.status(202).json({ action: 'resync', target, before, ...confirmation });
+            }
+
+            const invalid = adminGuard.consumeConfirmation(confirmationToken, 'resync', target);
+            if (invalid) {
+                adminGuard.audit({ ...auditBase, outcome: 'rejected', error: invalid });
+                return res.status(403).json({ error: invalid });
+            }
+
+            const after = await resync({ assetFromBlock, paymentFromBlock });
+            adminGuard.audit({ ...auditBase, outcome: 'executed', before, after });
+            res.json({ action: 'resync', target, before, after });
+        } catch (error) {
+            adminGuard.audit({ ...auditBase, outcome: 'failed', error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    app.get('/admin/audit', apiAuth.requireRole('admin'), (req, res) => {
+        const limit = parseInt(req.query.limit) || 100;
+        res.json({ entries: adminGuard.recentAudit(limit) });
+    });
+
+    // Webhook 訂閱（URL 只顯示來源）、最近的傳送記錄及死信
+    app.get('/admin/webhooks', apiAuth.requireRole('admin'), (req, res) => {
+        const limit = parseInt(req.query.limit) || 20;
+        res.json({
+            subscriptions: webhookNotifier.listSubscriptions(),
+            stats: webhookNotifier.getStats(),
+            recentDeliveries: webhookNotifier.recentDeliveries(limit),
+            deadLetters: webhookNotifier.recentDeadLetters(limit)
+        });
+    });
+
+    // 送出測試通知並回傳結果，不需確認令牌（不影響鏈上狀態）
+    app.post('/admin/webhooks/:id/test', apiAuth.requireRole('admin'), async (req, res) => {
+        const auditBase = { action: 'webhook-test', target: req.params.id, actor: req.auth.keyId, ip: req.ip, reason: null };
+        const result = await webhookNotifier.test(req.params.id);
+        if (!result) {
+            adminGuard.audit({ ...auditBase, outcome: 'rejected', error: 'Webhook 訂閱不存在' });
+            return res.status(404).json({ error: 'Webhook 訂閱不存在' });
+        }
+        adminGuard.audit({ ...auditBase, outcome: result.ok ? 'executed' : 'failed', result });
+        res.status(result.ok ? 200 : 502).json({ subscriptionId: req.params.id, ...result });
+    });
+
+    // 測試時鐘：查詢目前時間，或推進（advance 秒數）/ 設定（time）時間；實際時間的時鐘不能調整
+    app.get('/admin/clock', apiAuth.requireRole('admin'), (req, res) => {
+        res.json({ ...clock.describe(), deadlines: describeSchedulerStats() });
+    });
+
+    app.post('/admin/clock', apiAuth.requireRole('admin'), async (req, res) => {
+        const { advance, time } = req.body || {};
+        const auditBase = { action: 'clock-adjust', target: clock.type, actor: req.auth.keyId, ip: req.ip, reason: null };
+        if (clock.type === 'system') {
+            adminGuard.audit({ ...auditBase, outcome: 'rejected', error: '實際時間的時鐘不能調整' });
+            return res.status(409).json({ error: '實際時間的時鐘不能調整，請以 ORACLE_CLOCK=fixed 或 manual 啟動' });
+        }
+        if ((advance === undefined) === (time === undefined) || (advance !== undefined && !(Number(advance) >= 0))) {
+            return res.status(400).json({ error: '需提供 advance（非負秒數）或 time 其中之一' });
+        }
+
+        const before = clock.describe();
+        try {
+            const fired = advance !== undefined
+                ? await clock.advance(Number(advance) * 1000)
+                : await clock.set(time);
+            const after = clock.describe();
+            adminGuard.audit({ ...auditBase, outcome: 'executed', before, after });
+            logger('info', '測試時鐘已調整', { before: before.now, after: after.now, firedTimers: fired ?? 0 });
+            res.json({ ...after, firedTimers: fired ?? 0 });
+        } catch (error) {
+            adminGuard.audit({ ...auditBase, outcome: 'failed', error: error.message });
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // 新增健康檢查端點
+    app.get('/health', async (req, res) => {
+        try {
+            const healthData = await describeHealth();
+            const statusCode = healthData.status === 'healthy' ? 200 :
+                              healthData.status === 'degraded' ? 200 : 503;
+
+            res.status(statusCode).json(healthData);
+        } catch (error) {
+            logger('error', `健康檢查時發生錯誤`, {
+                error: error.message
+            });
+            res.status(503).json({
+                status: 'unhealthy',
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    // 監聽 SERVER_PORT（未設定時由系統指定），監聽失敗（例如連接埠已被佔用）時啟動失敗
+    function listen() {
+        return new Promise((resolve, reject) => {
+            server = app.listen(SERVER_PORT, () => {
+                const { port } = server.address();
+                logger('info', `雙鏈 Timer 已啟動`, {
+                    port,
+                    assetContract: ASSET_CONTRACT_ADDRESS,
+                    paymentContract: PAYMENT_CONTRACT_ADDRESS,
+                    processId: process.pid,
+                    nodeVersion: process.version,
+                    logFile: logger.getCurrentLogFile()
+                });
+
+                // 顯示可用的 API 端點
+                logger('info', '可用的API端點', {
+                    status: `http://localhost:${port}/status`,
+                    health: `http://localhost:${port}/health`,
+                    stats: `http://localhost:${port}/stats`,
+                    logs: `http://localhost:${port}/logs`,
+                    deadlines: `http://localhost:${port}/deadlines`,
+                    events: `http://localhost:${port}/events?tradeId={tradeId}`,
+                    metrics: `http://localhost:${port}/metrics`,
+                    webhooks: apiAuth.hasRole('admin') ? `http://localhost:${port}/admin/webhooks` : 'disabled',
+                    admin: apiAuth.hasRole('admin') ? `http://localhost:${port}/admin/{trade|payment}/{id}/{fail|execution-timeout|refulfill}` : 'disabled',
+                    trade: `http://localhost:${port}/trade/{tradeId}`,
+                    payment: `http://localhost:${port}/payment/{paymentId}`
+                });
+                resolve();
+            });
+            server.once('error', reject);
+
+            // 設置服務器錯誤處理
+            server.on('error', (error) => {
+                logger('error', '服務器錯誤', {
+                    error: error.message,
+                    code: error.code
+                });
+            });
+
+            // 設置服務器關閉處理
+            server.on('close', () => {
+                logger('info', '服務器已關閉');
+            });
+        });
+    }
+
+    /**
+     * 停止接受新連線並等待進行中的請求完成，之後關閉存取日誌；SSE 連線需先由 eventStream.close() 結束
+     */
+    async function close() {
+        if (server?.listening) {
+            await new Promise(resolve => {
+                server.close(() => resolve());
+                server.closeIdleConnections();
+            });
+        }
+        apiAuth.close();
+    }
+
+    return {
+        app,
+        listen,
+        close,
+        address: () => (server?.listening ? server.address() : null)
+    };
+}
+
+module.exports = { createHttpApi };
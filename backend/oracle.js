@@ -0,0 +1,3629 @@
+/**
+ * 雙鏈 Timer Oracle
+ * 監聽 Asset / Payment 合約的時間請求並履行時間，追蹤交易期限，以雙重支付規則及跨鏈驗證保護兩條鏈上的交換。
+ *
+ * Oracle 類別可嵌入其他服務或在同一程序內建立多個實例（server.js 只是以 process.env 建立一個實例的啟動程式）：
+ *   const oracle = new Oracle({ ASSET_CONTRACT_ADDRESS: '0x...', STATE_STORE_DIR: '/var/lib/oracle-a', ... }, { http: false });
+ *   oracle.on('trade', event => console.log(event.type, event.assetTradeId));
+ *   await oracle.start();
+ *   const info = await oracle.getTrade(1);
+ *   await oracle.stop();
+ *
+ * 核心（事件處理、時間履行、期限排程、跨鏈驗證、狀態持久化）之上有兩個可選層：
+ *   http    Express API（httpApi.js：/status、/trade、/admin/... 等），也可不監聽連接埠，以 oracle.app 掛載到自己的服務
+ *   timers  定時輪詢事件、同步 Payment 區塊頭及檢查簽名帳戶餘額；關閉時以 poll() 自行驅動事件處理
+ *
+ * 事件：starting、started（{ address }）、stopping、stopped，以及 trade（與 GET /events 推送的交易生命週期事件相同）。
+ * 每個實例需使用各自的 STATE_STORE_DIR；日誌（services/logger）為整個程序共用，由宿主設定。
+ */
+
+const EventEmitter = require('events');
+const ethers = require('ethers');
+const { loadConfig } = require('./config');
+const logger = require('./services/logger');
+const CrossChainTransactionVerifier = require('./services/crossChainTransactionVerifier');
+const { createStateStore, PersistentMap } = require('./services/stateStore');
+const BlockHashTracker = require('./services/blockHashTracker');
+const TransactionManager = require('./services/transactionManager');
+const FeeStrategy = require('./services/feeStrategy');
+const ProviderPool = require('./services/providerPool');
+const { EventSubscriber, LatencyTracker } = require('./services/eventSubscriber');
+const HeaderChain = require('./services/headerChain');
+const DoubleSpendPolicy = require('./services/doubleSpendPolicy');
+const DeadlineScheduler = require('./services/deadlineScheduler');
+const { TradePhase, PhaseWindows, phaseFromContract, phaseOf } = require('./services/tradePhases');
+const TradeStateMachine = require('./services/tradeStateMachine');
+const { TradeState, PaymentState, isTerminal, stateName, IllegalTransitionError } = TradeStateMachine;
+const EventStream = require('./services/eventStream');
+const WebhookNotifier = require('./services/webhookNotifier');
+const MetricsRegistry = require('./services/metrics');
+const { createClock } = require('./services/clock');
+const { createHttpApi } = require('./httpApi');
+
+const assetContractABI = [
+    "function fulfillTime(bytes32 _requestId, uint256 _timestamp) external",
+    "function handleFailedConfirmation(uint tradeId) external",
+    "function handleExecutionTimeout(uint tradeId) external",
+    "event TimeRequestSent(bytes32 requestId, uint tradeId, uint256 duration)",
+    "function getTrade(uint _tradeId) public view returns (uint, uint256, address, address, uint8, uint256, uint256, uint256)",
+    "function trades(uint) public view returns (uint, uint256, address, address, string, string, uint256, uint256, uint256, uint256, uint8)",
+    "function getActiveTradeIds() public view returns (uint[] memory)"
+];
+
+const paymentContractABI = [
+    "function fulfillTime(bytes32 _requestId, uint256 _timestamp) external",
+    "function handleFailedConfirmation(uint paymentId) external",
+    "function handleExecutionTimeout(uint paymentId) external",
+    "event TimeRequestSent(bytes32 requestId, uint paymentId, uint256 duration)",
+    "event PaymentCompleted(uint id, address recipient, uint256 amount)",
+    "event PaymentInitiated(uint id, uint assetTradeId, uint256 amount, address buyer, address seller, uint256 duration)",
+    "function getPayment(uint _paymentId) public view returns (uint, uint256, address, address, uint8, uint256, uint256, uint256, uint)",
+    "function payments(uint) public view returns (uint, uint256, address, address, string, string, uint256, uint256, uint256, uint256, uint8, uint)",
+    "function getActivePaymentIds() public view returns (uint[] memory)"
+];
+
+// 交易正在處理事件時，期限延後處理的毫秒數
+const DEADLINE_BUSY_DELAY = 1000;
+// 事件推送時快取的交易買賣方地址數
+const TRADE_PARTIES_CACHE_SIZE = 1000;
+// 判定 Payment 是否為 Asset 交易對應方的雙重支付規則，未通過時只取消該 Payment
+const PARTY_MATCH_RULES = ['amountMatch', 'sellerMatch', 'buyerMatch'];
+// 關閉逾時並中止等待上鏈的交易後，再等待處理函數結束的毫秒數
+const SHUTDOWN_ABORT_GRACE = 5000;
+
+/**
+ * 建立一個 Oracle 實例的狀態及處理函數（原 server.js 的模組內容，每個實例各自一份），回傳 Oracle 類別使用的介面
+ * @param {Oracle} oracle - 用於發出事件
+ * @param {object} config - loadConfig() 解析後的配置
+ * @param {object} options - Oracle 建構選項
+ */
+function createRuntime(oracle, config, options) {
+    const {
+        ASSET_CONTRACT_ADDRESS, PAYMENT_CONTRACT_ADDRESS, ASSET_ETHEREUM_NODE_URL, PAYMENT_ETHEREUM_NODE_URL,
+        ASSET_ETHEREUM_NODE_URLS, PAYMENT_ETHEREUM_NODE_URLS, ASSET_PRIVATE_KEY, PAYMENT_PRIVATE_KEY,
+        DEFAULT_CONFIRMATIONS, ASSET_START_BLOCK, PAYMENT_START_BLOCK, EVENT_QUERY_CHUNK_SIZE, TX_GAS_LIMIT,
+        TX_STUCK_TIMEOUT, TX_FULFILL_DEADLINE, TX_MAX_WAIT, FEE_POLICY, ASSET_FEE_MAX_FEE_GWEI, PAYMENT_FEE_MAX_FEE_GWEI,
+        ASSET_FEE_MAX_PRIORITY_FEE_GWEI, PAYMENT_FEE_MAX_PRIORITY_FEE_GWEI, FEE_MIN_PRIORITY_FEE_GWEI,
+        FEE_REWARD_PERCENTILE, FEE_HISTORY_BLOCKS, FEE_BUMP_PERCENT, GAS_LIMIT_MARGIN, EVENT_SOURCE,
+        ASSET_ETHEREUM_WS_URL, PAYMENT_ETHEREUM_WS_URL, EVENT_POLL_INTERVAL, ASSET_RPC_QUORUM, PAYMENT_RPC_QUORUM,
+        RPC_COOLDOWN, HEADER_FINALITY, HEADER_CHECKPOINT_DEPTH, PAYMENT_TRUSTED_CHECKPOINT, CONFIRMATION_WINDOW,
+        EXECUTION_WINDOW, DEADLINE_RETRY_INTERVAL, ORACLE_CLOCK, DOUBLE_SPEND_MIN_DURATION_GAP,
+        DOUBLE_SPEND_MAX_DURATION, DOUBLE_SPEND_RULES, API_KEYS, EVENT_STREAM_BUFFER, EVENT_STREAM_MAX_CLIENTS,
+        EVENT_STREAM_HEARTBEAT,
+        WEBHOOKS, WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_DELAY, WEBHOOK_RETRY_MAX_DELAY,
+        WEBHOOK_TIMEOUT, WEBHOOK_DEAD_LETTER_FILE, ASSET_BALANCE_LOW_THRESHOLD, PAYMENT_BALANCE_LOW_THRESHOLD,
+        BALANCE_CHECK_INTERVAL, ADMIN_API_TOKEN, ADMIN_REQUEST_LOOKBACK, EVENT_CONFIRMATION_DEPTH,
+        REORG_TRACKING_DEPTH, STATE_STORE_BACKEND, STATE_STORE_DIR, SHUTDOWN_TIMEOUT
+    } = config;
+
+    // 私鑰、API 金鑰及 webhook URL / 密鑰不得出現在日誌中（RPC URL 中的金鑰由 logger 依格式遮蔽）
+    logger.addSecrets([
+        ASSET_PRIVATE_KEY,
+        PAYMENT_PRIVATE_KEY,
+        ADMIN_API_TOKEN,
+        ...API_KEYS.map(key => key.secret),
+        ...WEBHOOKS.flatMap(subscription => [subscription.url, subscription.secret])
+    ]);
+
+    // 記錄配置信息
+    logger('info', '配置信息載入', {
+        assetContract: ASSET_CONTRACT_ADDRESS,
+        paymentContract: PAYMENT_CONTRACT_ADDRESS,
+        assetRPC: ASSET_ETHEREUM_NODE_URLS.map(url => url.substring(0, 50) + '...'),
+        paymentRPC: PAYMENT_ETHEREUM_NODE_URLS.map(url => url.substring(0, 50) + '...'),
+        assetRpcQuorum: ASSET_RPC_QUORUM,
+        paymentRpcQuorum: PAYMENT_RPC_QUORUM,
+        confirmations: DEFAULT_CONFIRMATIONS,
+        assetStartBlock: ASSET_START_BLOCK,
+        paymentStartBlock: PAYMENT_START_BLOCK,
+        eventQueryChunkSize: EVENT_QUERY_CHUNK_SIZE,
+        eventConfirmationDepth: EVENT_CONFIRMATION_DEPTH,
+        reorgTrackingDepth: REORG_TRACKING_DEPTH,
+        headerFinality: HEADER_FINALITY,
+        confirmationWindow: CONFIRMATION_WINDOW,
+        executionWindow: EXECUTION_WINDOW,
+        doubleSpendMinDurationGap: DOUBLE_SPEND_MIN_DURATION_GAP,
+        doubleSpendMaxDuration: DOUBLE_SPEND_MAX_DURATION,
+        doubleSpendRules: DOUBLE_SPEND_RULES,
+        eventSource: EVENT_SOURCE,
+        eventPollInterval: EVENT_POLL_INTERVAL,
+        feePolicy: FEE_POLICY,
+        assetMaxFeeGwei: ASSET_FEE_MAX_FEE_GWEI,
+        paymentMaxFeeGwei: PAYMENT_FEE_MAX_FEE_GWEI,
+        txStuckTimeout: TX_STUCK_TIMEOUT,
+        txFulfillDeadline: TX_FULFILL_DEADLINE,
+        txMaxWait: TX_MAX_WAIT,
+        stateStore: STATE_STORE_BACKEND,
+        shutdownTimeout: SHUTDOWN_TIMEOUT
+    });
+
+    // Ethereum connection variables
+    let assetProvider, assetSigner, assetContract;
+    let paymentProvider, paymentSigner, paymentContract;
+    // 安全相關讀取使用的合約實例（啟用 quorum 時需多個節點結果一致）
+    let assetReadContract, paymentReadContract;
+
+    // 跨鏈交易驗證器
+    let crossChainVerifier;
+    // Payment 鏈區塊頭追蹤：跨鏈驗證通過前確認支付所在區塊位於正統鏈上
+    let paymentHeaderChain;
+
+    // Tracking variables for both chains（null 代表尚無持久化的游標；區塊 0 是有效的游標）
+    let assetLastProcessedBlock = null;
+    let paymentLastProcessedBlock = null;
+    // 重放上限：此區塊（含）之前的事件屬於停機回補或重組後的重放，處理前需確認請求仍未被履行
+    let assetReplayUntilBlock = 0;
+    let paymentReplayUntilBlock = 0;
+
+    // 已處理區塊的雜湊記錄（鏈重組偵測）
+    const assetBlockTracker = new BlockHashTracker('asset', REORG_TRACKING_DEPTH);
+    const paymentBlockTracker = new BlockHashTracker('payment', REORG_TRACKING_DEPTH);
+
+    // WebSocket 事件訂閱器（EVENT_SOURCE=websocket 時建立）
+    let assetSubscriber = null;
+    let paymentSubscriber = null;
+
+    // 事件延遲統計：區塊時間到 Oracle 開始處理的時間差
+    const eventLatency = {
+        asset: new LatencyTracker(),
+        payment: new LatencyTracker()
+    };
+
+    // 每條鏈的交易管理器：統一分配 nonce 並追蹤待確認交易
+    let assetTxManager;
+    let paymentTxManager;
+
+    // Prometheus 指標：由各處理函數在事件發生時更新，GET /metrics 只輸出目前數值
+    const metrics = new MetricsRegistry();
+    const oracleMetrics = {
+        blockLag: metrics.gauge('oracle_block_lag_blocks', '鏈頭與已處理區塊的差距', ['chain']),
+        lastProcessedBlock: metrics.gauge('oracle_last_processed_block', '已處理事件的最後區塊', ['chain']),
+        eventQueueLength: metrics.gauge('oracle_event_queue_length', '等待處理的時間請求事件數', ['chain']),
+        activeTrades: metrics.gauge('oracle_active_trades', '追蹤中的交易數（依階段）', ['chain', 'phase']),
+        fulfillDuration: metrics.histogram('oracle_fulfill_time_duration_seconds', 'fulfillTime 從送出到確認的秒數', ['chain', 'stage']),
+        verificationDuration: metrics.histogram('oracle_verification_duration_seconds', '跨鏈驗證耗時（依結果）', ['outcome'],
+            [1, 5, 15, 30, 60, 120, 300, 600]),
+        signerBalance: metrics.gauge('oracle_signer_balance_eth', '簽名帳戶餘額（ETH）', ['chain'])
+    };
+    const chainHeadBlocks = { asset: null, payment: null };
+
+    // 狀態存儲：所有交易狀態變更先寫入 journal，重啟後可完整恢復
+    const stateStore = createStateStore({
+        backend: STATE_STORE_BACKEND,
+        dir: STATE_STORE_DIR
+    });
+
+    // State tracking for both chains
+    const assetTrades = new PersistentMap(stateStore, 'assetTrades');
+    const paymentTrades = new PersistentMap(stateStore, 'paymentTrades');
+    trackTradePhases('asset', assetTrades);
+    trackTradePhases('payment', paymentTrades);
+    // 持久化的 TimeRequestSent 事件隊列：事件先寫入隊列再推進區塊游標，處理結束後才移出；dispatched 為處理中的隊列項目
+    const assetEventQueue = [];
+    const paymentEventQueue = [];
+    const dispatchedAssetEvents = new Set();
+    const dispatchedPaymentEvents = new Set();
+    const processingAssetTrades = new Set();
+    const processingPaymentTrades = new Set();
+
+    // Cross-chain trade mapping
+    const crossChainTrades = new PersistentMap(stateStore, 'crossChainTrades');
+
+    // 跨鏈交易驗證追蹤
+    const pendingCrossChainVerifications = new PersistentMap(stateStore, 'pendingCrossChainVerifications'); // paymentId -> { txHash, startTime, verified: boolean }
+
+    // 交易期限：確認期限（inceptionTime + 確認窗口）及執行期限（confirmationTime + 執行窗口），到期時精準觸發
+    const phaseWindows = new PhaseWindows({
+        confirmationWindow: CONFIRMATION_WINDOW,
+        executionWindow: EXECUTION_WINDOW
+    });
+    const clock = options.clock || createClock(ORACLE_CLOCK);
+    if (clock.type !== 'system') {
+        logger('warn', '使用非實際時間的時鐘，僅供測試', clock.describe());
+    }
+
+    const deadlineScheduler = new DeadlineScheduler({
+        clock,
+        onDeadline: deadline => withTradeContext(deadline.payload.chain, deadline.payload.id, () => handleTradeDeadline(deadline))
+    });
+
+    // 交易生命週期狀態（對應合約 TradeState / PaymentState），送出交易前檢查操作是否合法
+    const assetStates = new TradeStateMachine({ chain: 'asset' });
+    const paymentStates = new TradeStateMachine({ chain: 'payment' });
+    for (const states of [assetStates, paymentStates]) {
+        states.on('transition', logTradeTransition);
+        states.on('transition', publishTradeTransition);
+        states.on('terminal', handleTradeTerminal);
+    }
+
+    // 雙重支付判定：最近一次判定結果（assetTradeId -> verdict），以及進行中交易使用的加密密鑰雜湊（交易終止時釋放）
+    const doubleSpendVerdicts = new PersistentMap(stateStore, 'doubleSpendVerdicts');
+    const doubleSpendKeys = new PersistentMap(stateStore, 'doubleSpendKeys');
+    const doubleSpendPolicy = new DoubleSpendPolicy({
+        rules: DOUBLE_SPEND_RULES,
+        minDurationGap: DOUBLE_SPEND_MIN_DURATION_GAP,
+        maxDuration: DOUBLE_SPEND_MAX_DURATION,
+        keyRegistry: doubleSpendKeys
+    });
+
+    // 交易生命週期事件推送；買賣方地址每筆交易只讀取一次合約，供依地址過濾
+    const eventStream = new EventStream({
+        bufferSize: EVENT_STREAM_BUFFER,
+        maxClients: EVENT_STREAM_MAX_CLIENTS,
+        heartbeatInterval: EVENT_STREAM_HEARTBEAT
+    });
+    const tradeParties = new Map(); // chain:id -> [buyer, seller]
+    let tradeEventQueue = Promise.resolve();
+
+    // 需要人工注意的事件（雙重支付取消、跨鏈驗證失敗、餘額不足）以 webhook 通知
+    const webhookNotifier = new WebhookNotifier({
+        subscriptions: WEBHOOKS,
+        maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+        baseDelay: WEBHOOK_RETRY_BASE_DELAY,
+        maxDelay: WEBHOOK_RETRY_MAX_DELAY,
+        timeout: WEBHOOK_TIMEOUT,
+        deadLetterFile: WEBHOOK_DEAD_LETTER_FILE
+    });
+    // 簽名帳戶餘額；low 記錄上次檢查是否低於門檻，只在跨越門檻時通知
+    const signerBalances = {
+        asset: { threshold: ethers.parseEther(ASSET_BALANCE_LOW_THRESHOLD), balance: null, low: false, checkedAt: null },
+        payment: { threshold: ethers.parseEther(PAYMENT_BALANCE_LOW_THRESHOLD), balance: null, low: false, checkedAt: null }
+    };
+
+    function saveAssetEventQueue() {
+        stateStore.setValue('assetEventQueue', assetEventQueue);
+        oracleMetrics.eventQueueLength.set({ chain: 'asset' }, assetEventQueue.length);
+    }
+
+    function savePaymentEventQueue() {
+        stateStore.setValue('paymentEventQueue', paymentEventQueue);
+        oracleMetrics.eventQueueLength.set({ chain: 'payment' }, paymentEventQueue.length);
+    }
+
+    function setAssetLastProcessedBlock(blockNumber) {
+        stateStore.setValue('assetLastProcessedBlock', blockNumber);
+        assetLastProcessedBlock = blockNumber;
+        recordBlockLag('asset');
+    }
+
+    function setPaymentLastProcessedBlock(blockNumber) {
+        stateStore.setValue('paymentLastProcessedBlock', blockNumber);
+        paymentLastProcessedBlock = blockNumber;
+        recordBlockLag('payment');
+    }
+
+    // 鏈頭與已處理區塊的差距；輪詢取得鏈頭及推進游標時更新
+    function recordBlockLag(chain, headBlock = chainHeadBlocks[chain]) {
+        const lastProcessedBlock = chain === 'asset' ? assetLastProcessedBlock : paymentLastProcessedBlock;
+        chainHeadBlocks[chain] = headBlock;
+        oracleMetrics.lastProcessedBlock.set({ chain }, lastProcessedBlock);
+        if (headBlock !== null) {
+            oracleMetrics.blockLag.set({ chain }, Math.max(0, headBlock - lastProcessedBlock));
+        }
+    }
+
+    // 依交易記錄的每次變更維護各階段的交易數
+    function trackTradePhases(chain, trades) {
+        const phases = new Map(); // id -> phase
+        trades.onChange((id, trade) => {
+            if (id === null) {
+                for (const phase of new Set(phases.values())) {
+                    oracleMetrics.activeTrades.set({ chain, phase }, 0);
+                }
+                phases.clear();
+                for (const [tradeId, entry] of trades) {
+                    phases.set(tradeId, phaseOf(entry));
+                    oracleMetrics.activeTrades.inc({ chain, phase: phaseOf(entry) });
+                }
+                return;
+            }
+
+            const previous = phases.get(id);
+            const phase = trade ? phaseOf(trade) : undefined;
+            if (previous === phase) {
+                return;
+            }
+            if (previous) {
+                oracleMetrics.activeTrades.dec({ chain, phase: previous });
+                phases.delete(id);
+            }
+            if (phase) {
+                oracleMetrics.activeTrades.inc({ chain, phase });
+                phases.set(id, phase);
+            }
+        });
+    }
+
+    function saveAssetBlockHashes() {
+        stateStore.setValue('assetBlockHashes', assetBlockTracker.toJSON());
+    }
+
+    function savePaymentBlockHashes() {
+        stateStore.setValue('paymentBlockHashes', paymentBlockTracker.toJSON());
+    }
+
+    // 從狀態存儲重建所有內存結構
+    async function restorePersistedState() {
+        const state = await stateStore.open();
+        const collections = state.collections;
+
+        assetTrades.restore(collections.assetTrades);
+        paymentTrades.restore(collections.paymentTrades);
+        crossChainTrades.restore(collections.crossChainTrades);
+        pendingCrossChainVerifications.restore(collections.pendingCrossChainVerifications);
+        doubleSpendVerdicts.restore(collections.doubleSpendVerdicts);
+        doubleSpendKeys.restore(collections.doubleSpendKeys);
+
+        assetEventQueue.splice(0, assetEventQueue.length, ...(state.values.assetEventQueue || []));
+        paymentEventQueue.splice(0, paymentEventQueue.length, ...(state.values.paymentEventQueue || []));
+        assetLastProcessedBlock = state.values.assetLastProcessedBlock ?? null;
+        paymentLastProcessedBlock = state.values.paymentLastProcessedBlock ?? null;
+        oracleMetrics.eventQueueLength.set({ chain: 'asset' }, assetEventQueue.length);
+        oracleMetrics.eventQueueLength.set({ chain: 'payment' }, paymentEventQueue.length);
+        assetBlockTracker.restore(state.values.assetBlockHashes);
+        paymentBlockTracker.restore(state.values.paymentBlockHashes);
+
+        logger('info', '已從狀態存儲恢復交易狀態', {
+            assetTrades: assetTrades.size,
+            paymentTrades: paymentTrades.size,
+            crossChainMappings: crossChainTrades.size,
+            pendingCrossChainVerifications: pendingCrossChainVerifications.size,
+            assetEventQueue: assetEventQueue.length,
+            paymentEventQueue: paymentEventQueue.length,
+            assetLastProcessedBlock,
+            paymentLastProcessedBlock
+        });
+    }
+
+    // 恢復重啟前尚未完成的工作：隊列中的事件（回補時已開始處理的除外，同一交易依序處理）與未完成的跨鏈驗證
+    function resumePendingWork() {
+        const assetTradeIds = new Set(processingAssetTrades);
+        for (const entry of assetEventQueue.filter(entry => !dispatchedAssetEvents.has(entry))) {
+            if (!assetTradeIds.has(entry.tradeId)) {
+                assetTradeIds.add(entry.tradeId);
+                dispatchAssetEvent(entry);
+            }
+        }
+        const paymentIds = new Set(processingPaymentTrades);
+        for (const entry of paymentEventQueue.filter(entry => !dispatchedPaymentEvents.has(entry))) {
+            if (!paymentIds.has(entry.paymentId)) {
+                paymentIds.add(entry.paymentId);
+                dispatchPaymentEvent(entry);
+            }
+        }
+
+        for (const [paymentId, verification] of pendingCrossChainVerifications.entries()) {
+            if (!verification.verified) {
+                logger('info', '恢復未完成的跨鏈交易驗證', {
+                    paymentId,
+                    assetTradeId: verification.assetTradeId,
+                    txHash: verification.txHash
+                });
+                runPendingVerification(paymentId, verification);
+            }
+        }
+    }
+
+    // 日誌關聯 ID：已建立跨鏈映射的 Payment 使用對應 Asset 交易的 ID，同一筆交換在兩條鏈上的日誌共用同一個關聯 ID
+    function tradeLogContext(chain, id, extra = {}) {
+        const assetTradeId = chain === 'asset' ? String(id) : crossChainTrades.get(`payment_${id}`);
+        return {
+            correlationId: assetTradeId ? `trade-${assetTradeId}` : `payment-${id}`,
+            chain,
+            ...(chain === 'asset' ? { tradeId: String(id) } : { paymentId: String(id) }),
+            ...extra
+        };
+    }
+
+    // 每個交易處理都是新的上下文，不沿用觸發它的計時器或其他交易的欄位；處理中的工作記錄在 inFlight 供 stop() 等待
+    function withTradeContext(chain, id, task, extra) {
+        return track(Promise.resolve(logger.withContext(tradeLogContext(chain, id, extra), task, { inherit: false })));
+    }
+
+    function track(promise) {
+        inFlight.add(promise);
+        promise.then(() => inFlight.delete(promise), () => inFlight.delete(promise));
+        return promise;
+    }
+
+    function createFeeStrategy(provider, maxFeeGwei, maxPriorityFeeGwei) {
+        return new FeeStrategy(provider, {
+            policy: FEE_POLICY,
+            maxFeeGwei,
+            maxPriorityFeeGwei,
+            minPriorityFeeGwei: FEE_MIN_PRIORITY_FEE_GWEI,
+            rewardPercentile: FEE_REWARD_PERCENTILE,
+            historyBlocks: FEE_HISTORY_BLOCKS,
+            bumpPercent: FEE_BUMP_PERCENT,
+            gasLimitMargin: GAS_LIMIT_MARGIN,
+            fallbackGasLimit: TX_GAS_LIMIT
+        });
+    }
+
+    async function initializeEthers() {
+        logger('info', '開始初始化區塊鏈連接...');
+
+        try {
+            // Initialize Asset Chain connection
+            assetProvider = new ProviderPool(ASSET_ETHEREUM_NODE_URLS, {
+                name: 'Asset',
+                quorum: ASSET_RPC_QUORUM,
+                cooldownMs: RPC_COOLDOWN
+            });
+            assetSigner = new ethers.Wallet(ASSET_PRIVATE_KEY, assetProvider);
+            assetContract = new ethers.Contract(ASSET_CONTRACT_ADDRESS, assetContractABI, assetSigner);
+            assetReadContract = assetContract.connect(assetProvider.getQuorumProvider());
+            // 有持久化的區塊游標時從中斷處繼續，否則從 START_BLOCK 或當前區塊開始
+            if (assetLastProcessedBlock === null) {
+                setAssetLastProcessedBlock(ASSET_START_BLOCK !== null
+                    ? ASSET_START_BLOCK - 1
+                    : await assetProvider.getBlockNumber());
+            }
+            assetTxManager = new TransactionManager(assetSigner, {
+                name: 'Asset',
+                feeStrategy: createFeeStrategy(assetProvider, ASSET_FEE_MAX_FEE_GWEI, ASSET_FEE_MAX_PRIORITY_FEE_GWEI),
+                stuckTimeoutMs: TX_STUCK_TIMEOUT,
+                maxWaitMs: TX_MAX_WAIT,
+                metrics
+            });
+            await assetTxManager.initialize();
+
+            logger('info', `Asset鏈初始化成功`, { 
+                contract: ASSET_CONTRACT_ADDRESS,
+                startBlock: assetLastProcessedBlock,
+                signerAddress: assetSigner.address,
+                nonce: assetTxManager.nextNonce
+            });
+
+            // Initialize Payment Chain connection
+            paymentProvider = new ProviderPool(PAYMENT_ETHEREUM_NODE_URLS, {
+                name: 'Payment',
+                quorum: PAYMENT_RPC_QUORUM,
+                cooldownMs: RPC_COOLDOWN
+            });
+            paymentSigner = new ethers.Wallet(PAYMENT_PRIVATE_KEY, paymentProvider);
+            paymentContract = new ethers.Contract(PAYMENT_CONTRACT_ADDRESS, paymentContractABI, paymentSigner);
+            paymentReadContract = paymentContract.connect(paymentProvider.getQuorumProvider());
+            if (paymentLastProcessedBlock === null) {
+                setPaymentLastProcessedBlock(PAYMENT_START_BLOCK !== null
+                    ? PAYMENT_START_BLOCK - 1
+                    : await paymentProvider.getBlockNumber());
+            }
+            paymentTxManager = new TransactionManager(paymentSigner, {
+                name: 'Payment',
+                feeStrategy: createFeeStrategy(paymentProvider, PAYMENT_FEE_MAX_FEE_GWEI, PAYMENT_FEE_MAX_PRIORITY_FEE_GWEI),
+                stuckTimeoutMs: TX_STUCK_TIMEOUT,
+                maxWaitMs: TX_MAX_WAIT,
+                metrics
+            });
+            await paymentTxManager.initialize();
+
+            logger('info', `Payment鏈初始化成功`, { 
+                contract: PAYMENT_CONTRACT_ADDRESS,
+                startBlock: paymentLastProcessedBlock,
+                signerAddress: paymentSigner.address,
+                nonce: paymentTxManager.nextNonce
+            });
+
+            // Initialize Cross-Chain Transaction Verifier
+            crossChainVerifier = new CrossChainTransactionVerifier(paymentProvider, { clock });
+
+            paymentHeaderChain = new HeaderChain({
+                name: 'Payment',
+                provider: paymentProvider.getQuorumProvider(),
+                store: stateStore,
+                storeKey: 'paymentHeaderCheckpoint',
+                finality: HEADER_FINALITY,
+                checkpointDepth: HEADER_CHECKPOINT_DEPTH,
+                trustedCheckpoint: PAYMENT_TRUSTED_CHECKPOINT
+            });
+            await syncPaymentHeaders();
+
+            logger('info', '所有區塊鏈連接初始化完成');
+
+        } catch (error) {
+            logger('error', '區塊鏈連接初始化失敗', {
+                error: error.message,
+                stack: error.stack
+            });
+            throw error;
+        }
+    }
+
+    // 比對兩邊合約的買賣雙方及金額，回傳不一致的欄位；任何人都能呼叫 inceptPayment 指向他人的 Asset 交易
+    async function findCrossChainPartyMismatches(assetTradeId, paymentId, contractPayment = null) {
+        const [trade, payment] = await Promise.all([
+            assetReadContract.getTrade(assetTradeId),
+            contractPayment || paymentReadContract.getPayment(paymentId)
+        ]);
+        if (trade[0] == 0) {
+            return ['assetTrade'];
+        }
+
+        return [
+            ['amount', 1],
+            ['buyer', 2],
+            ['seller', 3]
+        ].filter(([, index]) => String(trade[index]).toLowerCase() !== String(payment[index]).toLowerCase())
+            .map(([field]) => field);
+    }
+
+    // 建立跨鏈映射：Payment 透過 inceptPayment 的 assetTradeId 指向 Asset 交易，兩者 ID 不必相同
+    // Asset 交易已對應其他 Payment，或兩邊買賣雙方、金額不一致時拒絕建立並回傳 false
+    async function linkCrossChainTrade(assetTradeId, paymentId, contractPayment = null) {
+        if (crossChainTrades.get(`payment_${paymentId}`) === assetTradeId &&
+            crossChainTrades.get(`asset_${assetTradeId}`) === paymentId) {
+            return true;
+        }
+
+        const mismatches = await findCrossChainPartyMismatches(assetTradeId, paymentId, contractPayment);
+        if (mismatches.length > 0) {
+            logger('warn', `Payment與Asset交易的買賣雙方或金額不一致，忽略跨鏈映射`, {
+                assetTradeId,
+                paymentId,
+                mismatches
+            });
+            return false;
+        }
+
+        // 讀取合約期間可能已有其他 Payment 建立映射，需在寫入前再檢查
+        const linkedPaymentId = crossChainTrades.get(`asset_${assetTradeId}`);
+        if (linkedPaymentId && linkedPaymentId !== paymentId) {
+            logger('warn', `Asset交易已對應其他Payment，忽略新的跨鏈映射`, {
+                assetTradeId,
+                paymentId,
+                linkedPaymentId
+            });
+            return false;
+        }
+
+        crossChainTrades.set(`asset_${assetTradeId}`, paymentId);
+        crossChainTrades.set(`payment_${paymentId}`, assetTradeId);
+
+        logger('info', `跨鏈交易映射已建立`, {
+            assetTradeId,
+            paymentId
+        });
+        return true;
+    }
+
+    function unlinkCrossChainTrade(paymentId) {
+        const assetTradeId = crossChainTrades.get(`payment_${paymentId}`);
+        crossChainTrades.delete(`payment_${paymentId}`);
+        if (assetTradeId && crossChainTrades.get(`asset_${assetTradeId}`) === paymentId) {
+            crossChainTrades.delete(`asset_${assetTradeId}`);
+        }
+    }
+
+    // 取得 Payment 對應的 Asset 交易 ID；映射尚未建立時讀取 getPayment(...)[8]，映射被拒絕時回傳 null
+    async function resolveLinkedAssetTradeId(paymentId) {
+        const mapped = crossChainTrades.get(`payment_${paymentId}`);
+        if (mapped) {
+            return mapped;
+        }
+
+        const contractPayment = await paymentReadContract.getPayment(paymentId);
+        const assetTradeId = contractPayment[8].toString();
+        if (contractPayment[0] == 0 || assetTradeId === '0') {
+            return null;
+        }
+
+        return await linkCrossChainTrade(assetTradeId, paymentId, contractPayment) ? assetTradeId : null;
+    }
+
+    // 讀取兩邊合約的交易內容供規則評估；讀取失敗時退回內存記錄的超時，其他規則略過
+    async function loadDoubleSpendContext(assetTradeId, paymentId, stage, assetDuration, paymentDuration) {
+        try {
+            const [trade, payment] = await Promise.all([
+                assetReadContract.trades(assetTradeId),
+                paymentReadContract.payments(paymentId)
+            ]);
+            return {
+                stage,
+                assetTradeId,
+                paymentId,
+                onChain: true,
+                asset: {
+                    amount: trade[1].toString(),
+                    buyer: trade[2],
+                    seller: trade[3],
+                    keyEncryptedSeller: trade[4],
+                    keyEncryptedBuyer: trade[5],
+                    duration: Number(trade[8])
+                },
+                payment: {
+                    amount: payment[1].toString(),
+                    buyer: payment[2],
+                    seller: payment[3],
+                    keyEncryptedSeller: payment[4],
+                    duration: Number(payment[8]),
+                    state: Number(payment[10])
+                }
+            };
+        } catch (error) {
+            logger('warn', '讀取合約交易內容失敗，僅以超時評估雙重支付規則', {
+                assetTradeId,
+                paymentId,
+                error: error.message
+            });
+            return {
+                stage,
+                assetTradeId,
+                paymentId,
+                onChain: false,
+                asset: { duration: assetDuration },
+                payment: { duration: paymentDuration }
+            };
+        }
+    }
+
+    // 🔧 新增：即時雙重支付檢測函數（創建及確認階段皆會評估）
+    async function performImmediateDoubleSpendCheck(assetTradeId, paymentId, assetDuration, paymentDuration, stage = 'inception') {
+        logger('info', '執行即時雙重支付檢測', {
+            assetTradeId,
+            paymentId,
+            assetDuration,
+            paymentDuration,
+            stage
+        });
+
+        const context = await loadDoubleSpendContext(assetTradeId, paymentId, stage, assetDuration, paymentDuration);
+        const verdict = doubleSpendPolicy.evaluate(context);
+        doubleSpendVerdicts.set(assetTradeId, { ...verdict, paymentId });
+        publishTradeEvent('doubleSpend.verdict', 'asset', assetTradeId, {
+            paymentId,
+            stage,
+            action: verdict.action,
+            reasons: verdict.reasons,
+            warnings: verdict.warnings
+        });
+
+        if (verdict.warnings.length > 0) {
+            logger('warn', '雙重支付規則警告', {
+                assetTradeId,
+                paymentId,
+                stage,
+                warnings: verdict.warnings
+            });
+        }
+
+        if (verdict.action === 'CANCEL') {
+            // 買賣雙方或金額不符代表 Payment 並非這筆 Asset 交易的對應方，只取消該 Payment；
+            // 只有已建立映射的對應 Payment 判定有風險時才取消兩邊的交易
+            const partyMismatch = verdict.rules.some(rule => rule.passed === false && rule.mode === 'reject' &&
+                PARTY_MATCH_RULES.includes(rule.rule));
+            const established = crossChainTrades.get(`asset_${assetTradeId}`) === paymentId;
+            const scope = partyMismatch || !established ? 'payment' : 'swap';
+
+            logger('error', '🚨 檢測到雙重支付風險', {
+                assetTradeId,
+                paymentId,
+                stage,
+                scope,
+                reasons: verdict.reasons,
+                riskType: verdict.rules.filter(rule => rule.passed === false && rule.mode === 'reject').map(rule => rule.rule)
+            });
+
+            try {
+                if (scope === 'payment') {
+                    // 先移除映射，避免 Payment 失敗處理連帶取消 Asset 交易
+                    unlinkCrossChainTrade(paymentId);
+                    await handlePaymentFailedConfirmation(paymentId);
+                    paymentTrades.delete(paymentId);
+
+                    logger('info', '✅ 已取消不符的Payment，Asset交易繼續進行', {
+                        assetTradeId,
+                        paymentId
+                    });
+                    webhookNotifier.notify('payment.cancelled', {
+                        assetTradeId,
+                        paymentId,
+                        stage,
+                        reasons: verdict.reasons
+                    }, `Payment ${paymentId} 與 Asset 交易 ${assetTradeId} 不符，已取消 Payment：${verdict.reasons.join('; ')}`);
+
+                    return { action: 'CANCEL', scope, reason: verdict.reasons.join('; '), verdict };
+                }
+
+                // 立即取消兩個交易
+                await handleAssetFailedConfirmation(assetTradeId);
+                await handlePaymentFailedConfirmation(paymentId);
+
+                logger('info', '✅ 成功阻止雙重支付攻擊', {
+                    assetTradeId,
+                    paymentId
+                });
+                webhookNotifier.notify('swap.cancelled', {
+                    assetTradeId,
+                    paymentId,
+                    stage,
+                    reasons: verdict.reasons
+                }, `雙重支付風險，已取消 Asset 交易 ${assetTradeId} 及 Payment ${paymentId}：${verdict.reasons.join('; ')}`);
+
+                // 清理狀態
+                assetTrades.delete(assetTradeId);
+                paymentTrades.delete(paymentId);
+                crossChainTrades.delete(`asset_${assetTradeId}`);
+                crossChainTrades.delete(`payment_${paymentId}`);
+
+                return { action: 'CANCEL', scope, reason: verdict.reasons.join('; '), verdict };
+            } catch (error) {
+                logger('error', '處理雙重支付風險時出錯', {
+                    assetTradeId,
+                    paymentId,
+                    scope,
+                    error: error.message
+                });
+                webhookNotifier.notify('swap.cancelFailed', {
+                    assetTradeId,
+                    paymentId,
+                    stage,
+                    scope,
+                    reasons: verdict.reasons,
+                    error: error.message
+                }, `雙重支付風險，但取消 ${scope === 'payment' ? '' : `Asset 交易 ${assetTradeId} / `}Payment ${paymentId} 失敗，需要人工處理：${error.message}`);
+                throw error;
+            }
+        }
+
+        if (context.onChain) {
+            doubleSpendPolicy.registerKeys(assetTradeId, context.asset);
+        }
+
+        // 檢查通過
+        logger('info', '✅ 雙重支付檢測通過', {
+            assetTradeId,
+            paymentId,
+            stage
+        });
+
+        return { action: 'CONTINUE', verdict };
+    }
+
+    // 🔧 新增：跨鏈交易驗證處理函數
+    async function handlePaymentCompletedForCrossChainVerification(paymentId, txHash, blockNumber) {
+        logger('info', '📝 處理 PaymentCompleted 事件進行跨鏈交易驗證', {
+            paymentId,
+            txHash,
+            blockNumber
+        });
+
+        try {
+            if (pendingCrossChainVerifications.has(paymentId)) {
+                logger('info', '跨鏈交易驗證已在進行中', { paymentId, txHash });
+                return;
+            }
+
+            // 檢查是否有對應的 Asset 交易等待跨鏈驗證
+            const assetTradeId = crossChainTrades.get(`payment_${paymentId}`);
+
+            if (!assetTradeId || !assetTrades.has(assetTradeId)) {
+                logger('warn', '未找到對應的 Asset 交易進行跨鏈驗證', {
+                    paymentId,
+                    assetTradeId
+                });
+                return;
+            }
+
+            // 記錄待驗證的跨鏈交易
+            pendingCrossChainVerifications.set(paymentId, {
+                txHash,
+                blockNumber,
+                startTime: clock.now(),
+                verified: false,
+                assetTradeId
+            });
+
+            logger('info', '🔐 開始跨鏈交易驗證流程', {
+                paymentId,
+                assetTradeId,
+                txHash
+            });
+            publishTradeEvent('verification.started', 'payment', paymentId, { assetTradeId, txHash, blockNumber });
+
+            // 非同步進行跨鏈交易驗證
+            performCrossChainVerification(paymentId, txHash, assetTradeId);
+
+        } catch (error) {
+            logger('error', '處理 PaymentCompleted 事件時發生錯誤', {
+                paymentId,
+                txHash,
+                error: error.message
+            });
+        }
+    }
+
+    // 🔧 新增：執行跨鏈交易驗證
+    async function performCrossChainVerification(paymentId, txHash, assetTradeId) {
+        logger('info', '🔍 開始執行跨鏈交易驗證', {
+            paymentId,
+            txHash,
+            assetTradeId
+        });
+
+        const observeDuration = oracleMetrics.verificationDuration.startTimer();
+        try {
+            const verification = pendingCrossChainVerifications.get(paymentId);
+            if (!verification) {
+                logger('warn', '跨鏈交易驗證記錄不存在', { paymentId });
+                return;
+            }
+
+            // 使用跨鏈交易驗證器進行驗證
+            // 使用配置的安全確認數
+            const confirmations = DEFAULT_CONFIRMATIONS;
+            const timeout = crossChainVerifier.calculateTimeout(confirmations);
+
+            const result = await crossChainVerifier.verifyPaymentTransferTransaction(
+                txHash,
+                PAYMENT_CONTRACT_ADDRESS,
+                paymentId,
+                confirmations,  // 使用配置的確認數
+                timeout // 動態計算的超時時間
+            );
+
+            // 驗證期間若因鏈重組撤銷了記錄，放棄本次結果
+            if (pendingCrossChainVerifications.get(paymentId) !== verification) {
+                observeDuration({ outcome: 'revoked' });
+                logger('warn', '跨鏈交易驗證記錄已被撤銷，忽略驗證結果', {
+                    paymentId,
+                    assetTradeId,
+                    txHash
+                });
+                return;
+            }
+
+            // 支付所在區塊必須位於已驗證的區塊頭鏈上並達到確認深度
+            if (result.verified && result.paymentVerified) {
+                let headerCheck;
+                try {
+                    headerCheck = await paymentHeaderChain.checkBlock(result.proof.blockHash, result.proof.blockNumber, confirmations);
+                } catch (error) {
+                    // 區塊頭同步失敗（例如重組越過檢查點）時無法判定支付區塊是否在鏈上
+                    headerCheck = { canonical: false, undetermined: true, reason: error.message };
+                }
+                result.proof.headerChain = headerCheck;
+
+                // 賣方可能已收到款項，無法判定時不取消 Asset 交易，保留驗證記錄稍後重試
+                if (headerCheck.undetermined) {
+                    observeDuration({ outcome: 'undetermined' });
+                    deferCrossChainVerification(paymentId, assetTradeId, verification, headerCheck.reason);
+                    return;
+                }
+
+                if (!headerCheck.canonical) {
+                    result.verified = false;
+                    result.error = `支付區塊未通過區塊頭鏈驗證：${headerCheck.reason}`;
+                }
+            }
+
+            if (result.verified && result.paymentVerified) {
+                logger('info', '✅ 跨鏈交易驗證成功！', {
+                    paymentId,
+                    assetTradeId,
+                    txHash,
+                    blockNumber: result.proof.blockNumber,
+                    confirmations: result.proof.confirmations,
+                    verificationTime: result.proof.verificationTime
+                });
+
+                // 更新驗證狀態
+                verification.verified = true;
+                verification.verificationResult = result;
+                verification.completedTime = clock.now();
+                pendingCrossChainVerifications.persist(paymentId);
+                observeDuration({ outcome: 'verified' });
+                publishTradeEvent('verification.completed', 'payment', paymentId, {
+                    assetTradeId,
+                    verified: true,
+                    txHash,
+                    blockNumber: result.proof.blockNumber
+                });
+
+                // 🎯 關鍵：通知 Asset 交易可以繼續執行
+                await enableAssetTransfer(assetTradeId, paymentId, result);
+
+            } else {
+                logger('error', '❌ 跨鏈交易驗證失敗', {
+                    paymentId,
+                    assetTradeId,
+                    txHash,
+                    error: result.error || result.paymentError,
+                    timeElapsed: result.timeElapsed
+                });
+
+                observeDuration({ outcome: 'failed' });
+                publishTradeEvent('verification.completed', 'payment', paymentId, {
+                    assetTradeId,
+                    verified: false,
+                    txHash,
+                    error: result.error || result.paymentError
+                });
+
+                // 驗證失敗，取消 Asset 交易
+                await handleAssetTransferVerificationFailed(assetTradeId, paymentId, result);
+            }
+
+        } catch (error) {
+            logger('error', '跨鏈交易驗證過程中發生錯誤', {
+                paymentId,
+                assetTradeId,
+                txHash,
+                error: error.message,
+                stack: error.stack
+            });
+
+            observeDuration({ outcome: 'error' });
+            publishTradeEvent('verification.completed', 'payment', paymentId, {
+                assetTradeId,
+                verified: false,
+                txHash,
+                error: error.message
+            });
+
+            // 驗證過程出錯，也要處理失敗情況
+            await handleAssetTransferVerificationFailed(assetTradeId, paymentId, { error: error.message });
+        }
+    }
+
+    // 區塊頭鏈無法判定支付區塊時保留待驗證記錄並發出警示（第一次延後時通知），由區塊頭同步定時器重試
+    function deferCrossChainVerification(paymentId, assetTradeId, verification, reason) {
+        const previous = verification.undetermined;
+        verification.undetermined = {
+            reason,
+            attempts: (previous?.attempts || 0) + 1,
+            since: previous?.since || clock.now(),
+            lastAttemptAt: clock.now()
+        };
+        pendingCrossChainVerifications.persist(paymentId);
+
+        logger(previous ? 'warn' : 'error', '⏸️ 支付區塊暫時無法以區塊頭鏈判定，保留跨鏈驗證稍後重試', {
+            paymentId,
+            assetTradeId,
+            txHash: verification.txHash,
+            reason,
+            attempts: verification.undetermined.attempts
+        });
+        if (!previous) {
+            webhookNotifier.notify('verification.undetermined', {
+                assetTradeId,
+                paymentId,
+                txHash: verification.txHash,
+                reason
+            }, `無法以區塊頭鏈判定 Payment ${paymentId} 的支付區塊，Asset 交易 ${assetTradeId} 保持待驗證並持續重試：${reason}`);
+        }
+    }
+
+    // 執行待驗證記錄的跨鏈驗證（重啟恢復及重試延後的驗證）；同一筆驗證同時只執行一次
+    const runningVerifications = new Set();
+    function runPendingVerification(paymentId, verification) {
+        if (stopping || runningVerifications.has(paymentId)) {
+            return;
+        }
+        runningVerifications.add(paymentId);
+        withTradeContext('payment', paymentId, () =>
+            performCrossChainVerification(paymentId, verification.txHash, verification.assetTradeId))
+            .finally(() => runningVerifications.delete(paymentId));
+    }
+
+    function retryDeferredVerifications() {
+        for (const [paymentId, verification] of pendingCrossChainVerifications.entries()) {
+            if (!verification.verified && verification.undetermined) {
+                runPendingVerification(paymentId, verification);
+            }
+        }
+    }
+
+    // 同步 Payment 鏈區塊頭；失敗時保留錯誤，跨鏈驗證會在放行前再次同步
+    async function syncPaymentHeaders() {
+        try {
+            await paymentHeaderChain.sync();
+        } catch (error) {
+            logger('error', 'Payment 鏈區塊頭同步失敗', {
+                error: error.message
+            });
+        }
+    }
+
+    // 🔧 新增：啟用 Asset 轉帳（跨鏈交易驗證成功後）
+    async function enableAssetTransfer(assetTradeId, paymentId, verificationResult) {
+        logger('info', '🎯 跨鏈交易驗證成功，啟用 Asset 轉帳', {
+            assetTradeId,
+            paymentId,
+            verificationTime: verificationResult.proof.verificationTime
+        });
+
+        try {
+            // 檢查 Asset 交易是否仍然有效且在確認狀態
+            const assetTrade = assetTrades.get(assetTradeId);
+            if (!assetTrade) {
+                logger('warn', 'Asset 交易不存在，無法啟用轉帳', { assetTradeId, paymentId });
+                return;
+            }
+
+            // 在這裡我們不直接執行轉帳，而是在內存中標記為"已驗證"
+            // 實際的轉帳仍然由用戶觸發，但現在可以放行
+            assetTrade.crossChainVerified = true;
+            assetTrade.verificationResult = verificationResult;
+            assetTrade.verifiedAt = clock.now();
+            assetTrades.persist(assetTradeId);
+
+            logger('info', '✅ Asset 交易已標記為跨鏈交易驗證通過', {
+                assetTradeId,
+                paymentId,
+                txHash: verificationResult.transaction?.hash,
+                blockNumber: verificationResult.proof.blockNumber
+            });
+
+            // 清理驗證記錄
+            pendingCrossChainVerifications.delete(paymentId);
+
+        } catch (error) {
+            logger('error', '啟用 Asset 轉帳時發生錯誤', {
+                assetTradeId,
+                paymentId,
+                error: error.message
+            });
+        }
+    }
+
+    // 🔧 新增：處理 Asset 轉帳驗證失敗
+    async function handleAssetTransferVerificationFailed(assetTradeId, paymentId, verificationResult) {
+        logger('error', '🚫 跨鏈交易驗證失敗，取消 Asset 交易', {
+            assetTradeId,
+            paymentId,
+            error: verificationResult.error
+        });
+        webhookNotifier.notify('verification.failed', {
+            assetTradeId,
+            paymentId,
+            error: verificationResult.error || null
+        }, `跨鏈驗證失敗，取消 Asset 交易 ${assetTradeId}（Payment ${paymentId}）：${verificationResult.error || '未知原因'}`);
+
+        try {
+            // 取消 Asset 交易；取消失敗或交易正在處理時保留記錄，由期限退款
+            if (assetTrades.has(assetTradeId) && !processingAssetTrades.has(assetTradeId)) {
+                processingAssetTrades.add(assetTradeId);
+                try {
+                    await handleAssetFailedConfirmation(assetTradeId);
+                    logger('info', '已取消驗證失敗的 Asset 交易', { assetTradeId, paymentId });
+                } catch (error) {
+                    logger('error', '取消 Asset 交易時發生錯誤', {
+                        assetTradeId,
+                        error: error.message
+                    });
+                } finally {
+                    processingAssetTrades.delete(assetTradeId);
+                }
+            }
+
+            // 清理記錄
+            crossChainTrades.delete(`asset_${assetTradeId}`);
+            crossChainTrades.delete(`payment_${paymentId}`);
+            pendingCrossChainVerifications.delete(paymentId);
+
+        } catch (error) {
+            logger('error', '處理 Asset 轉帳驗證失敗時發生錯誤', {
+                assetTradeId,
+                paymentId,
+                error: error.message
+            });
+        }
+    }
+
+    // Asset Chain handler functions
+    async function handleAssetTimeRequest(requestId, tradeId, duration, eventTimestamp, blockNumber) {
+        if (processingAssetTrades.has(tradeId)) {
+            logger('info', `Asset交易已在處理隊列中`, {
+                tradeId,
+                requestId,
+                duration: duration.toString(),
+                eventTimestamp
+            });
+            assetEventQueue.push({ requestId, tradeId, duration, eventTimestamp, blockNumber });
+            saveAssetEventQueue();
+            return;
+        }
+
+        processingAssetTrades.add(tradeId);
+
+        try {
+            // 使用鏈外當前時間而非事件時間戳
+            const currentTime = clock.nowSeconds();
+
+            if (!assetTrades.has(tradeId)) {
+                assetStates.observe(tradeId, TradeState.INITIATED, { source: 'event', reason: 'timeRequest' });
+
+                // 🔧 新增：Asset 交易創建時檢查是否已有對應的 Payment 交易
+                const linkedPaymentId = crossChainTrades.get(`asset_${tradeId}`);
+                const existingPaymentTrade = linkedPaymentId && paymentTrades.get(linkedPaymentId);
+
+                if (existingPaymentTrade) {
+                    // 執行即時雙重支付檢測
+                    const checkResult = await performImmediateDoubleSpendCheck(
+                        tradeId, 
+                        linkedPaymentId, 
+                        Number(duration), 
+                        existingPaymentTrade.duration
+                    );
+
+                    // 只取消不符的 Payment 時，Asset 交易照常設定創建時間
+                    if (checkResult.action === 'CANCEL' && checkResult.scope === 'swap') {
+                        logger('info', 'Asset交易創建時檢測到風險，已取消', { tradeId });
+                        return;
+                    }
+                }
+
+                assetTrades.set(tradeId, { 
+                    inceptionTime: currentTime,  // 使用當前時間
+                    duration: Number(duration),
+                    lastRequestId: requestId,
+                    lastRequestTime: currentTime,
+                    phase: TradePhase.INCEPTION
+                });
+                scheduleTradeDeadlines('asset', tradeId);
+                await fulfillAssetTime(tradeId, requestId, currentTime, 'fulfillInception');
+                setTradePhase('asset', tradeId, TradePhase.AWAITING_CONFIRMATION);
+                logger('info', `Asset交易創建時間已設定`, {
+                    tradeId,
+                    inceptionTime: currentTime,
+                    duration: duration.toString()
+                });
+            } else {
+                const trade = assetTrades.get(tradeId);
+                // 確認請求由買方確認觸發，合約此時已進入 Confirmed
+                assetStates.observe(tradeId, TradeState.CONFIRMED, { source: 'event', reason: 'confirmationRequest' });
+
+                if (phaseWindows.isWithinConfirmationWindow(trade, currentTime)) {
+                    // 確認階段再次評估雙重支付規則（確認後兩邊的買方、密鑰才完整）
+                    const linkedPaymentId = crossChainTrades.get(`asset_${tradeId}`);
+                    const linkedPayment = linkedPaymentId && paymentTrades.get(linkedPaymentId);
+                    if (linkedPayment) {
+                        const checkResult = await performImmediateDoubleSpendCheck(
+                            tradeId,
+                            linkedPaymentId,
+                            trade.duration,
+                            linkedPayment.duration,
+                            'confirmation'
+                        );
+
+                        if (checkResult.action === 'CANCEL' && checkResult.scope === 'swap') {
+                            logger('info', 'Asset交易確認時檢測到風險，已取消', { tradeId });
+                            return;
+                        }
+                    }
+
+                    trade.lastRequestId = requestId;
+                    trade.lastRequestTime = currentTime;
+                    setTradePhase('asset', tradeId, TradePhase.CONFIRMED);
+                    await fulfillAssetTime(tradeId, requestId, currentTime, 'fulfillConfirmation');
+                    // 確認時間已寫入合約，進入執行階段
+                    setTradePhase('asset', tradeId, TradePhase.EXECUTING, { confirmationTime: currentTime });
+                    logger('info', `Asset交易確認時間已設定`, {
+                        tradeId,
+                        requestId,
+                        duration: trade.duration.toString(),
+                        timeElapsed: (currentTime - trade.inceptionTime).toString()
+                    });
+                } else {
+                    await handleAssetFailedConfirmation(tradeId);
+                    logger('warn', `Asset交易因超時而確認失敗`, {
+                        tradeId,
+                        duration: trade.duration.toString(),
+                        confirmationWindow: phaseWindows.confirmationWindowOf(trade),
+                        timeElapsed: (currentTime - trade.inceptionTime).toString()
+                    });
+                    assetTrades.delete(tradeId);
+                }
+            }
+        } catch (error) {
+            logger('error', `處理Asset交易時發生錯誤`, {
+                tradeId,
+                duration: duration.toString(),
+                error: error.message
+            });
+        } finally {
+            processingAssetTrades.delete(tradeId);
+            processNextAssetEvent();
+        }
+    }
+
+    // action: fulfillInception | fulfillConfirmation，送出前由狀態機檢查交易狀態
+    async function fulfillAssetTime(tradeId, requestId, timestamp, action) {
+        const stage = action === 'fulfillInception' ? 'inception' : 'confirmation';
+        try {
+            assetStates.assertAction(tradeId, action);
+            const observeDuration = oracleMetrics.fulfillDuration.startTimer({ chain: 'asset', stage });
+            const receipt = await assetTxManager.send(
+                assetContract.fulfillTime.populateTransaction(requestId, timestamp),
+                { label: 'fulfillTime', deadlineMs: TX_FULFILL_DEADLINE }
+            );
+            observeDuration();
+            logger('info', `Asset時間履行成功`, {
+                requestId,
+                timestamp,
+                txHash: receipt.hash
+            });
+            publishTradeEvent('time.fulfilled', 'asset', tradeId, {
+                stage,
+                requestId,
+                timestamp,
+                txHash: receipt.hash
+            });
+            if (action === 'fulfillInception') {
+                assetStates.transition(tradeId, TradeState.AWAITING_CONFIRMATION, { reason: action });
+            }
+        } catch (error) {
+            logger('error', `Asset時間履行失敗`, {
+                requestId,
+                timestamp,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    async function handleAssetFailedConfirmation(tradeId) {
+        try {
+            assetStates.assertAction(tradeId, 'failConfirmation');
+            const receipt = await assetTxManager.send(
+                assetContract.handleFailedConfirmation.populateTransaction(tradeId),
+                { label: 'handleFailedConfirmation' }
+            );
+            assetStates.transition(tradeId, TradeState.FAILED, { reason: 'failConfirmation' });
+            publishTradeEvent('refund.issued', 'asset', tradeId, { reason: 'failConfirmation', txHash: receipt.hash });
+
+            logger('info', `Asset失敗確認已處理`, {
+                tradeId,
+                txHash: receipt.hash
+            });
+
+            // 🔧 處理對應的Payment失敗
+            const paymentId = crossChainTrades.get(`asset_${tradeId}`);
+            if (paymentId) {
+                logger('info', `處理對應的Payment失敗`, {
+                    assetTradeId: tradeId,
+                    paymentId
+                });
+
+                // 清理跨鏈映射
+                crossChainTrades.delete(`asset_${tradeId}`);
+                crossChainTrades.delete(`payment_${paymentId}`);
+
+                // 如果Payment還存在，也處理失敗
+                if (paymentTrades.has(paymentId) && !processingPaymentTrades.has(paymentId)) {
+                    processingPaymentTrades.add(paymentId);
+                    try {
+                        await handlePaymentFailedConfirmation(paymentId);
+                    } catch (error) {
+                        logger('error', `處理對應Payment失敗時出錯`, {
+                            paymentId,
+                            error: error.message
+                        });
+                    } finally {
+                        processingPaymentTrades.delete(paymentId);
+                    }
+                }
+            }
+
+            assetTrades.delete(tradeId);
+
+        } catch (error) {
+            // 保留內存記錄：退款交易可能因節點暫時錯誤失敗，由期限重試；合約已結束時期限檢查才清理
+            logger('error', `處理Asset失敗確認時發生錯誤`, {
+                tradeId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // 新增：處理Asset執行階段超時
+    async function handleAssetExecutionTimeout(tradeId) {
+        try {
+            assetStates.assertAction(tradeId, 'executionTimeout');
+            const receipt = await assetTxManager.send(
+                assetContract.handleExecutionTimeout.populateTransaction(tradeId),
+                { label: 'handleExecutionTimeout' }
+            );
+            assetStates.transition(tradeId, TradeState.FAILED, { reason: 'executionTimeout' });
+            publishTradeEvent('refund.issued', 'asset', tradeId, { reason: 'executionTimeout', txHash: receipt.hash });
+
+            logger('info', `Asset執行階段超時已處理`, {
+                tradeId,
+                txHash: receipt.hash
+            });
+
+            // 🔧 處理對應的Payment執行超時
+            const paymentId = crossChainTrades.get(`asset_${tradeId}`);
+            if (paymentId) {
+                logger('info', `處理對應的Payment執行超時`, {
+                    assetTradeId: tradeId,
+                    paymentId
+                });
+
+                // 清理跨鏈映射
+                crossChainTrades.delete(`asset_${tradeId}`);
+                crossChainTrades.delete(`payment_${paymentId}`);
+
+                // 如果Payment還存在，也處理超時（尚未進入執行階段時以確認失敗退款）
+                if (paymentTrades.has(paymentId) && !processingPaymentTrades.has(paymentId)) {
+                    processingPaymentTrades.add(paymentId);
+                    try {
+                        if (phaseOf(paymentTrades.get(paymentId)) === TradePhase.EXECUTING) {
+                            await handlePaymentExecutionTimeout(paymentId);
+                        } else {
+                            await handlePaymentFailedConfirmation(paymentId);
+                        }
+                    } catch (error) {
+                        logger('error', `處理對應Payment執行超時時出錯`, {
+                            paymentId,
+                            error: error.message
+                        });
+                    } finally {
+                        processingPaymentTrades.delete(paymentId);
+                    }
+                }
+            }
+
+            assetTrades.delete(tradeId);
+
+        } catch (error) {
+            // 保留內存記錄，由期限重試
+            logger('error', `處理Asset執行階段超時時發生錯誤`, {
+                tradeId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    function processNextAssetEvent() {
+        const nextEvent = assetEventQueue.find(entry => !dispatchedAssetEvents.has(entry) && !processingAssetTrades.has(entry.tradeId));
+        if (!stopping && nextEvent) {
+            dispatchAssetEvent(nextEvent);
+        }
+    }
+
+    /**
+     * 處理隊列中的事件，不等待交易上鏈；事件在處理結束後才移出持久化隊列
+     * 回補或重組重放範圍內的事件（包括重啟前寫入隊列的事件）可能已履行，先確認合約仍在等待時間
+     */
+    function dispatchAssetEvent(entry) {
+        dispatchedAssetEvents.add(entry);
+        return withTradeContext('asset', entry.tradeId, async () => {
+            let finished = false;
+            try {
+                if (entry.blockNumber <= assetReplayUntilBlock && !isTimeRequestPending(await assetContract.getTrade(entry.tradeId))) {
+                    logger('info', `隊列中的事件已履行或交易已結束，跳過`, {
+                        tradeId: entry.tradeId,
+                        requestId: entry.requestId,
+                        blockNumber: entry.blockNumber
+                    });
+                } else {
+                    await handleAssetTimeRequest(entry.requestId, entry.tradeId, entry.duration, entry.eventTimestamp, entry.blockNumber);
+                }
+                finished = true;
+            } catch (error) {
+                logger('error', `處理Asset隊列事件時發生錯誤`, {
+                    error: error.message,
+                    duration: entry.duration.toString()
+                });
+            } finally {
+                dispatchedAssetEvents.delete(entry);
+                // 停機時中止的處理及確認失敗的事件留在隊列，重啟後重放
+                if (finished && !stopping) {
+                    removeQueuedEvent(assetEventQueue, entry, saveAssetEventQueue);
+                }
+            }
+        }, { requestId: entry.requestId });
+    }
+
+    // Payment Chain handler functions
+    async function handlePaymentTimeRequest(requestId, paymentId, duration, eventTimestamp, blockNumber) {
+        if (processingPaymentTrades.has(paymentId)) {
+            logger('info', `Payment交易已在處理隊列中`, {
+                paymentId,
+                requestId,
+                duration: duration.toString(),
+                eventTimestamp
+            });
+            paymentEventQueue.push({ requestId, paymentId, duration, eventTimestamp, blockNumber });
+            savePaymentEventQueue();
+            return;
+        }
+
+        processingPaymentTrades.add(paymentId);
+
+        try {
+            // 使用鏈外當前時間
+            const currentTime = clock.nowSeconds();
+
+            // 🔧 檢查這是否為初次創建還是確認階段
+            const existingPayment = paymentTrades.get(paymentId);
+
+            if (!existingPayment) {
+                // 🟢 這是初次創建 Payment
+                paymentStates.observe(paymentId, PaymentState.INITIATED, { source: 'event', reason: 'timeRequest' });
+                logger('info', `處理Payment初次創建`, {
+                    paymentId,
+                    requestId,
+                    duration: duration.toString()
+                });
+
+                // 檢查是否有對應的 Asset 交易進行時間同步（依 PaymentInitiated.assetTradeId 關聯）
+                const assetTradeId = await resolveLinkedAssetTradeId(paymentId);
+                const correspondingAssetTrade = assetTradeId && assetTrades.get(assetTradeId);
+                let syncedTimestamp = currentTime;
+
+                if (correspondingAssetTrade) {
+                    // 🔧 關鍵修改：執行即時雙重支付檢測
+                    const checkResult = await performImmediateDoubleSpendCheck(
+                        assetTradeId, 
+                        paymentId, 
+                        correspondingAssetTrade.duration, 
+                        Number(duration)
+                    );
+
+                    if (checkResult.action === 'CANCEL') {
+                        logger('info', 'Payment交易創建時檢測到風險，已取消', { paymentId });
+                        return;
+                    }
+
+                    // 使用 Asset 交易的創建時間作為基準
+                    syncedTimestamp = correspondingAssetTrade.inceptionTime;
+
+                    logger('info', `使用跨鏈映射同步創建時間`, {
+                        paymentId,
+                        assetTradeId,
+                        syncedTime: syncedTimestamp
+                    });
+                }
+
+                paymentTrades.set(paymentId, { 
+                    inceptionTime: syncedTimestamp, 
+                    duration: Number(duration),
+                    lastRequestId: requestId,
+                    lastRequestTime: syncedTimestamp,
+                    isConfirmationPhase: false,
+                    phase: TradePhase.INCEPTION
+                });
+                scheduleTradeDeadlines('payment', paymentId);
+
+                await fulfillPaymentTime(paymentId, requestId, syncedTimestamp, 'fulfillInception');
+                setTradePhase('payment', paymentId, TradePhase.AWAITING_CONFIRMATION);
+                logger('info', `Payment交易創建時間已設定`, {
+                    paymentId,
+                    inceptionTime: syncedTimestamp,
+                    duration: duration.toString(),
+                    synced: !!correspondingAssetTrade
+                });
+
+            } else {
+                // 🟡 這是確認階段的請求（合約此時已進入 Confirmed）
+                paymentStates.observe(paymentId, PaymentState.CONFIRMED, { source: 'event', reason: 'confirmationRequest' });
+                logger('info', `處理Payment確認階段`, {
+                    paymentId,
+                    requestId,
+                    previousRequestId: existingPayment.lastRequestId,
+                    duration: duration.toString()
+                });
+
+                const payment = existingPayment;
+                const assetTradeId = crossChainTrades.get(`payment_${paymentId}`);
+                const correspondingAssetTrade = assetTradeId && assetTrades.get(assetTradeId);
+
+                // 使用同步的時間進行驗證
+                let confirmationTime = currentTime;
+                if (correspondingAssetTrade) {
+                    // 🔧 關鍵修正：使用 Asset 交易的最新時間來保持同步
+                    confirmationTime = Math.max(
+                        correspondingAssetTrade.lastRequestTime || correspondingAssetTrade.inceptionTime,
+                        currentTime
+                    );
+
+                    logger('info', `使用跨鏈同步的確認時間`, {
+                        paymentId,
+                        assetTradeId,
+                        assetLastRequestTime: correspondingAssetTrade.lastRequestTime,
+                        assetInceptionTime: correspondingAssetTrade.inceptionTime,
+                        syncedConfirmationTime: confirmationTime
+                    });
+                }
+
+                // 檢查是否在時間限制內
+                const timeElapsed = confirmationTime - payment.inceptionTime;
+                if (phaseWindows.isWithinConfirmationWindow(payment, confirmationTime)) {
+                    if (correspondingAssetTrade) {
+                        const checkResult = await performImmediateDoubleSpendCheck(
+                            assetTradeId,
+                            paymentId,
+                            correspondingAssetTrade.duration,
+                            payment.duration,
+                            'confirmation'
+                        );
+
+                        if (checkResult.action === 'CANCEL') {
+                            logger('info', 'Payment交易確認時檢測到風險，已取消', { paymentId });
+                            return;
+                        }
+                    }
+
+                    payment.lastRequestId = requestId;
+                    payment.lastRequestTime = confirmationTime;
+                    payment.isConfirmationPhase = true;
+                    setTradePhase('payment', paymentId, TradePhase.CONFIRMED);
+
+                    // 🔧 關鍵：呼叫 fulfillPaymentTime 來設定合約中的 confirmationTime
+                    await fulfillPaymentTime(paymentId, requestId, confirmationTime, 'fulfillConfirmation');
+                    setTradePhase('payment', paymentId, TradePhase.EXECUTING, { confirmationTime });
+
+                    logger('info', `Payment交易確認時間已設定`, {
+                        paymentId,
+                        requestId,
+                        duration: payment.duration.toString(),
+                        timeElapsed: timeElapsed.toString(),
+                        confirmationTime: confirmationTime,
+                        inceptionTime: payment.inceptionTime
+                    });
+                } else {
+                    await handlePaymentFailedConfirmation(paymentId);
+                    logger('warn', `Payment交易因超時而確認失敗`, {
+                        paymentId,
+                        duration: payment.duration.toString(),
+                        confirmationWindow: phaseWindows.confirmationWindowOf(payment),
+                        timeElapsed: timeElapsed.toString(),
+                        confirmationTime: confirmationTime,
+                        inceptionTime: payment.inceptionTime
+                    });
+                    paymentTrades.delete(paymentId);
+                }
+            }
+
+        } catch (error) {
+            logger('error', `處理Payment交易時發生錯誤`, {
+                paymentId,
+                requestId,
+                duration: duration.toString(),
+                error: error.message,
+                stack: error.stack
+            });
+        } finally {
+            processingPaymentTrades.delete(paymentId);
+            processNextPaymentEvent();
+        }
+    }
+
+    // action: fulfillInception | fulfillConfirmation，送出前由狀態機檢查交易狀態
+    async function fulfillPaymentTime(paymentId, requestId, timestamp, action) {
+        const stage = action === 'fulfillInception' ? 'inception' : 'confirmation';
+        try {
+            paymentStates.assertAction(paymentId, action);
+            const observeDuration = oracleMetrics.fulfillDuration.startTimer({ chain: 'payment', stage });
+            logger('debug', `準備執行Payment fulfillTime`, {
+                requestId,
+                timestamp,
+                nextNonce: paymentTxManager.nextNonce
+            });
+
+            const receipt = await paymentTxManager.send(
+                paymentContract.fulfillTime.populateTransaction(requestId, timestamp),
+                { label: 'fulfillTime', deadlineMs: TX_FULFILL_DEADLINE }
+            );
+            observeDuration();
+
+            logger('info', `Payment時間履行成功`, {
+                requestId,
+                timestamp,
+                txHash: receipt.hash,
+                blockNumber: receipt.blockNumber,
+                gasUsed: receipt.gasUsed.toString()
+            });
+            publishTradeEvent('time.fulfilled', 'payment', paymentId, {
+                stage,
+                requestId,
+                timestamp,
+                txHash: receipt.hash
+            });
+            if (action === 'fulfillInception') {
+                paymentStates.transition(paymentId, PaymentState.AWAITING_CONFIRMATION, { reason: action });
+            }
+
+        } catch (error) {
+            logger('error', `Payment時間履行過程中發生錯誤`, {
+                requestId,
+                timestamp,
+                error: error.message
+            });
+
+            // 其他類型的錯誤也記錄詳細資訊
+            if (error.message.includes('insufficient funds')) {
+                const balance = await paymentProvider.getBalance(paymentSigner.address);
+                logger('error', `Payment鏈餘額不足`, {
+                    requestId,
+                    signerAddress: paymentSigner.address,
+                    balance: balance.toString()
+                });
+            }
+
+            if (error.message.includes('Invalid request ID')) {
+                logger('error', `無效的請求ID`, {
+                    requestId,
+                    timestamp
+                });
+            }
+
+            throw error;
+        }
+    }
+
+    async function handlePaymentFailedConfirmation(paymentId) {
+        try {
+            paymentStates.assertAction(paymentId, 'failConfirmation');
+            const receipt = await paymentTxManager.send(
+                paymentContract.handleFailedConfirmation.populateTransaction(paymentId),
+                { label: 'handleFailedConfirmation' }
+            );
+            paymentStates.transition(paymentId, PaymentState.FAILED, { reason: 'failConfirmation' });
+            publishTradeEvent('refund.issued', 'payment', paymentId, { reason: 'failConfirmation', txHash: receipt.hash });
+
+            logger('info', `Payment失敗確認已處理`, {
+                paymentId,
+                txHash: receipt.hash
+            });
+
+            // 🔧 處理對應的Asset失敗
+            const assetTradeId = crossChainTrades.get(`payment_${paymentId}`);
+            if (assetTradeId) {
+                logger('info', `處理對應的Asset失敗`, {
+                    paymentId,
+                    assetTradeId
+                });
+
+                // 清理跨鏈映射
+                crossChainTrades.delete(`payment_${paymentId}`);
+                crossChainTrades.delete(`asset_${assetTradeId}`);
+
+                // 如果Asset還存在，也處理失敗
+                if (assetTrades.has(assetTradeId) && !processingAssetTrades.has(assetTradeId)) {
+                    processingAssetTrades.add(assetTradeId);
+                    try {
+                        await handleAssetFailedConfirmation(assetTradeId);
+                    } catch (error) {
+                        logger('error', `處理對應Asset失敗時出錯`, {
+                            assetTradeId,
+                            error: error.message
+                        });
+                    } finally {
+                        processingAssetTrades.delete(assetTradeId);
+                    }
+                }
+            }
+
+            paymentTrades.delete(paymentId);
+
+        } catch (error) {
+            // 保留內存記錄：退款交易可能因節點暫時錯誤失敗，由期限重試；合約已結束時期限檢查才清理
+            logger('error', `處理Payment失敗確認時發生錯誤`, {
+                paymentId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // 新增：處理Payment執行階段超時
+    async function handlePaymentExecutionTimeout(paymentId) {
+        try {
+            paymentStates.assertAction(paymentId, 'executionTimeout');
+            const receipt = await paymentTxManager.send(
+                paymentContract.handleExecutionTimeout.populateTransaction(paymentId),
+                { label: 'handleExecutionTimeout' }
+            );
+            paymentStates.transition(paymentId, PaymentState.FAILED, { reason: 'executionTimeout' });
+            publishTradeEvent('refund.issued', 'payment', paymentId, { reason: 'executionTimeout', txHash: receipt.hash });
+
+            logger('info', `Payment執行階段超時已處理`, {
+                paymentId,
+                txHash: receipt.hash
+            });
+
+            // 🔧 處理對應的Asset執行超時
+            const assetTradeId = crossChainTrades.get(`payment_${paymentId}`);
+            if (assetTradeId) {
+                logger('info', `處理對應的Asset執行超時`, {
+                    paymentId,
+                    assetTradeId
+                });
+
+                // 清理跨鏈映射
+                crossChainTrades.delete(`payment_${paymentId}`);
+                crossChainTrades.delete(`asset_${assetTradeId}`);
+
+                // 如果Asset還存在，也處理超時（尚未進入執行階段時以確認失敗退款）
+                if (assetTrades.has(assetTradeId) && !processingAssetTrades.has(assetTradeId)) {
+                    processingAssetTrades.add(assetTradeId);
+                    try {
+                        if (phaseOf(assetTrades.get(assetTradeId)) === TradePhase.EXECUTING) {
+                            await handleAssetExecutionTimeout(assetTradeId);
+                        } else {
+                            await handleAssetFailedConfirmation(assetTradeId);
+                        }
+                    } catch (error) {
+                        logger('error', `處理對應Asset執行超時時出錯`, {
+                            assetTradeId,
+                            error: error.message
+                        });
+                    } finally {
+                        processingAssetTrades.delete(assetTradeId);
+                    }
+                }
+            }
+
+            paymentTrades.delete(paymentId);
+
+        } catch (error) {
+            // 保留內存記錄，由期限重試
+            logger('error', `處理Payment執行階段超時時發生錯誤`, {
+                paymentId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    function processNextPaymentEvent() {
+        const nextEvent = paymentEventQueue.find(entry => !dispatchedPaymentEvents.has(entry) && !processingPaymentTrades.has(entry.paymentId));
+        if (!stopping && nextEvent) {
+            dispatchPaymentEvent(nextEvent);
+        }
+    }
+
+    // 與 dispatchAssetEvent 相同
+    function dispatchPaymentEvent(entry) {
+        dispatchedPaymentEvents.add(entry);
+        return withTradeContext('payment', entry.paymentId, async () => {
+            let finished = false;
+            try {
+                if (entry.blockNumber <= paymentReplayUntilBlock && !isTimeRequestPending(await paymentContract.getPayment(entry.paymentId))) {
+                    logger('info', `隊列中的事件已履行或支付已結束，跳過`, {
+                        paymentId: entry.paymentId,
+                        requestId: entry.requestId,
+                        blockNumber: entry.blockNumber
+                    });
+                } else {
+                    await handlePaymentTimeRequest(entry.requestId, entry.paymentId, entry.duration, entry.eventTimestamp, entry.blockNumber);
+                }
+                finished = true;
+            } catch (error) {
+                logger('error', `處理Payment隊列事件時發生錯誤`, {
+                    error: error.message,
+                    duration: entry.duration.toString()
+                });
+            } finally {
+                dispatchedPaymentEvents.delete(entry);
+                if (finished && !stopping) {
+                    removeQueuedEvent(paymentEventQueue, entry, savePaymentEventQueue);
+                }
+            }
+        }, { requestId: entry.requestId });
+    }
+
+    // 處理結束的事件移出隊列（重組回滾時可能已先被移除）
+    function removeQueuedEvent(queue, entry, save) {
+        const index = queue.indexOf(entry);
+        if (index !== -1) {
+            queue.splice(index, 1);
+            save();
+        }
+    }
+
+    /**
+     * 將一段區塊中的 TimeRequestSent 事件一次寫入持久化隊列，回傳需要立即處理的項目；
+     * 同一請求已在隊列中時（寫入隊列後、推進游標前停機而重放這段區塊）不重複加入
+     */
+    function enqueueTimeRequests(queue, entries, save, processing, idKey) {
+        const added = entries.filter(entry => !queue.some(queued => queued.requestId === entry.requestId));
+        if (added.length === 0) {
+            return [];
+        }
+        queue.push(...added);
+        save();
+        // 同一交易只立即處理第一個事件，其餘留在隊列，由前一個處理結束時接續
+        const seen = new Set(processing);
+        return added.filter(entry => !seen.has(entry[idKey]) && seen.add(entry[idKey]));
+    }
+
+    // 狀態轉換寫入日誌；與合約規則不符的跳轉（例如錯過中間事件）以警告記錄
+    function logTradeTransition(transition) {
+        logger(transition.expected ? 'info' : 'warn', `${transition.chain === 'asset' ? 'Asset' : 'Payment'}交易狀態轉換`, {
+            id: transition.id,
+            from: transition.fromName,
+            to: transition.toName,
+            source: transition.source,
+            reason: transition.reason
+        });
+    }
+
+    // 交易進入 Completed / Failed 後不再有期限需要處理
+    function handleTradeTerminal({ chain, id }) {
+        setTradePhase(chain, id, TradePhase.TERMINAL);
+        deadlineScheduler.cancel(`${chain}:${id}`);
+        if (chain === 'asset' && doubleSpendPolicy.releaseKeys(id) > 0) {
+            logger('debug', '已釋放交易登記的加密密鑰', { assetTradeId: String(id) });
+        }
+    }
+
+    function publishTradeTransition(transition) {
+        publishTradeEvent('state.transition', transition.chain, transition.id, {
+            from: transition.fromName,
+            to: transition.toName,
+            source: transition.source,
+            reason: transition.reason
+        });
+    }
+
+    // 推送交易事件：補上兩邊的交易 ID 及買賣方地址供訂閱過濾；跨鏈映射在呼叫當下讀取（處理完成後可能已被清除），
+    // 地址解析為非同步，以佇列依序發布保持事件順序
+    function publishTradeEvent(type, chain, id, data = {}) {
+        const assetTradeId = chain === 'asset' ? String(id) : crossChainTrades.get(`payment_${id}`) || null;
+        const paymentId = chain === 'payment' ? String(id) : crossChainTrades.get(`asset_${id}`) || null;
+        const event = { chain, assetTradeId, paymentId, ...data };
+
+        tradeEventQueue = tradeEventQueue
+            .then(() => resolveTradeAddresses(event.assetTradeId, event.paymentId))
+            .then(addresses => oracle.emit('trade', eventStream.publish(type, { ...event, addresses })))
+            .catch(error => logger('warn', '推送交易事件時發生錯誤', {
+                type,
+                chain,
+                id,
+                error: error.message
+            }));
+    }
+
+    async function resolveTradeAddresses(assetTradeId, paymentId) {
+        const addresses = new Set();
+        for (const [chain, id] of [['asset', assetTradeId], ['payment', paymentId]]) {
+            if (!id) {
+                continue;
+            }
+            const key = `${chain}:${id}`;
+            if (!tradeParties.has(key)) {
+                try {
+                    const contractTrade = chain === 'asset'
+                        ? await assetReadContract.getTrade(id)
+                        : await paymentReadContract.getPayment(id);
+                    // 交易結束後合約會移除記錄，此時無法再取得地址
+                    if (contractTrade[0] == 0) {
+                        continue;
+                    }
+                    tradeParties.set(key, [contractTrade[2], contractTrade[3]]);
+                    if (tradeParties.size > TRADE_PARTIES_CACHE_SIZE) {
+                        tradeParties.delete(tradeParties.keys().next().value);
+                    }
+                } catch (error) {
+                    logger('debug', '讀取交易地址失敗，事件不含地址', { chain, id, error: error.message });
+                    continue;
+                }
+            }
+            tradeParties.get(key).forEach(address => addresses.add(address.toLowerCase()));
+        }
+        return Array.from(addresses);
+    }
+
+    // 更新交易階段；進入執行階段時記錄確認時間，並依新階段重新排程期限
+    function setTradePhase(chain, id, phase, fields = {}) {
+        const trades = chain === 'asset' ? assetTrades : paymentTrades;
+        const trade = trades.get(id);
+        if (!trade) {
+            return;
+        }
+
+        const previous = phaseOf(trade);
+        Object.assign(trade, fields, { phase });
+        trades.persist(id);
+        scheduleTradeDeadlines(chain, id);
+
+        if (previous !== phase) {
+            logger('debug', `${chain === 'asset' ? 'Asset' : 'Payment'}交易階段變更`, {
+                id,
+                from: previous,
+                to: phase
+            });
+        }
+    }
+
+    // 依交易目前階段排程期限；判定條件為「超過」期限，因此在期限後一秒觸發
+    // 期限已過（處理未成功）時改在 notBefore 之後重試
+    function scheduleTradeDeadlines(chain, id, notBefore = 0) {
+        const key = `${chain}:${id}`;
+        const trade = (chain === 'asset' ? assetTrades : paymentTrades).get(id);
+        const next = trade && phaseWindows.deadlineOf(trade);
+        if (!next) {
+            deadlineScheduler.cancel(key);
+            return;
+        }
+
+        const dueAt = (next.deadline + 1) * 1000;
+        deadlineScheduler.schedule(key, dueAt > clock.now() ? dueAt : Math.max(dueAt, notBefore), {
+            chain,
+            id,
+            type: next.type,
+            deadline: next.deadline
+        });
+    }
+
+    function describeTradePhase(chain, id) {
+        const trade = (chain === 'asset' ? assetTrades : paymentTrades).get(id);
+        if (!trade) {
+            return null;
+        }
+        const next = phaseWindows.deadlineOf(trade);
+        return {
+            phase: phaseOf(trade),
+            deadlineType: next?.type || null,
+            deadline: next ? new Date(next.deadline * 1000).toISOString() : null
+        };
+    }
+
+    // 重啟或校正後依全部內存記錄重建期限
+    function rebuildTradeDeadlines() {
+        for (const tradeId of assetTrades.keys()) {
+            scheduleTradeDeadlines('asset', tradeId);
+        }
+        for (const paymentId of paymentTrades.keys()) {
+            scheduleTradeDeadlines('payment', paymentId);
+        }
+
+        logger('info', '交易期限已重建', deadlineScheduler.getStats());
+    }
+
+    async function handleTradeDeadline({ key, payload }) {
+        const { chain, id, type } = payload;
+        const trades = chain === 'asset' ? assetTrades : paymentTrades;
+        const processing = chain === 'asset' ? processingAssetTrades : processingPaymentTrades;
+
+        if (!trades.has(id)) {
+            return;
+        }
+
+        // 交易正在處理事件，稍後再檢查
+        if (processing.has(id)) {
+            deadlineScheduler.schedule(key, clock.now() + DEADLINE_BUSY_DELAY, payload);
+            return;
+        }
+
+        if (chain === 'asset') {
+            await processAssetDeadline(id, type);
+        } else {
+            await processPaymentDeadline(id, type);
+        }
+
+        // 交易仍在追蹤中：依（可能已更新的）階段重新排程，期限已過則稍後重試
+        if (trades.has(id)) {
+            scheduleTradeDeadlines(chain, id, clock.now() + DEADLINE_RETRY_INTERVAL);
+        }
+    }
+
+    async function processAssetDeadline(tradeId, type) {
+        const trade = assetTrades.get(tradeId);
+        const currentTime = clock.nowSeconds();
+
+        processingAssetTrades.add(tradeId);
+        try {
+            // 🔑 處理前先檢查合約狀態
+            const contractTrade = await assetReadContract.getTrade(tradeId);
+            const phase = phaseFromContract(contractTrade[4], contractTrade[5], contractTrade[6]);
+            if (contractTrade[0] != 0) {
+                assetStates.observe(tradeId, contractTrade[4], { reason: 'deadline' });
+            }
+
+            if (contractTrade[0] == 0 || phase === TradePhase.TERMINAL) {
+                logger('info', `超時檢查：Asset交易已完成，清理內存狀態`, { tradeId, type });
+                assetTrades.delete(tradeId);
+                return;
+            }
+
+            // 合約已寫入確認時間（例如履行交易在重啟前已上鏈）：改為追蹤執行期限
+            if (phase === TradePhase.EXECUTING && phaseOf(trade) !== TradePhase.EXECUTING) {
+                setTradePhase('asset', tradeId, TradePhase.EXECUTING, {
+                    confirmationTime: Number(contractTrade[6])
+                });
+                return;
+            }
+
+            if (type === 'execution') {
+                logger('info', `檢測到Asset交易執行階段超時`, {
+                    tradeId,
+                    executionWindow: phaseWindows.executionWindowOf(trade),
+                    executionTimeElapsed: (currentTime - trade.confirmationTime).toString()
+                });
+
+                await handleAssetExecutionTimeout(tradeId);
+            } else {
+                logger('info', `檢測到資產交易已超時`, {
+                    tradeId,
+                    phase,
+                    confirmationWindow: phaseWindows.confirmationWindowOf(trade),
+                    timeElapsed: (currentTime - trade.inceptionTime).toString()
+                });
+
+                await handleAssetFailedConfirmation(tradeId);
+            }
+        } catch (error) {
+            // 保留交易，handleTradeDeadline 稍後重試；只有合約狀態已結束時才刪除記錄
+            logger('error', `處理超時Asset交易時發生錯誤`, {
+                tradeId,
+                type,
+                error: error.message
+            });
+        } finally {
+            processingAssetTrades.delete(tradeId);
+        }
+    }
+
+    async function processPaymentDeadline(paymentId, type) {
+        const trade = paymentTrades.get(paymentId);
+        const currentTime = clock.nowSeconds();
+
+        processingPaymentTrades.add(paymentId);
+        try {
+            // 🔑 處理前先檢查合約狀態
+            const contractPayment = await paymentReadContract.getPayment(paymentId);
+            const phase = phaseFromContract(contractPayment[4], contractPayment[5], contractPayment[6]);
+            if (contractPayment[0] != 0) {
+                paymentStates.observe(paymentId, contractPayment[4], { reason: 'deadline' });
+            }
+
+            if (contractPayment[0] == 0 || phase === TradePhase.TERMINAL) {
+                logger('info', `超時檢查：Payment交易已完成，清理內存狀態`, { paymentId, type });
+                paymentTrades.delete(paymentId);
+                return;
+            }
+
+            // 合約已寫入確認時間（例如履行交易在重啟前已上鏈）：改為追蹤執行期限
+            if (phase === TradePhase.EXECUTING && phaseOf(trade) !== TradePhase.EXECUTING) {
+                setTradePhase('payment', paymentId, TradePhase.EXECUTING, {
+                    confirmationTime: Number(contractPayment[6]),
+                    isConfirmationPhase: true
+                });
+                return;
+            }
+
+            if (type === 'execution') {
+                logger('info', `檢測到Payment交易執行階段超時`, {
+                    paymentId,
+                    executionWindow: phaseWindows.executionWindowOf(trade),
+                    executionTimeElapsed: (currentTime - trade.confirmationTime).toString()
+                });
+
+                await handlePaymentExecutionTimeout(paymentId);
+            } else {
+                logger('info', `檢測到支付交易已超時`, {
+                    paymentId,
+                    phase,
+                    confirmationWindow: phaseWindows.confirmationWindowOf(trade),
+                    timeElapsed: (currentTime - trade.inceptionTime).toString()
+                });
+
+                await handlePaymentFailedConfirmation(paymentId);
+            }
+        } catch (error) {
+            // 保留交易，handleTradeDeadline 稍後重試；只有合約狀態已結束時才刪除記錄
+            logger('error', `處理超時Payment交易時發生錯誤`, {
+                paymentId,
+                type,
+                error: error.message
+            });
+        } finally {
+            processingPaymentTrades.delete(paymentId);
+        }
+    }
+
+    // Poll events from both chains
+    // 同一時間只執行一次輪詢；執行期間收到的觸發合併為結束後再執行一次；stop() 開始後不再輪詢
+    function singleFlight(task) {
+        let running = null;
+        let rerun = false;
+
+        return function run() {
+            if (running) {
+                rerun = true;
+                return running;
+            }
+            if (stopping) {
+                return Promise.resolve();
+            }
+            running = track((async () => {
+                try {
+                    do {
+                        rerun = false;
+                        await task();
+                    } while (rerun && !stopping);
+                } finally {
+                    running = null;
+                }
+            })());
+            return running;
+        };
+    }
+
+    const runAssetPoll = singleFlight(pollAssetEvents);
+    const runPaymentPoll = singleFlight(pollPaymentEvents);
+
+    function eventSourceOf(subscriber) {
+        return subscriber?.isConnected() ? 'websocket' : 'polling';
+    }
+
+    async function pollAssetEvents() {
+        try {
+            // 先確認已處理的區塊未被重組
+            await detectAssetReorg();
+
+            // 只處理已達確認深度的區塊
+            const headBlock = await assetProvider.getBlockNumber();
+            recordBlockLag('asset', headBlock);
+            const latestBlock = headBlock - EVENT_CONFIRMATION_DEPTH;
+            if (latestBlock <= assetLastProcessedBlock) {
+                return;
+            }
+
+            // 分段處理：每段的事件寫入持久化隊列後才推進游標，再開始處理（不等待交易上鏈）
+            while (assetLastProcessedBlock < latestBlock) {
+                const fromBlock = assetLastProcessedBlock + 1;
+                const toBlock = Math.min(fromBlock + EVENT_QUERY_CHUNK_SIZE - 1, latestBlock);
+                const queued = await processAssetEventRange(fromBlock, toBlock);
+
+                if (toBlock > headBlock - REORG_TRACKING_DEPTH) {
+                    const block = await assetProvider.getBlock(toBlock);
+                    assetBlockTracker.record(toBlock, block.hash);
+                }
+                saveAssetBlockHashes();
+                setAssetLastProcessedBlock(toBlock);
+                queued.forEach(entry => dispatchAssetEvent(entry));
+            }
+        } catch (error) {
+            logger('error', `輪詢Asset事件時發生錯誤`, {
+                error: error.message
+            });
+        }
+    }
+
+    async function processAssetEventRange(fromBlock, toBlock) {
+        logger('debug', `檢查Asset鏈新事件`, {
+            fromBlock,
+            toBlock
+        });
+
+        const filter = assetContract.filters.TimeRequestSent();
+        const events = await assetContract.queryFilter(filter, fromBlock, toBlock);
+        // 這段區塊的事件寫入持久化隊列後才回傳，呼叫端推進游標後才開始處理
+        const entries = [];
+
+        for (const event of events) {
+            // 安全地檢查事件參數
+            if (!event.args) {
+                logger('warn', `Asset TimeRequestSent事件缺少args`, {
+                    txHash: event.transactionHash,
+                    blockNumber: event.blockNumber
+                });
+                continue;
+            }
+
+            const { requestId, tradeId, duration } = event.args;
+
+            // 確保所有必要參數都存在
+            if (!requestId || !tradeId || !duration) {
+                logger('warn', `Asset TimeRequestSent事件參數不完整`, {
+                    requestId,
+                    tradeId: tradeId?.toString(),
+                    duration: duration?.toString(),
+                    txHash: event.transactionHash,
+                    blockNumber: event.blockNumber
+                });
+                continue;
+            }
+
+            const eventTimestamp = (await event.getBlock()).timestamp;
+
+            logger('info', `Asset TimeRequestSent事件接收`, {
+                tradeId: tradeId.toString(),
+                requestId,
+                duration: duration.toString(),
+                eventTimestamp,
+                blockNumber: event.blockNumber
+            });
+
+            // 停機期間的事件可能已在重啟前履行，需確認合約仍在等待時間
+            if (event.blockNumber <= assetReplayUntilBlock &&
+                !isTimeRequestPending(await assetContract.getTrade(tradeId))) {
+                logger('info', `回補事件已履行或交易已結束，跳過`, {
+                    tradeId: tradeId.toString(),
+                    requestId,
+                    blockNumber: event.blockNumber
+                });
+                continue;
+            }
+
+            assetBlockTracker.record(event.blockNumber, event.blockHash, [tradeId.toString()]);
+
+            // 回補的舊事件不計入延遲統計
+            if (event.blockNumber > assetReplayUntilBlock) {
+                eventLatency.asset.record(Date.now() - eventTimestamp * 1000, eventSourceOf(assetSubscriber));
+            }
+
+            entries.push({ requestId, tradeId: tradeId.toString(), duration, eventTimestamp, blockNumber: event.blockNumber });
+        }
+
+        const ready = enqueueTimeRequests(assetEventQueue, entries, saveAssetEventQueue, processingAssetTrades, 'tradeId');
+        if (entries.length > ready.length) {
+            logger('info', `Asset事件已加入隊列`, {
+                tradeIds: entries.filter(entry => !ready.includes(entry)).map(entry => entry.tradeId),
+                queueLength: assetEventQueue.length
+            });
+        }
+        return ready;
+    }
+
+    async function pollPaymentEvents() {
+        try {
+            // 先確認已處理的區塊未被重組
+            await detectPaymentReorg();
+
+            // 只處理已達確認深度的區塊
+            const headBlock = await paymentProvider.getBlockNumber();
+            recordBlockLag('payment', headBlock);
+            const latestBlock = headBlock - EVENT_CONFIRMATION_DEPTH;
+            if (latestBlock <= paymentLastProcessedBlock) {
+                return;
+            }
+
+            // 分段處理：每段的事件寫入持久化隊列後才推進游標，再開始處理（不等待交易上鏈）
+            while (paymentLastProcessedBlock < latestBlock) {
+                const fromBlock = paymentLastProcessedBlock + 1;
+                const toBlock = Math.min(fromBlock + EVENT_QUERY_CHUNK_SIZE - 1, latestBlock);
+                const queued = await processPaymentEventRange(fromBlock, toBlock);
+
+                if (toBlock > headBlock - REORG_TRACKING_DEPTH) {
+                    const block = await paymentProvider.getBlock(toBlock);
+                    paymentBlockTracker.record(toBlock, block.hash);
+                }
+                savePaymentBlockHashes();
+                setPaymentLastProcessedBlock(toBlock);
+                queued.forEach(entry => dispatchPaymentEvent(entry));
+            }
+        } catch (error) {
+            logger('error', `輪詢Payment事件時發生錯誤`, {
+                error: error.message,
+                stack: error.stack
+            });
+        }
+    }
+
+    async function processPaymentEventRange(fromBlock, toBlock) {
+        logger('debug', `檢查Payment鏈新事件`, {
+            fromBlock,
+            toBlock
+        });
+
+        // 先處理 PaymentInitiated 事件建立跨鏈映射，同一交易中的 TimeRequestSent 才能找到對應 Asset 交易
+        const paymentInitiatedFilter = paymentContract.filters.PaymentInitiated();
+        const paymentInitiatedEvents = await paymentContract.queryFilter(paymentInitiatedFilter, fromBlock, toBlock);
+
+        for (const event of paymentInitiatedEvents) {
+            if (!event.args) {
+                logger('warn', `PaymentInitiated事件缺少args`, {
+                    txHash: event.transactionHash,
+                    blockNumber: event.blockNumber
+                });
+                continue;
+            }
+
+            const { id: paymentId, assetTradeId } = event.args;
+            if (!paymentId || !assetTradeId) {
+                logger('warn', `PaymentInitiated事件參數不完整或未指定assetTradeId`, {
+                    paymentId: paymentId?.toString(),
+                    assetTradeId: assetTradeId?.toString(),
+                    txHash: event.transactionHash,
+                    blockNumber: event.blockNumber
+                });
+                continue;
+            }
+
+            logger('info', `Payment PaymentInitiated事件接收`, {
+                paymentId: paymentId.toString(),
+                assetTradeId: assetTradeId.toString(),
+                blockNumber: event.blockNumber
+            });
+
+            paymentBlockTracker.record(event.blockNumber, event.blockHash, [paymentId.toString()]);
+            await linkCrossChainTrade(assetTradeId.toString(), paymentId.toString());
+        }
+
+        // 🔧 監聽 TimeRequestSent 事件
+        const timeRequestFilter = paymentContract.filters.TimeRequestSent();
+        const timeRequestEvents = await paymentContract.queryFilter(timeRequestFilter, fromBlock, toBlock);
+        // TimeRequestSent 事件寫入持久化隊列，呼叫端推進游標後才開始處理
+        const entries = [];
+
+        for (const event of timeRequestEvents) {
+            // 安全地檢查事件參數
+            if (!event.args) {
+                logger('warn', `Payment TimeRequestSent事件缺少args`, {
+                    txHash: event.transactionHash,
+                    blockNumber: event.blockNumber
+                });
+                continue;
+            }
+
+            const { requestId, paymentId, duration } = event.args;
+
+            // 確保所有必要參數都存在
+            if (!requestId || !paymentId || !duration) {
+                logger('warn', `Payment TimeRequestSent事件參數不完整`, {
+                    requestId,
+                    paymentId: paymentId?.toString(),
+                    duration: duration?.toString(),
+                    txHash: event.transactionHash,
+                    blockNumber: event.blockNumber
+                });
+                continue;
+            }
+
+            const eventTimestamp = (await event.getBlock()).timestamp;
+
+            logger('info', `Payment TimeRequestSent事件接收`, {
+                paymentId: paymentId.toString(),
+                requestId,
+                duration: duration.toString(),
+                eventTimestamp,
+                blockNumber: event.blockNumber
+            });
+
+            // 停機期間的事件可能已在重啟前履行，需確認合約仍在等待時間
+            if (event.blockNumber <= paymentReplayUntilBlock &&
+                !isTimeRequestPending(await paymentContract.getPayment(paymentId))) {
+                logger('info', `回補事件已履行或支付已結束，跳過`, {
+                    paymentId: paymentId.toString(),
+                    requestId,
+                    blockNumber: event.blockNumber
+                });
+                continue;
+            }
+
+            // 🔧 檢查是否存在對應的內存記錄來判斷是否為確認階段
+            const existingPayment = paymentTrades.get(paymentId.toString());
+            if (existingPayment) {
+                logger('info', `檢測到Payment確認階段事件`, {
+                    paymentId: paymentId.toString(),
+                    existingInceptionTime: existingPayment.inceptionTime,
+                    existingRequestId: existingPayment.lastRequestId,
+                    newRequestId: requestId
+                });
+            } else {
+                logger('info', `檢測到Payment初次創建事件`, {
+                    paymentId: paymentId.toString(),
+                    requestId
+                });
+            }
+
+            paymentBlockTracker.record(event.blockNumber, event.blockHash, [paymentId.toString()]);
+
+            // 回補的舊事件不計入延遲統計
+            if (event.blockNumber > paymentReplayUntilBlock) {
+                eventLatency.payment.record(Date.now() - eventTimestamp * 1000, eventSourceOf(paymentSubscriber));
+            }
+
+            entries.push({ requestId, paymentId: paymentId.toString(), duration, eventTimestamp, blockNumber: event.blockNumber });
+        }
+
+        const ready = enqueueTimeRequests(paymentEventQueue, entries, savePaymentEventQueue, processingPaymentTrades, 'paymentId');
+        if (entries.length > ready.length) {
+            logger('info', `Payment事件已加入隊列 - 交易正在處理中`, {
+                paymentIds: entries.filter(entry => !ready.includes(entry)).map(entry => entry.paymentId),
+                queueLength: paymentEventQueue.length
+            });
+        }
+
+        // 跨鏈驗證在寫入待驗證記錄（持久化）後即回傳，驗證本身不在此等待
+        const verifications = [];
+
+        // 🔧 新增：監聽 PaymentCompleted 事件進行跨鏈交易驗證
+        const paymentCompletedFilter = paymentContract.filters.PaymentCompleted();
+        const paymentCompletedEvents = await paymentContract.queryFilter(paymentCompletedFilter, fromBlock, toBlock);
+
+        for (const event of paymentCompletedEvents) {
+            // 安全地檢查事件參數
+            if (!event.args) {
+                logger('warn', `PaymentCompleted事件缺少args`, {
+                    txHash: event.transactionHash,
+                    blockNumber: event.blockNumber
+                });
+                continue;
+            }
+
+            const { id: paymentId, recipient, amount } = event.args;
+
+            // 確保所有必要參數都存在
+            if (!paymentId || !recipient || !amount) {
+                logger('warn', `PaymentCompleted事件參數不完整`, {
+                    paymentId: paymentId?.toString(),
+                    recipient,
+                    amount: amount?.toString(),
+                    txHash: event.transactionHash,
+                    blockNumber: event.blockNumber
+                });
+                continue;
+            }
+
+            logger('info', `Payment PaymentCompleted事件接收`, {
+                paymentId: paymentId.toString(),
+                recipient,
+                amount: amount.toString(),
+                txHash: event.transactionHash,
+                blockNumber: event.blockNumber
+            });
+
+            paymentBlockTracker.record(event.blockNumber, event.blockHash, [paymentId.toString()]);
+
+            // 觸發跨鏈交易驗證
+            verifications.push(withTradeContext('payment', paymentId, () =>
+                handlePaymentCompletedForCrossChainVerification(
+                    paymentId.toString(),
+                    event.transactionHash,
+                    event.blockNumber
+                ).catch(error => logger('error', `處理PaymentCompleted事件時發生錯誤`, {
+                    error: error.message,
+                    paymentId: paymentId.toString(),
+                    txHash: event.transactionHash
+                }))));
+        }
+
+        await Promise.all(verifications);
+        return ready;
+    }
+
+    // 合約是否仍在等待 Oracle 履行時間：尚未設定創建時間，或已確認但尚未設定確認時間
+    // getTrade / getPayment 回傳欄位：[4] state, [5] inceptionTime, [6] confirmationTime
+    function isTimeRequestPending(contractTrade) {
+        if (contractTrade[0] == 0) {
+            return false;
+        }
+        const state = Number(contractTrade[4]);
+        if (state === TradeState.INITIATED) {
+            return contractTrade[5] == 0;
+        }
+        return state === TradeState.CONFIRMED && contractTrade[6] == 0;
+    }
+
+    // 依合約當前狀態重建單一 Asset 交易的內存狀態
+    // 交易已結束或創建時間尚未履行時移除內存記錄，後者交由事件處理重新建立
+    async function reconcileAssetTrade(tradeId) {
+        const contractTrade = await assetContract.getTrade(tradeId);
+        const inceptionTime = Number(contractTrade[5]);
+        if (contractTrade[0] != 0) {
+            assetStates.observe(tradeId, contractTrade[4], { reason: 'reconcile' });
+        }
+
+        if (contractTrade[0] == 0 || isTerminal(contractTrade[4]) || inceptionTime === 0) {
+            if (assetTrades.delete(tradeId)) {
+                logger('info', `校正：Asset交易已結束或尚未履行創建時間，清理內存狀態`, {
+                    tradeId,
+                    state: contractTrade[4].toString()
+                });
+            }
+            return;
+        }
+
+        const existing = assetTrades.get(tradeId);
+        const phase = phaseFromContract(contractTrade[4], inceptionTime, contractTrade[6]);
+        if (!existing || existing.inceptionTime !== inceptionTime) {
+            assetTrades.set(tradeId, {
+                inceptionTime,
+                duration: Number(contractTrade[7]),
+                lastRequestId: existing?.lastRequestId ?? null,
+                lastRequestTime: Number(contractTrade[6]) || inceptionTime,
+                confirmationTime: Number(contractTrade[6]) || null,
+                phase
+            });
+            scheduleTradeDeadlines('asset', tradeId);
+            logger('info', `校正：已依合約狀態重建Asset交易`, {
+                tradeId,
+                inceptionTime,
+                duration: contractTrade[7].toString(),
+                phase
+            });
+        } else if (phaseOf(existing) !== phase) {
+            setTradePhase('asset', tradeId, phase, {
+                confirmationTime: Number(contractTrade[6]) || null
+            });
+        }
+    }
+
+    async function reconcilePaymentTrade(paymentId) {
+        const contractPayment = await paymentContract.getPayment(paymentId);
+        const inceptionTime = Number(contractPayment[5]);
+        if (contractPayment[0] != 0) {
+            paymentStates.observe(paymentId, contractPayment[4], { reason: 'reconcile' });
+        }
+
+        if (contractPayment[0] == 0 || isTerminal(contractPayment[4]) || inceptionTime === 0) {
+            if (paymentTrades.delete(paymentId)) {
+                logger('info', `校正：Payment交易已結束或尚未履行創建時間，清理內存狀態`, {
+                    paymentId,
+                    state: contractPayment[4].toString()
+                });
+            }
+            return;
+        }
+
+        const existing = paymentTrades.get(paymentId);
+        const phase = phaseFromContract(contractPayment[4], inceptionTime, contractPayment[6]);
+        if (!existing || existing.inceptionTime !== inceptionTime) {
+            paymentTrades.set(paymentId, {
+                inceptionTime,
+                duration: Number(contractPayment[7]),
+                lastRequestId: existing?.lastRequestId ?? null,
+                lastRequestTime: Number(contractPayment[6]) || inceptionTime,
+                confirmationTime: Number(contractPayment[6]) || null,
+                isConfirmationPhase: Number(contractPayment[6]) > 0,
+                phase
+            });
+            scheduleTradeDeadlines('payment', paymentId);
+            logger('info', `校正：已依合約狀態重建Payment交易`, {
+                paymentId,
+                inceptionTime,
+                duration: contractPayment[7].toString(),
+                phase
+            });
+        } else if (phaseOf(existing) !== phase) {
+            setTradePhase('payment', paymentId, phase, {
+                confirmationTime: Number(contractPayment[6]) || null,
+                isConfirmationPhase: Number(contractPayment[6]) > 0
+            });
+        }
+    }
+
+    // 以合約上的活躍交易校正內存狀態
+    async function reconcileAssetTrades() {
+        const activeIds = (await assetContract.getActiveTradeIds()).map(id => id.toString());
+        const activeSet = new Set(activeIds);
+
+        for (const tradeId of Array.from(assetTrades.keys())) {
+            if (!activeSet.has(tradeId)) {
+                logger('info', `校正：Asset交易已不在合約活躍列表，清理內存狀態`, { tradeId });
+                assetTrades.delete(tradeId);
+            }
+        }
+
+        for (const tradeId of activeIds) {
+            await reconcileAssetTrade(tradeId);
+        }
+
+        return activeIds.length;
+    }
+
+    async function reconcilePaymentTrades() {
+        const activeIds = (await paymentContract.getActivePaymentIds()).map(id => id.toString());
+        const activeSet = new Set(activeIds);
+
+        for (const paymentId of Array.from(paymentTrades.keys())) {
+            if (!activeSet.has(paymentId)) {
+                logger('info', `校正：Payment交易已不在合約活躍列表，清理內存狀態`, { paymentId });
+                paymentTrades.delete(paymentId);
+            }
+        }
+
+        for (const paymentId of activeIds) {
+            await reconcilePaymentTrade(paymentId);
+        }
+
+        return activeIds.length;
+    }
+
+    // 偵測 Asset 鏈重組：回滾游標到共同祖先，撤銷孤立區塊衍生的內存狀態並重放該範圍
+    async function detectAssetReorg() {
+        const reorg = await assetBlockTracker.findReorg(assetProvider);
+        if (!reorg) {
+            return;
+        }
+
+        const affectedTradeIds = assetBlockTracker.rollback(reorg.ancestor);
+        saveAssetBlockHashes();
+
+        logger('warn', '🔀 偵測到Asset鏈重組，回滾已處理區塊', {
+            ancestor: reorg.ancestor,
+            orphanedBlocks: reorg.orphanedBlocks,
+            lastProcessedBlock: assetLastProcessedBlock,
+            affectedTradeIds
+        });
+
+        // 移除來自孤立區塊的隊列事件（處理中的事件結束時不再寫回）
+        const remaining = assetEventQueue.filter(event => !(event.blockNumber > reorg.ancestor));
+        if (remaining.length !== assetEventQueue.length) {
+            assetEventQueue.splice(0, assetEventQueue.length, ...remaining);
+            saveAssetEventQueue();
+        }
+
+        for (const tradeId of affectedTradeIds) {
+            if (processingAssetTrades.has(tradeId)) {
+                logger('warn', '重組回滾：Asset交易正在處理中，略過狀態校正', { tradeId });
+                continue;
+            }
+            // 生命週期狀態只會前進，孤立事件推進的狀態需清除後依合約重新觀察
+            assetStates.forget(tradeId);
+            await reconcileAssetTrade(tradeId);
+        }
+
+        // 重放範圍內的事件需先確認請求仍待履行
+        assetReplayUntilBlock = Math.max(assetReplayUntilBlock, assetLastProcessedBlock);
+        setAssetLastProcessedBlock(Math.min(assetLastProcessedBlock, reorg.ancestor));
+    }
+
+    async function detectPaymentReorg() {
+        const reorg = await paymentBlockTracker.findReorg(paymentProvider);
+        if (!reorg) {
+            return;
+        }
+
+        const affectedPaymentIds = paymentBlockTracker.rollback(reorg.ancestor);
+        savePaymentBlockHashes();
+
+        logger('warn', '🔀 偵測到Payment鏈重組，回滾已處理區塊', {
+            ancestor: reorg.ancestor,
+            orphanedBlocks: reorg.orphanedBlocks,
+            lastProcessedBlock: paymentLastProcessedBlock,
+            affectedPaymentIds
+        });
+
+        const remaining = paymentEventQueue.filter(event => !(event.blockNumber > reorg.ancestor));
+        if (remaining.length !== paymentEventQueue.length) {
+            paymentEventQueue.splice(0, paymentEventQueue.length, ...remaining);
+            savePaymentEventQueue();
+        }
+
+        for (const paymentId of affectedPaymentIds) {
+            // 撤銷來自孤立 PaymentCompleted 事件的跨鏈驗證結果
+            const verification = pendingCrossChainVerifications.get(paymentId);
+            if (verification && verification.blockNumber > reorg.ancestor) {
+                pendingCrossChainVerifications.delete(paymentId);
+            }
+
+            const assetTradeId = crossChainTrades.get(`payment_${paymentId}`);
+            const assetTrade = assetTradeId && assetTrades.get(assetTradeId);
+
+            // 映射可能來自孤立的 PaymentInitiated 事件，依合約當前資料重建
+            unlinkCrossChainTrade(paymentId);
+            await resolveLinkedAssetTradeId(paymentId);
+
+            if (assetTrade?.crossChainVerified && assetTrade.verificationResult?.proof?.blockNumber > reorg.ancestor) {
+                assetTrade.crossChainVerified = false;
+                assetTrade.verificationResult = null;
+                assetTrade.verifiedAt = null;
+                assetTrades.persist(assetTradeId);
+                logger('warn', '重組回滾：撤銷Asset交易的跨鏈驗證結果', { assetTradeId, paymentId });
+            }
+
+            if (processingPaymentTrades.has(paymentId)) {
+                logger('warn', '重組回滾：Payment交易正在處理中，略過狀態校正', { paymentId });
+                continue;
+            }
+            paymentStates.forget(paymentId);
+            await reconcilePaymentTrade(paymentId);
+        }
+
+        paymentReplayUntilBlock = Math.max(paymentReplayUntilBlock, paymentLastProcessedBlock);
+        setPaymentLastProcessedBlock(Math.min(paymentLastProcessedBlock, reorg.ancestor));
+    }
+
+    // 清理兩側都已不存在的跨鏈映射，並依合約上的 assetTradeId 補回缺少的映射
+    async function reconcileCrossChainMappings() {
+        for (const [key, value] of Array.from(crossChainTrades.entries())) {
+            const [side, id] = key.split('_');
+            const assetTradeId = side === 'asset' ? id : value;
+            const paymentId = side === 'payment' ? id : value;
+            if (!assetTrades.has(assetTradeId) && !paymentTrades.has(paymentId)) {
+                crossChainTrades.delete(key);
+            }
+        }
+
+        for (const paymentId of Array.from(paymentTrades.keys())) {
+            await resolveLinkedAssetTradeId(paymentId);
+        }
+    }
+
+    // 啟動時回補停機期間遺漏的事件，完成後才進入即時輪詢
+    async function backfillMissedEvents() {
+        assetReplayUntilBlock = await assetProvider.getBlockNumber();
+        paymentReplayUntilBlock = await paymentProvider.getBlockNumber();
+
+        let activeAssetTrades = null;
+        let activePaymentTrades = null;
+        try {
+            activeAssetTrades = await reconcileAssetTrades();
+            activePaymentTrades = await reconcilePaymentTrades();
+            await reconcileCrossChainMappings();
+        } catch (error) {
+            logger('error', '校正合約活躍交易時發生錯誤，沿用持久化狀態', {
+                error: error.message
+            });
+        }
+
+        logger('info', '開始回補停機期間的事件', {
+            asset: {
+                fromBlock: assetLastProcessedBlock + 1,
+                toBlock: assetReplayUntilBlock,
+                activeTrades: activeAssetTrades
+            },
+            payment: {
+                fromBlock: paymentLastProcessedBlock + 1,
+                toBlock: paymentReplayUntilBlock,
+                activePayments: activePaymentTrades
+            },
+            chunkSize: EVENT_QUERY_CHUNK_SIZE
+        });
+
+        await runAssetPoll();
+        await runPaymentPoll();
+
+        logger('info', '事件回補完成', {
+            assetLastProcessedBlock,
+            paymentLastProcessedBlock,
+            assetTrades: assetTrades.size,
+            paymentTrades: paymentTrades.size
+        });
+    }
+
+    // Oracle 及兩條鏈的執行狀態（GET /status）
+    async function describeStatus() {
+        const assetBlock = await assetProvider.getBlockNumber();
+        const paymentBlock = await paymentProvider.getBlockNumber();
+
+        return {
+            status: 'running',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+            chains: {
+                asset: {
+                    contract: ASSET_CONTRACT_ADDRESS,
+                    lastProcessedBlock: assetLastProcessedBlock,
+                    currentBlock: assetBlock,
+                    activeTrades: Array.from(assetTrades.keys()),
+                    pendingEvents: assetEventQueue.length,
+                    pendingTransactions: assetTxManager.getPendingTransactions(),
+                    rpc: assetProvider.getStatus(),
+                    lifecycle: assetStates.getStats()
+                },
+                payment: {
+                    contract: PAYMENT_CONTRACT_ADDRESS,
+                    lastProcessedBlock: paymentLastProcessedBlock,
+                    currentBlock: paymentBlock,
+                    activePayments: Array.from(paymentTrades.keys()),
+                    pendingEvents: paymentEventQueue.length,
+                    pendingTransactions: paymentTxManager.getPendingTransactions(),
+                    rpc: paymentProvider.getStatus(),
+                    lifecycle: paymentStates.getStats(),
+                    headerChain: paymentHeaderChain.getStatus()
+                }
+            },
+            crossChainMappings: Object.fromEntries(
+                Array.from(crossChainTrades.entries())
+                .filter(([key]) => key.startsWith('asset_'))
+                .map(([key, value]) => [key.replace('asset_', ''), value])
+            ),
+            pendingCrossChainVerifications: Object.fromEntries(pendingCrossChainVerifications),
+            eventStream: eventStream.getStats(),
+            webhooks: webhookNotifier.getStats(),
+            signerBalances: describeSignerBalances(),
+            clock: clock.describe(),
+            logFile: logger.getCurrentLogFile(),
+            logWriter: logger.getStats()
+        };
+    }
+
+    // 合約中的 Asset 交易、對應的 Payment 及 Oracle 追蹤的階段 / 生命週期（GET /trade/:tradeId）
+    async function describeAssetTrade(tradeId) {
+        const tradeInfo = await assetContract.getTrade(tradeId);
+
+        const paymentId = crossChainTrades.get(`asset_${tradeId}`);
+        let paymentInfo = null;
+
+        if (paymentId) {
+            paymentInfo = await paymentContract.getPayment(paymentId);
+        }
+
+        return {
+            trade: {
+                id: tradeInfo[0].toString(),
+                amount: tradeInfo[1].toString(),
+                buyer: tradeInfo[2],
+                seller: tradeInfo[3],
+                state: Number(tradeInfo[4]),
+                inceptionTime: tradeInfo[5].toString(),
+                confirmationTime: tradeInfo[6].toString(),
+                duration: tradeInfo[7].toString()
+            },
+            payment: paymentInfo ? {
+                id: paymentInfo[0].toString(),
+                amount: paymentInfo[1].toString(),
+                buyer: paymentInfo[2],
+                seller: paymentInfo[3],
+                state: Number(paymentInfo[4]),
+                inceptionTime: paymentInfo[5].toString(),
+                confirmationTime: paymentInfo[6].toString(),
+                duration: paymentInfo[7].toString(),
+                assetTradeId: paymentInfo[8].toString()
+            } : null,
+            // 跨鏈映射來自 PaymentInitiated.assetTradeId，Payment ID 不必等於 Asset 交易 ID
+            crossChainLink: paymentId ? { assetTradeId: tradeId, paymentId } : null,
+            // Oracle 追蹤的交易階段及下一個期限
+            oraclePhase: {
+                asset: describeTradePhase('asset', tradeId),
+                payment: paymentId ? describeTradePhase('payment', paymentId) : null
+            },
+            // Oracle 狀態機記錄的生命週期狀態及最近的轉換
+            lifecycle: {
+                asset: assetStates.describe(tradeId),
+                payment: paymentId ? paymentStates.describe(paymentId) : null
+            },
+            // 跨鏈驗證結果及回執包含證明（供審計重新驗證）
+            crossChainVerification: assetTrades.get(tradeId)?.crossChainVerified ? {
+                verifiedAt: new Date(assetTrades.get(tradeId).verifiedAt).toISOString(),
+                proof: assetTrades.get(tradeId).verificationResult?.proof,
+                receiptProof: assetTrades.get(tradeId).verificationResult?.receiptProof
+            } : null,
+            // 最近一次雙重支付規則判定（創建或確認階段）
+            doubleSpendVerdict: doubleSpendVerdicts.get(tradeId) || null
+        };
+    }
+
+    // 合約中的 Payment、對應的 Asset 交易及 Oracle 追蹤的階段 / 生命週期（GET /payment/:paymentId）
+    async function describePayment(paymentId) {
+        const paymentInfo = await paymentContract.getPayment(paymentId);
+
+        const assetTradeId = paymentInfo[8].toString();
+        let tradeInfo = null;
+
+        if (assetTradeId && assetTradeId !== '0') {
+            tradeInfo = await assetContract.getTrade(assetTradeId);
+        }
+
+        return {
+            payment: {
+                id: paymentInfo[0].toString(),
+                amount: paymentInfo[1].toString(),
+                buyer: paymentInfo[2],
+                seller: paymentInfo[3],
+                state: Number(paymentInfo[4]),
+                inceptionTime: paymentInfo[5].toString(),
+                confirmationTime: paymentInfo[6].toString(),
+                duration: paymentInfo[7].toString(),
+                assetTradeId: assetTradeId
+            },
+            trade: tradeInfo ? {
+                id: tradeInfo[0].toString(),
+                amount: tradeInfo[1].toString(),
+                buyer: tradeInfo[2],
+                seller: tradeInfo[3],
+                state: Number(tradeInfo[4]),
+                inceptionTime: tradeInfo[5].toString(),
+                confirmationTime: tradeInfo[6].toString(),
+                duration: tradeInfo[7].toString()
+            } : null,
+            oraclePhase: {
+                payment: describeTradePhase('payment', paymentId),
+                asset: tradeInfo ? describeTradePhase('asset', assetTradeId) : null
+            },
+            lifecycle: {
+                payment: paymentStates.describe(paymentId),
+                asset: tradeInfo ? assetStates.describe(assetTradeId) : null
+            }
+        };
+    }
+
+    // 設置定時器（須在狀態恢復及區塊鏈連接初始化之後啟動）
+    const intervals = [];
+    // stop() 開始後不再開始新的工作；進行中的交易處理、驗證、輪詢及 HTTP 請求記錄在 inFlight
+    let stopping = false;
+    const inFlight = new Set();
+    function startTimers() {
+        logger('info', '設置定時器', {
+            assetEventPolling: `${EVENT_POLL_INTERVAL / 1000}秒`,
+            paymentEventPolling: `${EVENT_POLL_INTERVAL / 1000}秒`,
+            tradeDeadlines: deadlineScheduler.getStats().scheduled
+        });
+
+        // WebSocket 訂閱正常時由通知觸發處理，定時輪詢僅在訂閱中斷或長時間沒有通知時執行
+        intervals.push(setInterval(() => {
+            if (!isSubscriptionHealthy(assetSubscriber)) {
+                runAssetPoll();
+            }
+        }, EVENT_POLL_INTERVAL));
+        intervals.push(setInterval(() => {
+            if (!isSubscriptionHealthy(paymentSubscriber)) {
+                runPaymentPoll();
+            }
+        }, EVENT_POLL_INTERVAL));
+        intervals.push(setInterval(() => track((async () => {
+            await syncPaymentHeaders();
+            retryDeferredVerifications();
+        })()), 15000));
+        checkSignerBalances();
+        intervals.push(setInterval(checkSignerBalances, BALANCE_CHECK_INTERVAL));
+    }
+
+    // 檢查簽名帳戶餘額，餘額不足時 Oracle 無法送出 fulfillTime 及退款交易；
+    // 低於門檻時通知一次，回到門檻以上時再通知恢復
+    async function checkSignerBalances() {
+        const signers = { asset: [assetProvider, assetSigner], payment: [paymentProvider, paymentSigner] };
+        for (const [chain, [provider, signer]] of Object.entries(signers)) {
+            const entry = signerBalances[chain];
+            try {
+                entry.balance = await provider.getBalance(signer.address);
+                entry.checkedAt = new Date().toISOString();
+                oracleMetrics.signerBalance.set({ chain }, Number(ethers.formatEther(entry.balance)));
+            } catch (error) {
+                logger('warn', '讀取簽名帳戶餘額失敗', {
+                    chain,
+                    error: error.message
+                });
+                continue;
+            }
+
+            const low = entry.balance < entry.threshold;
+            const details = {
+                chain,
+                address: signer.address,
+                balance: ethers.formatEther(entry.balance),
+                threshold: ethers.formatEther(entry.threshold)
+            };
+            if (low && !entry.low) {
+                logger('warn', '簽名帳戶餘額低於門檻', details);
+                webhookNotifier.notify('balance.low', details,
+                    `${chain} 鏈簽名帳戶 ${signer.address} 餘額 ${details.balance} ETH，低於門檻 ${details.threshold} ETH`);
+            } else if (!low && entry.low) {
+                logger('info', '簽名帳戶餘額已恢復', details);
+                webhookNotifier.notify('balance.recovered', details,
+                    `${chain} 鏈簽名帳戶 ${signer.address} 餘額已恢復為 ${details.balance} ETH`);
+            }
+            entry.low = low;
+        }
+    }
+
+    function describeSignerBalances() {
+        return Object.fromEntries(Object.entries(signerBalances).map(([chain, entry]) => [chain, {
+            balance: entry.balance === null ? null : ethers.formatEther(entry.balance),
+            threshold: ethers.formatEther(entry.threshold),
+            low: entry.low,
+            checkedAt: entry.checkedAt
+        }]));
+    }
+
+    function isSubscriptionHealthy(subscriber) {
+        const lastMessageAt = subscriber?.stats.lastMessageAt;
+        return !!subscriber?.isConnected() && !!lastMessageAt && Date.now() - lastMessageAt < EVENT_POLL_INTERVAL * 2;
+    }
+
+    async function startSubscriptions() {
+        if (EVENT_SOURCE !== 'websocket') {
+            return;
+        }
+
+        if (!ASSET_ETHEREUM_WS_URL || !PAYMENT_ETHEREUM_WS_URL) {
+            logger('warn', '未設定 WebSocket URL，繼續使用輪詢模式', {
+                assetWsConfigured: !!ASSET_ETHEREUM_WS_URL,
+                paymentWsConfigured: !!PAYMENT_ETHEREUM_WS_URL
+            });
+        }
+
+        if (ASSET_ETHEREUM_WS_URL) {
+            assetSubscriber = new EventSubscriber({
+                name: 'Asset',
+                url: ASSET_ETHEREUM_WS_URL,
+                address: ASSET_CONTRACT_ADDRESS,
+                onTrigger: () => runAssetPoll()
+            });
+            await assetSubscriber.start();
+        }
+
+        if (PAYMENT_ETHEREUM_WS_URL) {
+            paymentSubscriber = new EventSubscriber({
+                name: 'Payment',
+                url: PAYMENT_ETHEREUM_WS_URL,
+                address: PAYMENT_CONTRACT_ADDRESS,
+                onTrigger: () => runPaymentPoll()
+            });
+            await paymentSubscriber.start();
+        }
+    }
+
+
+    // Oracle 追蹤中的交易（內存記錄）：對應的交易 ID、目前階段、下一個期限及生命週期狀態
+    function listTrades() {
+        const describe = (chain, id, linkedKey) => {
+            const lifecycle = (chain === 'asset' ? assetStates : paymentStates).describe(id);
+            return {
+                id,
+                [linkedKey]: crossChainTrades.get(`${chain}_${id}`) || null,
+                ...describeTradePhase(chain, id),
+                state: lifecycle ? lifecycle.stateName : null
+            };
+        };
+        return {
+            asset: Array.from(assetTrades.keys()).map(id => describe('asset', id, 'paymentId')),
+            payment: Array.from(paymentTrades.keys()).map(id => describe('payment', id, 'assetTradeId'))
+        };
+    }
+
+    // 立即處理兩條鏈的新事件（關閉定時器時由使用者驅動）
+    async function poll() {
+        await runAssetPoll();
+        await runPaymentPoll();
+    }
+
+    // 統計資訊（與 GET /stats 相同）：兩條鏈追蹤中的交易、區塊進度、交易管理器及事件來源
+    async function describeStats() {
+        const currentTime = clock.nowSeconds();
+
+        // 計算各種統計
+        const assetTradeStats = {
+            total: assetTrades.size,
+            processing: processingAssetTrades.size,
+            queued: assetEventQueue.length,
+            oldestTrade: null,
+            newestTrade: null
+        };
+
+        const paymentTradeStats = {
+            total: paymentTrades.size,
+            processing: processingPaymentTrades.size,
+            queued: paymentEventQueue.length,
+            oldestPayment: null,
+            newestPayment: null
+        };
+
+        // 找出最舊和最新的交易
+        if (assetTrades.size > 0) {
+            let oldest = Infinity;
+            let newest = 0;
+            for (const [tradeId, trade] of assetTrades.entries()) {
+                if (trade.inceptionTime < oldest) {
+                    oldest = trade.inceptionTime;
+                    assetTradeStats.oldestTrade = {
+                        id: tradeId,
+                        age: currentTime - trade.inceptionTime,
+                        duration: trade.duration
+                    };
+                }
+                if (trade.inceptionTime > newest) {
+                    newest = trade.inceptionTime;
+                    assetTradeStats.newestTrade = {
+                        id: tradeId,
+                        age: currentTime - trade.inceptionTime,
+                        duration: trade.duration
+                    };
+                }
+            }
+        }
+
+        if (paymentTrades.size > 0) {
+            let oldest = Infinity;
+            let newest = 0;
+            for (const [paymentId, payment] of paymentTrades.entries()) {
+                if (payment.inceptionTime < oldest) {
+                    oldest = payment.inceptionTime;
+                    paymentTradeStats.oldestPayment = {
+                        id: paymentId,
+                        age: currentTime - payment.inceptionTime,
+                        duration: payment.duration
+                    };
+                }
+                if (payment.inceptionTime > newest) {
+                    newest = payment.inceptionTime;
+                    paymentTradeStats.newestPayment = {
+                        id: paymentId,
+                        age: currentTime - payment.inceptionTime,
+                        duration: payment.duration
+                    };
+                }
+            }
+        }
+
+        const statsData = {
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+            memoryUsage: process.memoryUsage(),
+            assetChain: assetTradeStats,
+            paymentChain: paymentTradeStats,
+            crossChainMappings: crossChainTrades.size,
+            blockProgress: {
+                asset: {
+                    lastProcessed: assetLastProcessedBlock,
+                    current: await assetProvider.getBlockNumber()
+                },
+                payment: {
+                    lastProcessed: paymentLastProcessedBlock,
+                    current: await paymentProvider.getBlockNumber()
+                }
+            },
+            transactions: {
+                asset: assetTxManager.getStats(),
+                payment: paymentTxManager.getStats()
+            },
+            events: {
+                source: EVENT_SOURCE,
+                asset: {
+                    mode: eventSourceOf(assetSubscriber),
+                    latency: eventLatency.asset.getStats(),
+                    subscription: assetSubscriber?.getStats() || null
+                },
+                payment: {
+                    mode: eventSourceOf(paymentSubscriber),
+                    latency: eventLatency.payment.getStats(),
+                    subscription: paymentSubscriber?.getStats() || null
+                }
+            }
+        };
+
+        return statsData;
+    }
+
+    // 即將到來的交易期限（依到期順序，與 GET /deadlines 相同）
+    function describeDeadlines(limit) {
+        const now = clock.now();
+
+        // 交易進入終止狀態時 handleTradeTerminal 會取消期限；以其他方式移除內存記錄（例如重新校正）時
+        // 期限可能仍在排程中，觸發時直接略過，此處一併排除
+        const deadlines = deadlineScheduler.upcoming(Infinity)
+            .filter(({ payload }) => (payload.chain === 'asset' ? assetTrades : paymentTrades).has(payload.id))
+            .slice(0, limit)
+            .map(({ dueAt, payload }) => ({
+                chain: payload.chain,
+                id: payload.id,
+                type: payload.type,
+                dueAt: new Date(dueAt).toISOString(),
+                remainingSeconds: Math.round((dueAt - now) / 1000)
+            }));
+
+        return {
+            timestamp: new Date(now).toISOString(),
+            scheduler: deadlineScheduler.getStats(),
+            deadlines
+        };
+    }
+
+    // 兩條鏈的連線狀態（與 GET /health 相同）：一條鏈無法連線時為 degraded，兩條皆無法連線時為 unhealthy
+    async function describeHealth() {
+        const healthData = {
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            services: {
+                assetChain: 'unknown',
+                paymentChain: 'unknown',
+                database: 'healthy'
+            },
+            version: process.version,
+            uptime: process.uptime()
+        };
+
+        // 檢查 Asset 鏈連接
+        try {
+            await assetProvider.getBlockNumber();
+            healthData.services.assetChain = 'healthy';
+        } catch (error) {
+            healthData.services.assetChain = 'unhealthy';
+            healthData.status = 'degraded';
+        }
+
+        // 檢查 Payment 鏈連接
+        try {
+            await paymentProvider.getBlockNumber();
+            healthData.services.paymentChain = 'healthy';
+        } catch (error) {
+            healthData.services.paymentChain = 'unhealthy';
+            healthData.status = 'degraded';
+        }
+
+        // 如果兩個鏈都不健康，標記為不健康
+        if (healthData.services.assetChain === 'unhealthy' && healthData.services.paymentChain === 'unhealthy') {
+            healthData.status = 'unhealthy';
+        }
+
+        return healthData;
+    }
+
+    // 讀取合約上的交易狀態，供管理操作預覽及比對執行結果；交易結束後合約會移除記錄
+    async function readContractTradeState(chain, id) {
+        const contractTrade = chain === 'asset'
+            ? await assetReadContract.getTrade(id)
+            : await paymentReadContract.getPayment(id);
+        if (contractTrade[0] == 0) {
+            return { exists: false };
+        }
+
+        (chain === 'asset' ? assetStates : paymentStates).observe(id, contractTrade[4], { reason: 'admin' });
+        return {
+            exists: true,
+            state: Number(contractTrade[4]),
+            stateName: stateName(contractTrade[4]),
+            inceptionTime: Number(contractTrade[5]),
+            confirmationTime: Number(contractTrade[6]),
+            duration: Number(contractTrade[7]),
+            timeRequestPending: isTimeRequestPending(contractTrade)
+        };
+    }
+
+    // 管理操作對應的狀態機操作；補發時間履行依合約正在等待的時間決定
+    function adminStateAction(action, contractState) {
+        if (action === 'fail') {
+            return 'failConfirmation';
+        }
+        if (action === 'execution-timeout') {
+            return 'executionTimeout';
+        }
+        if (!contractState.timeRequestPending) {
+            return null;
+        }
+        return contractState.state === TradeState.INITIATED ? 'fulfillInception' : 'fulfillConfirmation';
+    }
+
+    // 檢查管理操作在交易目前狀態下是否合法，不合法時回傳原因
+    function checkAdminAction(chain, id, stateAction) {
+        if (!stateAction) {
+            return `${chain} 交易 ${id} 未在等待時間履行`;
+        }
+        try {
+            (chain === 'asset' ? assetStates : paymentStates).assertAction(id, stateAction);
+            return null;
+        } catch (error) {
+            if (error instanceof IllegalTransitionError) {
+                return error.message;
+            }
+            throw error;
+        }
+    }
+
+    // 內存記錄沒有請求 ID 時，往回搜尋該交易最近的 TimeRequestSent 事件
+    // 合約的 fulfillTime 依交易目前狀態處理，任何屬於該交易的請求 ID 皆可使用
+    async function findLatestTimeRequest(chain, id) {
+        const contract = chain === 'asset' ? assetContract : paymentContract;
+        const provider = chain === 'asset' ? assetProvider : paymentProvider;
+        const idField = chain === 'asset' ? 'tradeId' : 'paymentId';
+        const startBlock = (chain === 'asset' ? ASSET_START_BLOCK : PAYMENT_START_BLOCK) ?? 0;
+
+        const head = await provider.getBlockNumber();
+        const lowest = Math.max(startBlock, head - ADMIN_REQUEST_LOOKBACK);
+        for (let toBlock = head; toBlock >= lowest; toBlock -= EVENT_QUERY_CHUNK_SIZE) {
+            const fromBlock = Math.max(lowest, toBlock - EVENT_QUERY_CHUNK_SIZE + 1);
+            const events = await contract.queryFilter(contract.filters.TimeRequestSent(), fromBlock, toBlock);
+            const match = events.reverse().find(event => event.args?.[idField]?.toString() === String(id));
+            if (match) {
+                return match.args.requestId;
+            }
+        }
+        return null;
+    }
+
+    // 以既有的處理函數執行管理操作
+    async function runAdminTradeAction(chain, id, action, contractState) {
+        const isAsset = chain === 'asset';
+
+        if (action === 'refulfill') {
+            // 先依合約校正內存記錄：創建時間尚未履行時移除記錄，讓事件處理重新走創建流程
+            await (isAsset ? reconcileAssetTrade(id) : reconcilePaymentTrade(id));
+            const record = (isAsset ? assetTrades : paymentTrades).get(id);
+            const requestId = record?.lastRequestId || await findLatestTimeRequest(chain, id);
+            if (!requestId) {
+                throw new Error(`最近 ${ADMIN_REQUEST_LOOKBACK} 個區塊內找不到交易 ${id} 的時間請求事件`);
+            }
+
+            const handler = isAsset ? handleAssetTimeRequest : handlePaymentTimeRequest;
+            await handler(requestId, id, contractState.duration, clock.nowSeconds(), null);
+            return;
+        }
+
+        const processing = isAsset ? processingAssetTrades : processingPaymentTrades;
+        processing.add(id);
+        try {
+            if (action === 'fail') {
+                await (isAsset ? handleAssetFailedConfirmation(id) : handlePaymentFailedConfirmation(id));
+            } else {
+                await (isAsset ? handleAssetExecutionTimeout(id) : handlePaymentExecutionTimeout(id));
+            }
+        } catch (error) {
+            // 處理函數已記錄錯誤，由執行後的合約狀態判定是否成功
+        } finally {
+            processing.delete(id);
+        }
+    }
+
+    // 處理函數失敗時只記錄錯誤，以執行後的合約狀態判定是否成功
+    function adminActionSucceeded(action, after) {
+        if (!after.exists) {
+            return true;
+        }
+        if (action === 'refulfill') {
+            return !after.timeRequestPending;
+        }
+        return after.state === TradeState.FAILED;
+    }
+
+    // 管理操作在交易目前狀態下對應的狀態機操作；不合法時 rejection 為原因
+    function planAdminAction(chain, id, action, contractState) {
+        const stateAction = adminStateAction(action, contractState);
+        return { stateAction, rejection: checkAdminAction(chain, id, stateAction) };
+    }
+
+    function isTradeProcessing(chain, id) {
+        return (chain === 'asset' ? processingAssetTrades : processingPaymentTrades).has(id);
+    }
+
+    // 執行管理操作，回傳執行後的合約狀態及是否成功
+    async function executeAdminAction(chain, id, action, contractState, actor) {
+        await withTradeContext(chain, id, () => runAdminTradeAction(chain, id, action, contractState), { actor });
+        const after = await readContractTradeState(chain, id);
+        return { after, succeeded: adminActionSucceeded(action, after) };
+    }
+
+    // 事件處理游標及追蹤中的交易數，供重新校正前後比對
+    function describeSyncProgress() {
+        return {
+            assetLastProcessedBlock,
+            paymentLastProcessedBlock,
+            assetTrades: assetTrades.size,
+            paymentTrades: paymentTrades.size
+        };
+    }
+
+    // 重新校正：指定起始區塊時將游標退回該區塊之前，回補事件並重建期限
+    async function resync({ assetFromBlock = null, paymentFromBlock = null } = {}) {
+        if (assetFromBlock !== null) {
+            setAssetLastProcessedBlock(Math.min(assetLastProcessedBlock, assetFromBlock - 1));
+        }
+        if (paymentFromBlock !== null) {
+            setPaymentLastProcessedBlock(Math.min(paymentLastProcessedBlock, paymentFromBlock - 1));
+        }
+        await backfillMissedEvents();
+        rebuildTradeDeadlines();
+        return describeSyncProgress();
+    }
+
+    // HTTP API（httpApi.js）是核心之上的可選層，第一次取用時才建立（API 金鑰、存取日誌及稽核檔案只在使用時開啟）
+    let httpApi = null;
+
+    function getHttpApi() {
+        if (!httpApi) {
+            httpApi = createHttpApi({
+                clock,
+                metrics,
+                eventStream,
+                webhookNotifier,
+                describeStatus,
+                describeAssetTrade,
+                describePayment,
+                describeStats,
+                describeDeadlines,
+                describeHealth,
+                describeSyncProgress,
+                describeSchedulerStats: () => deadlineScheduler.getStats(),
+                readContractTradeState,
+                planAdminAction,
+                isTradeProcessing,
+                executeAdminAction,
+                resync
+            }, config);
+        }
+        return httpApi;
+    }
+
+
+    async function start() {
+        await restorePersistedState();
+        await initializeEthers();
+        await backfillMissedEvents();
+        resumePendingWork();
+        rebuildTradeDeadlines();
+        deadlineScheduler.start();
+        if (options.timers) {
+            startTimers();
+        }
+        await startSubscriptions();
+        if (options.http) {
+            await getHttpApi().listen();
+        }
+    }
+
+    // 等待進行中的工作完成；完成的工作可能派生新的工作（例如輪詢觸發的事件處理），直到清空或超過 giveUpAt，回傳未完成的數量
+    async function drainInFlight(giveUpAt) {
+        while (inFlight.size > 0 && Date.now() < giveUpAt) {
+            let timer;
+            await Promise.race([
+                Promise.allSettled(Array.from(inFlight)),
+                new Promise(resolve => {
+                    timer = setTimeout(resolve, giveUpAt - Date.now());
+                })
+            ]);
+            clearTimeout(timer);
+        }
+        return inFlight.size;
+    }
+
+    // 停止接受新工作（計時器、期限、訂閱通知、HTTP 連線），等待進行中的處理、驗證、輪詢、HTTP 請求及 webhook 傳送完成
+    // （最多 SHUTDOWN_TIMEOUT），逾時則中止仍在等待上鏈的交易；最後壓縮並關閉狀態存儲，確保所有變更已落盤
+    async function stop() {
+        // 記錄當前狀態
+        logger('info', '關閉時狀態統計', {
+            activeAssetTrades: assetTrades.size,
+            activePaymentTrades: paymentTrades.size,
+            assetEventQueue: assetEventQueue.length,
+            paymentEventQueue: paymentEventQueue.length,
+            crossChainMappings: crossChainTrades.size,
+            inFlight: inFlight.size,
+            uptime: process.uptime()
+        });
+
+        // 隊列中尚未開始的事件及待重試的驗證保留在狀態存儲，重啟後繼續處理
+        stopping = true;
+        intervals.splice(0).forEach(timer => clearInterval(timer));
+        deadlineScheduler.stop();
+        eventStream.close();
+        if (httpApi) {
+            track(httpApi.close());
+        }
+        await Promise.all([assetSubscriber?.stop(), paymentSubscriber?.stop()]);
+
+        const giveUpAt = Date.now() + SHUTDOWN_TIMEOUT;
+        await drainInFlight(giveUpAt);
+        // 處理函數送出的通知在處理完成後才加入，最後再等待一次
+        track(webhookNotifier.idle());
+        let unfinished = await drainInFlight(giveUpAt);
+        if (unfinished > 0) {
+            logger('warn', '關閉逾時，中止仍在等待上鏈的交易', {
+                unfinished,
+                shutdownTimeout: SHUTDOWN_TIMEOUT
+            });
+        }
+
+        // 等待中的 send() 以 TX_ABORTED 拒絕並清除查詢計時器；已廣播的交易重啟後由對帳及重放處理
+        assetTxManager?.stop();
+        paymentTxManager?.stop();
+        if (unfinished > 0) {
+            unfinished = await drainInFlight(Date.now() + SHUTDOWN_ABORT_GRACE);
+            if (unfinished > 0) {
+                logger('error', '關閉時仍有工作未完成，狀態存儲關閉後其寫入將失敗', { unfinished });
+            }
+        }
+
+        webhookNotifier.close();
+        assetProvider?.destroy();
+        paymentProvider?.destroy();
+
+        try {
+            await stateStore.close();
+        } catch (error) {
+            logger('error', '關閉狀態存儲時發生錯誤', {
+                error: error.message
+            });
+        }
+    }
+
+    return {
+        clock,
+        start,
+        stop,
+        poll,
+        getApp: () => getHttpApi().app,
+        address: () => httpApi?.address() || null,
+        describeStatus,
+        describeAssetTrade,
+        describePayment,
+        listTrades
+    };
+}
+
+class Oracle extends EventEmitter {
+    /**
+     * @param {object} config - 配置，鍵名與環境變數相同（見 .env.example），預設為 process.env
+     * @param {object} options
+     * @param {boolean} options.http - start() 時是否監聽 SERVER_PORT 提供 HTTP API，預設 true
+     * @param {boolean} options.timers - 是否啟動定時輪詢、區塊頭同步及餘額檢查，預設 true
+     * @param {object} options.clock - 取代 ORACLE_CLOCK 的時鐘實例（見 services/clock.js）
+     */
+    constructor(config = process.env, options = {}) {
+        super();
+        this.config = loadConfig(config);
+        this.options = {
+            http: options.http !== false,
+            timers: options.timers !== false,
+            clock: options.clock || null
+        };
+        this.status = 'created';
+        this.stopping = null;
+        this.runtime = createRuntime(this, this.config, this.options);
+    }
+
+    /**
+     * 恢復持久化狀態、連線兩條鏈、回補停機期間的事件並開始處理；每個實例只能啟動一次
+     */
+    async start() {
+        if (this.status !== 'created') {
+            throw new Error(`Oracle 目前狀態為 ${this.status}，每個實例只能啟動一次`);
+        }
+        this.status = 'starting';
+        this.emit('starting');
+        try {
+            await this.runtime.start();
+        } catch (error) {
+            this.status = 'failed';
+            throw error;
+        }
+        this.status = 'running';
+        this.emit('started', { address: this.address() });
+        return this;
+    }
+
+    /**
+     * 停止接受新工作，等待進行中的處理完成（最多 SHUTDOWN_TIMEOUT）後關閉所有資源（可重複呼叫，回傳同一個 Promise）；
+     * 啟動失敗後也應呼叫以釋放資源
+     */
+    stop() {
+        if (!this.stopping) {
+            this.stopping = (async () => {
+                this.status = 'stopping';
+                this.emit('stopping');
+                await this.runtime.stop();
+                this.status = 'stopped';
+                this.emit('stopped');
+            })();
+        }
+        return this.stopping;
+    }
+
+    // Express app（第一次取用時建立），可掛載到其他 Express 服務
+    get app() {
+        return this.runtime.getApp();
+    }
+
+    get clock() {
+        return this.runtime.clock;
+    }
+
+    // HTTP 服務的位址（{ address, port }），未監聽時為 null
+    address() {
+        return this.runtime.address();
+    }
+
+    // 立即處理兩條鏈的新事件
+    poll() {
+        return this.runtime.poll();
+    }
+
+    /**
+     * Asset 交易的合約資料、對應的 Payment、Oracle 追蹤的階段、生命週期、跨鏈驗證及雙重支付判定（與 GET /trade/:tradeId 相同）
+     */
+    getTrade(tradeId) {
+        return this.runtime.describeAssetTrade(String(tradeId));
+    }
+
+    /**
+     * Payment 的合約資料、對應的 Asset 交易、階段及生命週期（與 GET /payment/:paymentId 相同）
+     */
+    getPayment(paymentId) {
+        return this.runtime.describePayment(String(paymentId));
+    }
+
+    /**
+     * Oracle 追蹤中的交易
+     * @returns {{asset: object[], payment: object[]}}
+     */
+    listTrades() {
+        return this.runtime.listTrades();
+    }
+
+    // 與 GET /status 相同
+    getStatus() {
+        return this.runtime.describeStatus();
+    }
+}
+
+module.exports = Oracle;
@@ -0,0 +1,100 @@
+/**
+ * 管理 API 防護
+ * 人工處理卡住的交易會直接送出鏈上交易，因此管理路由除了需要 admin 角色（見 apiAuth.js）之外：
+ *   1. 二段式確認：第一次請求只回傳預覽及一次性確認令牌，帶令牌再次請求才執行
+ *   2. 每個操作（請求、執行、拒絕、失敗）寫入稽核檔案（JSON Lines，僅附加）
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+function stringify(value) {
+    return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item);
+}
+
+class AdminGuard {
+    /**
+     * @param {object} options
+     * @param {number} options.confirmationTtl - 確認令牌有效毫秒數
+     * @param {string} options.auditFile - 稽核檔案路徑，預設與日誌同目錄
+     */
+    constructor(options = {}) {
+        this.confirmationTtl = options.confirmationTtl || 120000;
+        this.auditFile = options.auditFile || path.join(__dirname, '..', 'logs', 'admin-audit.jsonl');
+        this.confirmations = new Map(); // token -> { action, target, expiresAt }
+
+        fs.mkdirSync(path.dirname(this.auditFile), { recursive: true });
+    }
+
+    /**
+     * 為指定操作發出一次性確認令牌
+     */
+    issueConfirmation(action, target) {
+        this.pruneConfirmations();
+        const token = crypto.randomBytes(16).toString('hex');
+        const expiresAt = Date.now() + this.confirmationTtl;
+        this.confirmations.set(token, { action, target, expiresAt });
+        return { confirmationToken: token, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    /**
+     * 驗證並作廢確認令牌；令牌必須屬於同一個操作及目標
+     * @returns {string|null} 驗證失敗的原因
+     */
+    consumeConfirmation(token, action, target) {
+        this.pruneConfirmations();
+        const entry = this.confirmations.get(token);
+        if (!entry) {
+            return '確認令牌不存在或已過期';
+        }
+        if (entry.action !== action || entry.target !== target) {
+            return '確認令牌不屬於此操作';
+        }
+        this.confirmations.delete(token);
+        return null;
+    }
+
+    pruneConfirmations() {
+        const now = Date.now();
+        for (const [token, entry] of this.confirmations) {
+            if (entry.expiresAt <= now) {
+                this.confirmations.delete(token);
+            }
+        }
+    }
+
+    /**
+     * 寫入一筆稽核記錄
+     * @param {object} entry - { outcome, action, target, actor, ... }
+     */
+    audit(entry) {
+        const record = { at: new Date().toISOString(), ...entry };
+        try {
+            fs.appendFileSync(this.auditFile, stringify(record) + '\n');
+        } catch (error) {
+            logger('error', '寫入管理稽核記錄時發生錯誤', {
+                error: error.message
+            });
+        }
+        logger(entry.outcome === 'executed' || entry.outcome === 'requested' ? 'info' : 'warn', '管理操作', record);
+        return record;
+    }
+
+    /**
+     * 讀取最近的稽核記錄
+     */
+    recentAudit(limit = 100) {
+        if (!fs.existsSync(this.auditFile)) {
+            return [];
+        }
+        return fs.readFileSync(this.auditFile, 'utf8')
+            .split('\n')
+            .filter(Boolean)
+            .slice(-limit)
+            .map(line => JSON.parse(line));
+    }
+}
+
+module.exports = AdminGuard;
@@ -0,0 +1,317 @@
+/**
+ * API 驗證、角色及限流
+ * 每個請求依下列方式辨識呼叫者：
+ *   Authorization: Bearer <secret>                 以 API 金鑰驗證
+ *   X-API-Key / X-API-Timestamp / X-API-Signature  以 HMAC-SHA256 簽章驗證，簽章內容為
+ *                                                  「timestamp\nMETHOD\n原始路徑\nsha256(body)」，密鑰不在網路上傳輸
+ *   未帶憑證                                        允許匿名時視為 public 角色
+ *
+ * 角色由低到高為 public < operator < admin，路由依前綴對應所需角色（不分大小寫，與 Express 路由比對一致）；
+ * 每個金鑰（匿名請求依 IP）各自限流，驗證失敗的 401 回應也計入該 IP 的限流，所有請求寫入存取日誌（JSON Lines）。
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const ROLES = ['public', 'operator', 'admin'];
+
+// 路由前綴 -> 所需角色，較長的前綴優先；未列出的路由使用 defaultRole
+const DEFAULT_ROUTE_ROLES = {
+    '/health': 'public',
+    '/trade': 'public',
+    '/payment': 'public',
+    '/deadlines': 'public',
+    '/events': 'public',
+    '/status': 'operator',
+    '/stats': 'operator',
+    '/metrics': 'operator',
+    '/logs': 'admin',
+    '/admin': 'admin'
+};
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function roleRank(role) {
+    return ROLES.indexOf(role);
+}
+
+class ApiAuth {
+    /**
+     * @param {object} options
+     * @param {object[]} options.keys - [{ id, role, secret, rateLimit }]
+     * @param {boolean} options.allowAnonymous - 未帶憑證的請求是否視為 public 角色
+     * @param {object} options.routeRoles - 覆寫預設的路由角色
+     * @param {string} options.defaultRole - 未列出路由所需的角色
+     * @param {object} options.rateLimits - 各角色每分鐘請求數 { public, operator, admin }
+     * @param {number} options.maxClockSkew - HMAC 時間戳允許的誤差秒數
+     * @param {string} options.accessLogFile - 存取日誌路徑，預設與日誌同目錄
+     */
+    constructor(options = {}) {
+        this.allowAnonymous = options.allowAnonymous !== false;
+        this.routeRoles = { ...DEFAULT_ROUTE_ROLES, ...(options.routeRoles || {}) };
+        this.defaultRole = options.defaultRole || 'operator';
+        this.rateLimits = { public: 60, operator: 600, admin: 600, ...(options.rateLimits || {}) };
+        this.maxClockSkew = options.maxClockSkew || 300;
+        this.accessLogFile = options.accessLogFile || path.join(__dirname, '..', 'logs', 'access.jsonl');
+
+        this.keysById = new Map();
+        this.keysBySecret = new Map(); // sha256(secret) -> key，比對雜湊避免逐字元比較洩漏時間差
+        for (const key of options.keys || []) {
+            this.addKey(key);
+        }
+        for (const [route, role] of Object.entries(this.routeRoles)) {
+            if (!ROLES.includes(role)) {
+                throw new Error(`路由 ${route} 的角色無效: ${role}`);
+            }
+        }
+
+        this.buckets = new Map(); // 限流識別 -> { tokens, updatedAt }
+        this.seenSignatures = new Map(); // 簽章 -> 過期時間，防止 HMAC 請求重放
+
+        fs.mkdirSync(path.dirname(this.accessLogFile), { recursive: true });
+        this.accessLog = fs.createWriteStream(this.accessLogFile, { flags: 'a' });
+        this.accessLog.on('error', error => logger('error', '寫入存取日誌時發生錯誤', {
+            error: error.message
+        }));
+    }
+
+    /**
+     * 解析 "id:role:secret[:每分鐘請求數]" 以逗號分隔的金鑰設定
+     */
+    static parseKeys(value) {
+        if (!value) {
+            return [];
+        }
+        return value.split(',')
+            .map(item => item.trim())
+            .filter(Boolean)
+            .map(item => {
+                const [id, role, secret, rateLimit] = item.split(':').map(part => part.trim());
+                if (!id || !role || !secret) {
+                    throw new Error(`API 金鑰設定格式錯誤，應為 id:role:secret[:rateLimit]`);
+                }
+                return { id, role, secret, rateLimit: parseInt(rateLimit) || null };
+            });
+    }
+
+    /**
+     * 解析 "/route:role" 以逗號分隔的路由角色設定
+     */
+    static parseRouteRoles(value) {
+        if (!value) {
+            return {};
+        }
+        return Object.fromEntries(value.split(',')
+            .map(item => item.trim())
+            .filter(Boolean)
+            .map(item => item.split(':').map(part => part.trim())));
+    }
+
+    addKey(key) {
+        if (!ROLES.includes(key.role)) {
+            throw new Error(`API 金鑰 ${key.id} 的角色無效: ${key.role}`);
+        }
+        if (this.keysById.has(key.id)) {
+            throw new Error(`API 金鑰 ID 重複: ${key.id}`);
+        }
+        this.keysById.set(key.id, key);
+        this.keysBySecret.set(sha256(key.secret), key);
+    }
+
+    hasRole(role) {
+        return Array.from(this.keysById.values()).some(key => roleRank(key.role) >= roleRank(role));
+    }
+
+    // Express 路由預設不分大小寫，比對前先轉為小寫，避免 /LOGS 繞過 /logs 的角色要求
+    requiredRole(requestPath) {
+        const normalized = requestPath.toLowerCase();
+        const match = Object.keys(this.routeRoles)
+            .filter(route => {
+                const prefix = route.toLowerCase();
+                return normalized === prefix || normalized.startsWith(`${prefix}/`);
+            })
+            .sort((a, b) => b.length - a.length)[0];
+        return match ? this.routeRoles[match] : this.defaultRole;
+    }
+
+    /**
+     * 辨識呼叫者
+     * @returns {{keyId: string|null, role: string, method: string}|{error: string}}
+     */
+    identify(req) {
+        const authorization = req.get('Authorization');
+        if (authorization) {
+            const [scheme, secret] = authorization.split(' ');
+            const key = scheme === 'Bearer' && secret && this.keysBySecret.get(sha256(secret));
+            return key ? { keyId: key.id, role: key.role, method: 'bearer' } : { error: 'API 金鑰無效' };
+        }
+
+        const keyId = req.get('X-API-Key');
+        if (keyId) {
+            return this.verifySignature(req, keyId);
+        }
+
+        return this.allowAnonymous
+            ? { keyId: null, role: 'public', method: 'anonymous' }
+            : { error: '需要 API 金鑰' };
+    }
+
+    verifySignature(req, keyId) {
+        const key = this.keysById.get(keyId);
+        const timestamp = parseInt(req.get('X-API-Timestamp'));
+        const signature = req.get('X-API-Signature') || '';
+        if (!key || !timestamp || !signature) {
+            return { error: 'HMAC 簽章不完整或金鑰不存在' };
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (Math.abs(now - timestamp) > this.maxClockSkew) {
+            return { error: 'HMAC 時間戳超出允許範圍' };
+        }
+
+        const payload = [timestamp, req.method, req.originalUrl, sha256(req.rawBody || '')].join('\n');
+        const expected = crypto.createHmac('sha256', key.secret).update(payload).digest('hex');
+        if (signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            return { error: 'HMAC 簽章無效' };
+        }
+
+        this.pruneSignatures(now);
+        if (this.seenSignatures.has(signature)) {
+            return { error: 'HMAC 簽章已使用過' };
+        }
+        this.seenSignatures.set(signature, timestamp + this.maxClockSkew);
+
+        return { keyId: key.id, role: key.role, method: 'hmac' };
+    }
+
+    pruneSignatures(now) {
+        for (const [signature, expiresAt] of this.seenSignatures) {
+            if (expiresAt < now) {
+                this.seenSignatures.delete(signature);
+            }
+        }
+    }
+
+    /**
+     * 權杖桶限流：每分鐘補充 limit 個權杖，桶容量同為 limit
+     * @returns {{allowed: boolean, limit: number, remaining: number, retryAfter: number}}
+     */
+    consume(bucketKey, limit) {
+        const now = Date.now();
+        const bucket = this.buckets.get(bucketKey) || { tokens: limit, updatedAt: now };
+        bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * limit / 60000);
+        bucket.updatedAt = now;
+        this.buckets.set(bucketKey, bucket);
+        if (this.buckets.size > 10000) {
+            this.pruneBuckets(now);
+        }
+
+        if (bucket.tokens < 1) {
+            return {
+                allowed: false,
+                limit,
+                remaining: 0,
+                retryAfter: Math.ceil((1 - bucket.tokens) * 60 / limit)
+            };
+        }
+        bucket.tokens -= 1;
+        return { allowed: true, limit, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    }
+
+    // 已補滿的桶與新建的桶相同，可直接移除
+    pruneBuckets(now) {
+        for (const [bucketKey, bucket] of this.buckets) {
+            if (now - bucket.updatedAt > 60000) {
+                this.buckets.delete(bucketKey);
+            }
+        }
+    }
+
+    writeAccessLog(entry) {
+        this.accessLog.write(JSON.stringify(entry) + '\n');
+    }
+
+    /**
+     * Express 中介層：驗證、角色檢查、限流，並在回應結束時寫入存取日誌
+     */
+    middleware() {
+        return (req, res, next) => {
+            const startedAt = Date.now();
+            const identity = this.identify(req);
+            const requiredRole = this.requiredRole(req.path);
+
+            res.on('finish', () => {
+                this.writeAccessLog({
+                    at: new Date(startedAt).toISOString(),
+                    method: req.method,
+                    path: req.originalUrl,
+                    status: res.statusCode,
+                    durationMs: Date.now() - startedAt,
+                    ip: req.ip,
+                    keyId: identity.keyId ?? null,
+                    role: identity.role ?? null,
+                    auth: identity.method ?? 'invalid',
+                    requiredRole
+                });
+            });
+
+            if (identity.error) {
+                return this.rejectUnauthorized(req, res, identity.error);
+            }
+            req.auth = identity;
+
+            if (roleRank(identity.role) < roleRank(requiredRole)) {
+                const error = `此端點需要 ${requiredRole} 角色`;
+                return identity.keyId ? res.status(403).json({ error }) : this.rejectUnauthorized(req, res, error);
+            }
+
+            const key = identity.keyId && this.keysById.get(identity.keyId);
+            const limit = key?.rateLimit || this.rateLimits[identity.role];
+            const result = this.consume(identity.keyId ? `key:${identity.keyId}` : `ip:${req.ip}`, limit);
+            res.set('X-RateLimit-Limit', String(result.limit));
+            res.set('X-RateLimit-Remaining', String(result.remaining));
+            if (!result.allowed) {
+                res.set('Retry-After', String(result.retryAfter));
+                return res.status(429).json({ error: '請求過於頻繁，請稍後再試' });
+            }
+
+            next();
+        };
+    }
+
+    /**
+     * 回應 401，並以匿名限流計入來源 IP，避免無限制地嘗試金鑰或簽章；超過限制時改回應 429
+     */
+    rejectUnauthorized(req, res, error) {
+        const result = this.consume(`ip:${req.ip}`, this.rateLimits.public);
+        if (!result.allowed) {
+            res.set('Retry-After', String(result.retryAfter));
+            return res.status(429).json({ error: '請求過於頻繁，請稍後再試' });
+        }
+        return res.status(401).json({ error });
+    }
+
+    /**
+     * 個別路由的角色要求（不受路由角色設定覆寫影響）
+     */
+    requireRole(role) {
+        return (req, res, next) => {
+            if (!req.auth || roleRank(req.auth.role) < roleRank(role)) {
+                const error = `此端點需要 ${role} 角色`;
+                return req.auth?.keyId ? res.status(403).json({ error }) : this.rejectUnauthorized(req, res, error);
+            }
+            next();
+        };
+    }
+
+    close() {
+        this.accessLog.end();
+    }
+}
+
+module.exports = ApiAuth;
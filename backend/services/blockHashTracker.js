@@ -0,0 +1,97 @@
+/**
+ * 區塊雜湊追蹤器
+ * 記錄輪詢過程中已處理區塊的雜湊，用於偵測鏈重組（reorg）並找出需要回滾的區塊範圍
+ */
+
+const logger = require('./logger');
+
+class BlockHashTracker {
+    /**
+     * @param {string} chainName - 鏈名稱（僅用於日誌）
+     * @param {number} trackingDepth - 保留多少個區塊範圍內的雜湊記錄
+     */
+    constructor(chainName, trackingDepth = 64) {
+        this.chainName = chainName;
+        this.trackingDepth = trackingDepth;
+        this.blocks = new Map(); // blockNumber -> { hash, refs: [] }
+    }
+
+    /**
+     * 記錄已處理區塊的雜湊，refs 為從該區塊事件衍生出內存狀態的交易 ID
+     */
+    record(blockNumber, hash, refs = []) {
+        const existing = this.blocks.get(blockNumber);
+        if (existing && existing.hash === hash) {
+            existing.refs = Array.from(new Set([...existing.refs, ...refs]));
+        } else {
+            this.blocks.set(blockNumber, { hash, refs: Array.from(new Set(refs)) });
+        }
+        this.prune(blockNumber - this.trackingDepth);
+    }
+
+    prune(belowBlock) {
+        for (const blockNumber of this.blocks.keys()) {
+            if (blockNumber < belowBlock) {
+                this.blocks.delete(blockNumber);
+            }
+        }
+    }
+
+    /**
+     * 由新到舊比對記錄的雜湊與節點當前的區塊雜湊
+     * 最新的記錄一致即代表未發生重組；否則返回最後一個一致的區塊號（共同祖先）
+     * @returns {Promise<null|{ ancestor: number, orphanedBlocks: number[] }>}
+     */
+    async findReorg(provider) {
+        const blockNumbers = Array.from(this.blocks.keys()).sort((a, b) => b - a);
+        const orphanedBlocks = [];
+
+        for (const blockNumber of blockNumbers) {
+            const block = await provider.getBlock(blockNumber);
+            if (block && block.hash === this.blocks.get(blockNumber).hash) {
+                if (orphanedBlocks.length === 0) {
+                    return null;
+                }
+                return { ancestor: blockNumber, orphanedBlocks };
+            }
+            orphanedBlocks.push(blockNumber);
+        }
+
+        if (orphanedBlocks.length === 0) {
+            return null;
+        }
+
+        // 所有記錄都已分歧：回滾到追蹤範圍之前
+        const oldest = blockNumbers[blockNumbers.length - 1];
+        logger('warn', '鏈重組深度超過追蹤範圍', {
+            chain: this.chainName,
+            trackingDepth: this.trackingDepth,
+            oldestTrackedBlock: oldest
+        });
+        return { ancestor: oldest - 1, orphanedBlocks };
+    }
+
+    /**
+     * 移除共同祖先之後的記錄，返回受影響的交易 ID
+     */
+    rollback(ancestor) {
+        const affectedRefs = new Set();
+        for (const [blockNumber, entry] of this.blocks.entries()) {
+            if (blockNumber > ancestor) {
+                entry.refs.forEach(ref => affectedRefs.add(ref));
+                this.blocks.delete(blockNumber);
+            }
+        }
+        return Array.from(affectedRefs);
+    }
+
+    toJSON() {
+        return Array.from(this.blocks.entries());
+    }
+
+    restore(entries = []) {
+        this.blocks = new Map(entries);
+    }
+}
+
+module.exports = BlockHashTracker;
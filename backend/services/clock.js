@@ -0,0 +1,205 @@
+/**
+ * 時鐘
+ * Oracle 寫入合約的時間戳、交易期限及跨鏈驗證的等待都經由時鐘取得時間及設定計時器，測試時可替換：
+ *   SystemClock  實際時間及計時器
+ *   FixedClock   時間固定不動（可用 set() 調整），計時器仍依實際時間觸發
+ *   ManualClock  時間及計時器都由 advance() 推進，超時測試不需實際等待
+ *
+ * 時間以毫秒表示；時間被直接調整（set / advance）時通知 onChange 的監聽者，例如讓期限排程器重新設定計時器。
+ */
+
+// 接受 Date、毫秒數、unix 秒數（小於 1e11 視為秒）或 Date 可解析的字串
+function toMillis(value) {
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+        const number = Number(value);
+        return number < 1e11 ? number * 1000 : number;
+    }
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`無效的時間: ${value}`);
+    }
+    return time;
+}
+
+class SystemClock {
+    constructor() {
+        this.listeners = [];
+    }
+
+    get type() {
+        return 'system';
+    }
+
+    now() {
+        return Date.now();
+    }
+
+    nowSeconds() {
+        return Math.floor(this.now() / 1000);
+    }
+
+    setTimeout(callback, ms) {
+        return setTimeout(callback, ms);
+    }
+
+    clearTimeout(handle) {
+        clearTimeout(handle);
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => this.setTimeout(resolve, ms));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        for (const listener of this.listeners) {
+            listener(this.now());
+        }
+    }
+
+    describe() {
+        return {
+            type: this.type,
+            now: new Date(this.now()).toISOString()
+        };
+    }
+}
+
+class FixedClock extends SystemClock {
+    constructor(time = Date.now()) {
+        super();
+        this.time = toMillis(time);
+    }
+
+    get type() {
+        return 'fixed';
+    }
+
+    now() {
+        return this.time;
+    }
+
+    set(time) {
+        this.time = toMillis(time);
+        this.notify();
+    }
+
+    advance(ms) {
+        this.set(this.time + ms);
+    }
+}
+
+// 手動時鐘的計時器；提供 ref / unref 與 Node 計時器相容
+class ManualTimer {
+    constructor(id, dueAt, callback) {
+        this.id = id;
+        this.dueAt = dueAt;
+        this.callback = callback;
+    }
+
+    ref() {
+        return this;
+    }
+
+    unref() {
+        return this;
+    }
+}
+
+class ManualClock extends FixedClock {
+    constructor(time) {
+        super(time);
+        this.timers = new Set();
+        this.nextTimerId = 1;
+    }
+
+    get type() {
+        return 'manual';
+    }
+
+    setTimeout(callback, ms) {
+        const timer = new ManualTimer(this.nextTimerId++, this.time + Math.max(Number(ms) || 0, 0), callback);
+        this.timers.add(timer);
+        return timer;
+    }
+
+    clearTimeout(timer) {
+        this.timers.delete(timer);
+    }
+
+    // 時間不能倒退，否則已觸發的計時器順序會錯亂
+    set(time) {
+        return this.advanceTo(toMillis(time));
+    }
+
+    advance(ms) {
+        return this.advanceTo(this.time + ms);
+    }
+
+    /**
+     * 推進到指定時間，依到期順序觸發期間到期的計時器；每觸發一個計時器後讓出事件迴圈，
+     * 回呼中的非同步工作（及其新設定的計時器）在推進下一個計時器前有機會執行
+     * @returns {Promise<number>} 觸發的計時器數
+     */
+    async advanceTo(target) {
+        if (target < this.time) {
+            throw new Error('手動時鐘不能倒退');
+        }
+        let fired = 0;
+        for (;;) {
+            const next = Array.from(this.timers)
+                .filter(timer => timer.dueAt <= target)
+                .sort((a, b) => (a.dueAt - b.dueAt) || (a.id - b.id))[0];
+            if (!next) {
+                break;
+            }
+            this.timers.delete(next);
+            this.time = Math.max(this.time, next.dueAt);
+            next.callback();
+            fired++;
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        this.time = target;
+        this.notify();
+        return fired;
+    }
+
+    describe() {
+        return {
+            ...super.describe(),
+            pendingTimers: this.timers.size
+        };
+    }
+}
+
+/**
+ * 依設定建立時鐘：system（預設）、fixed[:時間]、manual[:時間]；時間省略時為目前時間
+ */
+function createClock(spec) {
+    const [type, ...rest] = String(spec || 'system').split(':');
+    const time = rest.length > 0 ? rest.join(':') : Date.now();
+    switch (type) {
+        case 'system':
+            return new SystemClock();
+        case 'fixed':
+            return new FixedClock(time);
+        case 'manual':
+            return new ManualClock(time);
+        default:
+            throw new Error(`不支援的時鐘類型: ${type}`);
+    }
+}
+
+module.exports = {
+    SystemClock,
+    FixedClock,
+    ManualClock,
+    createClock,
+    systemClock: new SystemClock()
+};
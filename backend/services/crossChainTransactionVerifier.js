@@ -1,19 +1,44 @@
 /**
  * 跨鏈交易驗證器
- * 使用現代化的狀態證明和交易驗證方法
- * 基於 ethers.js 和 EIP-1186，替代已廢棄的 eth-proof 套件
+ * 在本地重建區塊的 receipts Merkle-Patricia trie，以包含證明驗證支付交易的回執與日誌，
+ * 替代已廢棄的 eth-proof 套件
  */
 
 const ethers = require('ethers');
 const logger = require('./logger');
+const ProviderPool = require('./providerPool');
+const {
+    MerklePatriciaTrie,
+    buildReceiptTrie,
+    decodeReceipt,
+    receiptKey
+} = require('./receiptTrie');
+const { computeHeaderHash } = require('./headerChain');
+const { systemClock } = require('./clock');
 
 class CrossChainTransactionVerifier {
-    constructor(paymentRpcUrl) {
-        this.paymentRpcUrl = paymentRpcUrl;
-        this.provider = new ethers.JsonRpcProvider(paymentRpcUrl);
+    /**
+     * @param {string|string[]|ethers.Provider} paymentRpc - Payment 鏈 RPC URL、URL 列表或既有的提供者
+     * @param {object} options
+     * @param {number} options.quorum - 以 URL 建立提供者池時，回執讀取需一致的節點數
+     * @param {object} options.clock - 等待挖掘 / 確認及逾時判斷使用的時鐘，預設為實際時間（見 clock.js）
+     */
+    constructor(paymentRpc, options = {}) {
+        this.clock = options.clock || systemClock;
+        if (paymentRpc instanceof ethers.AbstractProvider) {
+            this.provider = paymentRpc;
+        } else {
+            this.provider = new ProviderPool(paymentRpc, {
+                name: 'Verifier',
+                quorum: options.quorum
+            });
+        }
+        // 驗證結果依賴的讀取（回執、交易、區塊）在啟用 quorum 時需多個節點一致
+        this.readProvider = this.provider.getQuorumProvider?.() || this.provider;
         
         logger('info', '跨鏈交易驗證器初始化', {
-            paymentRpcUrl: paymentRpcUrl?.substring(0, 50) + '...'
+            paymentRpcNodes: this.provider.backends?.map(backend => backend.label) || 1,
+            quorum: this.provider.quorum || 1
         });
     }
 
@@ -22,7 +47,7 @@ class CrossChainTransactionVerifier {
      * 使用現代化的狀態證明方法替代傳統 Merkle proof
      */
     async verifyTransactionExecution(txHash, confirmations = 20, timeoutSeconds = 480) {
-        const startTime = Date.now();
+        const startTime = this.clock.now();
         const timeout = timeoutSeconds * 1000;
 
         logger('info', '開始跨鏈交易驗證', {
@@ -38,9 +63,9 @@ class CrossChainTransactionVerifier {
             let currentBlock = await this.provider.getBlockNumber();
             
             // 首先檢查交易是否存在
-            while (!receipt && (Date.now() - startTime) < timeout) {
+            while (!receipt && (this.clock.now() - startTime) < timeout) {
                 try {
-                    receipt = await this.provider.getTransactionReceipt(txHash);
+                    receipt = await this.readProvider.getTransactionReceipt(txHash);
                     if (!receipt) {
                         logger('debug', '等待交易被挖掘...', { txHash });
                         await this.delay(2000);
@@ -48,7 +73,7 @@ class CrossChainTransactionVerifier {
                     }
                     
                     // 同時獲取交易詳情
-                    transaction = await this.provider.getTransaction(txHash);
+                    transaction = await this.readProvider.getTransaction(txHash);
                     break;
                 } catch (error) {
                     logger('debug', '查詢交易失敗，繼續等待...', {
@@ -78,7 +103,7 @@ class CrossChainTransactionVerifier {
             }
 
             // 3. 等待足夠的確認數
-            while ((Date.now() - startTime) < timeout) {
+            while ((this.clock.now() - startTime) < timeout) {
                 currentBlock = await this.provider.getBlockNumber();
                 const confirmationsReceived = currentBlock - receipt.blockNumber + 1;
                 
@@ -101,7 +126,7 @@ class CrossChainTransactionVerifier {
             }
 
             // 4. 獲取區塊資訊進行驗證
-            const txBlock = await this.provider.getBlock(receipt.blockNumber, true); // 包含交易
+            const txBlock = await this.readProvider.getBlock(receipt.blockNumber, true); // 包含交易
             const trustedBlockHash = txBlock.hash;
 
             // 5. 現代化驗證方法：直接驗證交易在區塊中的存在性
@@ -125,46 +150,27 @@ class CrossChainTransactionVerifier {
                 throw new Error(`交易 ${txHash} 未在區塊 ${receipt.blockNumber} 中找到`);
             }
 
-            // 6. 使用 eth_getProof 進行狀態驗證（如果節點支援）
-            let stateProofVerified = false;
-            try {
-                // 嘗試獲取合約狀態證明
-                if (transaction.to) {
-                    const proof = await this.provider.send('eth_getProof', [
-                        transaction.to,
-                        [],
-                        `0x${receipt.blockNumber.toString(16)}`
-                    ]);
-                    stateProofVerified = !!proof;
-                    logger('info', 'eth_getProof 狀態驗證成功', {
-                        txHash,
-                        contractAddress: transaction.to,
-                        proofVerified: stateProofVerified
-                    });
-                }
-            } catch (proofError) {
-                logger('warn', 'eth_getProof 不支援或失敗，使用基本驗證', {
-                    txHash,
-                    error: proofError.message
-                });
-                stateProofVerified = true; // 如果不支援，則使用基本驗證
+            if (trustedBlockHash !== receipt.blockHash) {
+                throw new Error(`交易所在區塊已被重組：回執區塊 ${receipt.blockHash}，當前區塊 ${trustedBlockHash}`);
             }
 
-            // 7. 驗證交易回執的完整性
-            const requeriedReceipt = await this.provider.getTransactionReceipt(txHash);
-            if (!requeriedReceipt || requeriedReceipt.blockHash !== receipt.blockHash) {
-                throw new Error('交易回執驗證失敗：區塊雜湊不匹配');
+            // 6. 以區塊內全部回執重建 receipts trie 並驗證包含證明，
+            //    回執內容以證明結果為準，不信任節點直接回傳的回執
+            const receiptProof = await this.verifyReceiptInclusion(txHash, trustedBlockHash);
+            if (receiptProof.receipt.status !== 1) {
+                throw new Error(`回執證明顯示交易執行失敗，status: ${receiptProof.receipt.status}`);
             }
 
-            logger('info', '跨鏈交易狀態證明驗證完成', {
+            logger('info', '跨鏈交易回執證明驗證完成', {
                 txHash,
                 blockHash: trustedBlockHash,
                 blockNumber: receipt.blockNumber,
+                receiptsRoot: receiptProof.receiptsRoot,
+                proofNodes: receiptProof.proof.length,
                 confirmations: currentBlock - receipt.blockNumber + 1,
                 gasUsed: receipt.gasUsed?.toString(),
-                verificationTime: Date.now() - startTime,
-                transactionInBlock: transactionFound,
-                stateProofSupported: stateProofVerified
+                verificationTime: this.clock.now() - startTime,
+                transactionInBlock: transactionFound
             });
 
             return {
@@ -175,10 +181,12 @@ class CrossChainTransactionVerifier {
                     blockHash: trustedBlockHash,
                     blockNumber: receipt.blockNumber,
                     confirmations: currentBlock - receipt.blockNumber + 1,
-                    verificationTime: Date.now() - startTime,
+                    verificationTime: this.clock.now() - startTime,
                     transactionInBlock: transactionFound,
-                    stateProofSupported: stateProofVerified
+                    receiptsRoot: receiptProof.receiptsRoot,
+                    receiptProofVerified: true
                 },
+                receiptProof: receiptProof,
                 originalReceipt: receipt
             };
 
@@ -187,17 +195,92 @@ class CrossChainTransactionVerifier {
                 txHash,
                 error: error.message,
                 stack: error.stack,
-                timeElapsed: Date.now() - startTime
+                timeElapsed: this.clock.now() - startTime
             });
 
             return {
                 verified: false,
                 error: error.message,
-                timeElapsed: Date.now() - startTime
+                timeElapsed: this.clock.now() - startTime
             };
         }
     }
 
+    /**
+     * 驗證回執包含於區塊的 receipts trie 中
+     * 取得區塊全部回執在本地重建 trie，根雜湊必須等於區塊頭的 receiptsRoot，
+     * 再以包含證明取出目標回執。證明綁定的是回執內容（狀態、日誌）與區塊，
+     * 即使節點提供錯誤的交易索引，也無法讓不存在的日誌通過驗證。
+     * @returns {Promise<object>} { blockHash, blockNumber, receiptsRoot, transactionIndex, key, proof, receipt }
+     */
+    async verifyReceiptInclusion(txHash, blockHash) {
+        const header = await this.readProvider.send('eth_getBlockByHash', [blockHash, false]);
+        if (!header) {
+            throw new Error(`無法取得區塊 ${blockHash}`);
+        }
+        // receiptsRoot 必須屬於該區塊雜湊，區塊雜湊本身是否在正統鏈上由 HeaderChain 判定
+        if (computeHeaderHash(header) !== blockHash) {
+            throw new Error(`區塊頭內容與區塊雜湊 ${blockHash} 不符`);
+        }
+
+        const rawReceipts = await this.fetchBlockReceipts(header);
+        const trie = buildReceiptTrie(rawReceipts);
+        if (trie.root !== header.receiptsRoot) {
+            throw new Error(`回執根雜湊不符：本地計算 ${trie.root}，區塊頭 ${header.receiptsRoot}`);
+        }
+
+        const target = rawReceipts.find(raw => raw.transactionHash.toLowerCase() === txHash.toLowerCase());
+        if (!target) {
+            throw new Error(`區塊 ${blockHash} 的回執中沒有交易 ${txHash}`);
+        }
+
+        const key = receiptKey(target.transactionIndex);
+        const proof = trie.getProof(key);
+        const provenReceipt = decodeReceipt(MerklePatriciaTrie.verifyProof(header.receiptsRoot, key, proof));
+
+        return {
+            blockHash: header.hash,
+            blockNumber: Number(header.number),
+            receiptsRoot: header.receiptsRoot,
+            transactionIndex: Number(target.transactionIndex),
+            key,
+            proof,
+            receipt: {
+                ...provenReceipt,
+                cumulativeGasUsed: provenReceipt.cumulativeGasUsed.toString()
+            }
+        };
+    }
+
+    /**
+     * 取得區塊內全部原始回執：優先使用 eth_getBlockReceipts，節點不支援時逐筆查詢
+     * 回執內容會由 receiptsRoot 驗證，因此可從任一節點取得
+     */
+    async fetchBlockReceipts(header) {
+        let rawReceipts = null;
+        try {
+            rawReceipts = await this.provider.send('eth_getBlockReceipts', [header.number]);
+        } catch (error) {
+            logger('debug', 'eth_getBlockReceipts 不支援，改為逐筆查詢回執', {
+                blockNumber: Number(header.number),
+                error: error.message
+            });
+        }
+
+        if (!Array.isArray(rawReceipts)) {
+            rawReceipts = [];
+            for (const hash of header.transactions) {
+                rawReceipts.push(await this.provider.send('eth_getTransactionReceipt', [hash]));
+            }
+        }
+
+        if (rawReceipts.length !== header.transactions.length ||
+            rawReceipts.some(raw => !raw || raw.blockHash !== header.hash)) {
+            throw new Error(`區塊 ${header.hash} 的回執不完整或已被重組`);
+        }
+        return rawReceipts;
+    }
+
     /**
      * 專門驗證支付合約的 transferWithKey 交易
      */
@@ -222,8 +305,8 @@ class CrossChainTransactionVerifier {
                 };
             }
 
-            // 額外的支付特定驗證
-            const receipt = baseResult.receipt;
+            // 額外的支付特定驗證：日誌取自已通過 receipts trie 證明的回執
+            const receipt = baseResult.receiptProof.receipt;
             const transaction = baseResult.transaction;
 
             // 檢查是否是對正確合約的調用
@@ -248,6 +331,7 @@ class CrossChainTransactionVerifier {
                             
                             if (eventPaymentId.toString() === paymentId.toString()) {
                                 paymentCompletedFound = true;
+                                baseResult.receiptProof.logIndex = receipt.logs.indexOf(log);
                                 logger('info', 'PaymentCompleted 事件驗證成功', {
                                     txHash,
                                     paymentId: eventPaymentId.toString(),
@@ -298,7 +382,7 @@ class CrossChainTransactionVerifier {
      * 延遲函數
      */
     async delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        return this.clock.sleep(ms);
     }
 
     /**
@@ -0,0 +1,223 @@
+/**
+ * 交易期限排程器
+ * 以最小堆保存每筆交易的期限（毫秒時間戳），只為最早到期的期限設定一個計時器，
+ * 到期時精準觸發處理函數，不需定時掃描全部交易。
+ *
+ * 同一個 key 重新排程時取代舊的期限；被取代或取消的堆節點在彈出時略過（延遲刪除）。
+ */
+
+const logger = require('./logger');
+const { systemClock } = require('./clock');
+
+// setTimeout 可接受的最長延遲（約 24.8 天），更遠的期限分段等待
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+class MinHeap {
+    constructor(compare) {
+        this.compare = compare;
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(item) {
+        this.items.push(item);
+        let index = this.items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.compare(this.items[index], this.items[parent]) >= 0) {
+                break;
+            }
+            [this.items[index], this.items[parent]] = [this.items[parent], this.items[index]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            let index = 0;
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < this.items.length && this.compare(this.items[left], this.items[smallest]) < 0) {
+                    smallest = left;
+                }
+                if (right < this.items.length && this.compare(this.items[right], this.items[smallest]) < 0) {
+                    smallest = right;
+                }
+                if (smallest === index) {
+                    break;
+                }
+                [this.items[index], this.items[smallest]] = [this.items[smallest], this.items[index]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+
+    rebuild(items) {
+        this.items = [];
+        items.forEach(item => this.push(item));
+    }
+}
+
+class DeadlineScheduler {
+    /**
+     * @param {object} options
+     * @param {Function} options.onDeadline - 期限到達時呼叫 ({ key, dueAt, payload })，可為 async
+     * @param {object} options.clock - 時鐘，預設為實際時間（見 clock.js）
+     */
+    constructor(options = {}) {
+        this.onDeadline = options.onDeadline;
+        this.clock = options.clock || systemClock;
+        this.heap = new MinHeap((a, b) => a.dueAt - b.dueAt);
+        this.entries = new Map(); // key -> 目前有效的堆節點
+        this.timer = null;
+        this.running = false;
+        this.inFlight = new Set(); // 尚未完成的處理函數
+        this.stats = {
+            fired: 0,
+            maxLatenessMs: 0
+        };
+
+        // 時鐘被調整時依新的時間重新設定計時器
+        this.clock.onChange(() => this.arm());
+    }
+
+    /**
+     * 排程（或重新排程）一個期限
+     * @param {string} key - 期限識別，例如 asset:1:expiry
+     * @param {number} dueAt - 到期時間（毫秒時間戳）
+     * @param {object} payload - 觸發時傳給處理函數的資料
+     */
+    schedule(key, dueAt, payload = {}) {
+        const entry = { key, dueAt, payload };
+        this.entries.set(key, entry);
+        this.heap.push(entry);
+        this.compact();
+        this.arm();
+    }
+
+    cancel(key) {
+        if (this.entries.delete(key)) {
+            this.compact();
+            this.arm();
+        }
+    }
+
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    // 失效節點過多時重建堆，避免反覆重新排程造成堆無限增長
+    compact() {
+        if (this.heap.size > 64 && this.heap.size > this.entries.size * 2) {
+            this.heap.rebuild(Array.from(this.entries.values()));
+        }
+    }
+
+    // 略過堆頂已被取代或取消的節點
+    peekValid() {
+        while (this.heap.size > 0) {
+            const top = this.heap.peek();
+            if (this.entries.get(top.key) === top) {
+                return top;
+            }
+            this.heap.pop();
+        }
+        return null;
+    }
+
+    start() {
+        this.running = true;
+        this.arm();
+    }
+
+    stop() {
+        this.running = false;
+        this.clock.clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    arm() {
+        this.clock.clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.running) {
+            return;
+        }
+
+        const next = this.peekValid();
+        if (!next) {
+            return;
+        }
+
+        const delay = Math.min(Math.max(next.dueAt - this.clock.now(), 0), MAX_TIMER_DELAY);
+        this.timer = this.clock.setTimeout(() => this.fire(), delay);
+    }
+
+    /**
+     * 依到期順序派發所有已到期的期限，不等待處理函數完成，單一卡住的處理函數不會延誤其他期限；
+     * 同一筆交易的互斥由呼叫端負責（Oracle 以處理中集合延後重試）
+     */
+    fire() {
+        this.timer = null;
+
+        let next = this.peekValid();
+        while (this.running && next && next.dueAt <= this.clock.now()) {
+            this.heap.pop();
+            this.entries.delete(next.key);
+
+            const lateness = this.clock.now() - next.dueAt;
+            this.stats.fired++;
+            this.stats.maxLatenessMs = Math.max(this.stats.maxLatenessMs, lateness);
+
+            this.dispatch(next);
+            next = this.peekValid();
+        }
+
+        this.arm();
+    }
+
+    // 執行處理函數並追蹤至完成，錯誤只記錄不拋出
+    dispatch(entry) {
+        const task = Promise.resolve()
+            .then(() => this.onDeadline(entry))
+            .catch(error => logger('error', '處理交易期限時發生錯誤', {
+                key: entry.key,
+                error: error.message
+            }))
+            .finally(() => this.inFlight.delete(task));
+        this.inFlight.add(task);
+    }
+
+    /**
+     * 依到期順序列出即將到來的期限
+     */
+    upcoming(limit = 50) {
+        return Array.from(this.entries.values())
+            .sort((a, b) => a.dueAt - b.dueAt)
+            .slice(0, limit);
+    }
+
+    getStats() {
+        const next = this.peekValid();
+        return {
+            scheduled: this.entries.size,
+            inFlight: this.inFlight.size,
+            nextDueAt: next ? new Date(next.dueAt).toISOString() : null,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = DeadlineScheduler;
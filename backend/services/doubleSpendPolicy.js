@@ -0,0 +1,219 @@
+/**
+ * 雙重支付防護規則引擎
+ * 以 Asset 交易（getTrade / trades）與 Payment 交易（getPayment / payments）的鏈上內容逐條評估規則，
+ * 產生結構化的判定結果（每條規則的結果與原因），由呼叫端決定是否取消兩邊的交易。
+ *
+ * 每條規則的模式：
+ *   reject - 未通過時判定為取消（CANCEL）
+ *   warn   - 未通過時只記錄警告
+ *   off    - 不評估
+ */
+
+const ethers = require('ethers');
+const { PaymentState } = require('./tradeStateMachine');
+
+const RULE_MODES = ['reject', 'warn', 'off'];
+
+const DEFAULT_RULE_MODES = {
+    durationGap: 'reject',  // Asset 超時需比 Payment 超時多出安全餘量
+    maxDuration: 'reject',  // 兩邊的超時都不得超過上限（未設定上限時略過）
+    amountMatch: 'reject',  // 兩邊金額一致
+    sellerMatch: 'reject',  // 兩邊賣方一致
+    buyerMatch: 'reject',   // 兩邊買方一致
+    keyMatch: 'reject',     // Payment 確認後，兩邊的賣方加密密鑰一致
+    keyReuse: 'reject'      // 加密密鑰未被其他交易使用過
+};
+
+function keyHash(key) {
+    return ethers.keccak256(ethers.toUtf8Bytes(key));
+}
+
+class DoubleSpendPolicy {
+    /**
+     * @param {object} options
+     * @param {object} options.rules - 規則名稱 -> reject | warn | off，未列出的規則使用預設模式
+     * @param {number} options.minDurationGap - Asset 超時至少需比 Payment 超時多出的秒數
+     * @param {number} options.maxDuration - 超時上限（秒），未設定時不檢查
+     * @param {Map} options.keyRegistry - 進行中交易使用的密鑰雜湊 -> Asset 交易 ID
+     */
+    constructor(options = {}) {
+        this.rules = { ...DEFAULT_RULE_MODES, ...(options.rules || {}) };
+        this.minDurationGap = options.minDurationGap || 0;
+        this.maxDuration = options.maxDuration || null;
+        this.keyRegistry = options.keyRegistry || new Map();
+
+        for (const [rule, mode] of Object.entries(this.rules)) {
+            if (!(rule in DEFAULT_RULE_MODES)) {
+                throw new Error(`未知的雙重支付規則: ${rule}`);
+            }
+            if (!RULE_MODES.includes(mode)) {
+                throw new Error(`雙重支付規則 ${rule} 的模式無效: ${mode}`);
+            }
+        }
+    }
+
+    /**
+     * 解析 "rule:mode,rule:mode" 格式的規則設定
+     */
+    static parseRuleModes(value) {
+        if (!value) {
+            return {};
+        }
+        return Object.fromEntries(value.split(',')
+            .map(item => item.trim())
+            .filter(Boolean)
+            .map(item => item.split(':').map(part => part.trim())));
+    }
+
+    /**
+     * 評估一組 Asset / Payment 交易
+     * @param {object} context
+     * @param {string} context.stage - inception | confirmation
+     * @param {string} context.assetTradeId
+     * @param {string} context.paymentId
+     * @param {object} context.asset - { amount, buyer, seller, duration, keyEncryptedSeller, keyEncryptedBuyer }
+     * @param {object} context.payment - { amount, buyer, seller, duration, keyEncryptedSeller, state }
+     * @param {boolean} context.onChain - 兩邊內容是否讀自合約；否則只有超時可供評估
+     * @returns {{stage: string, action: string, reasons: string[], warnings: string[], rules: object[], evaluatedAt: string}}
+     */
+    evaluate(context) {
+        const results = [
+            this.checkDurationGap(context),
+            this.checkMaxDuration(context),
+            this.checkField(context, 'amountMatch', 'amount', '金額'),
+            this.checkField(context, 'sellerMatch', 'seller', '賣方'),
+            this.checkField(context, 'buyerMatch', 'buyer', '買方'),
+            this.checkKeyMatch(context),
+            this.checkKeyReuse(context)
+        ].filter(Boolean);
+
+        const failed = results.filter(result => result.passed === false);
+        const reasons = failed.filter(result => result.mode === 'reject').map(result => result.message);
+        const warnings = failed.filter(result => result.mode === 'warn').map(result => result.message);
+
+        return {
+            stage: context.stage,
+            action: reasons.length > 0 ? 'CANCEL' : 'CONTINUE',
+            reasons,
+            warnings,
+            rules: results,
+            evaluatedAt: new Date().toISOString()
+        };
+    }
+
+    result(rule, passed, message, details = {}) {
+        return { rule, mode: this.rules[rule], passed, message, ...details };
+    }
+
+    skipped(rule, message) {
+        return { rule, mode: this.rules[rule], passed: null, skipped: true, message };
+    }
+
+    checkDurationGap({ asset, payment }) {
+        if (this.rules.durationGap === 'off') {
+            return null;
+        }
+        const gap = Number(asset.duration) - Number(payment.duration);
+        return this.result(
+            'durationGap',
+            gap >= this.minDurationGap,
+            `Asset 超時比 Payment 超時多 ${gap} 秒（至少需 ${this.minDurationGap} 秒）`,
+            { assetDuration: Number(asset.duration), paymentDuration: Number(payment.duration), minDurationGap: this.minDurationGap }
+        );
+    }
+
+    checkMaxDuration({ asset, payment }) {
+        if (this.rules.maxDuration === 'off') {
+            return null;
+        }
+        if (!this.maxDuration) {
+            return this.skipped('maxDuration', '未設定超時上限');
+        }
+        const longest = Math.max(Number(asset.duration), Number(payment.duration));
+        return this.result(
+            'maxDuration',
+            longest <= this.maxDuration,
+            `最長超時 ${longest} 秒（上限 ${this.maxDuration} 秒）`,
+            { maxDuration: this.maxDuration }
+        );
+    }
+
+    checkField({ asset, payment, onChain }, rule, field, label) {
+        if (this.rules[rule] === 'off') {
+            return null;
+        }
+        if (!onChain) {
+            return this.skipped(rule, `無法讀取合約內容，未比對${label}`);
+        }
+        const assetValue = String(asset[field]).toLowerCase();
+        const paymentValue = String(payment[field]).toLowerCase();
+        return this.result(
+            rule,
+            assetValue === paymentValue,
+            assetValue === paymentValue ? `兩邊${label}一致` : `兩邊${label}不一致`,
+            { asset: String(asset[field]), payment: String(payment[field]) }
+        );
+    }
+
+    // Payment 確認時才寫入賣方密鑰，確認前的初始密鑰可為任意值
+    checkKeyMatch({ asset, payment, onChain }) {
+        if (this.rules.keyMatch === 'off') {
+            return null;
+        }
+        if (!onChain) {
+            return this.skipped('keyMatch', '無法讀取合約內容，未比對密鑰');
+        }
+        if (Number(payment.state) < PaymentState.CONFIRMED) {
+            return this.skipped('keyMatch', 'Payment 尚未確認，密鑰尚未定案');
+        }
+        const matched = asset.keyEncryptedSeller === payment.keyEncryptedSeller;
+        return this.result(
+            'keyMatch',
+            matched,
+            matched ? '兩邊的賣方加密密鑰一致' : '兩邊的賣方加密密鑰不一致'
+        );
+    }
+
+    checkKeyReuse({ assetTradeId, asset, onChain }) {
+        if (this.rules.keyReuse === 'off') {
+            return null;
+        }
+        if (!onChain) {
+            return this.skipped('keyReuse', '無法讀取合約內容，未檢查密鑰重用');
+        }
+        const owner = this.keyRegistry.get(keyHash(asset.keyEncryptedSeller));
+        const reused = owner != null && String(owner) !== String(assetTradeId);
+        return this.result(
+            'keyReuse',
+            !reused,
+            reused ? `賣方加密密鑰已被 Asset 交易 ${owner} 使用` : '賣方加密密鑰未被其他交易使用',
+            reused ? { usedBy: String(owner) } : {}
+        );
+    }
+
+    /**
+     * 判定通過後登記交易使用的密鑰，供之後的 keyReuse 規則比對
+     */
+    registerKeys(assetTradeId, asset) {
+        if (asset?.keyEncryptedSeller) {
+            this.keyRegistry.set(keyHash(asset.keyEncryptedSeller), String(assetTradeId));
+        }
+    }
+
+    /**
+     * Asset 交易進入終止狀態後釋放其登記的密鑰，避免登記表隨交易數量無限增長
+     * @returns {number} 釋放的密鑰數量
+     */
+    releaseKeys(assetTradeId) {
+        let released = 0;
+        for (const [hash, owner] of this.keyRegistry) {
+            if (String(owner) === String(assetTradeId)) {
+                this.keyRegistry.delete(hash);
+                released++;
+            }
+        }
+        return released;
+    }
+}
+
+module.exports = DoubleSpendPolicy;
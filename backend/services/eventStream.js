@@ -0,0 +1,183 @@
+/**
+ * 交易生命週期事件推送（Server-Sent Events）
+ * 前端訂閱 GET /events 取代輪詢 /trade/:tradeId：Oracle 履行時間、雙重支付判定、跨鏈驗證開始 / 完成、
+ * 退款及狀態轉換時推送結構化事件。
+ *
+ * 每個事件有遞增的 id，最近的事件保留在環形緩衝區；斷線重連時瀏覽器會帶 Last-Event-ID，
+ * 由緩衝區補送遺漏的事件。訂閱時可依 Asset 交易 ID、Payment ID、地址及事件類型過濾。
+ */
+
+const logger = require('./logger');
+
+class EventStream {
+    /**
+     * @param {object} options
+     * @param {number} options.bufferSize - 保留供重連補送的事件數
+     * @param {number} options.maxClients - 同時連線數上限
+     * @param {number} options.heartbeatInterval - 心跳間隔毫秒數，避免代理伺服器關閉閒置連線
+     */
+    constructor(options = {}) {
+        this.bufferSize = options.bufferSize || 500;
+        this.maxClients = options.maxClients || 100;
+        this.heartbeatInterval = options.heartbeatInterval || 15000;
+
+        this.nextId = 1;
+        this.buffer = [];
+        this.clients = new Set();
+        this.heartbeat = null;
+        this.stats = {
+            published: 0,
+            delivered: 0
+        };
+    }
+
+    /**
+     * 發布事件
+     * @param {string} type - 事件類型，例如 time.fulfilled
+     * @param {object} data - 事件內容；assetTradeId、paymentId、addresses 供訂閱過濾
+     */
+    publish(type, data = {}) {
+        const event = {
+            id: this.nextId++,
+            type,
+            at: new Date().toISOString(),
+            ...data
+        };
+
+        this.buffer.push(event);
+        if (this.buffer.length > this.bufferSize) {
+            this.buffer.shift();
+        }
+        this.stats.published++;
+
+        for (const client of this.clients) {
+            if (this.matches(client.filter, event)) {
+                this.send(client, event);
+            }
+        }
+        return event;
+    }
+
+    /**
+     * 解析訂閱過濾條件：tradeId、paymentId、address（可逗號分隔多個）、types（事件類型，可用 * 結尾比對前綴）
+     */
+    static parseFilter(query = {}) {
+        const list = value => value
+            ? String(value).split(',').map(item => item.trim()).filter(Boolean)
+            : null;
+        return {
+            tradeIds: list(query.tradeId),
+            paymentIds: list(query.paymentId),
+            addresses: list(query.address)?.map(address => address.toLowerCase()) || null,
+            types: list(query.types)
+        };
+    }
+
+    // 同時指定多個條件時需全部符合；同一條件內任一值符合即可
+    matches(filter, event) {
+        if (filter.tradeIds && !filter.tradeIds.includes(String(event.assetTradeId))) {
+            return false;
+        }
+        if (filter.paymentIds && !filter.paymentIds.includes(String(event.paymentId))) {
+            return false;
+        }
+        if (filter.addresses && !(event.addresses || []).some(address => filter.addresses.includes(address.toLowerCase()))) {
+            return false;
+        }
+        if (filter.types && !filter.types.some(type => type.endsWith('*')
+            ? event.type.startsWith(type.slice(0, -1))
+            : event.type === type)) {
+            return false;
+        }
+        return true;
+    }
+
+    send(client, event) {
+        client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        this.stats.delivered++;
+    }
+
+    /**
+     * Express 路由處理函數：建立 SSE 連線，補送 Last-Event-ID 之後的事件
+     */
+    handler() {
+        return (req, res) => {
+            if (this.clients.size >= this.maxClients) {
+                return res.status(503).json({ error: '事件訂閱連線數已達上限' });
+            }
+
+            const client = {
+                res,
+                filter: EventStream.parseFilter(req.query),
+                connectedAt: Date.now()
+            };
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+            res.write(`retry: 3000\n\n`);
+
+            const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+            if (lastEventId >= 0) {
+                this.buffer
+                    .filter(event => event.id > lastEventId && this.matches(client.filter, event))
+                    .forEach(event => this.send(client, event));
+            }
+
+            this.clients.add(client);
+            this.startHeartbeat();
+            logger('debug', '事件訂閱已連線', {
+                clients: this.clients.size,
+                filter: client.filter,
+                lastEventId: lastEventId >= 0 ? lastEventId : null
+            });
+
+            req.on('close', () => {
+                this.clients.delete(client);
+                if (this.clients.size === 0) {
+                    this.stopHeartbeat();
+                }
+            });
+        };
+    }
+
+    startHeartbeat() {
+        if (this.heartbeat) {
+            return;
+        }
+        this.heartbeat = setInterval(() => {
+            for (const client of this.clients) {
+                client.res.write(': ping\n\n');
+            }
+        }, this.heartbeatInterval);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+
+    // 關閉所有連線，讓 HTTP 伺服器可以結束
+    close() {
+        this.stopHeartbeat();
+        for (const client of this.clients) {
+            client.res.end();
+        }
+        this.clients.clear();
+    }
+
+    getStats() {
+        return {
+            clients: this.clients.size,
+            lastEventId: this.nextId - 1,
+            buffered: this.buffer.length,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = EventStream;
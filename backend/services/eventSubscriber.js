@@ -0,0 +1,251 @@
+/**
+ * WebSocket 事件訂閱器
+ * 透過 WebSocketProvider 訂閱新區塊及合約日誌，收到通知時立即觸發事件處理，
+ * 取代固定間隔輪詢帶來的延遲。連線中斷時自動以指數退避重連，期間由呼叫端退回輪詢模式。
+ *
+ * 訂閱只負責「何時處理」，事件本身仍由既有的輪詢路徑（游標、確認深度、重組偵測）讀取，
+ * 因此重連期間遺漏的通知不會遺失事件。
+ */
+
+const ethers = require('ethers');
+const logger = require('./logger');
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(message)), ms);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+class EventSubscriber {
+    /**
+     * @param {object} options
+     * @param {string} options.name - 鏈名稱（用於日誌）
+     * @param {string} options.url - WebSocket RPC URL
+     * @param {string} options.address - 訂閱日誌的合約地址
+     * @param {Function} options.onTrigger - 收到新區塊或合約日誌時呼叫 (reason, detail)
+     * @param {number} options.heartbeatMs - 心跳檢查間隔，用於發現半開的連線
+     * @param {number} options.connectTimeoutMs - 建立連線的超時時間
+     * @param {number} options.maxReconnectDelayMs - 重連退避的最長間隔
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'chain';
+        this.url = options.url;
+        this.address = options.address;
+        this.onTrigger = options.onTrigger;
+        this.heartbeatMs = options.heartbeatMs || 30000;
+        this.connectTimeoutMs = options.connectTimeoutMs || 10000;
+        this.maxReconnectDelayMs = options.maxReconnectDelayMs || 60000;
+
+        this.provider = null;
+        this.connected = false;
+        this.stopped = true;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.stats = {
+            connects: 0,
+            disconnects: 0,
+            blocks: 0,
+            logs: 0,
+            lastMessageAt: null,
+            connectedSince: null
+        };
+    }
+
+    start() {
+        this.stopped = false;
+        return this.connect();
+    }
+
+    async connect() {
+        if (this.stopped) {
+            return;
+        }
+
+        const provider = new ethers.WebSocketProvider(this.url);
+        this.provider = provider;
+
+        // ws 的 error 事件沒有監聽者時會拋出未捕獲例外
+        provider.websocket.addEventListener('error', event => {
+            logger('warn', `${this.name} WebSocket 連線錯誤`, {
+                error: event?.message || event?.error?.message
+            });
+        });
+        provider.websocket.addEventListener('close', () => this.handleDisconnect(provider, '連線已關閉'));
+
+        try {
+            const network = await withTimeout(provider.getNetwork(), this.connectTimeoutMs, 'WebSocket 連線超時');
+
+            await provider.on('block', blockNumber => this.trigger('block', blockNumber));
+            await provider.on({ address: this.address }, log => this.trigger('log', log));
+
+            this.connected = true;
+            this.reconnectAttempts = 0;
+            this.stats.connects++;
+            this.stats.connectedSince = new Date().toISOString();
+            this.startHeartbeat(provider);
+
+            logger('info', `${this.name} WebSocket 訂閱已建立`, {
+                chainId: network.chainId.toString(),
+                address: this.address
+            });
+
+            // 重連後立即處理一次，補上斷線期間的事件
+            this.trigger('connected', null);
+        } catch (error) {
+            this.handleDisconnect(provider, error.message);
+        }
+    }
+
+    trigger(reason, detail) {
+        this.stats.lastMessageAt = Date.now();
+        if (reason === 'block') {
+            this.stats.blocks++;
+        } else if (reason === 'log') {
+            this.stats.logs++;
+        }
+
+        try {
+            this.onTrigger(reason, detail);
+        } catch (error) {
+            logger('error', `${this.name} 處理訂閱通知時發生錯誤`, {
+                reason,
+                error: error.message
+            });
+        }
+    }
+
+    startHeartbeat(provider) {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = setInterval(() => {
+            withTimeout(provider.getBlockNumber(), this.connectTimeoutMs, 'WebSocket 心跳超時')
+                .catch(error => this.handleDisconnect(provider, error.message));
+        }, this.heartbeatMs);
+        this.heartbeatTimer.unref?.();
+    }
+
+    handleDisconnect(provider, reason) {
+        // 只處理當前連線的中斷，舊連線的延遲事件忽略
+        if (provider !== this.provider) {
+            return;
+        }
+
+        if (this.connected) {
+            this.stats.disconnects++;
+            logger('warn', `${this.name} WebSocket 訂閱中斷，改用輪詢直到重新連線`, { reason });
+        } else if (!this.stopped) {
+            logger('warn', `${this.name} WebSocket 連線失敗`, {
+                reason,
+                attempt: this.reconnectAttempts + 1
+            });
+        }
+
+        this.connected = false;
+        this.stats.connectedSince = null;
+        this.provider = null;
+        clearInterval(this.heartbeatTimer);
+        provider.destroy().catch(() => {});
+
+        if (this.stopped || this.reconnectTimer) {
+            return;
+        }
+
+        const delay = Math.min(1000 * 2 ** this.reconnectAttempts, this.maxReconnectDelayMs);
+        this.reconnectAttempts++;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    getStats() {
+        return {
+            connected: this.connected,
+            reconnectAttempts: this.reconnectAttempts,
+            ...this.stats,
+            lastMessageAt: this.stats.lastMessageAt ? new Date(this.stats.lastMessageAt).toISOString() : null
+        };
+    }
+
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.heartbeatTimer);
+        this.reconnectTimer = null;
+        this.connected = false;
+
+        const provider = this.provider;
+        this.provider = null;
+        if (provider) {
+            await provider.destroy().catch(() => {});
+        }
+    }
+}
+
+/**
+ * 事件延遲統計：記錄事件所在區塊時間到 Oracle 開始處理之間的秒差
+ */
+class LatencyTracker {
+    constructor(sampleSize = 200) {
+        this.sampleSize = sampleSize;
+        this.samples = [];
+        this.count = 0;
+    }
+
+    record(latencyMs, source) {
+        this.samples.push({ latencyMs, source, at: Date.now() });
+        if (this.samples.length > this.sampleSize) {
+            this.samples.shift();
+        }
+        this.count++;
+    }
+
+    summarize(samples) {
+        if (samples.length === 0) {
+            return { samples: 0 };
+        }
+        const sorted = samples.map(sample => sample.latencyMs).sort((a, b) => a - b);
+        const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+        return {
+            samples: sorted.length,
+            avgMs: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+            p50Ms: percentile(0.5),
+            p95Ms: percentile(0.95),
+            maxMs: sorted[sorted.length - 1]
+        };
+    }
+
+    getStats() {
+        const bySource = {};
+        for (const sample of this.samples) {
+            (bySource[sample.source] = bySource[sample.source] || []).push(sample);
+        }
+        return {
+            total: this.count,
+            recent: this.summarize(this.samples),
+            bySource: Object.fromEntries(
+                Object.entries(bySource).map(([source, samples]) => [source, this.summarize(samples)])
+            ),
+            last: this.samples.length > 0
+                ? {
+                    latencyMs: this.samples[this.samples.length - 1].latencyMs,
+                    source: this.samples[this.samples.length - 1].source,
+                    at: new Date(this.samples[this.samples.length - 1].at).toISOString()
+                }
+                : null
+        };
+    }
+}
+
+module.exports = {
+    EventSubscriber,
+    LatencyTracker
+};
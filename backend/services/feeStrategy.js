@@ -0,0 +1,188 @@
+/**
+ * 交易費用策略
+ * 依 eth_feeHistory 的歷史小費百分位數估算 EIP-1559 費用，套用上限，
+ * 並以 estimateGas 加上安全餘量決定 gas 上限；替換卡住的交易時負責計算提高後的費用。
+ *
+ * 支援的策略（policy）：
+ *   percentile - 以 feeHistory 百分位數估算（預設）
+ *   provider   - 使用節點 getFeeData() 的建議值（仍套用上限）
+ *   legacy     - 不支援 EIP-1559 的鏈，使用 gasPrice
+ */
+
+const ethers = require('ethers');
+const logger = require('./logger');
+
+// 節點要求替換交易至少提高 10% 費用
+const MIN_BUMP_PERCENT = 10;
+
+function gwei(value) {
+    return value == null || value === '' ? null : ethers.parseUnits(String(value), 'gwei');
+}
+
+function minBigInt(a, b) {
+    if (b == null) {
+        return a;
+    }
+    return a < b ? a : b;
+}
+
+function maxBigInt(a, b) {
+    if (b == null) {
+        return a;
+    }
+    return a > b ? a : b;
+}
+
+function median(values) {
+    if (values.length === 0) {
+        return 0n;
+    }
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+class FeeStrategy {
+    /**
+     * @param {ethers.Provider} provider
+     * @param {object} options
+     * @param {string} options.policy - percentile | provider | legacy
+     * @param {number|string} options.maxFeeGwei - maxFeePerGas / gasPrice 上限
+     * @param {number|string} options.maxPriorityFeeGwei - maxPriorityFeePerGas 上限
+     * @param {number|string} options.minPriorityFeeGwei - maxPriorityFeePerGas 下限
+     * @param {number} options.rewardPercentile - 取歷史區塊小費的百分位數
+     * @param {number} options.historyBlocks - feeHistory 取樣區塊數
+     * @param {number} options.baseFeeMultiplier - maxFeePerGas 預留的 baseFee 倍數（應對 baseFee 上漲）
+     * @param {number} options.gasLimitMargin - estimateGas 結果的乘數
+     * @param {number} options.fallbackGasLimit - estimateGas 失敗時使用的 gas 上限
+     * @param {number} options.bumpPercent - 替換交易時的費用提高百分比
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.policy = options.policy || 'percentile';
+        this.maxFee = gwei(options.maxFeeGwei);
+        this.maxPriorityFee = gwei(options.maxPriorityFeeGwei);
+        this.minPriorityFee = gwei(options.minPriorityFeeGwei) ?? ethers.parseUnits('1', 'gwei');
+        this.rewardPercentile = options.rewardPercentile ?? 50;
+        this.historyBlocks = options.historyBlocks || 10;
+        this.baseFeeMultiplier = BigInt(Math.round((options.baseFeeMultiplier || 2) * 100));
+        this.gasLimitMargin = BigInt(Math.round((options.gasLimitMargin || 1.25) * 100));
+        this.fallbackGasLimit = BigInt(options.fallbackGasLimit || 200000);
+        this.bumpPercent = BigInt(Math.round(Math.max(options.bumpPercent || 12.5, MIN_BUMP_PERCENT) * 10));
+
+        if (!['percentile', 'provider', 'legacy'].includes(this.policy)) {
+            throw new Error(`不支援的費用策略: ${this.policy}`);
+        }
+        // 上下限須滿足 minPriorityFee <= maxPriorityFee <= maxFee，否則無法同時遵守
+        const floor = this.minPriorityFee;
+        const ceiling = this.maxPriorityFee ?? floor;
+        if (ceiling < floor || (this.maxFee != null && ceiling > this.maxFee)) {
+            const format = value => (value == null ? '未設定' : `${ethers.formatUnits(value, 'gwei')} gwei`);
+            throw new Error(`費用上下限不一致: 小費下限 ${format(floor)}、小費上限 ${format(this.maxPriorityFee)}、費用上限 ${format(this.maxFee)}`);
+        }
+    }
+
+    /**
+     * 計算新交易的費用欄位
+     * @returns {Promise<{maxFeePerGas: bigint, maxPriorityFeePerGas: bigint}|{gasPrice: bigint}>}
+     */
+    async getFees() {
+        if (this.policy === 'legacy') {
+            const feeData = await this.provider.getFeeData();
+            return { gasPrice: minBigInt(feeData.gasPrice, this.maxFee) };
+        }
+
+        if (this.policy === 'provider') {
+            const feeData = await this.provider.getFeeData();
+            if (feeData.maxFeePerGas == null) {
+                return { gasPrice: minBigInt(feeData.gasPrice, this.maxFee) };
+            }
+            return this.applyCaps(feeData.maxFeePerGas, feeData.maxPriorityFeePerGas);
+        }
+
+        try {
+            const history = await this.provider.send('eth_feeHistory', [
+                ethers.toQuantity(this.historyBlocks),
+                'latest',
+                [this.rewardPercentile]
+            ]);
+
+            // baseFeePerGas 最後一個元素是下一個區塊的 baseFee
+            const nextBaseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+            const rewards = (history.reward || [])
+                .map(reward => BigInt(reward[0]))
+                .filter(reward => reward > 0n);
+
+            const priorityFee = maxBigInt(median(rewards), this.minPriorityFee);
+            const maxFee = nextBaseFee * this.baseFeeMultiplier / 100n + priorityFee;
+
+            return this.applyCaps(maxFee, priorityFee);
+        } catch (error) {
+            logger('warn', 'feeHistory 查詢失敗，改用節點建議費用', {
+                error: error.message
+            });
+            const feeData = await this.provider.getFeeData();
+            if (feeData.maxFeePerGas == null) {
+                return { gasPrice: minBigInt(feeData.gasPrice, this.maxFee) };
+            }
+            return this.applyCaps(feeData.maxFeePerGas, feeData.maxPriorityFeePerGas);
+        }
+    }
+
+    // 小費套用上下限後仍不得超過費用上限（節點建議的小費可能高於 maxFee），maxFeePerGas 不低於小費
+    applyCaps(maxFeePerGas, maxPriorityFeePerGas) {
+        const priority = minBigInt(minBigInt(maxBigInt(maxPriorityFeePerGas, this.minPriorityFee), this.maxPriorityFee), this.maxFee);
+        return {
+            maxFeePerGas: maxBigInt(minBigInt(maxFeePerGas, this.maxFee), priority),
+            maxPriorityFeePerGas: priority
+        };
+    }
+
+    /**
+     * 計算替換交易的費用：至少提高 bumpPercent，並不低於當前市場費用
+     * @returns {Promise<object|null>} 已達上限無法再提高時返回 null
+     */
+    async bump(previousFees) {
+        const current = await this.getFees();
+        const raise = value => value * (1000n + this.bumpPercent) / 1000n + 1n;
+        const cap = this.maxFee;
+
+        if (previousFees.gasPrice != null) {
+            const gasPrice = maxBigInt(raise(previousFees.gasPrice), current.gasPrice ?? current.maxFeePerGas);
+            if (cap != null && gasPrice > cap) {
+                return null;
+            }
+            return { gasPrice };
+        }
+
+        const maxPriorityFeePerGas = maxBigInt(raise(previousFees.maxPriorityFeePerGas), current.maxPriorityFeePerGas);
+        const maxFeePerGas = maxBigInt(raise(previousFees.maxFeePerGas), current.maxFeePerGas);
+
+        if ((cap != null && maxFeePerGas > cap) ||
+            (this.maxPriorityFee != null && maxPriorityFeePerGas > this.maxPriorityFee)) {
+            return null;
+        }
+
+        return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    /**
+     * 估算 gas 上限並加上餘量；交易注定回滾時拋出錯誤，避免白白消耗 gas
+     */
+    async estimateGasLimit(request, from) {
+        try {
+            const estimate = await this.provider.estimateGas({ ...request, from });
+            return estimate * this.gasLimitMargin / 100n;
+        } catch (error) {
+            if (error.code === 'CALL_EXCEPTION') {
+                throw error;
+            }
+            logger('warn', 'estimateGas 失敗，使用預設 gas 上限', {
+                fallbackGasLimit: this.fallbackGasLimit.toString(),
+                error: error.message
+            });
+            return this.fallbackGasLimit;
+        }
+    }
+}
+
+module.exports = FeeStrategy;
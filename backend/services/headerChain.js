@@ -0,0 +1,392 @@
+/**
+ * 區塊頭鏈追蹤（輕客戶端）
+ * 自檢查點開始逐一追蹤 Payment 鏈的區塊頭：每個區塊頭的雜湊由本地 RLP 編碼重新計算，
+ * 並要求 parentHash 與前一個區塊頭相連，因此節點無法插入未連接到已驗證鏈的區塊。
+ *
+ * 檢查點（不可回滾的區塊）來源可設定：
+ *   finalized - 使用節點回報的 finalized 區塊（PoS 信標鏈最終性）
+ *   depth     - 使用距離鏈頭固定深度的區塊；不驗證 difficulty / 累積工作量，深度只防範一般重組，
+ *               無法防範節點提供的偽造分支，需信任節點（或 RPC quorum）選擇的鏈
+ * 檢查點持久化於狀態存儲，重啟後從檢查點繼續並確認節點仍在同一條鏈上。
+ */
+
+const ethers = require('ethers');
+const logger = require('./logger');
+
+// 區塊頭欄位依序編碼；分叉升級新增的欄位僅在節點回傳時加入
+const HEADER_FIELDS = [
+    'parentHash',
+    'sha3Uncles',
+    'miner',
+    'stateRoot',
+    'transactionsRoot',
+    'receiptsRoot',
+    'logsBloom',
+    'difficulty',
+    'number',
+    'gasLimit',
+    'gasUsed',
+    'timestamp',
+    'extraData',
+    'mixHash',
+    'nonce'
+];
+const OPTIONAL_HEADER_FIELDS = [
+    'baseFeePerGas',         // London
+    'withdrawalsRoot',       // Shanghai
+    'blobGasUsed',           // Cancun
+    'excessBlobGas',         // Cancun
+    'parentBeaconBlockRoot', // Cancun
+    'requestsHash'           // Prague
+];
+const QUANTITY_FIELDS = new Set([
+    'difficulty', 'number', 'gasLimit', 'gasUsed', 'timestamp',
+    'baseFeePerGas', 'blobGasUsed', 'excessBlobGas'
+]);
+
+function encodeField(name, value) {
+    if (QUANTITY_FIELDS.has(name)) {
+        const number = BigInt(value);
+        return number === 0n ? '0x' : ethers.toBeHex(number);
+    }
+    return value;
+}
+
+/**
+ * 由 JSON-RPC 區塊頭計算區塊雜湊：keccak256(RLP(header))
+ */
+function computeHeaderHash(header) {
+    const fields = HEADER_FIELDS.map(name => encodeField(name, header[name]));
+
+    // 選用欄位必須連續出現，缺少前面的欄位時後面的欄位也不會存在
+    for (const name of OPTIONAL_HEADER_FIELDS) {
+        if (header[name] == null) {
+            break;
+        }
+        fields.push(encodeField(name, header[name]));
+    }
+
+    return ethers.keccak256(ethers.encodeRlp(fields));
+}
+
+class HeaderChain {
+    /**
+     * @param {object} options
+     * @param {string} options.name - 鏈名稱（用於日誌）
+     * @param {ethers.JsonRpcApiProvider} options.provider - 讀取區塊頭的提供者
+     * @param {StateStore} options.store - 持久化檢查點的狀態存儲
+     * @param {string} options.storeKey - 檢查點在狀態存儲中的名稱
+     * @param {string} options.finality - finalized | depth
+     * @param {number} options.checkpointDepth - depth 模式下檢查點距離鏈頭的區塊數
+     * @param {number} options.maxHeaders - 最多保留的區塊頭數量
+     * @param {{number: number, hash: string}} options.trustedCheckpoint - 手動指定的信任起點
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'chain';
+        this.provider = options.provider;
+        this.store = options.store;
+        this.storeKey = options.storeKey || 'headerCheckpoint';
+        this.finality = options.finality || 'finalized';
+        this.checkpointDepth = options.checkpointDepth || 64;
+        this.maxHeaders = options.maxHeaders || 1024;
+        this.trustedCheckpoint = options.trustedCheckpoint || null;
+
+        this.headers = new Map(); // number -> { hash, parentHash, receiptsRoot, timestamp }
+        this.tip = null;
+        this.checkpoint = null;
+        this.syncing = null;
+        this.stats = {
+            headersValidated: 0,
+            rewoundHeaders: 0,
+            lastSyncAt: null
+        };
+    }
+
+    /**
+     * 取得並驗證單一區塊頭：重新計算的雜湊必須等於節點回傳的雜湊
+     */
+    async fetchHeader(blockTag) {
+        const tag = typeof blockTag === 'number' ? ethers.toQuantity(blockTag) : blockTag;
+        const raw = await this.provider.send('eth_getBlockByNumber', [tag, false]);
+        if (!raw) {
+            return null;
+        }
+
+        const computedHash = computeHeaderHash(raw);
+        if (computedHash !== raw.hash) {
+            throw new Error(`區塊頭雜湊驗證失敗：區塊 ${Number(raw.number)} 回傳 ${raw.hash}，計算得到 ${computedHash}`);
+        }
+
+        this.stats.headersValidated++;
+        return {
+            number: Number(raw.number),
+            hash: raw.hash,
+            parentHash: raw.parentHash,
+            receiptsRoot: raw.receiptsRoot,
+            timestamp: Number(raw.timestamp)
+        };
+    }
+
+    // 直接查詢節點，避免提供者快取的區塊號落後
+    async getHeadNumber() {
+        return Number(await this.provider.send('eth_blockNumber', []));
+    }
+
+    async bootstrap() {
+        const persisted = this.store?.getValue(this.storeKey) || null;
+        let anchor = persisted || this.trustedCheckpoint;
+
+        if (anchor) {
+            const header = await this.fetchHeader(anchor.number);
+            if (!header || header.hash !== anchor.hash) {
+                throw new Error(`節點的區塊 ${anchor.number} 與檢查點 ${anchor.hash} 不一致，拒絕追蹤`);
+            }
+
+            const head = await this.getHeadNumber();
+            if (head - anchor.number > this.maxHeaders) {
+                // 停機過久，無法從檢查點逐一補齊：以當前最終性來源重新建立起點
+                logger('warn', `${this.name} 區塊頭檢查點過舊，重新建立起點`, {
+                    checkpoint: anchor.number,
+                    head,
+                    maxHeaders: this.maxHeaders
+                });
+                anchor = null;
+            } else {
+                this.addHeader(header);
+                this.setCheckpoint(header);
+            }
+        }
+
+        if (!anchor) {
+            const header = await this.fetchCheckpointCandidate();
+            this.addHeader(header);
+            this.setCheckpoint(header);
+        }
+
+        logger('info', `${this.name} 區塊頭追蹤已啟動`, {
+            finality: this.finality,
+            checkpoint: this.checkpoint
+        });
+    }
+
+    async fetchCheckpointCandidate() {
+        if (this.finality === 'finalized') {
+            try {
+                const header = await this.fetchHeader('finalized');
+                if (header) {
+                    return header;
+                }
+            } catch (error) {
+                logger('warn', `${this.name} 節點不支援 finalized 區塊，改用深度檢查點`, {
+                    error: error.message
+                });
+                this.finality = 'depth';
+            }
+        }
+
+        const head = await this.getHeadNumber();
+        return this.fetchHeader(Math.max(0, head - this.checkpointDepth));
+    }
+
+    addHeader(header) {
+        this.headers.set(header.number, header);
+        if (!this.tip || header.number >= this.tip.number) {
+            this.tip = header;
+        }
+    }
+
+    setCheckpoint(header) {
+        this.checkpoint = { number: header.number, hash: header.hash };
+        this.store?.setValue(this.storeKey, this.checkpoint);
+    }
+
+    /**
+     * 追蹤到最新區塊：逐一取得區塊頭並檢查與前一個區塊頭相連，
+     * 不相連時代表發生重組，回退後沿新鏈重新連接
+     */
+    sync() {
+        if (!this.syncing) {
+            this.syncing = this.doSync().finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+
+    async doSync() {
+        if (!this.checkpoint) {
+            await this.bootstrap();
+        }
+
+        // 追蹤的鏈頭可能已被替換（重組後新鏈高度相同或較短），回退到節點仍認可的區塊
+        let current = await this.fetchHeader(this.tip.number);
+        while (!current || current.hash !== this.tip.hash) {
+            this.rewind(this.tip.number);
+            current = await this.fetchHeader(this.tip.number);
+        }
+
+        const head = await this.getHeadNumber();
+        let next = this.tip.number + 1;
+
+        while (next <= head) {
+            const header = await this.fetchHeader(next);
+            if (!header) {
+                break; // 節點尚未同步到該高度
+            }
+
+            const parent = this.headers.get(next - 1);
+            if (header.parentHash !== parent.hash) {
+                this.rewind(next - 1);
+                next = this.tip.number + 1;
+                continue;
+            }
+
+            this.addHeader(header);
+            next++;
+        }
+
+        await this.advanceCheckpoint();
+        this.prune();
+        this.stats.lastSyncAt = new Date().toISOString();
+        return this.tip;
+    }
+
+    // 移除 number（含）之後的區塊頭；不可越過檢查點
+    rewind(number) {
+        if (number <= this.checkpoint.number || !this.headers.has(number - 1)) {
+            throw new Error(`${this.name} 鏈重組越過檢查點 ${this.checkpoint.number}，需人工確認`);
+        }
+
+        for (const blockNumber of Array.from(this.headers.keys())) {
+            if (blockNumber >= number) {
+                this.headers.delete(blockNumber);
+            }
+        }
+        this.tip = this.headers.get(number - 1);
+        this.stats.rewoundHeaders++;
+
+        logger('warn', `${this.name} 區塊頭鏈發生重組，回退重新連接`, {
+            rewindTo: number - 1
+        });
+    }
+
+    async advanceCheckpoint() {
+        let candidate;
+        if (this.finality === 'finalized') {
+            const finalized = await this.fetchHeader('finalized');
+            candidate = finalized && finalized.number <= this.tip.number ? finalized : null;
+        } else {
+            candidate = this.headers.get(this.tip.number - this.checkpointDepth) || null;
+        }
+
+        if (!candidate || candidate.number <= this.checkpoint.number) {
+            return;
+        }
+
+        const tracked = this.headers.get(candidate.number);
+        if (!tracked || tracked.hash !== candidate.hash) {
+            logger('error', `${this.name} 最終確定的區塊不在追蹤的區塊頭鏈上`, {
+                number: candidate.number,
+                finalizedHash: candidate.hash,
+                trackedHash: tracked?.hash
+            });
+            return;
+        }
+
+        this.setCheckpoint(tracked);
+    }
+
+    prune() {
+        const lowest = this.tip.number - this.maxHeaders;
+        for (const blockNumber of this.headers.keys()) {
+            if (blockNumber < lowest) {
+                this.headers.delete(blockNumber);
+            }
+        }
+    }
+
+    /**
+     * 向前補齊追蹤範圍之前的區塊頭直到 number：每個區塊頭的雜湊必須等於後一個區塊頭的 parentHash
+     * @returns {Promise<boolean>} 超過 maxHeaders 範圍而未補齊時回傳 false
+     */
+    async backfill(number) {
+        let lowest = Math.min(...this.headers.keys());
+        if (number >= lowest) {
+            return true;
+        }
+        if (this.tip.number - number > this.maxHeaders) {
+            return false;
+        }
+
+        while (lowest > number) {
+            const child = this.headers.get(lowest);
+            const header = await this.fetchHeader(lowest - 1);
+            if (!header || header.hash !== child.parentHash) {
+                throw new Error(`${this.name} 節點回傳的區塊 ${lowest - 1} 與追蹤的區塊頭鏈不相連`);
+            }
+            this.headers.set(header.number, header);
+            lowest--;
+        }
+        return true;
+    }
+
+    /**
+     * 檢查區塊是否在已驗證的區塊頭鏈上，並達到指定深度。
+     * 區塊尚未被追蹤、早於可補齊的範圍或深度不足時無法判定（undetermined），呼叫端應稍後重試；
+     * 只有區塊雜湊與追蹤的鏈不同時才確定不在鏈上
+     * @returns {Promise<{canonical: boolean, undetermined?: boolean, depth: number, finalized: boolean, reason?: string}>}
+     */
+    async checkBlock(hash, number, minDepth = 1) {
+        await this.sync();
+
+        if (!this.headers.has(number) && number < this.tip.number) {
+            await this.backfill(number);
+        }
+
+        const header = this.headers.get(number);
+        if (!header) {
+            return {
+                canonical: false,
+                undetermined: true,
+                depth: 0,
+                finalized: false,
+                reason: number > this.tip.number ? '區塊尚未被追蹤' : '區塊早於追蹤範圍'
+            };
+        }
+
+        const depth = this.tip.number - number + 1;
+        if (header.hash !== hash) {
+            return { canonical: false, depth, finalized: false, reason: '區塊雜湊不在追蹤的鏈上' };
+        }
+        if (depth < minDepth) {
+            return { canonical: false, undetermined: true, depth, finalized: false, reason: `確認深度不足（${depth} < ${minDepth}）` };
+        }
+
+        return {
+            canonical: true,
+            depth,
+            finalized: number <= this.checkpoint.number
+        };
+    }
+
+    async isCanonical(hash, number, minDepth = 1) {
+        return (await this.checkBlock(hash, number, minDepth)).canonical;
+    }
+
+    getHeader(number) {
+        return this.headers.get(number) || null;
+    }
+
+    getStatus() {
+        return {
+            finality: this.finality,
+            checkpoint: this.checkpoint,
+            tip: this.tip ? { number: this.tip.number, hash: this.tip.hash } : null,
+            trackedHeaders: this.headers.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = HeaderChain;
+module.exports.computeHeaderHash = computeHeaderHash;
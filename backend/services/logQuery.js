@@ -0,0 +1,328 @@
+/**
+ * 日誌查詢
+ * 搜尋 backend/logs 中所有日誌檔（包含輪替後的 .log.gz），依時間範圍、等級、關鍵字及交易 / 支付 ID 過濾，
+ * 由新到舊分頁回傳。text 及 json 兩種格式的日誌行都解析回物件（timestamp、level、message、關聯欄位及 data）。
+ *
+ * 檔案逐行串流讀取，每個檔案只保留本頁需要的最後幾筆符合項目，不會把整個檔案載入記憶體；
+ * 游標記錄上一頁最後一筆所在的檔案及行號，下一頁從該位置之前繼續；該檔案已被刪除時回傳 INVALID_QUERY。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+const FILE_PATTERN = /^oracle_(\d{4}-\d{2}-\d{2})_(\d{2})-(\d{2})-(\d{2})(?:_(\d+))?\.log(\.gz)?$/;
+const TEXT_LINE_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z) \[([A-Z]+)\](?: \(([^)]+)\))? (.*)$/;
+
+function invalidQuery(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_QUERY';
+    return error;
+}
+
+// 找出從 start 開始的 JSON 值結尾（深度 0 的 ", " 之前），字串中的逗號及括號不計
+function jsonValueEnd(text, start) {
+    let depth = 0;
+    let inString = false;
+    for (let index = start; index < text.length; index++) {
+        const char = text[index];
+        if (inString) {
+            if (char === '\\') {
+                index++;
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+        } else if (char === ',' && depth === 0 && text[index + 1] === ' ') {
+            return index;
+        }
+    }
+    return text.length;
+}
+
+/**
+ * 還原 text 格式的資料欄位（"key: JSON值, key: JSON值" 或單一 JSON 值）
+ */
+function parseTextData(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        // 物件資料以 key: value 列出
+    }
+    const data = {};
+    let index = 0;
+    while (index < text.length) {
+        const separator = text.indexOf(': ', index);
+        if (separator < 0) {
+            return { text };
+        }
+        const end = jsonValueEnd(text, separator + 2);
+        const raw = text.slice(separator + 2, end);
+        try {
+            data[text.slice(index, separator)] = JSON.parse(raw);
+        } catch (error) {
+            data[text.slice(index, separator)] = raw;
+        }
+        index = end + 2;
+    }
+    return data;
+}
+
+/**
+ * 解析單行日誌，啟動 / 關閉橫幅及無法辨識的行回傳 null
+ */
+function parseLine(line) {
+    if (line.startsWith('{')) {
+        try {
+            const entry = JSON.parse(line);
+            return entry.timestamp && entry.level ? entry : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    const match = TEXT_LINE_PATTERN.exec(line);
+    if (!match) {
+        return null;
+    }
+    const [, timestamp, level, correlationId, rest] = match;
+    const separator = rest.indexOf(' | ');
+    const entry = {
+        timestamp,
+        level: level.toLowerCase(),
+        message: separator >= 0 ? rest.slice(0, separator) : rest
+    };
+    if (correlationId) {
+        entry.correlationId = correlationId;
+    }
+    if (separator >= 0) {
+        entry.data = parseTextData(rest.slice(separator + 3));
+    }
+    return entry;
+}
+
+// 秒數視為 unix 時間戳，其餘交給 Date 解析（ISO 8601 等）
+function parseTime(value, name) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const time = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw invalidQuery(`${name} 不是有效的時間: ${value}`);
+    }
+    return time;
+}
+
+function list(value) {
+    return value
+        ? String(value).split(',').map(item => item.trim()).filter(Boolean)
+        : null;
+}
+
+// 檔案在兩次查詢之間可能已被壓縮，比對時不計 .gz
+function baseName(name) {
+    return name.replace(/\.gz$/, '');
+}
+
+function encodeCursor(position) {
+    return Buffer.from(`${position.file}:${position.line}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    const decoded = Buffer.from(cursor, 'base64url').toString();
+    const separator = decoded.lastIndexOf(':');
+    const file = decoded.slice(0, separator);
+    const line = parseInt(decoded.slice(separator + 1));
+    if (!FILE_PATTERN.test(file) || !(line > 0)) {
+        throw invalidQuery('cursor 無效');
+    }
+    return { file, line };
+}
+
+class LogQuery {
+    /**
+     * @param {object} options
+     * @param {string} options.dir - 日誌目錄
+     * @param {number} options.defaultLimit - 未指定時每頁筆數
+     * @param {number} options.maxLimit - 每頁筆數上限
+     */
+    constructor(options = {}) {
+        this.dir = options.dir;
+        this.defaultLimit = options.defaultLimit || 100;
+        this.maxLimit = options.maxLimit || 1000;
+    }
+
+    /**
+     * 解析查詢參數
+     *   from / to       時間範圍（ISO 8601 或 unix 秒）
+     *   level           等級，可逗號分隔多個（error,warn）
+     *   q               關鍵字（不分大小寫，比對整行）
+     *   tradeId         Asset 交易 ID（比對關聯 ID 及 tradeId / assetTradeId 欄位）
+     *   paymentId       Payment ID（比對關聯 ID 及 paymentId 欄位）
+     *   correlationId   關聯 ID
+     *   limit / cursor  分頁
+     */
+    parseQuery(query = {}) {
+        const levels = list(query.level)?.map(level => level.toLowerCase()) || null;
+        const unknownLevel = levels?.find(level => !LEVELS.includes(level));
+        if (unknownLevel) {
+            throw invalidQuery(`不支援的日誌等級: ${unknownLevel}`);
+        }
+        const limit = query.limit === undefined ? this.defaultLimit : parseInt(query.limit);
+        if (!(limit > 0)) {
+            throw invalidQuery('limit 必須是正整數');
+        }
+
+        return {
+            from: parseTime(query.from, 'from'),
+            to: parseTime(query.to, 'to'),
+            levels,
+            text: query.q ? String(query.q).toLowerCase() : null,
+            tradeIds: list(query.tradeId),
+            paymentIds: list(query.paymentId),
+            correlationIds: list(query.correlationId),
+            limit: Math.min(limit, this.maxLimit),
+            cursor: query.cursor ? decodeCursor(String(query.cursor)) : null
+        };
+    }
+
+    matches(filter, entry, rawLine) {
+        const time = Date.parse(entry.timestamp);
+        if ((filter.from !== null && time < filter.from) || (filter.to !== null && time > filter.to)) {
+            return false;
+        }
+        if (filter.levels && !filter.levels.includes(entry.level)) {
+            return false;
+        }
+        if (filter.text && !rawLine.toLowerCase().includes(filter.text)) {
+            return false;
+        }
+        if (filter.correlationIds && !filter.correlationIds.includes(entry.correlationId)) {
+            return false;
+        }
+        const data = entry.data && typeof entry.data === 'object' ? entry.data : {};
+        if (filter.tradeIds && !filter.tradeIds.some(id =>
+            entry.correlationId === `trade-${id}` ||
+            [entry.tradeId, data.tradeId, data.assetTradeId].some(value => value !== undefined && String(value) === id))) {
+            return false;
+        }
+        if (filter.paymentIds && !filter.paymentIds.some(id =>
+            entry.correlationId === `payment-${id}` ||
+            [entry.paymentId, data.paymentId].some(value => value !== undefined && String(value) === id))) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 列出日誌檔，由新到舊；依檔名中的開檔時間推算每個檔案涵蓋的時間範圍
+     */
+    async listFiles() {
+        const names = await fs.promises.readdir(this.dir).catch(() => []);
+        const files = names
+            .map(name => ({ name, match: FILE_PATTERN.exec(name) }))
+            .filter(({ match }) => match)
+            .map(({ name, match }) => {
+                const [, date, hour, minute, second, index] = match;
+                return {
+                    name,
+                    startedAt: Date.parse(`${date}T${hour}:${minute}:${second}Z`),
+                    index: parseInt(index) || 0
+                };
+            })
+            .sort((a, b) => (a.startedAt - b.startedAt) || (a.index - b.index));
+
+        files.forEach((file, position) => {
+            file.endedAt = files[position + 1]?.startedAt ?? Infinity;
+        });
+        return files.reverse();
+    }
+
+    /**
+     * 讀取檔案，回傳在 beforeLine 之前（不含）最後 limit 筆符合條件的項目
+     */
+    async scanFile(file, filter, limit, beforeLine) {
+        const filePath = path.join(this.dir, file.name);
+        const source = fs.createReadStream(filePath);
+        const input = file.name.endsWith('.gz') ? source.pipe(zlib.createGunzip()) : source;
+        source.on('error', error => input.destroy(error));
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+        const found = [];
+        let lineNumber = 0;
+        for await (const rawLine of lines) {
+            lineNumber++;
+            if (beforeLine !== null && lineNumber >= beforeLine) {
+                break;
+            }
+            const entry = parseLine(rawLine);
+            if (entry && this.matches(filter, entry, rawLine)) {
+                found.push({ ...entry, file: file.name, line: lineNumber });
+                if (found.length > limit) {
+                    found.shift();
+                }
+            }
+        }
+        lines.close();
+        source.destroy();
+        return found;
+    }
+
+    /**
+     * 搜尋日誌，由新到舊回傳最多 limit 筆
+     * @returns {Promise<{entries: object[], nextCursor: string|null, scannedFiles: string[]}>}
+     */
+    async search(filter) {
+        const files = await this.listFiles();
+        // 游標所在的檔案已被保留策略刪除時無法定位下一頁，要求呼叫端重新從第一頁查詢
+        if (filter.cursor && !files.some(file => baseName(file.name) === baseName(filter.cursor.file))) {
+            throw invalidQuery(`cursor 指向的日誌檔已不存在（可能已被清理），請重新查詢: ${filter.cursor.file}`);
+        }
+        const entries = [];
+        const scannedFiles = [];
+        let reachedCursor = !filter.cursor;
+
+        for (const file of files) {
+            if (!reachedCursor) {
+                if (baseName(file.name) !== baseName(filter.cursor.file)) {
+                    continue;
+                }
+                reachedCursor = true;
+            }
+            // 檔案涵蓋的時間與查詢範圍沒有交集時略過；檔名時間只精確到秒，且輪替前緩衝的日誌會寫入新檔案，允許一秒誤差
+            if ((filter.to !== null && file.startedAt - 1000 > filter.to) ||
+                (filter.from !== null && file.endedAt + 1000 < filter.from)) {
+                continue;
+            }
+
+            const beforeLine = filter.cursor && baseName(filter.cursor.file) === baseName(file.name) ? filter.cursor.line : null;
+            const remaining = filter.limit + 1 - entries.length;
+            const found = await this.scanFile(file, filter, remaining, beforeLine);
+            scannedFiles.push(file.name);
+            entries.push(...found.reverse());
+            if (entries.length > filter.limit) {
+                break;
+            }
+        }
+
+        // 多取一筆判斷是否還有下一頁
+        const page = entries.slice(0, filter.limit);
+        const last = page[page.length - 1];
+        return {
+            entries: page,
+            nextCursor: entries.length > filter.limit ? encodeCursor(last) : null,
+            scannedFiles
+        };
+    }
+}
+
+LogQuery.parseLine = parseLine;
+
+module.exports = LogQuery;
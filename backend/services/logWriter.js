@@ -0,0 +1,314 @@
+/**
+ * 日誌檔寫入器
+ * 日誌先寫入記憶體緩衝區，定時（或緩衝區超過上限時）以非同步寫入批次落盤，不在每筆日誌阻塞事件迴圈。
+ *
+ * 檔案超過大小上限或跨日時輪替：開啟新檔案，舊檔案在背景以 gzip 壓縮為 .log.gz；
+ * 超過保留天數或保留數量的舊檔案（含壓縮檔）會被刪除。
+ * close() 會寫出緩衝區並等待壓縮完成；程序直接結束時（process.exit）以同步寫入保存緩衝區中剩餘的日誌。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+
+function fileTimestamp(date) {
+    return date.toISOString()
+        .replace(/:/g, '-')
+        .replace(/\./g, '-')
+        .replace('T', '_')
+        .slice(0, 19);
+}
+
+// 檔名中的開檔時間及同一秒內的輪替序號，用於比較修改時間相同的檔案
+function rotationOrder(name) {
+    const match = /_(\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2})(?:_(\d+))?\.log/.exec(name);
+    return match ? { stamp: match[1], index: parseInt(match[2]) || 0 } : { stamp: '', index: 0 };
+}
+
+function dayOf(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function writeAsync(fd, chunk) {
+    return new Promise((resolve, reject) => {
+        fs.write(fd, chunk, error => error ? reject(error) : resolve());
+    });
+}
+
+// 檔案在讀取目錄後已被壓縮完成或刪除時略過
+function ignoreMissing(error) {
+    if (error.code !== 'ENOENT') {
+        throw error;
+    }
+    return null;
+}
+
+function closeAsync(fd) {
+    return new Promise((resolve, reject) => {
+        fs.close(fd, error => error ? reject(error) : resolve());
+    });
+}
+
+class RotatingLogWriter {
+    /**
+     * @param {object} options
+     * @param {string} options.dir - 日誌目錄
+     * @param {string} options.prefix - 檔名前綴，檔名為 {prefix}_{開檔時間}.log
+     * @param {number} options.maxSize - 單一檔案大小上限（bytes）
+     * @param {boolean} options.rotateDaily - 跨日（UTC）時輪替
+     * @param {number} options.retentionDays - 保留天數，0 表示不依天數刪除
+     * @param {number} options.maxFiles - 最多保留的舊檔案數（不含目前檔案），0 表示不限
+     * @param {boolean} options.compress - 是否壓縮輪替後的檔案
+     * @param {number} options.flushInterval - 緩衝區寫出間隔（毫秒）
+     * @param {number} options.maxBufferBytes - 緩衝區超過此大小時立即寫出
+     * @param {Function} options.onError - 寫入、壓縮或清理失敗時呼叫（logger 本身不能再寫日誌）
+     */
+    constructor(options = {}) {
+        this.dir = options.dir;
+        this.prefix = options.prefix || 'oracle';
+        this.maxSize = options.maxSize || 50 * 1024 * 1024;
+        this.rotateDaily = options.rotateDaily !== false;
+        this.retentionDays = options.retentionDays ?? 7;
+        this.maxFiles = options.maxFiles || 0;
+        this.compress = options.compress !== false;
+        this.flushInterval = options.flushInterval || 200;
+        this.maxBufferBytes = options.maxBufferBytes || 256 * 1024;
+        this.onError = options.onError || (() => {});
+
+        this.buffer = [];
+        this.bufferBytes = 0;
+        this.timer = null;
+        this.writing = Promise.resolve();
+        this.compressions = new Set();
+        this.fd = null;
+        this.currentFile = null;
+        this.lastStamp = null;
+        this.lastIndex = 0;
+        this.size = 0;
+        this.openedDay = null;
+        this.closed = false;
+        this.closing = null;
+        this.retention = null;
+        this.stats = {
+            bytesWritten: 0,
+            flushes: 0,
+            rotations: 0,
+            compressed: 0,
+            deleted: 0,
+            errors: 0
+        };
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.open();
+
+        this.exitHandler = () => this.flushSync();
+        process.on('exit', this.exitHandler);
+    }
+
+    configure(options = {}) {
+        for (const key of ['maxSize', 'rotateDaily', 'retentionDays', 'maxFiles', 'compress', 'flushInterval']) {
+            if (options[key] !== undefined && options[key] !== null && !Number.isNaN(options[key])) {
+                this[key] = options[key];
+            }
+        }
+    }
+
+    // 開啟新檔案；同一秒內輪替多次時加上遞增序號，避免覆寫或重用已清理的檔名
+    open() {
+        const now = new Date();
+        const stamp = fileTimestamp(now);
+        let index = this.lastStamp === stamp ? this.lastIndex + 1 : 0;
+        let file;
+        for (;; index++) {
+            file = path.join(this.dir, `${this.prefix}_${stamp}${index > 0 ? `_${index}` : ''}.log`);
+            if (!fs.existsSync(file) && !fs.existsSync(`${file}.gz`)) {
+                break;
+            }
+        }
+        this.fd = fs.openSync(file, 'a');
+        this.currentFile = file;
+        this.size = 0;
+        this.openedDay = dayOf(now);
+        this.lastStamp = stamp;
+        this.lastIndex = index;
+    }
+
+    write(line) {
+        if (this.closed) {
+            // 關閉後的零星日誌直接同步寫入，不再輪替
+            fs.appendFileSync(this.currentFile, line + '\n');
+            return;
+        }
+        const entry = line + '\n';
+        this.buffer.push(entry);
+        this.bufferBytes += Buffer.byteLength(entry);
+
+        if (this.bufferBytes >= this.maxBufferBytes) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushInterval);
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * 寫出目前的緩衝區，回傳的 Promise 在之前所有寫入完成後解析
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.buffer.length === 0) {
+            return this.writing;
+        }
+
+        const chunk = this.buffer.join('');
+        this.buffer = [];
+        this.bufferBytes = 0;
+        this.writing = this.writing
+            .then(() => this.writeChunk(chunk))
+            .catch(error => this.handleError('寫入日誌文件時發生錯誤', error));
+        return this.writing;
+    }
+
+    async writeChunk(chunk) {
+        const bytes = Buffer.byteLength(chunk);
+        if (this.shouldRotate(bytes)) {
+            await this.rotate();
+        }
+        await writeAsync(this.fd, chunk);
+        this.size += bytes;
+        this.stats.bytesWritten += bytes;
+        this.stats.flushes++;
+    }
+
+    shouldRotate(bytes) {
+        if (this.size === 0) {
+            return false;
+        }
+        return this.size + bytes > this.maxSize || (this.rotateDaily && dayOf(new Date()) !== this.openedDay);
+    }
+
+    async rotate() {
+        const previousFd = this.fd;
+        const previousFile = this.currentFile;
+        this.open();
+        await closeAsync(previousFd);
+        this.stats.rotations++;
+
+        if (this.compress) {
+            this.compressFile(previousFile);
+        } else {
+            this.applyRetention();
+        }
+    }
+
+    compressFile(file) {
+        const job = pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(`${file}.gz`))
+            .then(() => fs.promises.unlink(file))
+            .then(() => {
+                this.stats.compressed++;
+                return this.applyRetention();
+            })
+            .catch(error => this.handleError(`壓縮日誌文件 ${path.basename(file)} 時發生錯誤`, error))
+            .finally(() => this.compressions.delete(job));
+        this.compressions.add(job);
+        return job;
+    }
+
+    /**
+     * 刪除超過保留天數或保留數量的舊日誌（目前檔案及壓縮中的檔案除外）
+     * 多個壓縮工作可能同時完成，清理依序執行避免重複刪除
+     * @returns {Promise<string[]>} 被刪除的檔名
+     */
+    applyRetention() {
+        this.retention = (this.retention || Promise.resolve())
+            .then(() => this.removeExpiredFiles())
+            .catch(error => {
+                this.handleError('清理舊日誌文件時發生錯誤', error);
+                return [];
+            });
+        return this.retention;
+    }
+
+    async removeExpiredFiles() {
+        const pattern = new RegExp(`^${this.prefix}_.*\\.log(\\.gz)?$`);
+        const names = (await fs.promises.readdir(this.dir)).filter(name => pattern.test(name));
+        const files = [];
+        for (const name of names) {
+            const file = path.join(this.dir, name);
+            if (file === this.currentFile || fs.existsSync(`${file}.gz`)) {
+                continue;
+            }
+            const stats = await fs.promises.stat(file).catch(ignoreMissing);
+            if (stats) {
+                files.push({ file, mtime: stats.mtimeMs, ...rotationOrder(name) });
+            }
+        }
+        // 由新到舊；同一毫秒內輪替的檔案修改時間相同，依開檔時間及序號排序
+        files.sort((a, b) => (b.mtime - a.mtime) || b.stamp.localeCompare(a.stamp) || (b.index - a.index));
+
+        const cutoff = this.retentionDays > 0 ? Date.now() - this.retentionDays * 24 * 60 * 60 * 1000 : -Infinity;
+        const expired = files.filter((entry, index) =>
+            entry.mtime < cutoff || (this.maxFiles > 0 && index >= this.maxFiles));
+        for (const { file } of expired) {
+            await fs.promises.unlink(file).catch(ignoreMissing);
+            this.stats.deleted++;
+        }
+        return expired.map(entry => path.basename(entry.file));
+    }
+
+    handleError(message, error) {
+        this.stats.errors++;
+        this.onError(message, error);
+    }
+
+    // 程序結束前的最後保障：同步寫出緩衝區（進行中的非同步寫入可能尚未完成）
+    flushSync() {
+        if (this.buffer.length === 0 || this.fd === null) {
+            return;
+        }
+        try {
+            fs.writeSync(this.fd, this.buffer.join(''));
+        } catch (error) {
+            this.handleError('寫入日誌文件時發生錯誤', error);
+        }
+        this.buffer = [];
+        this.bufferBytes = 0;
+    }
+
+    /**
+     * 寫出緩衝區、等待壓縮完成並關閉檔案
+     */
+    close() {
+        if (!this.closing) {
+            this.closing = (async () => {
+                await this.flush();
+                await Promise.all(this.compressions);
+                // 等待壓縮期間寫入的日誌
+                await this.flush();
+                this.closed = true;
+                process.removeListener('exit', this.exitHandler);
+                await closeAsync(this.fd);
+                this.fd = null;
+            })();
+        }
+        return this.closing;
+    }
+
+    getCurrentFile() {
+        return this.currentFile;
+    }
+
+    getStats() {
+        return {
+            currentFile: this.currentFile,
+            currentSize: this.size,
+            buffered: this.bufferBytes,
+            pendingCompressions: this.compressions.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = RotatingLogWriter;
@@ -1,35 +1,170 @@
 const chalk = require('chalk');
-const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const RotatingLogWriter = require('./logWriter');
+
+// 等級由嚴重到詳細，只輸出不超過門檻的日誌
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const REDACTED = '[REDACTED]';
+// 欄位名稱符合時整個值遮蔽（私鑰、API 憑證、確認令牌、加密密鑰字串）
+const SENSITIVE_KEY_PATTERN = /private.?key|secret|password|token|authorization|api.?key|signature|mnemonic|keyEncrypted|encryptedKey/i;
+const URL_PATTERN = /\b(?:https?|wss?):\/\/[^\s"'<>|,]+/g;
+// RPC 服務商把 API 金鑰放在路徑（例如 /v3/<key>）或查詢參數中
+const URL_KEY_SEGMENT = /^[A-Za-z0-9_-]{20,}$/;
+const URL_KEY_PARAM = /key|token|secret|auth/i;
+
+// 遮蔽 URL 中的帳號密碼、看起來像金鑰的路徑片段及查詢參數
+function redactUrl(text) {
+    let url;
+    try {
+        url = new URL(text);
+    } catch (error) {
+        return text;
+    }
+    if (url.username || url.password) {
+        url.username = REDACTED;
+        url.password = '';
+    }
+    url.pathname = url.pathname.split('/')
+        .map(segment => URL_KEY_SEGMENT.test(segment) ? REDACTED : segment)
+        .join('/');
+    for (const name of Array.from(url.searchParams.keys())) {
+        if (URL_KEY_PARAM.test(name)) {
+            url.searchParams.set(name, REDACTED);
+        }
+    }
+    return decodeURIComponent(url.toString());
+}
 
 class Logger {
     constructor() {
         this.logDir = path.join(__dirname, '..', 'logs');
-        this.currentLogFile = null;
+        this.writer = null;
+        this.bannerPending = false;
+        this.level = LEVELS.info;
+        this.format = 'text';
+        this.secrets = [];
+        this.context = new AsyncLocalStorage();
+        this.configure({ level: process.env.LOG_LEVEL, format: process.env.LOG_FORMAT });
         this.initializeLogFile();
     }
 
+    /**
+     * 設定輸出格式及等級門檻
+     * @param {object} options
+     * @param {string} options.level - error | warn | info | debug
+     * @param {string} options.format - text（彩色文字）| json（JSON Lines）
+     * @param {object} options.rotation - 日誌檔輪替設定，見 RotatingLogWriter（maxSize、rotateDaily、retentionDays、maxFiles、compress、flushInterval）
+     */
+    configure(options = {}) {
+        if (options.level) {
+            const level = LEVELS[options.level.toLowerCase()];
+            if (level === undefined) {
+                throw new Error(`不支援的日誌等級: ${options.level}`);
+            }
+            this.level = level;
+        }
+        if (options.format) {
+            if (!['text', 'json'].includes(options.format)) {
+                throw new Error(`不支援的日誌格式: ${options.format}`);
+            }
+            this.format = options.format;
+        }
+        if (options.rotation && this.writer) {
+            this.writer.configure(options.rotation);
+        }
+    }
+
+    /**
+     * 登記需要遮蔽的值（例如私鑰、API 金鑰），出現在任何訊息或欄位中都會被取代
+     */
+    addSecrets(values = []) {
+        for (const value of values) {
+            if (typeof value !== 'string' || value.length < 6) {
+                continue;
+            }
+            const variants = value.startsWith('0x') ? [value, value.slice(2)] : [value];
+            for (const variant of variants) {
+                if (!this.secrets.includes(variant)) {
+                    this.secrets.push(variant);
+                }
+            }
+        }
+        // 先取代較長的值，避免部分取代後留下片段
+        this.secrets.sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * 在關聯上下文中執行 task；期間（包含非同步延續及其中建立的計時器）的每筆日誌都帶有這些欄位
+     * @param {object} context - 例如 { correlationId, chain, tradeId, requestId }
+     * @param {Function} task
+     * @param {object} options
+     * @param {boolean} options.inherit - 是否合併上層的欄位；由計時器觸發的工作應設為 false，
+     *                                    避免沿用建立計時器時的上下文
+     */
+    withContext(context, task, { inherit = true } = {}) {
+        return this.context.run({ ...(inherit ? this.getContext() : {}), ...context }, task);
+    }
+
+    getContext() {
+        return this.context.getStore() || {};
+    }
+
+    redactString(text) {
+        let result = text;
+        for (const secret of this.secrets) {
+            result = result.split(secret).join(REDACTED);
+        }
+        return result.replace(URL_PATTERN, redactUrl);
+    }
+
+    // 遞迴遮蔽敏感欄位及字串中的敏感值，並將 bigint 轉為字串
+    redact(value, key = null, depth = 0) {
+        if (key !== null && SENSITIVE_KEY_PATTERN.test(key) && value !== null && value !== undefined && value !== '') {
+            return REDACTED;
+        }
+        if (typeof value === 'string') {
+            return this.redactString(value);
+        }
+        if (typeof value === 'bigint') {
+            return value.toString();
+        }
+        if (value instanceof Error) {
+            return { name: value.name, message: this.redactString(value.message) };
+        }
+        if (value && typeof value.toJSON === 'function') {
+            return this.redact(value.toJSON(), null, depth);
+        }
+        if (Array.isArray(value)) {
+            return depth > 8 ? '[Array]' : value.map(item => this.redact(item, null, depth + 1));
+        }
+        if (value && typeof value === 'object') {
+            return depth > 8 ? '[Object]' : Object.fromEntries(Object.entries(value)
+                .map(([entryKey, entryValue]) => [entryKey, this.redact(entryValue, entryKey, depth + 1)]));
+        }
+        return value;
+    }
+
     initializeLogFile() {
-        // 確保 logs 目錄存在
-        if (!fs.existsSync(this.logDir)) {
-            fs.mkdirSync(this.logDir, { recursive: true });
-        }
-
-        // 生成日誌文件名（基於啟動時間）
-        const now = new Date();
-        const timestamp = now.toISOString()
-            .replace(/:/g, '-')
-            .replace(/\./g, '-')
-            .replace('T', '_')
-            .slice(0, 19);
-        
-        this.currentLogFile = path.join(this.logDir, `oracle_${timestamp}.log`);
-        
-        // 寫入啟動日誌
-        const startupMessage = `\n${'='.repeat(80)}\nOracle Server Started at ${now.toISOString()}\nLog File: ${this.currentLogFile}\n${'='.repeat(80)}\n`;
-        fs.writeFileSync(this.currentLogFile, startupMessage);
-        
-        console.log(chalk.green(`📝 日誌文件已創建: ${this.currentLogFile}`));
+        this.writer = new RotatingLogWriter({
+            dir: this.logDir,
+            prefix: 'oracle',
+            // 寫入失敗時不能再經由 logger 記錄，直接輸出到控制台
+            onError: (message, error) => console.error(chalk.red(`${message}:`), error.message)
+        });
+        // 啟動訊息延到第一筆日誌才寫入，此時輸出格式已由 configure 設定
+        this.bannerPending = true;
+
+        console.log(chalk.green(`📝 日誌文件已創建: ${this.writer.getCurrentFile()}`));
+    }
+
+    banner(event) {
+        const timestamp = new Date().toISOString();
+        if (this.format === 'json') {
+            return this.safeStringify({ timestamp, level: 'info', message: `Oracle Server ${event}`, logFile: this.writer.getCurrentFile() });
+        }
+        const logFileLine = event === 'Started' ? `\nLog File: ${this.writer.getCurrentFile()}` : '';
+        return `\n${'='.repeat(80)}\nOracle Server ${event} at ${timestamp}${logFileLine}\n${'='.repeat(80)}`;
     }
 
     safeStringify(obj) {
@@ -40,16 +175,33 @@ class Logger {
         );
     }
 
+    // 寫入緩衝區，由 RotatingLogWriter 非同步批次寫出
     writeToFile(logEntry) {
-        try {
-            fs.appendFileSync(this.currentLogFile, logEntry + '\n');
-        } catch (error) {
-            console.error(chalk.red('寫入日誌文件時發生錯誤:'), error.message);
+        if (this.bannerPending) {
+            this.bannerPending = false;
+            this.writer.write(this.banner('Started'));
         }
+        this.writer.write(logEntry);
     }
 
     log(level, message, data = null) {
+        const levelName = level.toLowerCase();
+        if ((LEVELS[levelName] ?? LEVELS.info) > this.level) {
+            return;
+        }
+
         const timestamp = new Date().toISOString();
+        const context = this.getContext();
+        message = this.redactString(String(message));
+        data = data === null || data === undefined ? null : this.redact(data);
+
+        if (this.format === 'json') {
+            const line = this.safeStringify({ timestamp, level: levelName, message, ...context, ...(data !== null ? { data } : {}) });
+            console.log(line);
+            this.writeToFile(line);
+            return;
+        }
+
         let logColor;
         
         switch (level.toLowerCase()) {
@@ -69,8 +221,9 @@ class Logger {
                 logColor = chalk.white;
         }
 
-        let consoleMessage = `${chalk.gray(timestamp)} ${logColor.bold(`[${level.toUpperCase()}]`)} ${logColor(message)}`;
-        let fileMessage = `${timestamp} [${level.toUpperCase()}] ${message}`;
+        const correlation = context.correlationId ? ` (${context.correlationId})` : '';
+        let consoleMessage = `${chalk.gray(timestamp)} ${logColor.bold(`[${level.toUpperCase()}]`)}${chalk.magenta(correlation)} ${logColor(message)}`;
+        let fileMessage = `${timestamp} [${level.toUpperCase()}]${correlation} ${message}`;
         
         if (data) {
             if (typeof data === 'object' && data !== null) {
@@ -111,46 +264,43 @@ class Logger {
         this.log('debug', message, data);
     }
 
-    // 清理舊日誌文件（保留最近 N 天的日誌）
-    cleanOldLogs(daysToKeep = 7) {
-        try {
-            const files = fs.readdirSync(this.logDir);
-            const cutoffTime = Date.now() - (daysToKeep * 24 * 60 * 60 * 1000);
-            
-            files.forEach(file => {
-                if (file.startsWith('oracle_') && file.endsWith('.log')) {
-                    const filePath = path.join(this.logDir, file);
-                    const stats = fs.statSync(filePath);
-                    
-                    if (stats.mtime.getTime() < cutoffTime) {
-                        fs.unlinkSync(filePath);
-                        this.log('info', `已刪除舊日誌文件: ${file}`);
-                    }
-                }
-            });
-        } catch (error) {
-            this.log('error', '清理舊日誌文件時發生錯誤', { error: error.message });
+    // 清理超過保留天數或數量的舊日誌文件（包含壓縮檔）
+    async cleanOldLogs() {
+        const deleted = await this.writer.applyRetention();
+        if (deleted.length > 0) {
+            this.log('info', '已刪除舊日誌文件', { files: deleted });
         }
+        return deleted;
     }
 
-    // 獲取當前日誌文件路徑
+    // 獲取當前日誌文件路徑（輪替後會改變）
     getCurrentLogFile() {
-        return this.currentLogFile;
+        return this.writer.getCurrentFile();
     }
 
-    // 優雅關閉
+    getLogDir() {
+        return this.logDir;
+    }
+
+    // 將緩衝區中的日誌寫入檔案
+    flush() {
+        return this.writer.flush();
+    }
+
+    getStats() {
+        return this.writer.getStats();
+    }
+
+    // 優雅關閉：寫入關閉訊息，等待緩衝區寫出及壓縮完成
     close() {
-        const shutdownMessage = `\n${'='.repeat(80)}\nOracle Server Shutdown at ${new Date().toISOString()}\n${'='.repeat(80)}\n`;
-        this.writeToFile(shutdownMessage);
+        this.writeToFile(this.banner('Shutdown'));
+        return this.writer.close();
     }
 }
 
-// 創建全局 logger 實例
+// 創建全局 logger 實例；舊日誌在 server.js 載入保留設定後清理
 const logger = new Logger();
 
-// 在啟動時清理舊日誌
-logger.cleanOldLogs(7); // 保留 7 天的日誌
-
 // 導出 logger 函數（保持向後兼容）
 function loggerFunction(level, message, data) {
     logger.log(level, message, data);
@@ -163,6 +313,14 @@ loggerFunction.warn = (message, data) => logger.warn(message, data);
 loggerFunction.error = (message, data) => logger.error(message, data);
 loggerFunction.debug = (message, data) => logger.debug(message, data);
 loggerFunction.getCurrentLogFile = () => logger.getCurrentLogFile();
+loggerFunction.getLogDir = () => logger.getLogDir();
 loggerFunction.close = () => logger.close();
+loggerFunction.flush = () => logger.flush();
+loggerFunction.cleanOldLogs = () => logger.cleanOldLogs();
+loggerFunction.getStats = () => logger.getStats();
+loggerFunction.configure = options => logger.configure(options);
+loggerFunction.addSecrets = values => logger.addSecrets(values);
+loggerFunction.withContext = (context, task, options) => logger.withContext(context, task, options);
+loggerFunction.getContext = () => logger.getContext();
 
 module.exports = loggerFunction;
@@ -0,0 +1,187 @@
+/**
+ * Prometheus 指標
+ * 簡易的指標登錄表（Counter / Gauge / Histogram，皆支援標籤）。各處理函數在事件發生時更新指標，
+ * GET /metrics 只輸出目前的數值（text exposition format 0.0.4），不在請求時重新計算。
+ *
+ * 以相同名稱再次登錄時回傳既有的指標，因此多個模組（例如兩條鏈的交易管理器）可共用同一個指標。
+ */
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return String(value);
+}
+
+class Metric {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // 標籤值組合 -> { labels, ... }
+    }
+
+    seriesFor(labels = {}) {
+        const values = this.labelNames.map(name => String(labels[name] ?? ''));
+        const key = values.join('\u0000');
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels: Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]])), ...this.initialValue() };
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    initialValue() {
+        return { value: 0 };
+    }
+
+    formatLabels(labels, extra = {}) {
+        const pairs = Object.entries({ ...labels, ...extra });
+        if (pairs.length === 0) {
+            return '';
+        }
+        return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const series of this.series.values()) {
+            lines.push(...this.renderSeries(series));
+        }
+        return lines.join('\n');
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${this.formatLabels(series.labels)} ${formatValue(series.value)}`];
+    }
+}
+
+class Counter extends Metric {
+    get type() {
+        return 'counter';
+    }
+
+    inc(labels = {}, value = 1) {
+        if (value < 0) {
+            throw new Error(`Counter ${this.name} 不能減少`);
+        }
+        this.seriesFor(labels).value += value;
+    }
+}
+
+class Gauge extends Metric {
+    get type() {
+        return 'gauge';
+    }
+
+    set(labels = {}, value) {
+        this.seriesFor(labels).value = value;
+    }
+
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels).value += value;
+    }
+
+    dec(labels = {}, value = 1) {
+        this.seriesFor(labels).value -= value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        super(name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    get type() {
+        return 'histogram';
+    }
+
+    initialValue() {
+        return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels = {}, value) {
+        const series = this.seriesFor(labels);
+        this.buckets.forEach((bucket, index) => {
+            if (value <= bucket) {
+                series.counts[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * 開始計時，回傳的函數在結束時記錄經過的秒數（可補上結束時才知道的標籤）
+     */
+    startTimer(labels = {}) {
+        const startedAt = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    renderSeries(series) {
+        const lines = this.buckets.map((bucket, index) =>
+            `${this.name}_bucket${this.formatLabels(series.labels, { le: formatValue(bucket) })} ${series.counts[index]}`);
+        lines.push(`${this.name}_bucket${this.formatLabels(series.labels, { le: '+Inf' })} ${series.count}`);
+        lines.push(`${this.name}_sum${this.formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${this.name}_count${this.formatLabels(series.labels)} ${series.count}`);
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(MetricClass, name, ...args) {
+        const existing = this.metrics.get(name);
+        if (existing) {
+            if (!(existing instanceof MetricClass)) {
+                throw new Error(`指標 ${name} 已以不同類型登錄`);
+            }
+            return existing;
+        }
+        const metric = new MetricClass(name, ...args);
+        this.metrics.set(name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(Counter, name, help, labelNames);
+    }
+
+    gauge(name, help, labelNames) {
+        return this.register(Gauge, name, help, labelNames);
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(Histogram, name, help, labelNames, buckets);
+    }
+
+    render() {
+        return Array.from(this.metrics.values()).map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+MetricsRegistry.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = MetricsRegistry;
+module.exports.Counter = Counter;
+module.exports.Gauge = Gauge;
+module.exports.Histogram = Histogram;
@@ -0,0 +1,329 @@
+/**
+ * 多 RPC 節點提供者池
+ * 每條鏈可配置多個 RPC URL，依健康分數選擇節點並在失敗時自動切換；
+ * 安全相關的讀取（交易回執、合約狀態）可透過 quorum 提供者要求多個節點回傳一致結果。
+ *
+ * ProviderPool / QuorumProvider 都是 ethers.JsonRpcProvider 的子類，僅覆寫底層的 _send，
+ * 因此可直接替換原本的 JsonRpcProvider（合約、簽名者、getLogs 等皆不需修改）。
+ */
+
+const ethers = require('ethers');
+const logger = require('./logger');
+
+// 這些 JSON-RPC 錯誤代表節點本身的問題（限流、資料不同步），換一個節點重試
+const RETRIABLE_RPC_ERRORS = [
+    /rate limit/i,
+    /too many requests/i,
+    /limit exceeded/i,
+    /header not found/i,
+    /missing trie node/i,
+    /service unavailable/i,
+    /timeout/i
+];
+
+function isRetriableResponse(response) {
+    if (!response?.error) {
+        return false;
+    }
+    const { code, message = '' } = response.error;
+    return code === -32005 || code === 429 || RETRIABLE_RPC_ERRORS.some(pattern => pattern.test(message));
+}
+
+function maskUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.protocol}//${parsed.host}${parsed.pathname.length > 1 ? '/***' : ''}`;
+    } catch (error) {
+        return url.substring(0, 30) + '...';
+    }
+}
+
+// 鍵排序後的 JSON，避免不同節點欄位順序不同導致比對失敗
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return value.map(canonicalize);
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((result, key) => {
+            result[key] = canonicalize(value[key]);
+            return result;
+        }, {});
+    }
+    return value;
+}
+
+/**
+ * 取出用於 quorum 比對的內容：回執、區塊及交易只比對共識相關欄位，
+ * 不同客戶端額外回傳的欄位（例如 L2 費用資訊）不影響結果
+ */
+function responseDigest(method, response) {
+    if ('error' in response) {
+        return JSON.stringify({ error: response.error.code });
+    }
+
+    const result = response.result;
+    if (method === 'eth_getTransactionReceipt' && result) {
+        return JSON.stringify(canonicalize({
+            transactionHash: result.transactionHash,
+            blockHash: result.blockHash,
+            blockNumber: result.blockNumber,
+            status: result.status,
+            to: result.to,
+            logs: (result.logs || []).map(log => ({
+                address: log.address,
+                topics: log.topics,
+                data: log.data,
+                logIndex: log.logIndex
+            }))
+        }));
+    }
+    if ((method === 'eth_getBlockByNumber' || method === 'eth_getBlockByHash') && result) {
+        return JSON.stringify(canonicalize({
+            hash: result.hash,
+            number: result.number,
+            parentHash: result.parentHash,
+            receiptsRoot: result.receiptsRoot,
+            transactions: (result.transactions || []).map(tx => (typeof tx === 'string' ? tx : tx.hash))
+        }));
+    }
+    if (method === 'eth_getTransactionByHash' && result) {
+        return JSON.stringify(canonicalize({
+            hash: result.hash,
+            blockHash: result.blockHash,
+            from: result.from,
+            to: result.to,
+            nonce: result.nonce,
+            value: result.value,
+            input: result.input
+        }));
+    }
+    return JSON.stringify(canonicalize(result));
+}
+
+class ProviderPool extends ethers.JsonRpcProvider {
+    /**
+     * @param {string[]|string} urls - RPC URL 列表（或以逗號分隔的字串）
+     * @param {object} options
+     * @param {string} options.name - 鏈名稱（用於日誌）
+     * @param {number} options.quorum - 安全讀取需一致的節點數，1 表示不啟用 quorum
+     * @param {number} options.cooldownMs - 連續失敗後暫停使用該節點的時間
+     * @param {number} options.maxConsecutiveFailures - 連續失敗多少次進入冷卻
+     */
+    constructor(urls, options = {}) {
+        const list = ProviderPool.parseUrls(urls);
+        if (list.length === 0) {
+            throw new Error('ProviderPool 至少需要一個 RPC URL');
+        }
+
+        super(list[0], undefined, { staticNetwork: true });
+
+        this.name = options.name || 'chain';
+        this.quorum = Math.min(Math.max(options.quorum || 1, 1), list.length);
+        this.cooldownMs = options.cooldownMs || 30000;
+        this.maxConsecutiveFailures = options.maxConsecutiveFailures || 3;
+        this.backends = list.map(url => ({
+            url,
+            label: maskUrl(url),
+            provider: new ethers.JsonRpcProvider(url, undefined, { staticNetwork: true }),
+            score: 100,
+            latencyMs: null,
+            requests: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            cooldownUntil: 0,
+            lastError: null
+        }));
+        this.primary = null;
+        this.quorumProvider = null;
+
+        if (this.quorum > 1 && list.length < this.quorum) {
+            logger('warn', `${this.name} RPC 節點數少於 quorum 要求`, {
+                nodes: list.length,
+                quorum: this.quorum
+            });
+        }
+    }
+
+    static parseUrls(urls) {
+        const list = Array.isArray(urls) ? urls : String(urls || '').split(',');
+        return Array.from(new Set(list.map(url => url.trim()).filter(Boolean)));
+    }
+
+    // 依健康程度排序：未在冷卻中優先，其次分數高、延遲低
+    orderedBackends() {
+        const now = Date.now();
+        return [...this.backends].sort((a, b) => {
+            const aCooling = a.cooldownUntil > now;
+            const bCooling = b.cooldownUntil > now;
+            if (aCooling !== bCooling) {
+                return aCooling ? 1 : -1;
+            }
+            if (aCooling) {
+                return a.cooldownUntil - b.cooldownUntil;
+            }
+            if (a.score !== b.score) {
+                return b.score - a.score;
+            }
+            return (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity);
+        });
+    }
+
+    async sendToBackend(backend, payload) {
+        const startTime = Date.now();
+        backend.requests++;
+
+        try {
+            const responses = await backend.provider._send(payload);
+            const retriable = responses.find(isRetriableResponse);
+            if (retriable) {
+                throw new Error(retriable.error.message || `RPC error ${retriable.error.code}`);
+            }
+
+            const latency = Date.now() - startTime;
+            backend.latencyMs = backend.latencyMs == null ? latency : Math.round(backend.latencyMs * 0.8 + latency * 0.2);
+            backend.score = Math.min(100, backend.score + 5);
+            backend.consecutiveFailures = 0;
+            return responses;
+        } catch (error) {
+            backend.failures++;
+            backend.consecutiveFailures++;
+            backend.score = Math.max(0, backend.score - 20);
+            backend.lastError = error.message;
+
+            if (backend.consecutiveFailures >= this.maxConsecutiveFailures) {
+                backend.cooldownUntil = Date.now() + this.cooldownMs;
+                logger('warn', `${this.name} RPC 節點連續失敗，暫停使用`, {
+                    node: backend.label,
+                    consecutiveFailures: backend.consecutiveFailures,
+                    cooldownMs: this.cooldownMs
+                });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 依序嘗試各節點，直到有節點成功回應
+     */
+    async _send(payload) {
+        let lastError = null;
+
+        for (const backend of this.orderedBackends()) {
+            try {
+                const responses = await this.sendToBackend(backend, payload);
+                if (this.primary !== backend) {
+                    if (this.primary) {
+                        logger('warn', `${this.name} RPC 節點切換`, {
+                            from: this.primary.label,
+                            to: backend.label
+                        });
+                    }
+                    this.primary = backend;
+                }
+                return responses;
+            } catch (error) {
+                lastError = error;
+                logger('debug', `${this.name} RPC 請求失敗，嘗試下一個節點`, {
+                    node: backend.label,
+                    method: Array.isArray(payload) ? payload.map(p => p.method) : payload.method,
+                    error: error.message
+                });
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * 安全讀取用的提供者：每個請求需有 quorum 個節點回傳一致結果
+     * 未啟用 quorum 時直接返回本提供者池
+     */
+    getQuorumProvider() {
+        if (this.quorum <= 1) {
+            return this;
+        }
+        if (!this.quorumProvider) {
+            this.quorumProvider = new QuorumProvider(this);
+        }
+        return this.quorumProvider;
+    }
+
+    getStatus() {
+        const now = Date.now();
+        return {
+            quorum: this.quorum,
+            primary: this.primary?.label || null,
+            nodes: this.backends.map(backend => ({
+                node: backend.label,
+                score: backend.score,
+                latencyMs: backend.latencyMs,
+                requests: backend.requests,
+                failures: backend.failures,
+                coolingDown: backend.cooldownUntil > now,
+                lastError: backend.lastError
+            }))
+        };
+    }
+
+    destroy() {
+        this.quorumProvider?.destroy();
+        this.backends.forEach(backend => backend.provider.destroy());
+        super.destroy();
+    }
+}
+
+class QuorumProvider extends ethers.JsonRpcProvider {
+    constructor(pool) {
+        super(pool.backends[0].url, undefined, { staticNetwork: true, batchMaxCount: 1 });
+        this.pool = pool;
+    }
+
+    /**
+     * 先向分數最高的 quorum 個節點發送請求，結果不足或不一致時再追加其他節點，
+     * 直到有 quorum 個節點回傳相同結果；否則拋出錯誤，由呼叫端決定是否重試
+     */
+    async _send(payload) {
+        const method = payload.method;
+        const required = this.pool.quorum;
+        const backends = this.pool.orderedBackends();
+        const groups = new Map(); // digest -> { count, responses, nodes }
+        const errors = [];
+
+        const collect = async backend => {
+            try {
+                const responses = await this.pool.sendToBackend(backend, payload);
+                const digest = responseDigest(method, responses[0]);
+                const group = groups.get(digest) || { count: 0, responses, nodes: [] };
+                group.count++;
+                group.nodes.push(backend.label);
+                groups.set(digest, group);
+            } catch (error) {
+                errors.push({ node: backend.label, error: error.message });
+            }
+        };
+
+        await Promise.all(backends.slice(0, required).map(collect));
+
+        for (const backend of backends.slice(required)) {
+            if (Array.from(groups.values()).some(group => group.count >= required)) {
+                break;
+            }
+            await collect(backend);
+        }
+
+        const agreed = Array.from(groups.values()).find(group => group.count >= required);
+        if (agreed) {
+            return agreed.responses;
+        }
+
+        logger('warn', `${this.pool.name} RPC quorum 讀取未達成一致`, {
+            method,
+            quorum: required,
+            results: Array.from(groups.values()).map(group => ({ count: group.count, nodes: group.nodes })),
+            errors
+        });
+        throw new Error(`RPC quorum 未達成一致: ${method}（需要 ${required} 個節點）`);
+    }
+}
+
+module.exports = ProviderPool;
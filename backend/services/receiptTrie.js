@@ -0,0 +1,284 @@
+/**
+ * 交易回執 Merkle-Patricia Trie
+ * 依以太坊黃皮書的規則，以區塊內全部回執在本地重建 receipts trie，
+ * 計算根雜湊與區塊頭的 receiptsRoot 比對，並產生 / 驗證單一回執的包含證明。
+ *
+ * 驗證不依賴 RPC 節點回傳的回執內容本身：只要區塊頭可信，
+ * 通過證明的回執（狀態、日誌）即無法被節點偽造。
+ */
+
+const ethers = require('ethers');
+
+const EMPTY_TRIE_ROOT = ethers.keccak256(ethers.encodeRlp('0x'));
+
+// ---- 編碼工具 ----
+
+function toNibbles(bytes) {
+    const data = ethers.getBytes(bytes);
+    const nibbles = [];
+    for (const byte of data) {
+        nibbles.push(byte >> 4, byte & 0x0f);
+    }
+    return nibbles;
+}
+
+// Hex-prefix 編碼：首個 nibble 標記節點類型（葉 / 擴展）及路徑長度奇偶
+function encodeHexPrefix(nibbles, isLeaf) {
+    const flag = (isLeaf ? 2 : 0) + (nibbles.length % 2);
+    const padded = nibbles.length % 2 === 1 ? [flag, ...nibbles] : [flag, 0, ...nibbles];
+    const bytes = new Uint8Array(padded.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = (padded[i * 2] << 4) | padded[i * 2 + 1];
+    }
+    return ethers.hexlify(bytes);
+}
+
+function decodeHexPrefix(encoded) {
+    const nibbles = toNibbles(encoded);
+    const flag = nibbles[0];
+    return {
+        isLeaf: flag >= 2,
+        path: flag % 2 === 1 ? nibbles.slice(1) : nibbles.slice(2)
+    };
+}
+
+function quantityToBytes(value) {
+    const number = BigInt(value || 0);
+    return number === 0n ? '0x' : ethers.toBeHex(number);
+}
+
+/**
+ * 回執在 trie 中的鍵：RLP(交易索引)
+ */
+function receiptKey(transactionIndex) {
+    return ethers.encodeRlp(quantityToBytes(transactionIndex));
+}
+
+/**
+ * 將 RPC 回傳的原始回執（JSON-RPC 格式，十六進位欄位）編碼為共識格式
+ * 類型化交易（EIP-2718）：type || RLP([status, cumulativeGasUsed, logsBloom, logs])
+ */
+function encodeReceipt(rawReceipt) {
+    const status = rawReceipt.root
+        ? rawReceipt.root // Byzantium 之前的回執以狀態根取代 status
+        : (BigInt(rawReceipt.status) === 1n ? '0x01' : '0x');
+
+    const fields = ethers.encodeRlp([
+        status,
+        quantityToBytes(rawReceipt.cumulativeGasUsed),
+        rawReceipt.logsBloom,
+        (rawReceipt.logs || []).map(log => [log.address, log.topics, log.data])
+    ]);
+
+    const type = Number(rawReceipt.type || 0);
+    return type === 0 ? fields : ethers.concat([ethers.toBeHex(type, 1), fields]);
+}
+
+/**
+ * 解碼共識格式的回執
+ */
+function decodeReceipt(encoded) {
+    const bytes = ethers.getBytes(encoded);
+    const typed = bytes[0] <= 0x7f;
+    const [status, cumulativeGasUsed, logsBloom, logs] = ethers.decodeRlp(typed ? bytes.slice(1) : bytes);
+
+    return {
+        type: typed ? bytes[0] : 0,
+        status: status === '0x' ? 0 : (status === '0x01' ? 1 : null),
+        root: status.length === 66 ? status : null,
+        cumulativeGasUsed: cumulativeGasUsed === '0x' ? 0n : BigInt(cumulativeGasUsed),
+        logsBloom,
+        logs: logs.map(([address, topics, data]) => ({
+            address: ethers.getAddress(address),
+            topics,
+            data
+        }))
+    };
+}
+
+// ---- Trie ----
+
+class MerklePatriciaTrie {
+    /**
+     * @param {Array<[string, string]>} entries - [key, value] 位元組（hex）配對
+     */
+    constructor(entries = []) {
+        this.nodes = new Map(); // keccak(node) -> RLP(node)
+        const pairs = entries.map(([key, value]) => ({ nibbles: toNibbles(key), value: ethers.hexlify(value) }));
+        this.rootNode = pairs.length > 0 ? this.build(pairs, 0) : null;
+        this.root = this.rootNode ? this.hashNode(this.rootNode) : EMPTY_TRIE_ROOT;
+    }
+
+    build(pairs, depth) {
+        if (pairs.length === 1) {
+            return [encodeHexPrefix(pairs[0].nibbles.slice(depth), true), pairs[0].value];
+        }
+
+        // 所有鍵的共同前綴 -> 擴展節點
+        let prefixLength = 0;
+        while (pairs.every(pair =>
+            pair.nibbles.length > depth + prefixLength &&
+            pair.nibbles[depth + prefixLength] === pairs[0].nibbles[depth + prefixLength])) {
+            prefixLength++;
+        }
+        if (prefixLength > 0) {
+            const path = pairs[0].nibbles.slice(depth, depth + prefixLength);
+            return [encodeHexPrefix(path, false), this.reference(this.build(pairs, depth + prefixLength))];
+        }
+
+        // 分支節點：16 個子節點 + 結束於此的值
+        const branch = new Array(17).fill('0x');
+        for (let nibble = 0; nibble < 16; nibble++) {
+            const group = pairs.filter(pair => pair.nibbles.length > depth && pair.nibbles[depth] === nibble);
+            if (group.length > 0) {
+                branch[nibble] = this.reference(this.build(group, depth + 1));
+            }
+        }
+        const terminal = pairs.find(pair => pair.nibbles.length === depth);
+        if (terminal) {
+            branch[16] = terminal.value;
+        }
+        return branch;
+    }
+
+    // 編碼長度不足 32 位元組的節點直接內嵌在父節點中，其餘以雜湊引用
+    reference(node) {
+        const encoded = ethers.encodeRlp(node);
+        if (ethers.dataLength(encoded) < 32) {
+            return node;
+        }
+        return this.hashNode(node);
+    }
+
+    hashNode(node) {
+        const encoded = ethers.encodeRlp(node);
+        const hash = ethers.keccak256(encoded);
+        this.nodes.set(hash, encoded);
+        return hash;
+    }
+
+    /**
+     * 產生鍵的包含證明：從根到目標葉節點路徑上所有以雜湊引用的節點（RLP 編碼）
+     */
+    getProof(key) {
+        const nibbles = toNibbles(key);
+        const proof = [];
+        let reference = this.root;
+        let node = null;
+        let depth = 0;
+
+        while (true) {
+            if (typeof reference === 'string') {
+                const encoded = this.nodes.get(reference);
+                if (!encoded) {
+                    throw new Error('trie 中不存在該鍵');
+                }
+                proof.push(encoded);
+                node = ethers.decodeRlp(encoded);
+            } else {
+                node = reference;
+            }
+
+            if (node.length === 17) {
+                if (depth === nibbles.length) {
+                    return proof;
+                }
+                reference = node[nibbles[depth]];
+                depth++;
+                if (reference === '0x') {
+                    throw new Error('trie 中不存在該鍵');
+                }
+                continue;
+            }
+
+            const { isLeaf, path } = decodeHexPrefix(node[0]);
+            const segment = nibbles.slice(depth, depth + path.length);
+            if (segment.length !== path.length || segment.some((nibble, i) => nibble !== path[i])) {
+                throw new Error('trie 中不存在該鍵');
+            }
+            depth += path.length;
+            if (isLeaf) {
+                return proof;
+            }
+            reference = node[1];
+        }
+    }
+
+    /**
+     * 以根雜湊驗證包含證明，成功時返回鍵對應的值，證明無效時拋出錯誤
+     * 只使用證明中的節點，不需要信任產生證明的一方
+     */
+    static verifyProof(root, key, proof) {
+        const nodes = new Map(proof.map(encoded => [ethers.keccak256(encoded), encoded]));
+        const nibbles = toNibbles(key);
+        let reference = root;
+        let depth = 0;
+
+        while (true) {
+            let node;
+            if (typeof reference === 'string') {
+                const encoded = nodes.get(reference);
+                if (!encoded) {
+                    throw new Error(`證明缺少節點 ${reference}`);
+                }
+                node = ethers.decodeRlp(encoded);
+            } else {
+                node = reference;
+            }
+
+            if (node.length === 17) {
+                if (depth === nibbles.length) {
+                    if (node[16] === '0x') {
+                        throw new Error('證明路徑上沒有值');
+                    }
+                    return node[16];
+                }
+                reference = node[nibbles[depth]];
+                depth++;
+                if (reference === '0x') {
+                    throw new Error('證明顯示該鍵不存在');
+                }
+                continue;
+            }
+
+            if (node.length !== 2) {
+                throw new Error('證明包含無效的節點');
+            }
+
+            const { isLeaf, path } = decodeHexPrefix(node[0]);
+            const segment = nibbles.slice(depth, depth + path.length);
+            if (segment.length !== path.length || segment.some((nibble, i) => nibble !== path[i])) {
+                throw new Error('證明路徑與鍵不符');
+            }
+            depth += path.length;
+
+            if (isLeaf) {
+                if (depth !== nibbles.length) {
+                    throw new Error('證明路徑與鍵不符');
+                }
+                return node[1];
+            }
+            reference = node[1];
+        }
+    }
+}
+
+/**
+ * 以區塊全部原始回執建立 receipts trie
+ */
+function buildReceiptTrie(rawReceipts) {
+    const sorted = [...rawReceipts].sort((a, b) => Number(a.transactionIndex) - Number(b.transactionIndex));
+    return new MerklePatriciaTrie(sorted.map(receipt => [
+        receiptKey(receipt.transactionIndex),
+        encodeReceipt(receipt)
+    ]));
+}
+
+module.exports = {
+    MerklePatriciaTrie,
+    buildReceiptTrie,
+    encodeReceipt,
+    decodeReceipt,
+    receiptKey,
+    EMPTY_TRIE_ROOT
+};
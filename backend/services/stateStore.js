@@ -0,0 +1,368 @@
+/**
+ * Oracle 狀態持久化存儲
+ * 以 write-ahead journal（JSONL）記錄每一次狀態變更，啟動時由快照 + journal 重建內存狀態，
+ * 避免程序崩潰或重新部署後遺失進行中的交易。
+ *
+ * 存儲後端需實作 StateStore 介面：
+ *   open()    -> 載入並返回 { collections: { name: [[key, value], ...] }, values: { name: value } }
+ *   append()  -> 同步寫入一筆變更記錄（必須在變更生效前落盤）
+ *   compact() -> 以當前完整狀態取代舊的記錄
+ *   close()   -> 壓縮並釋放資源
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// BigInt 無法直接 JSON 化，以標記物件保存
+function serialize(value) {
+    return JSON.stringify(value, (key, v) =>
+        typeof v === 'bigint' ? { $bigint: v.toString() } : v
+    );
+}
+
+function deserialize(text) {
+    return JSON.parse(text, (key, v) =>
+        v && typeof v === 'object' && typeof v.$bigint === 'string' && Object.keys(v).length === 1
+            ? BigInt(v.$bigint)
+            : v
+    );
+}
+
+function emptyState() {
+    return { collections: {}, values: {} };
+}
+
+// 將單筆變更套用到狀態物件（重放 journal 時使用）
+function applyEntry(state, entry) {
+    switch (entry.type) {
+        case 'set': {
+            const collection = state.collections[entry.collection] || new Map();
+            collection.set(entry.key, entry.value);
+            state.collections[entry.collection] = collection;
+            break;
+        }
+        case 'delete':
+            state.collections[entry.collection]?.delete(entry.key);
+            break;
+        case 'clear':
+            state.collections[entry.collection] = new Map();
+            break;
+        case 'value':
+            state.values[entry.name] = entry.value;
+            break;
+        default:
+            throw new Error(`未知的狀態記錄類型: ${entry.type}`);
+    }
+}
+
+class StateStore {
+    constructor() {
+        this.collections = new Map();
+        this.values = {};
+        this.opened = false;
+    }
+
+    registerCollection(name, collection) {
+        this.collections.set(name, collection);
+    }
+
+    // 記錄集合變更
+    record(entry) {
+        if (!this.opened) {
+            throw new Error('狀態存儲尚未開啟，無法記錄變更');
+        }
+        this.append(entry);
+    }
+
+    // 記錄單一值（隊列、區塊游標等）
+    setValue(name, value) {
+        this.record({ type: 'value', name, value });
+        this.values[name] = value;
+    }
+
+    getValue(name, defaultValue = undefined) {
+        return name in this.values ? this.values[name] : defaultValue;
+    }
+
+    // 以已註冊集合及值組成完整快照
+    snapshot() {
+        const collections = {};
+        for (const [name, collection] of this.collections.entries()) {
+            collections[name] = Array.from(collection.entries());
+        }
+        return { collections, values: { ...this.values } };
+    }
+
+    async open() {
+        throw new Error('StateStore.open() 未實作');
+    }
+
+    append() {
+        throw new Error('StateStore.append() 未實作');
+    }
+
+    async compact() {}
+
+    async close() {}
+}
+
+/**
+ * 純內存後端，不做持久化（測試或明確停用持久化時使用）
+ */
+class MemoryStateStore extends StateStore {
+    async open() {
+        this.opened = true;
+        return { collections: {}, values: {} };
+    }
+
+    append() {}
+}
+
+/**
+ * 檔案後端：snapshot.json + journal.jsonl
+ * 每筆變更以 writeSync + fsync 寫入 journal，journal 過長時壓縮為新快照
+ */
+class FileStateStore extends StateStore {
+    constructor(options = {}) {
+        super();
+        this.dir = options.dir || path.join(__dirname, '..', 'data');
+        this.name = options.name || 'oracle_state';
+        this.fsync = options.fsync !== false;
+        this.compactThreshold = options.compactThreshold || 1000;
+        this.snapshotFile = path.join(this.dir, `${this.name}.snapshot.json`);
+        this.journalFile = path.join(this.dir, `${this.name}.journal.jsonl`);
+        this.fd = null;
+        this.seq = 0;
+        this.journalEntries = 0;
+        this.compactScheduled = false;
+    }
+
+    async open() {
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        const state = emptyState();
+
+        if (fs.existsSync(this.snapshotFile)) {
+            const snapshot = deserialize(fs.readFileSync(this.snapshotFile, 'utf8'));
+            for (const [name, entries] of Object.entries(snapshot.collections || {})) {
+                state.collections[name] = new Map(entries);
+            }
+            Object.assign(state.values, snapshot.values || {});
+            this.seq = snapshot.seq || 0;
+        }
+
+        let replayed = 0;
+        if (fs.existsSync(this.journalFile)) {
+            const content = fs.readFileSync(this.journalFile, 'utf8');
+            const lines = content.split('\n');
+            let validLength = 0;
+
+            for (const [index, line] of lines.entries()) {
+                if (!line.trim()) {
+                    validLength += line.length + 1;
+                    continue;
+                }
+
+                let entry;
+                try {
+                    entry = deserialize(line);
+                } catch (error) {
+                    // 只有最後一筆可能是崩潰時寫到一半的記錄；之後仍有記錄表示 journal 損毀，
+                    // 截斷會靜默丟失已確認的變更，因此拒絕啟動
+                    const following = lines.slice(index + 1).filter(rest => rest.trim()).length;
+                    if (following > 0) {
+                        const corrupt = new Error(`狀態 journal 第 ${index + 1} 行無法解析，之後還有 ${following} 筆記錄，請檢查 ${this.journalFile}`);
+                        corrupt.code = 'STATE_JOURNAL_CORRUPT';
+                        throw corrupt;
+                    }
+                    logger('warn', '狀態 journal 最後一筆記錄不完整，已截斷', {
+                        journalFile: this.journalFile,
+                        line: index + 1,
+                        offset: validLength,
+                        droppedBytes: Buffer.byteLength(content) - Buffer.byteLength(content.slice(0, validLength))
+                    });
+                    break;
+                }
+
+                applyEntry(state, entry);
+                this.seq = Math.max(this.seq, entry.seq || 0);
+                validLength += line.length + 1;
+                replayed++;
+            }
+
+            if (Buffer.byteLength(content.slice(0, validLength)) < Buffer.byteLength(content)) {
+                fs.truncateSync(this.journalFile, Buffer.byteLength(content.slice(0, validLength)));
+            }
+        }
+
+        this.fd = fs.openSync(this.journalFile, 'a');
+        this.journalEntries = replayed;
+        this.values = { ...state.values };
+        this.opened = true;
+
+        logger('info', '狀態存儲已載入', {
+            snapshotFile: this.snapshotFile,
+            journalFile: this.journalFile,
+            replayedEntries: replayed,
+            collections: Object.fromEntries(
+                Object.entries(state.collections).map(([name, collection]) => [name, collection.size])
+            )
+        });
+
+        return {
+            collections: Object.fromEntries(
+                Object.entries(state.collections).map(([name, collection]) => [name, Array.from(collection.entries())])
+            ),
+            values: state.values
+        };
+    }
+
+    append(entry) {
+        const line = serialize({ ...entry, seq: ++this.seq, at: Date.now() }) + '\n';
+        fs.writeSync(this.fd, line);
+        if (this.fsync) {
+            fs.fsyncSync(this.fd);
+        }
+
+        this.journalEntries++;
+        if (this.journalEntries >= this.compactThreshold && !this.compactScheduled) {
+            this.compactScheduled = true;
+            setImmediate(() => {
+                this.compactScheduled = false;
+                this.compact().catch(error => logger('error', '壓縮狀態 journal 時發生錯誤', {
+                    error: error.message
+                }));
+            });
+        }
+    }
+
+    // 寫入新快照（tmp + rename 保證原子性）後清空 journal
+    // 若在 rename 與清空之間崩潰，重放舊 journal 仍會得到相同的最終狀態
+    async compact() {
+        if (!this.opened) {
+            return;
+        }
+
+        const tmpFile = `${this.snapshotFile}.tmp`;
+        const snapshot = { ...this.snapshot(), seq: this.seq, compactedAt: new Date().toISOString() };
+
+        const tmpFd = fs.openSync(tmpFile, 'w');
+        try {
+            fs.writeSync(tmpFd, serialize(snapshot));
+            fs.fsyncSync(tmpFd);
+        } finally {
+            fs.closeSync(tmpFd);
+        }
+        fs.renameSync(tmpFile, this.snapshotFile);
+
+        fs.ftruncateSync(this.fd, 0);
+        if (this.fsync) {
+            fs.fsyncSync(this.fd);
+        }
+
+        logger('debug', '狀態 journal 已壓縮', {
+            compactedEntries: this.journalEntries,
+            seq: this.seq
+        });
+        this.journalEntries = 0;
+    }
+
+    async close() {
+        if (!this.opened) {
+            return;
+        }
+        await this.compact();
+        fs.closeSync(this.fd);
+        this.fd = null;
+        this.opened = false;
+    }
+}
+
+/**
+ * 每次 set/delete 都先寫入 journal 再生效的 Map
+ * 直接修改已存入物件的欄位後，需呼叫 persist(key) 記錄最新值
+ */
+class PersistentMap extends Map {
+    constructor(store, name) {
+        super();
+        this.store = store;
+        this.name = name;
+        this.listeners = [];
+        store.registerCollection(name, this);
+    }
+
+    set(key, value) {
+        this.store.record({ type: 'set', collection: this.name, key, value });
+        super.set(key, value);
+        this.notify(key);
+        return this;
+    }
+
+    delete(key) {
+        if (!super.has(key)) {
+            return false;
+        }
+        this.store.record({ type: 'delete', collection: this.name, key });
+        super.delete(key);
+        this.notify(key);
+        return true;
+    }
+
+    clear() {
+        this.store.record({ type: 'clear', collection: this.name });
+        super.clear();
+        this.notify(null);
+    }
+
+    persist(key) {
+        if (super.has(key)) {
+            this.store.record({ type: 'set', collection: this.name, key, value: super.get(key) });
+            this.notify(key);
+        }
+    }
+
+    // 以存儲載入的內容填充，不產生新的記錄
+    restore(entries = []) {
+        super.clear();
+        for (const [key, value] of entries) {
+            super.set(key, value);
+        }
+        this.notify(null);
+    }
+
+    /**
+     * 註冊變更通知 listener(key, value)：單筆變更帶目前的值（已刪除時為 undefined），
+     * clear / restore 以 key 為 null 通知，需重新讀取整個集合
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify(key) {
+        for (const listener of this.listeners) {
+            listener(key, key === null ? undefined : super.get(key));
+        }
+    }
+}
+
+function createStateStore(options = {}) {
+    switch (options.backend || 'file') {
+        case 'file':
+            return new FileStateStore(options);
+        case 'memory':
+            return new MemoryStateStore();
+        default:
+            throw new Error(`不支援的狀態存儲後端: ${options.backend}`);
+    }
+}
+
+module.exports = {
+    StateStore,
+    FileStateStore,
+    MemoryStateStore,
+    PersistentMap,
+    createStateStore,
+    serialize,
+    deserialize
+};
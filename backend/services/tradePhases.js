@@ -0,0 +1,97 @@
+/**
+ * 交易階段模型
+ * Oracle 端追蹤每筆交易（Asset 或 Payment）所處的階段，並依階段決定下一個期限：
+ *
+ *   inception            收到創建請求，創建時間尚未寫入合約
+ *   awaitingConfirmation 創建時間已寫入，等待對方確認      -> 確認期限：inceptionTime + 確認窗口
+ *   confirmed            收到確認請求，確認時間尚未寫入合約 -> 確認期限
+ *   executing            確認時間已寫入，等待 transferWithKey -> 執行期限：confirmationTime + 執行窗口
+ *   terminal             合約上已完成或失敗
+ *
+ * 階段由事件處理推進，重啟或校正時由合約狀態（TradeState / PaymentState）推導。
+ */
+
+const { TradeState } = require('./tradeStateMachine');
+
+const TradePhase = Object.freeze({
+    INCEPTION: 'inception',
+    AWAITING_CONFIRMATION: 'awaitingConfirmation',
+    CONFIRMED: 'confirmed',
+    EXECUTING: 'executing',
+    TERMINAL: 'terminal'
+});
+
+function phaseFromContract(state, inceptionTime, confirmationTime) {
+    switch (Number(state)) {
+        case TradeState.INITIATED:
+            return Number(inceptionTime) > 0 ? TradePhase.AWAITING_CONFIRMATION : TradePhase.INCEPTION;
+        case TradeState.AWAITING_CONFIRMATION:
+            return TradePhase.AWAITING_CONFIRMATION;
+        case TradeState.CONFIRMED:
+            return Number(confirmationTime) > 0 ? TradePhase.EXECUTING : TradePhase.CONFIRMED;
+        default:
+            return TradePhase.TERMINAL;
+    }
+}
+
+// 舊版狀態存儲的記錄沒有 phase 欄位，依是否有確認時間推導
+function phaseOf(trade) {
+    if (trade.phase) {
+        return trade.phase;
+    }
+    return trade.confirmationTime ? TradePhase.EXECUTING : TradePhase.AWAITING_CONFIRMATION;
+}
+
+class PhaseWindows {
+    /**
+     * @param {object} options
+     * @param {number} options.confirmationWindow - 創建後等待確認的秒數，未設定時使用交易的 duration
+     * @param {number} options.executionWindow - 確認後等待執行的秒數，未設定時使用交易的 duration
+     */
+    constructor(options = {}) {
+        this.confirmationWindow = options.confirmationWindow || null;
+        this.executionWindow = options.executionWindow || null;
+    }
+
+    // 合約的 fulfillTime 以 duration 判定確認是否逾時，確認窗口不會超過 duration
+    confirmationWindowOf(trade) {
+        return Math.min(this.confirmationWindow || trade.duration, trade.duration);
+    }
+
+    executionWindowOf(trade) {
+        return this.executionWindow || trade.duration;
+    }
+
+    isWithinConfirmationWindow(trade, time) {
+        return time - trade.inceptionTime <= this.confirmationWindowOf(trade);
+    }
+
+    /**
+     * 交易目前階段的期限（秒）；超過期限即需處理
+     * @returns {{type: string, deadline: number}|null}
+     */
+    deadlineOf(trade) {
+        const phase = phaseOf(trade);
+
+        if (phase === TradePhase.EXECUTING) {
+            return {
+                type: 'execution',
+                deadline: trade.confirmationTime + this.executionWindowOf(trade)
+            };
+        }
+        if (phase === TradePhase.TERMINAL) {
+            return null;
+        }
+        return {
+            type: 'confirmation',
+            deadline: trade.inceptionTime + this.confirmationWindowOf(trade)
+        };
+    }
+}
+
+module.exports = {
+    TradePhase,
+    PhaseWindows,
+    phaseFromContract,
+    phaseOf
+};
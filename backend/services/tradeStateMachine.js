@@ -0,0 +1,217 @@
+/**
+ * 交易生命週期狀態機
+ * 對應合約的 TradeState / PaymentState 列舉（兩條鏈的數值相同），驗證狀態轉換，
+ * 並在每次轉換時發出事件供事件處理、日誌及 API 訂閱。
+ *
+ * 狀態來源：
+ *   event  - 由合約事件推得（例如確認請求代表合約已進入 Confirmed）
+ *   oracle - Oracle 自己送出的交易成功後
+ *   chain  - 讀取合約狀態（getTrade / getPayment）
+ * event 與 chain 以 observe() 更新（合約是最終依據），oracle 以 transition() 更新並驗證轉換是否合法。
+ *
+ * Oracle 送出交易前以 assertAction() 檢查目前狀態是否允許該操作，
+ * 例如對已失敗的交易履行時間會在送出前被拒絕。
+ */
+
+const EventEmitter = require('events');
+
+const TradeState = Object.freeze({
+    INITIATED: 0,
+    AWAITING_CONFIRMATION: 1,
+    CONFIRMED: 2,
+    COMPLETED: 3,
+    FAILED: 4
+});
+const PaymentState = TradeState;
+
+const STATE_NAMES = ['Initiated', 'AwaitingConfirmation', 'Confirmed', 'Completed', 'Failed'];
+
+// 合約允許的狀態轉換；同一狀態重複出現不視為轉換
+const TRANSITIONS = {
+    [TradeState.INITIATED]: [TradeState.AWAITING_CONFIRMATION, TradeState.FAILED],
+    [TradeState.AWAITING_CONFIRMATION]: [TradeState.CONFIRMED, TradeState.FAILED],
+    [TradeState.CONFIRMED]: [TradeState.COMPLETED, TradeState.FAILED],
+    [TradeState.COMPLETED]: [],
+    [TradeState.FAILED]: []
+};
+
+// Oracle 操作允許的起始狀態（對應合約 require 條件）
+const ACTIONS = {
+    fulfillInception: [TradeState.INITIATED],
+    fulfillConfirmation: [TradeState.CONFIRMED],
+    failConfirmation: [TradeState.INITIATED, TradeState.AWAITING_CONFIRMATION, TradeState.CONFIRMED],
+    executionTimeout: [TradeState.CONFIRMED]
+};
+
+class IllegalTransitionError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'IllegalTransitionError';
+        this.code = 'ILLEGAL_TRANSITION';
+        Object.assign(this, details);
+    }
+}
+
+function stateName(state) {
+    return STATE_NAMES[Number(state)] || `Unknown(${state})`;
+}
+
+function isTerminal(state) {
+    return Number(state) === TradeState.COMPLETED || Number(state) === TradeState.FAILED;
+}
+
+class TradeStateMachine extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.chain - asset | payment
+     * @param {number} options.maxEntries - 最多保留的交易數，超過時先移除已結束的交易
+     * @param {number} options.historySize - 每筆交易保留的轉換記錄數
+     */
+    constructor(options = {}) {
+        super();
+        this.chain = options.chain;
+        this.maxEntries = options.maxEntries || 1000;
+        this.historySize = options.historySize || 20;
+        this.entries = new Map(); // id -> { state, updatedAt, history: [] }
+    }
+
+    getState(id) {
+        const entry = this.entries.get(String(id));
+        return entry ? entry.state : null;
+    }
+
+    /**
+     * 依事件或 Oracle 操作推進狀態，非法轉換時拋出 IllegalTransitionError
+     */
+    transition(id, to, { source = 'oracle', reason = null } = {}) {
+        const from = this.getState(id);
+        if (from === to) {
+            return false;
+        }
+        if (from !== null && !TRANSITIONS[from].includes(to)) {
+            throw new IllegalTransitionError(
+                `${this.chain} 交易 ${id} 不允許從 ${stateName(from)} 轉換到 ${stateName(to)}`,
+                { chain: this.chain, id: String(id), from, to }
+            );
+        }
+        this.apply(id, from, to, { source, reason, expected: true });
+        return true;
+    }
+
+    /**
+     * 以合約狀態（事件或讀取結果）更新；合約是最終依據，跳過中間狀態的轉換也會接受並標記為非預期。
+     * 合約狀態只會前進且結束後不再變化，倒退或離開結束狀態的觀察視為過時資料而忽略。
+     */
+    observe(id, contractState, { source = 'chain', reason = null } = {}) {
+        const to = Number(contractState);
+        const from = this.getState(id);
+        if (from === to) {
+            return false;
+        }
+        if (from !== null && (isTerminal(from) || to < from)) {
+            return false;
+        }
+        const expected = from === null || TRANSITIONS[from].includes(to);
+        this.apply(id, from, to, { source, reason, expected });
+        return true;
+    }
+
+    apply(id, from, to, { source, reason, expected }) {
+        const key = String(id);
+        const entry = this.entries.get(key) || { state: null, updatedAt: null, history: [] };
+        const transition = {
+            chain: this.chain,
+            id: key,
+            from,
+            to,
+            fromName: from === null ? null : stateName(from),
+            toName: stateName(to),
+            source,
+            reason,
+            expected,
+            at: new Date().toISOString()
+        };
+
+        entry.state = to;
+        entry.updatedAt = transition.at;
+        entry.history.push(transition);
+        if (entry.history.length > this.historySize) {
+            entry.history.shift();
+        }
+
+        // 重新插入使 Map 保持依最後更新排序，方便淘汰最舊的記錄
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.evict();
+
+        this.emit('transition', transition);
+        this.emit(transition.toName, transition);
+        if (isTerminal(to)) {
+            this.emit('terminal', transition);
+        }
+    }
+
+    /**
+     * 送出交易前檢查目前狀態是否允許該操作；狀態未知時交由合約判斷
+     */
+    assertAction(id, action) {
+        const allowed = ACTIONS[action];
+        if (!allowed) {
+            throw new Error(`未知的交易操作: ${action}`);
+        }
+        const state = this.getState(id);
+        if (state !== null && !allowed.includes(state)) {
+            throw new IllegalTransitionError(
+                `${this.chain} 交易 ${id} 處於 ${stateName(state)}，不允許執行 ${action}`,
+                { chain: this.chain, id: String(id), from: state, action }
+            );
+        }
+    }
+
+    forget(id) {
+        this.entries.delete(String(id));
+    }
+
+    evict() {
+        if (this.entries.size <= this.maxEntries) {
+            return;
+        }
+        for (const [key, entry] of this.entries) {
+            if (isTerminal(entry.state)) {
+                this.entries.delete(key);
+                if (this.entries.size <= this.maxEntries) {
+                    return;
+                }
+            }
+        }
+    }
+
+    describe(id) {
+        const entry = this.entries.get(String(id));
+        if (!entry) {
+            return null;
+        }
+        return {
+            state: entry.state,
+            stateName: stateName(entry.state),
+            updatedAt: entry.updatedAt,
+            history: entry.history
+        };
+    }
+
+    getStats() {
+        const counts = {};
+        for (const entry of this.entries.values()) {
+            const name = stateName(entry.state);
+            counts[name] = (counts[name] || 0) + 1;
+        }
+        return { tracked: this.entries.size, byState: counts };
+    }
+}
+
+module.exports = TradeStateMachine;
+module.exports.TradeState = TradeState;
+module.exports.PaymentState = PaymentState;
+module.exports.IllegalTransitionError = IllegalTransitionError;
+module.exports.stateName = stateName;
+module.exports.isTerminal = isTerminal;
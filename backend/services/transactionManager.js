@@ -0,0 +1,565 @@
+/**
+ * 交易管理器（每個簽名者一個實例）
+ * 統一負責 nonce 分配、廣播、等待確認、填補 nonce 空洞及替換卡住的交易，
+ * 所有 Oracle 交易都透過 send() 發送，避免各處理函數自行遞增 nonce 造成衝突或空洞。
+ * 費用與 gas 上限由 FeeStrategy 決定；背景監看器在交易超過期限未被打包時以相同 nonce 提高費用重新廣播。
+ * 等待期間查詢回執的節點錯誤在總時限內重試；超過總時限（maxWaitMs）仍未上鏈時 send() 以 code 為 TX_STUCK 的錯誤拒絕，
+ * 交易仍由監看器追蹤到上鏈為止。
+ * stop() 後不再發送交易，等待中的 send() 以 code 為 TX_ABORTED 的錯誤拒絕並清除查詢計時器，不讓嵌入的程序保持存活。
+ */
+
+const logger = require('./logger');
+const FeeStrategy = require('./feeStrategy');
+
+function isNonceTooLow(error) {
+    const message = error?.message || '';
+    return error?.code === 'NONCE_EXPIRED' || message.includes('nonce too low') || message.includes('nonce has already been used');
+}
+
+function isUnderpriced(error) {
+    const message = error?.message || '';
+    return error?.code === 'REPLACEMENT_UNDERPRICED' || message.includes('underpriced');
+}
+
+function isAlreadyKnown(error) {
+    return (error?.message || '').includes('already known');
+}
+
+// 交易失敗原因，作為指標標籤
+function failureReason(error) {
+    const message = error?.message || '';
+    if (error?.receipt) {
+        return 'reverted';
+    }
+    if (isNonceTooLow(error)) {
+        return 'nonce_too_low';
+    }
+    if (isUnderpriced(error)) {
+        return 'underpriced';
+    }
+    if (error?.code === 'INSUFFICIENT_FUNDS' || message.includes('insufficient funds')) {
+        return 'insufficient_funds';
+    }
+    return (error?.code || 'unknown').toLowerCase();
+}
+
+function formatFees(fees) {
+    return Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, value.toString()]));
+}
+
+class TransactionManager {
+    /**
+     * @param {ethers.Signer} signer - 發送交易的簽名者（須已連接 provider）
+     * @param {object} options
+     * @param {string} options.name - 鏈名稱（用於日誌）
+     * @param {FeeStrategy} options.feeStrategy - 費用策略，未提供時使用預設設定
+     * @param {number} options.stuckTimeoutMs - 預設期限：交易超過此時間未被打包即視為卡住並替換
+     * @param {number} options.pollIntervalMs - 查詢回執及檢查期限的間隔
+     * @param {number} options.maxReplacements - 同一 nonce 最多替換次數
+     * @param {number} options.maxWaitMs - send() 等待交易上鏈的總時限
+     * @param {MetricsRegistry} options.metrics - Prometheus 指標登錄表（可選）
+     */
+    constructor(signer, options = {}) {
+        this.signer = signer;
+        this.provider = signer.provider;
+        this.name = options.name || 'chain';
+        this.feeStrategy = options.feeStrategy || new FeeStrategy(this.provider);
+        this.stuckTimeoutMs = options.stuckTimeoutMs || 120000;
+        this.pollIntervalMs = options.pollIntervalMs || 3000;
+        this.maxReplacements = options.maxReplacements ?? 5;
+        this.maxWaitMs = options.maxWaitMs || 1800000;
+
+        this.address = null;
+        this.nextNonce = null;
+        this.pending = new Map(); // nonce -> { request, gasLimit, fees, hashes, sentAt, deadlineMs, label, replacements, abandoned }
+        this.lock = Promise.resolve();
+        this.watcher = null;
+        this.checkingDeadlines = false;
+        this.stopped = false;
+        this.sleepers = new Set(); // 等待下一次查詢回執的 waitForNonce，stop() 時立即喚醒
+        this.stats = {
+            sent: 0,
+            confirmed: 0,
+            failed: 0,
+            replaced: 0,
+            feeCapReached: 0,
+            stuck: 0,
+            nonceResets: 0,
+            gapsFilled: 0
+        };
+
+        const chain = this.name.toLowerCase();
+        const registry = options.metrics;
+        this.metricLabels = { chain };
+        this.metrics = registry && {
+            transactions: registry.counter('oracle_transactions_total', 'Oracle 送出的交易數（依結果）', ['chain', 'label', 'outcome']),
+            failures: registry.counter('oracle_transaction_failures_total', 'Oracle 交易失敗次數（依原因）', ['chain', 'label', 'reason']),
+            replacements: registry.counter('oracle_transaction_replacements_total', '以提高的費用替換卡住交易的次數', ['chain']),
+            nonceResets: registry.counter('oracle_nonce_resets_total', 'nonce 與鏈上重新同步的次數', ['chain']),
+            gasUsed: registry.counter('oracle_gas_used_total', 'Oracle 交易消耗的 gas', ['chain', 'label']),
+            gasSpent: registry.counter('oracle_gas_spent_wei_total', 'Oracle 交易支付的手續費（wei）', ['chain'])
+        };
+    }
+
+    async initialize() {
+        this.address = await this.signer.getAddress();
+        this.nextNonce = await this.provider.getTransactionCount(this.address, 'pending');
+        logger('info', `${this.name} 交易管理器初始化`, {
+            address: this.address,
+            nextNonce: this.nextNonce,
+            feePolicy: this.feeStrategy.policy
+        });
+        this.startWatcher();
+    }
+
+    /**
+     * 發送合約調用並等待回執
+     * @param {object|Promise<object>} contractCall - 交易請求，例如 contract.method.populateTransaction(...args)
+     * @param {object} options
+     * @param {string} options.label - 交易描述（用於日誌）
+     * @param {number} options.deadlineMs - 超過此時間未被打包即提高費用替換，預設為 stuckTimeoutMs
+     * @returns {Promise<TransactionReceipt>} 成功執行的回執；交易回滾時拋出錯誤
+     */
+    async send(contractCall, options = {}) {
+        const request = await contractCall;
+        const label = options.label || 'transaction';
+        const deadlineMs = options.deadlineMs || this.stuckTimeoutMs;
+        try {
+            // 等待鎖期間可能已停止，取得鎖後才檢查
+            const nonce = await this.withLock(() => {
+                if (this.stopped) {
+                    throw this.abortedError(null, []);
+                }
+                return this.broadcast(request, label, deadlineMs);
+            });
+            const receipt = await this.waitForNonce(nonce);
+            this.metrics?.transactions.inc({ ...this.metricLabels, label, outcome: 'confirmed' });
+            return receipt;
+        } catch (error) {
+            this.metrics?.transactions.inc({ ...this.metricLabels, label, outcome: 'failed' });
+            this.metrics?.failures.inc({ ...this.metricLabels, label, reason: failureReason(error) });
+            throw error;
+        }
+    }
+
+    // 串行化 nonce 分配與廣播
+    withLock(task) {
+        const result = this.lock.then(task);
+        this.lock = result.catch(() => {});
+        return result;
+    }
+
+    async broadcast(request, label, deadlineMs, attempt = 0) {
+        await this.fillGaps();
+
+        const nonce = this.nextNonce;
+        const gasLimit = request.gasLimit ?? await this.feeStrategy.estimateGasLimit(request, this.address);
+        const fees = await this.feeStrategy.getFees();
+
+        try {
+            const tx = await this.signer.sendTransaction({
+                ...request,
+                nonce,
+                gasLimit,
+                ...fees
+            });
+
+            // 廣播成功才消耗 nonce，失敗的發送不會留下空洞
+            this.nextNonce = nonce + 1;
+            this.pending.set(nonce, {
+                request,
+                label,
+                gasLimit,
+                fees,
+                hashes: [tx.hash],
+                sentAt: Date.now(),
+                deadlineMs,
+                replacements: 0
+            });
+            this.stats.sent++;
+
+            logger('info', `${this.name} 交易已廣播`, {
+                label,
+                nonce,
+                txHash: tx.hash,
+                gasLimit: gasLimit.toString(),
+                fees: formatFees(fees)
+            });
+            return nonce;
+        } catch (error) {
+            if (isNonceTooLow(error) && attempt < 3) {
+                await this.resyncNonce();
+                return this.broadcast(request, label, deadlineMs, attempt + 1);
+            }
+            throw error;
+        }
+    }
+
+    async resyncNonce() {
+        const chainNonce = await this.provider.getTransactionCount(this.address, 'pending');
+        const previous = this.nextNonce;
+        this.nextNonce = Math.max(chainNonce, this.nonceAfterPending() ?? chainNonce);
+        this.stats.nonceResets++;
+        this.metrics?.nonceResets.inc(this.metricLabels);
+
+        logger('warn', `${this.name} nonce重置`, {
+            previousNonce: previous,
+            newNonce: this.nextNonce
+        });
+    }
+
+    // 本地追蹤中最高 nonce 的下一個，避免重置後覆蓋仍在等待中的交易
+    nonceAfterPending() {
+        if (this.pending.size === 0) {
+            return null;
+        }
+        return Math.max(...this.pending.keys()) + 1;
+    }
+
+    /**
+     * 填補 nonce 空洞：已上鏈 nonce 與下一個待用 nonce 之間，若有節點已不認得的交易
+     * （被丟棄），以相同 nonce 重新廣播，否則後續所有交易都會卡住
+     */
+    async fillGaps() {
+        if (this.pending.size === 0) {
+            return;
+        }
+
+        const minedNonce = await this.provider.getTransactionCount(this.address, 'latest');
+        const nonces = Array.from(this.pending.keys()).sort((a, b) => a - b);
+
+        for (const nonce of nonces) {
+            if (nonce < minedNonce) {
+                continue; // 已打包，由 waitForNonce 處理
+            }
+
+            const entry = this.pending.get(nonce);
+            const known = await this.isKnownToNode(entry);
+            if (!known) {
+                logger('warn', `${this.name} 交易已被節點丟棄，重新廣播以填補nonce空洞`, {
+                    nonce,
+                    label: entry.label,
+                    hashes: entry.hashes
+                });
+                await this.replace(nonce, entry, { dropped: true });
+                this.stats.gapsFilled++;
+            }
+        }
+    }
+
+    async isKnownToNode(entry) {
+        for (const hash of entry.hashes) {
+            if (await this.provider.getTransaction(hash)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // 以相同 nonce 及提高的費用重新發送同一請求；已被節點丟棄的交易在費用達上限時以原費用重發
+    async replace(nonce, entry, options = {}) {
+        let fees = await this.feeStrategy.bump(entry.fees);
+        if (!fees && options.dropped) {
+            fees = entry.fees;
+        }
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+            if (!fees) {
+                // 已達費用上限：保留原交易繼續等待，延後下一次檢查
+                this.stats.feeCapReached++;
+                entry.sentAt = Date.now();
+                logger('error', `${this.name} 交易費用已達上限，無法再提高`, {
+                    label: entry.label,
+                    nonce,
+                    fees: formatFees(entry.fees)
+                });
+                return;
+            }
+
+            try {
+                const tx = await this.signer.sendTransaction({
+                    ...entry.request,
+                    nonce,
+                    gasLimit: entry.gasLimit,
+                    ...fees
+                });
+                entry.fees = fees;
+                entry.hashes.push(tx.hash);
+                entry.sentAt = Date.now();
+                entry.replacements++;
+                this.stats.replaced++;
+                this.metrics?.replacements.inc(this.metricLabels);
+
+                logger('info', `${this.name} 已替換交易`, {
+                    label: entry.label,
+                    nonce,
+                    txHash: tx.hash,
+                    replacements: entry.replacements,
+                    fees: formatFees(fees)
+                });
+                return;
+            } catch (error) {
+                if (isAlreadyKnown(error)) {
+                    entry.sentAt = Date.now();
+                    return;
+                }
+                if (isNonceTooLow(error)) {
+                    return; // 原交易已被打包
+                }
+                if (!isUnderpriced(error)) {
+                    throw error;
+                }
+                fees = await this.feeStrategy.bump(fees);
+            }
+        }
+    }
+
+    startWatcher() {
+        if (this.watcher) {
+            return;
+        }
+        this.watcher = setInterval(() => {
+            this.checkDeadlines().catch(error =>
+                logger('error', `${this.name} 檢查交易期限時發生錯誤`, {
+                    error: error.message
+                })
+            );
+        }, this.pollIntervalMs);
+        this.watcher.unref?.();
+    }
+
+    stopWatcher() {
+        if (this.watcher) {
+            clearInterval(this.watcher);
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * 停止監看器並中止所有等待中的 send()；已廣播的交易仍可能上鏈，由呼叫端在重啟後對帳
+     */
+    stop() {
+        this.stopped = true;
+        this.stopWatcher();
+        for (const wake of this.sleepers) {
+            wake();
+        }
+        this.sleepers.clear();
+    }
+
+    // 等待下一次查詢；stop() 時提前結束
+    pause() {
+        return new Promise(resolve => {
+            const wake = () => {
+                clearTimeout(timer);
+                this.sleepers.delete(wake);
+                resolve();
+            };
+            const timer = setTimeout(wake, this.pollIntervalMs);
+            this.sleepers.add(wake);
+        });
+    }
+
+    abortedError(nonce, hashes) {
+        const error = new Error(nonce === null
+            ? `${this.name} 交易管理器已停止，不再發送交易`
+            : `${this.name} 交易管理器已停止，放棄等待交易 nonce ${nonce}`);
+        error.code = 'TX_ABORTED';
+        error.nonce = nonce;
+        error.hashes = hashes;
+        return error;
+    }
+
+    /**
+     * 期限監看：超過期限仍未被打包的交易以相同 nonce 提高費用重新廣播
+     */
+    async checkDeadlines() {
+        if (this.checkingDeadlines || this.pending.size === 0) {
+            return;
+        }
+        this.checkingDeadlines = true;
+
+        try {
+            const minedNonce = await this.provider.getTransactionCount(this.address, 'latest');
+            const nonces = Array.from(this.pending.keys()).sort((a, b) => a - b);
+
+            for (const nonce of nonces) {
+                const entry = this.pending.get(nonce);
+                // 已放棄等待的交易沒有 waitForNonce 清理，上鏈後在此移除
+                if (entry?.abandoned && nonce < minedNonce) {
+                    this.pending.delete(nonce);
+                    logger('info', `${this.name} 已放棄等待的交易已上鏈`, {
+                        label: entry.label,
+                        nonce,
+                        hashes: entry.hashes
+                    });
+                    continue;
+                }
+                if (!entry || nonce < minedNonce || Date.now() - entry.sentAt <= entry.deadlineMs) {
+                    continue;
+                }
+
+                if (entry.replacements >= this.maxReplacements) {
+                    logger('error', `${this.name} 交易替換次數已達上限，繼續等待`, {
+                        label: entry.label,
+                        nonce,
+                        hashes: entry.hashes
+                    });
+                    entry.sentAt = Date.now();
+                    continue;
+                }
+
+                logger('warn', `${this.name} 交易超過期限未被打包，提高費用替換`, {
+                    label: entry.label,
+                    nonce,
+                    waitedMs: Date.now() - entry.sentAt,
+                    deadlineMs: entry.deadlineMs
+                });
+                await this.withLock(async () => {
+                    // 等待鎖期間原交易可能已被打包
+                    const latestNonce = await this.provider.getTransactionCount(this.address, 'latest');
+                    if (latestNonce > nonce || !this.pending.has(nonce)) {
+                        return;
+                    }
+                    await this.replace(nonce, entry);
+                }).catch(error =>
+                    logger('error', `${this.name} 替換交易失敗`, {
+                        label: entry.label,
+                        nonce,
+                        error: error.message
+                    })
+                );
+            }
+        } finally {
+            this.checkingDeadlines = false;
+        }
+    }
+
+    // 依序查詢同一 nonce 各次廣播的回執，回傳第一個已上鏈的
+    async findReceipt(entry) {
+        for (const hash of entry.hashes) {
+            const receipt = await this.provider.getTransactionReceipt(hash);
+            if (receipt) {
+                return receipt;
+            }
+        }
+        return null;
+    }
+
+    // 交易已上鏈：移除追蹤並記錄費用，回滾時拋出錯誤
+    settle(nonce, entry, receipt) {
+        this.pending.delete(nonce);
+        // 回滾的交易同樣支付手續費
+        this.metrics?.gasUsed.inc({ ...this.metricLabels, label: entry.label }, Number(receipt.gasUsed));
+        this.metrics?.gasSpent.inc(this.metricLabels, Number(receipt.fee));
+
+        if (receipt.status !== 1) {
+            this.stats.failed++;
+            const error = new Error(`Transaction reverted: ${receipt.hash}`);
+            error.receipt = receipt;
+            throw error;
+        }
+
+        this.stats.confirmed++;
+        return receipt;
+    }
+
+    async waitForNonce(nonce) {
+        const entry = this.pending.get(nonce);
+        const giveUpAt = Date.now() + this.maxWaitMs;
+        let rpcError = null;
+
+        while (true) {
+            let receipt = null;
+            let taken = false;
+            try {
+                receipt = await this.findReceipt(entry);
+                if (!receipt) {
+                    // nonce 已被其他交易使用（例如手動發送），本交易不會再被打包
+                    const minedNonce = await this.provider.getTransactionCount(this.address, 'latest');
+                    if (minedNonce > nonce) {
+                        // 回執可能稍晚可查，再確認一次
+                        receipt = await this.findReceipt(entry);
+                        taken = !receipt;
+                    }
+                }
+                rpcError = null;
+            } catch (error) {
+                // 節點暫時錯誤不代表交易失敗（交易仍可能上鏈），在總時限內繼續查詢
+                rpcError = error;
+                logger('warn', `${this.name} 查詢交易狀態失敗，稍後重試`, {
+                    label: entry.label,
+                    nonce,
+                    error: error.message
+                });
+            }
+
+            if (receipt) {
+                return this.settle(nonce, entry, receipt);
+            }
+
+            if (taken) {
+                this.pending.delete(nonce);
+                this.stats.failed++;
+                const error = new Error(`Nonce ${nonce} 已被其他交易使用`);
+                error.code = 'NONCE_TAKEN';
+                throw error;
+            }
+
+            if (Date.now() >= giveUpAt) {
+                // 保留在 pending 中：nonce 已被占用，監看器繼續替換，上鏈後才移除
+                entry.abandoned = true;
+                this.stats.stuck++;
+                logger('error', `${this.name} 交易超過等待時限仍未上鏈，放棄等待`, {
+                    label: entry.label,
+                    nonce,
+                    hashes: entry.hashes,
+                    replacements: entry.replacements,
+                    maxWaitMs: this.maxWaitMs,
+                    lastError: rpcError?.message
+                });
+                const error = new Error(rpcError
+                    ? `交易 nonce ${nonce} 等待 ${this.maxWaitMs}ms 仍無法確認上鏈: ${rpcError.message}`
+                    : `交易 nonce ${nonce} 等待 ${this.maxWaitMs}ms 仍未上鏈`);
+                error.code = 'TX_STUCK';
+                error.nonce = nonce;
+                error.hashes = [...entry.hashes];
+                error.cause = rpcError || undefined;
+                throw error;
+            }
+
+            await this.pause();
+            if (this.stopped) {
+                entry.abandoned = true;
+                logger('warn', `${this.name} 交易管理器已停止，放棄等待交易上鏈`, {
+                    label: entry.label,
+                    nonce,
+                    hashes: entry.hashes
+                });
+                throw this.abortedError(nonce, [...entry.hashes]);
+            }
+        }
+    }
+
+    getPendingTransactions() {
+        return Array.from(this.pending.entries()).map(([nonce, entry]) => ({
+            nonce,
+            label: entry.label,
+            hashes: entry.hashes,
+            sentAt: new Date(entry.sentAt).toISOString(),
+            replacements: entry.replacements,
+            abandoned: !!entry.abandoned,
+            fees: formatFees(entry.fees)
+        }));
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            nextNonce: this.nextNonce,
+            pending: this.pending.size
+        };
+    }
+}
+
+module.exports = TransactionManager;
@@ -0,0 +1,318 @@
+/**
+ * Webhook 通知
+ * 需要人工注意的事件（雙重支付取消交易、跨鏈驗證失敗、簽名帳戶餘額不足）以 POST 送往訂閱的 URL，
+ * 可以是 Slack incoming webhook（請求內容帶有 text 欄位）或自有服務。
+ *
+ * 每個訂閱可設定事件過濾（可用 * 結尾比對前綴）及簽章密鑰，有密鑰時請求帶有：
+ *   X-Oracle-Timestamp: <unix 秒>
+ *   X-Oracle-Signature: sha256=hex(HMAC-SHA256(secret, "timestamp.body"))
+ * 傳送失敗（連線錯誤、逾時或非 2xx 回應）以指數退避重試，超過次數或關閉時仍未送達的通知寫入死信檔案（JSON Lines）。
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+function stringify(value) {
+    return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item);
+}
+
+// Slack 等服務的 webhook URL 路徑本身就是憑證，列出訂閱時只顯示來源
+function maskUrl(url) {
+    try {
+        return `${new URL(url).origin}/…`;
+    } catch (error) {
+        return '(invalid url)';
+    }
+}
+
+class WebhookNotifier {
+    /**
+     * @param {object} options
+     * @param {object[]} options.subscriptions - [{ id, url, events, secret }]
+     * @param {number} options.maxAttempts - 每則通知最多傳送次數（含第一次）
+     * @param {number} options.baseDelay - 第一次重試前等待的毫秒數，之後每次加倍
+     * @param {number} options.maxDelay - 重試等待的上限毫秒數
+     * @param {number} options.timeout - 單次請求逾時毫秒數
+     * @param {string} options.deadLetterFile - 死信檔案路徑，預設與日誌同目錄
+     */
+    constructor(options = {}) {
+        this.maxAttempts = options.maxAttempts || 6;
+        this.baseDelay = options.baseDelay || 2000;
+        this.maxDelay = options.maxDelay || 300000;
+        this.timeout = options.timeout || 10000;
+        this.deadLetterFile = options.deadLetterFile || path.join(__dirname, '..', 'logs', 'webhook-dead-letters.jsonl');
+
+        this.subscriptions = new Map();
+        for (const subscription of options.subscriptions || []) {
+            if (this.subscriptions.has(subscription.id)) {
+                throw new Error(`Webhook 訂閱 ID 重複: ${subscription.id}`);
+            }
+            this.subscriptions.set(subscription.id, {
+                ...subscription,
+                events: subscription.events?.length ? subscription.events : ['*'],
+                stats: { delivered: 0, failed: 0, deadLettered: 0, lastStatus: null, lastDeliveredAt: null }
+            });
+        }
+
+        this.pending = new Map(); // 通知 ID -> { delivery, timer }
+        this.sending = new Set(); // 傳送中的請求，關閉前由 idle() 等待
+        this.closed = false;
+        this.history = [];
+        this.stats = { notified: 0, delivered: 0, retried: 0, deadLettered: 0 };
+
+        fs.mkdirSync(path.dirname(this.deadLetterFile), { recursive: true });
+    }
+
+    /**
+     * 解析 "id|url|事件1,事件2|secret" 以分號分隔的訂閱設定；事件留空表示全部
+     */
+    static parseSubscriptions(value) {
+        if (!value) {
+            return [];
+        }
+        return value.split(';')
+            .map(item => item.trim())
+            .filter(Boolean)
+            .map(item => {
+                const [id, url, events, secret] = item.split('|').map(part => part.trim());
+                if (!id || !url) {
+                    throw new Error('Webhook 訂閱設定格式錯誤，應為 id|url|events|secret');
+                }
+                new URL(url); // URL 格式錯誤時拋出
+                return {
+                    id,
+                    url,
+                    events: events ? events.split(',').map(event => event.trim()).filter(Boolean) : [],
+                    secret: secret || null
+                };
+            });
+    }
+
+    matches(subscription, type) {
+        return subscription.events.some(event => event === '*' || (event.endsWith('*')
+            ? type.startsWith(event.slice(0, -1))
+            : type === event));
+    }
+
+    /**
+     * 通知所有訂閱此事件的 URL；傳送在背景進行，失敗時自動重試
+     * @param {string} type - 事件類型，例如 swap.cancelled
+     * @param {object} data - 事件內容
+     * @param {string} text - 給人看的摘要（Slack 顯示此欄位）
+     */
+    notify(type, data = {}, text = null) {
+        const event = this.createEvent(type, data, text);
+        const targets = Array.from(this.subscriptions.values()).filter(subscription => this.matches(subscription, type));
+        if (targets.length > 0) {
+            this.stats.notified++;
+        }
+        for (const subscription of targets) {
+            this.dispatch({ id: `${event.id}:${subscription.id}`, subscriptionId: subscription.id, event, attempts: 0 });
+        }
+        return targets.length;
+    }
+
+    dispatch(delivery) {
+        const sending = this.deliver(delivery);
+        this.sending.add(sending);
+        sending.then(() => this.sending.delete(sending), () => this.sending.delete(sending));
+        return sending;
+    }
+
+    /**
+     * 等待傳送中的請求完成（每個請求最多 timeout 毫秒）；等待重試的通知不在此列，由 close() 寫入死信
+     */
+    async idle() {
+        await Promise.allSettled(Array.from(this.sending));
+    }
+
+    /**
+     * 送出測試通知（不受事件過濾限制），只傳送一次並回傳結果，失敗時不重試也不寫入死信
+     */
+    async test(subscriptionId) {
+        if (!this.subscriptions.has(subscriptionId)) {
+            return null;
+        }
+        const event = this.createEvent('webhook.test', { subscriptionId }, `Oracle webhook 測試通知（${subscriptionId}）`);
+        return this.deliver({ id: `${event.id}:${subscriptionId}`, subscriptionId, event, attempts: 0, test: true });
+    }
+
+    createEvent(type, data, text) {
+        return {
+            id: crypto.randomUUID(),
+            type,
+            at: new Date().toISOString(),
+            text: `[Oracle] ${text || type}`,
+            data
+        };
+    }
+
+    async deliver(delivery) {
+        const subscription = this.subscriptions.get(delivery.subscriptionId);
+        delivery.attempts++;
+        const result = await this.post(subscription, delivery.event);
+        this.pending.delete(delivery.id);
+        this.record(delivery, result);
+
+        subscription.stats.lastStatus = result.status ?? result.error;
+        if (result.ok) {
+            subscription.stats.delivered++;
+            subscription.stats.lastDeliveredAt = new Date().toISOString();
+            this.stats.delivered++;
+            return result;
+        }
+
+        subscription.stats.failed++;
+        if (delivery.test) {
+            return result;
+        }
+        if (delivery.attempts >= this.maxAttempts) {
+            this.deadLetter(delivery, result.error || `HTTP ${result.status}`);
+            return result;
+        }
+        if (this.closed) {
+            this.deadLetter(delivery, '服務關閉時仍在等待重試');
+            return result;
+        }
+
+        const delay = this.retryDelay(delivery.attempts);
+        logger('warn', 'Webhook 傳送失敗，稍後重試', {
+            subscriptionId: subscription.id,
+            type: delivery.event.type,
+            attempts: delivery.attempts,
+            status: result.status,
+            error: result.error,
+            retryInMs: delay
+        });
+        this.stats.retried++;
+        const timer = setTimeout(() => this.dispatch(delivery), delay);
+        this.pending.set(delivery.id, { delivery, timer });
+        return result;
+    }
+
+    // 指數退避，加上 ±20% 的隨機偏移避免多個通知同時重試
+    retryDelay(attempts) {
+        const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempts - 1));
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    async post(subscription, event) {
+        const body = stringify(event);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'timer-oracle-webhook',
+            'X-Oracle-Event': event.type,
+            'X-Oracle-Delivery': event.id,
+            'X-Oracle-Timestamp': String(timestamp)
+        };
+        if (subscription.secret) {
+            const signature = crypto.createHmac('sha256', subscription.secret).update(`${timestamp}.${body}`).digest('hex');
+            headers['X-Oracle-Signature'] = `sha256=${signature}`;
+        }
+
+        const startedAt = Date.now();
+        try {
+            const response = await fetch(subscription.url, {
+                method: 'POST',
+                headers,
+                body,
+                signal: AbortSignal.timeout(this.timeout)
+            });
+            return { ok: response.ok, status: response.status, durationMs: Date.now() - startedAt };
+        } catch (error) {
+            return { ok: false, status: null, error: error.message, durationMs: Date.now() - startedAt };
+        }
+    }
+
+    record(delivery, result) {
+        this.history.push({
+            at: new Date().toISOString(),
+            subscriptionId: delivery.subscriptionId,
+            eventId: delivery.event.id,
+            type: delivery.event.type,
+            attempt: delivery.attempts,
+            ...result
+        });
+        if (this.history.length > 100) {
+            this.history.shift();
+        }
+    }
+
+    deadLetter(delivery, error) {
+        const subscription = this.subscriptions.get(delivery.subscriptionId);
+        subscription.stats.deadLettered++;
+        this.stats.deadLettered++;
+        const record = {
+            at: new Date().toISOString(),
+            subscriptionId: delivery.subscriptionId,
+            attempts: delivery.attempts,
+            error,
+            event: delivery.event
+        };
+        try {
+            fs.appendFileSync(this.deadLetterFile, stringify(record) + '\n');
+        } catch (writeError) {
+            logger('error', '寫入 Webhook 死信檔案時發生錯誤', {
+                error: writeError.message
+            });
+        }
+        logger('error', 'Webhook 通知無法送達，已寫入死信檔案', {
+            subscriptionId: delivery.subscriptionId,
+            type: delivery.event.type,
+            attempts: delivery.attempts,
+            error
+        });
+    }
+
+    /**
+     * 讀取最近的死信記錄
+     */
+    recentDeadLetters(limit = 20) {
+        if (!fs.existsSync(this.deadLetterFile)) {
+            return [];
+        }
+        return fs.readFileSync(this.deadLetterFile, 'utf8')
+            .split('\n')
+            .filter(Boolean)
+            .slice(-limit)
+            .map(line => JSON.parse(line));
+    }
+
+    listSubscriptions() {
+        return Array.from(this.subscriptions.values()).map(subscription => ({
+            id: subscription.id,
+            url: maskUrl(subscription.url),
+            events: subscription.events,
+            signed: !!subscription.secret,
+            stats: subscription.stats
+        }));
+    }
+
+    recentDeliveries(limit = 20) {
+        return this.history.slice(-limit);
+    }
+
+    // 停止重試；等待中的通知寫入死信檔案，不會因關閉而遺失
+    close() {
+        this.closed = true;
+        for (const { delivery, timer } of this.pending.values()) {
+            clearTimeout(timer);
+            this.deadLetter(delivery, '服務關閉時仍在等待重試');
+        }
+        this.pending.clear();
+    }
+
+    getStats() {
+        return {
+            subscriptions: this.subscriptions.size,
+            pendingRetries: this.pending.size,
+            sending: this.sending.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = WebhookNotifier;
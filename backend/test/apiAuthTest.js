@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * 🔐 API 驗證測試
+ *
+ * 在程序內以 Express 掛上 ApiAuth 中介層，透過 HTTP 驗證：
+ * - roles: 匿名、operator、admin 金鑰可存取的路由
+ * - routeCase: 路由比對不分大小寫（/LOGS 不能繞過 /logs 的角色要求），requireRole 不受路由角色覆寫影響
+ * - hmac: 簽章驗證、重放、竄改路徑及過期時間戳
+ * - throttle: 401 回應計入來源 IP 的限流，金鑰超過每分鐘請求數時回應 429
+ * - parse: 金鑰及路由角色設定解析
+ *
+ * 使用方法:
+ * node backend/test/apiAuthTest.js [test_name]   (預設 all)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const ApiAuth = require('../services/apiAuth');
+const { colorLog, check, rejects, run } = require('./testRunner');
+
+const KEYS = [
+    { id: 'ops', role: 'operator', secret: 'ops-secret' },
+    { id: 'root', role: 'admin', secret: 'root-secret' },
+    { id: 'limited', role: 'operator', secret: 'limited-secret', rateLimit: 2 }
+];
+
+/**
+ * 啟動掛上 ApiAuth 的測試伺服器，路由與 Oracle 的 HTTP API 相同
+ */
+async function startServer(options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-auth-'));
+    const auth = new ApiAuth({ keys: KEYS, accessLogFile: path.join(dir, 'access.jsonl'), ...options });
+    const app = express();
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+    app.use(auth.middleware());
+
+    const ok = (req, res) => res.json({ ok: true, role: req.auth.role });
+    app.get('/trade/:id', ok);
+    app.get('/status', ok);
+    app.get('/logs', auth.requireRole('admin'), ok);
+    app.post('/admin/clock', auth.requireRole('admin'), ok);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        auth,
+        request: (route, init = {}) => fetch(`${baseUrl}${route}`, init),
+        bearer: secret => ({ headers: { Authorization: `Bearer ${secret}` } }),
+        close: async () => {
+            await new Promise(resolve => server.close(resolve));
+            auth.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+async function withServer(options, test) {
+    const server = await startServer(options);
+    try {
+        await test(server);
+    } finally {
+        await server.close();
+    }
+}
+
+function sign(secret, method, route, body = '', timestamp = Math.floor(Date.now() / 1000)) {
+    const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+    const signature = crypto.createHmac('sha256', secret)
+        .update([timestamp, method, route, bodyHash].join('\n'))
+        .digest('hex');
+    return {
+        'X-API-Key': KEYS.find(key => key.secret === secret).id,
+        'X-API-Timestamp': String(timestamp),
+        'X-API-Signature': signature
+    };
+}
+
+function testRoles() {
+    colorLog('cyan', '👥 路由角色');
+    return withServer({}, async ({ request, bearer }) => {
+        check((await request('/trade/1')).status === 200, '匿名請求可存取 public 路由');
+        check((await request('/status')).status === 401, '匿名請求存取 operator 路由回應 401');
+        check((await request('/status', bearer('ops-secret'))).status === 200, 'operator 金鑰可存取 /status');
+        check((await request('/logs', bearer('ops-secret'))).status === 403, 'operator 金鑰存取 /logs 回應 403');
+        check((await request('/logs', bearer('root-secret'))).status === 200, 'admin 金鑰可存取 /logs');
+        check((await request('/trade/1', bearer('wrong'))).status === 401, '無效的金鑰回應 401');
+        check((await request('/trade/1', { headers: { Authorization: 'Basic ops-secret' } })).status === 401, '非 Bearer 驗證方式回應 401');
+    });
+}
+
+function testRouteCase() {
+    colorLog('cyan', '🔠 路由大小寫');
+    return withServer({}, async ({ auth, request, bearer }) => {
+        check(auth.requiredRole('/LOGS') === 'admin' && auth.requiredRole('/Admin/clock') === 'admin', '不分大小寫比對路由前綴');
+        check(auth.requiredRole('/logs/') === 'admin' && auth.requiredRole('/logsx') === 'operator', '只比對完整的路徑段');
+        check((await request('/LOGS')).status === 401, '匿名請求無法以 /LOGS 繞過角色要求');
+        check((await request('/LoGs', bearer('ops-secret'))).status === 403, 'operator 金鑰無法以 /LoGs 存取日誌');
+        check((await request('/LOGS', bearer('root-secret'))).status === 200, 'admin 金鑰可存取 /LOGS');
+    }).then(() => withServer({ routeRoles: { '/logs': 'public', '/Admin': 'public' } }, async ({ request }) => {
+        check((await request('/logs')).status === 401, '路由角色覆寫為 public 時 /logs 仍需要 admin');
+        check((await request('/ADMIN/clock', { method: 'POST' })).status === 401, '路由角色覆寫為 public 時管理路由仍需要 admin');
+    }));
+}
+
+function testHmac() {
+    colorLog('cyan', '✍️  HMAC 簽章');
+    return withServer({}, async ({ request }) => {
+        const headers = sign('ops-secret', 'GET', '/status?verbose=1');
+        check((await request('/status?verbose=1', { headers })).status === 200, '簽章正確的請求通過驗證');
+
+        const replay = await request('/status?verbose=1', { headers });
+        check(replay.status === 401 && (await replay.json()).error === 'HMAC 簽章已使用過', '重放相同簽章回應 401');
+
+        const tampered = sign('ops-secret', 'GET', '/status');
+        check((await request('/status?verbose=1', { headers: tampered })).status === 401, '簽章路徑與請求不符時回應 401');
+
+        const stale = sign('ops-secret', 'GET', '/status', '', Math.floor(Date.now() / 1000) - 3600);
+        const staleResponse = await request('/status', { headers: stale });
+        check(staleResponse.status === 401 && (await staleResponse.json()).error === 'HMAC 時間戳超出允許範圍', '過期的時間戳回應 401');
+
+        const body = JSON.stringify({ advance: 60 });
+        const post = await request('/admin/clock', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...sign('root-secret', 'POST', '/admin/clock', body) },
+            body
+        });
+        check(post.status === 200, '簽章包含請求內容的雜湊');
+    });
+}
+
+function testThrottle() {
+    colorLog('cyan', '🚦 限流');
+    return withServer({ rateLimits: { public: 3 } }, async ({ request, bearer }) => {
+        const statuses = [];
+        for (let i = 0; i < 4; i++) {
+            statuses.push((await request('/trade/1', bearer(`guess-${i}`))).status);
+        }
+        check(statuses.join() === '401,401,401,429', '第 4 次無效金鑰超過 IP 限流，回應 429');
+        const throttled = await request('/status');
+        check(throttled.status === 429 && throttled.headers.get('Retry-After'), '同一 IP 的匿名請求也被限流並帶 Retry-After');
+        check((await request('/status', bearer('ops-secret'))).status === 200, '有效金鑰使用各自的限流');
+    }).then(() => withServer({}, async ({ request, bearer }) => {
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            statuses.push((await request('/status', bearer('limited-secret'))).status);
+        }
+        check(statuses.join() === '200,200,429', '金鑰超過每分鐘請求數時回應 429');
+    }));
+}
+
+async function testParse() {
+    colorLog('cyan', '🧾 設定解析');
+    const keys = ApiAuth.parseKeys(' a:admin:s1 , b:operator:s2:30 ');
+    check(keys.length === 2 && keys[0].rateLimit === null && keys[1].rateLimit === 30, '解析 id:role:secret[:rateLimit]');
+    check(ApiAuth.parseRouteRoles('/stats:public,/health:admin')['/stats'] === 'public', '解析 /route:role');
+    await rejects(() => ApiAuth.parseKeys('a:admin'), '缺少密鑰的金鑰設定拋出錯誤');
+    await rejects(() => new ApiAuth({ keys: [{ id: 'x', role: 'root', secret: 's' }], accessLogFile: path.join(os.tmpdir(), 'api-auth-invalid.jsonl') }),
+        '無效的金鑰角色拋出錯誤');
+}
+
+run({
+    roles: testRoles,
+    routeCase: testRouteCase,
+    hmac: testHmac,
+    throttle: testThrottle,
+    parse: testParse
+}, 'API 驗證測試');
@@ -33,6 +33,8 @@ const ASSET_CONTRACT_ADDRESS = process.env.ASSET_CONTRACT_ADDRESS;
 const PAYMENT_CONTRACT_ADDRESS = process.env.PAYMENT_CONTRACT_ADDRESS;
 const BUYER_PRIVATE_KEY = process.env.BUYER_PRIVATE_KEY;
 const SELLER_PRIVATE_KEY = process.env.SELLER_PRIVATE_KEY;
+// Oracle /status 需要 operator 角色，可用 ORACLE_API_KEY 提供金鑰
+const ORACLE_API_KEY = process.env.ORACLE_API_KEY;
 
 // 測試用密鑰
 const ENCRYPTED_KEY_SELLER = "0QOwlviLqv5lfwLZkaZ7s8V2C5hB3KRe"; // sellerkey
@@ -240,6 +242,11 @@ function getTradeStateText(stateCode) {
     return states[Number(stateCode)] || "未知狀態";
 }
 
+// Oracle API 請求標頭：設定 ORACLE_API_KEY 時以 Bearer 金鑰存取需要 operator 角色的 /status
+function oracleApiHeaders() {
+    return ORACLE_API_KEY ? { Authorization: `Bearer ${ORACLE_API_KEY}` } : {};
+}
+
 // 等待函數
 function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -769,7 +776,7 @@ async function testCorrectAtomicSwapWithDualKeys() {
             // 🔧 真正檢查 Oracle 的 Merkle proof 驗證狀態
             try {
                 const serverPort = process.env.SERVER_PORT || 1202;
-                const response = await fetch(`http://localhost:${serverPort}/status`);
+                const response = await fetch(`http://localhost:${serverPort}/status`, { headers: oracleApiHeaders() });
                 if (response.ok) {
                     const oracleStatus = await response.json();
                     
@@ -1543,7 +1550,7 @@ async function checkSystemHealth() {
 
         // 🔧 嘗試連接Oracle API
         try {
-            const response = await fetch(`http://localhost:${serverPort}/status`);
+            const response = await fetch(`http://localhost:${serverPort}/status`, { headers: oracleApiHeaders() });
             if (response.ok) {
                 const oracleStatus = await response.json();
                 colorLog('green', '  ✓ Oracle服務連接正常');
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * ⏰ 交易期限排程器測試
+ *
+ * 以手動時鐘驅動 DeadlineScheduler，不需實際等待：
+ * - order: 不依順序排程的期限依到期時間觸發，同時到期的一次派發
+ * - rearm: 只保留一個計時器並指向最早的期限，提前、取代及時鐘調整時重新設定
+ * - cancel: 取消的期限不會觸發，取消最早的期限後計時器改指向下一個
+ * - compact: 反覆重新排程同一個 key 時堆不會無限增長
+ * - dispatch: 卡住或拋錯的處理函數不影響其他期限，未完成的處理計入 inFlight
+ * - farFuture: 超過 setTimeout 上限的期限分段等待，不會提前觸發
+ *
+ * 使用方法:
+ * node backend/test/deadlineSchedulerTest.js [test_name]   (預設 all)
+ */
+
+const DeadlineScheduler = require('../services/deadlineScheduler');
+const { ManualClock } = require('../services/clock');
+const logger = require('../services/logger');
+const { colorLog, check, run } = require('./testRunner');
+
+const START = Date.UTC(2024, 0, 1);
+
+// 建立排程器，回傳觸發紀錄（依觸發順序的 key）
+function createScheduler(onDeadline) {
+    const clock = new ManualClock(START);
+    const fired = [];
+    const scheduler = new DeadlineScheduler({
+        clock,
+        onDeadline: onDeadline || (({ key }) => {
+            fired.push(key);
+        })
+    });
+    scheduler.start();
+    return { clock, scheduler, fired };
+}
+
+// 手動時鐘上尚未觸發的計時器到期時間
+function armedAt(clock) {
+    return Array.from(clock.timers).map(timer => timer.dueAt);
+}
+
+// 讓派發的處理函數（以 Promise 執行）完成
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+async function testOrder() {
+    colorLog('cyan', '📚 依到期順序觸發');
+    const { clock, scheduler, fired } = createScheduler();
+    // 以固定的亂序排程 40 個期限
+    const offsets = Array.from({ length: 40 }, (_, index) => (index * 17) % 40 + 1);
+    offsets.forEach(offset => scheduler.schedule(`trade:${offset}`, START + offset * 1000, { offset }));
+    check(scheduler.upcoming(3).map(entry => entry.key).join() === 'trade:1,trade:2,trade:3', 'upcoming() 依到期順序列出');
+
+    await clock.advance(20 * 1000);
+    await settle();
+    check(fired.length === 20 && fired.every((key, index) => key === `trade:${index + 1}`), '推進 20 秒後依序觸發前 20 個期限');
+
+    await clock.advance(60 * 1000);
+    await settle();
+    check(fired.length === 40 && fired.every((key, index) => key === `trade:${index + 1}`) && scheduler.getStats().scheduled === 0,
+        '其餘期限依序觸發且不再排程');
+
+    scheduler.schedule('a', START + 100 * 1000);
+    scheduler.schedule('b', START + 100 * 1000);
+    await clock.advance(40 * 1000);
+    await settle();
+    check(fired.slice(40).sort().join() === 'a,b' && scheduler.getStats().fired === 42, '同時到期的期限由同一個計時器一次派發');
+}
+
+async function testRearm() {
+    colorLog('cyan', '🔔 計時器重新設定');
+    const { clock, scheduler, fired } = createScheduler();
+    scheduler.schedule('late', START + 60000);
+    check(armedAt(clock).join() === String(START + 60000), '只有一個計時器，指向唯一的期限');
+
+    scheduler.schedule('early', START + 10000);
+    check(armedAt(clock).join() === String(START + 10000), '較早的期限取代計時器');
+
+    scheduler.schedule('early', START + 90000);
+    check(armedAt(clock).join() === String(START + 60000), '重新排程延後時計時器改指向下一個期限');
+
+    await clock.advance(60000);
+    await settle();
+    check(fired.join() === 'late' && armedAt(clock).join() === String(START + 90000), '觸發後計時器指向剩餘的期限');
+
+    scheduler.stop();
+    check(armedAt(clock).length === 0, 'stop() 清除計時器');
+    await clock.advance(60000);
+    await settle();
+    check(fired.join() === 'late', '停止期間不觸發期限');
+    scheduler.start();
+    check(armedAt(clock).join() === String(clock.now()), '重新啟動時已到期的期限立即設定計時器');
+    await clock.advance(0);
+    await settle();
+    check(fired.join() === 'late,early', '計時器觸發已到期的期限');
+}
+
+async function testCancel() {
+    colorLog('cyan', '🗑️  取消期限');
+    const { clock, scheduler, fired } = createScheduler();
+    scheduler.schedule('first', START + 1000);
+    scheduler.schedule('second', START + 2000);
+    scheduler.schedule('third', START + 3000);
+
+    scheduler.cancel('first');
+    check(!scheduler.has('first') && armedAt(clock).join() === String(START + 2000), '取消最早的期限後計時器指向下一個');
+    scheduler.cancel('missing');
+    check(scheduler.getStats().scheduled === 2, '取消不存在的 key 沒有影響');
+
+    await clock.advance(5000);
+    await settle();
+    check(fired.join() === 'second,third', '已取消的期限不會觸發');
+
+    scheduler.schedule('only', START + 10000);
+    scheduler.cancel('only');
+    check(armedAt(clock).length === 0 && scheduler.getStats().nextDueAt === null, '取消最後一個期限後沒有計時器');
+}
+
+function testCompact() {
+    colorLog('cyan', '🧹 堆壓縮');
+    const { scheduler } = createScheduler();
+    for (let i = 0; i < 500; i++) {
+        scheduler.schedule('busy', START + 1000 + i);
+    }
+    check(scheduler.heap.size <= 65 && scheduler.getStats().scheduled === 1, `反覆重新排程後堆只保留少量節點（${scheduler.heap.size}）`);
+    check(scheduler.upcoming()[0].dueAt === START + 1499, '保留最後一次排程的期限');
+}
+
+async function testDispatch() {
+    colorLog('cyan', '🚦 不等待處理函數');
+    const fired = [];
+    let release;
+    const { clock, scheduler } = createScheduler(({ key }) => {
+        fired.push(key);
+        if (key === 'hung') {
+            return new Promise(resolve => {
+                release = resolve;
+            });
+        }
+        if (key === 'broken') {
+            throw new Error('handler failed');
+        }
+        return null;
+    });
+    scheduler.schedule('hung', START + 1000);
+    scheduler.schedule('broken', START + 1000);
+    scheduler.schedule('next', START + 2000);
+
+    await clock.advance(1000);
+    await settle();
+    check(scheduler.getStats().inFlight === 1, '卡住的處理函數計入 inFlight，拋錯的處理函數已結束');
+    await clock.advance(1000);
+    await settle();
+    check(fired.includes('next'), '卡住的處理函數不延誤之後的期限');
+
+    release();
+    await settle();
+    check(scheduler.getStats().inFlight === 0, '處理函數完成後移出 inFlight');
+}
+
+async function testFarFuture() {
+    colorLog('cyan', '🔭 超過計時器上限的期限');
+    const { clock, scheduler, fired } = createScheduler();
+    const maxDelay = 2 ** 31 - 1;
+    scheduler.schedule('far', START + maxDelay * 2);
+    check(armedAt(clock).join() === String(START + maxDelay), '計時器設定在 setTimeout 上限');
+
+    await clock.advance(maxDelay);
+    await settle();
+    check(fired.length === 0 && armedAt(clock).join() === String(START + maxDelay * 2), '上限到達時未觸發，重新設定剩餘的等待');
+
+    await clock.advance(maxDelay);
+    await settle();
+    check(fired.join() === 'far', '期限到達時觸發');
+}
+
+// 測試只輸出錯誤（dispatch 中拋錯的處理函數會記錄一筆）
+logger.configure({ level: process.env.VERBOSE ? 'debug' : 'error' });
+
+run({
+    order: testOrder,
+    rearm: testRearm,
+    cancel: testCancel,
+    compact: testCompact,
+    dispatch: testDispatch,
+    farFuture: testFarFuture
+}, '交易期限排程器測試');
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * 🛡️ 雙重支付規則引擎測試
+ *
+ * 直接以合約內容評估 DoubleSpendPolicy，不需要區塊鏈：
+ * - pass: 兩邊內容一致時判定繼續
+ * - cancel: 超時餘量不足、超時過長時判定取消
+ * - mismatch: 金額、買賣方不一致時判定取消（地址不分大小寫）
+ * - modes: warn 只產生警告、off 不評估、無法讀取合約時只評估超時
+ * - keys: 確認後比對密鑰，已登記的密鑰不得被其他交易重用，交易終止後釋放
+ *
+ * 使用方法:
+ * node backend/test/doubleSpendPolicyTest.js [test_name]   (預設 all)
+ */
+
+const DoubleSpendPolicy = require('../services/doubleSpendPolicy');
+const { PaymentState } = require('../services/tradeStateMachine');
+const { colorLog, check, rejects, run } = require('./testRunner');
+
+const BUYER = '0x1111111111111111111111111111111111111111';
+const SELLER = '0x2222222222222222222222222222222222222222';
+const OTHER = '0x3333333333333333333333333333333333333333';
+
+function context(overrides = {}) {
+    return {
+        stage: 'inception',
+        assetTradeId: '1',
+        paymentId: '101',
+        onChain: true,
+        ...overrides,
+        asset: {
+            amount: '1000',
+            buyer: BUYER,
+            seller: SELLER,
+            keyEncryptedSeller: 'sellerkey',
+            keyEncryptedBuyer: 'buyerkey',
+            duration: 7200,
+            ...overrides.asset
+        },
+        payment: {
+            amount: '1000',
+            buyer: BUYER,
+            seller: SELLER,
+            keyEncryptedSeller: 'sellerkey',
+            duration: 3600,
+            state: PaymentState.AWAITING_CONFIRMATION,
+            ...overrides.payment
+        }
+    };
+}
+
+function failedRules(verdict) {
+    return verdict.rules.filter(rule => rule.passed === false).map(rule => rule.rule);
+}
+
+function testPass() {
+    colorLog('cyan', '✅ 內容一致');
+    const verdict = new DoubleSpendPolicy({ minDurationGap: 600, maxDuration: 86400 }).evaluate(context());
+    check(verdict.action === 'CONTINUE' && verdict.reasons.length === 0, '判定繼續且沒有取消原因');
+    check(verdict.rules.find(rule => rule.rule === 'keyMatch').skipped, 'Payment 確認前不比對密鑰');
+}
+
+function testCancel() {
+    colorLog('cyan', '🚫 超時規則');
+    const policy = new DoubleSpendPolicy({ minDurationGap: 600, maxDuration: 5000 });
+
+    const gap = policy.evaluate(context({ asset: { duration: 3900 } }));
+    check(gap.action === 'CANCEL' && failedRules(gap).includes('durationGap'), 'Asset 超時只多 300 秒時判定取消');
+
+    const longest = policy.evaluate(context());
+    check(longest.action === 'CANCEL' && failedRules(longest).join() === 'maxDuration', '超時超過上限時判定取消');
+
+    const unlimited = new DoubleSpendPolicy({ minDurationGap: 600 }).evaluate(context());
+    check(unlimited.rules.find(rule => rule.rule === 'maxDuration').skipped, '未設定上限時略過 maxDuration');
+}
+
+function testMismatch() {
+    colorLog('cyan', '🔀 買賣雙方及金額');
+    const policy = new DoubleSpendPolicy();
+
+    const amount = policy.evaluate(context({ payment: { amount: '999' } }));
+    check(amount.action === 'CANCEL' && failedRules(amount).join() === 'amountMatch', '金額不一致時判定取消');
+
+    const parties = policy.evaluate(context({ payment: { buyer: OTHER, seller: OTHER } }));
+    check(failedRules(parties).join() === 'sellerMatch,buyerMatch', '買賣方不一致時兩條規則皆未通過');
+    check(parties.reasons.length === 2, '每條未通過的規則各有一個取消原因');
+
+    const checksum = policy.evaluate(context({ payment: { seller: SELLER.toUpperCase().replace('0X', '0x') } }));
+    check(checksum.action === 'CONTINUE', '地址比對不分大小寫');
+}
+
+function testModes() {
+    colorLog('cyan', '🎚️  規則模式');
+    const warn = new DoubleSpendPolicy({ rules: { amountMatch: 'warn' } }).evaluate(context({ payment: { amount: '1' } }));
+    check(warn.action === 'CONTINUE' && warn.warnings.length === 1, 'warn 模式只產生警告');
+
+    const off = new DoubleSpendPolicy({ rules: { amountMatch: 'off' } }).evaluate(context({ payment: { amount: '1' } }));
+    check(off.action === 'CONTINUE' && !off.rules.some(rule => rule.rule === 'amountMatch'), 'off 模式不評估規則');
+
+    const offChain = new DoubleSpendPolicy().evaluate({
+        stage: 'inception',
+        assetTradeId: '1',
+        paymentId: '101',
+        onChain: false,
+        asset: { duration: 7200 },
+        payment: { duration: 3600 }
+    });
+    check(offChain.action === 'CONTINUE' &&
+        offChain.rules.every(rule => rule.rule === 'durationGap' ? rule.passed : rule.skipped), '無法讀取合約時只評估超時，其他規則略過');
+
+    check(JSON.stringify(DoubleSpendPolicy.parseRuleModes(' keyReuse:warn , maxDuration:off ')) ===
+        JSON.stringify({ keyReuse: 'warn', maxDuration: 'off' }), '解析 rule:mode 設定');
+}
+
+async function testKeys() {
+    colorLog('cyan', '🔑 密鑰規則');
+    const policy = new DoubleSpendPolicy();
+
+    const confirmed = policy.evaluate(context({
+        stage: 'confirmation',
+        payment: { state: PaymentState.CONFIRMED, keyEncryptedSeller: 'otherkey' }
+    }));
+    check(confirmed.action === 'CANCEL' && failedRules(confirmed).join() === 'keyMatch', 'Payment 確認後密鑰不一致時判定取消');
+
+    policy.registerKeys('1', context().asset);
+    check(policy.evaluate(context()).action === 'CONTINUE', '同一筆交易再次評估不視為重用');
+    const reused = policy.evaluate(context({ assetTradeId: '2' }));
+    check(reused.action === 'CANCEL' && reused.rules.find(rule => rule.rule === 'keyReuse').usedBy === '1',
+        '其他交易重用已登記的密鑰時判定取消');
+
+    check(policy.releaseKeys('2') === 0 && policy.keyRegistry.size === 1, '釋放其他交易時不影響已登記的密鑰');
+    check(policy.releaseKeys('1') === 1 && policy.keyRegistry.size === 0, '交易終止後釋放登記的密鑰');
+    check(policy.evaluate(context({ assetTradeId: '2' })).action === 'CONTINUE', '釋放後的密鑰不再視為重用');
+
+    await rejects(() => new DoubleSpendPolicy({ rules: { unknown: 'reject' } }), '未知的規則名稱拋出錯誤');
+    await rejects(() => new DoubleSpendPolicy({ rules: { keyReuse: 'maybe' } }), '無效的規則模式拋出錯誤');
+}
+
+run({
+    pass: testPass,
+    cancel: testCancel,
+    mismatch: testMismatch,
+    modes: testModes,
+    keys: testKeys
+}, '雙重支付規則引擎測試');
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * ⛽ 交易費用策略測試
+ *
+ * 以替身 provider 提供 feeHistory / getFeeData，不需要區塊鏈：
+ * - percentile: 以歷史小費中位數及 baseFee 倍數估算費用，小費不低於下限
+ * - caps: 費用及小費不超過上限，節點建議的小費高於費用上限時也受限
+ * - config: 小費下限、小費上限及費用上限不一致時拒絕建立
+ * - bump: 替換交易至少提高 bumpPercent 且不低於市場費用，超過上限時回傳 null
+ * - legacy: 不支援 EIP-1559 的鏈使用受上限約束的 gasPrice
+ *
+ * 使用方法:
+ * node backend/test/feeStrategyTest.js [test_name]   (預設 all)
+ */
+
+const ethers = require('ethers');
+const FeeStrategy = require('../services/feeStrategy');
+const { colorLog, check, rejects, run } = require('./testRunner');
+
+const gwei = value => ethers.parseUnits(String(value), 'gwei');
+
+/**
+ * 替身 provider：baseFee 及每個區塊的小費（gwei），getFeeData 的建議值
+ */
+function stubProvider({ baseFee = 10, rewards = [2, 3, 4], feeData = {} } = {}) {
+    return {
+        send: async method => {
+            if (method !== 'eth_feeHistory') {
+                throw new Error(`unexpected ${method}`);
+            }
+            return {
+                baseFeePerGas: [...rewards, null].map(() => ethers.toQuantity(gwei(baseFee))),
+                reward: rewards.map(reward => [ethers.toQuantity(gwei(reward))])
+            };
+        },
+        getFeeData: async () => ({
+            gasPrice: gwei(20),
+            maxFeePerGas: gwei(30),
+            maxPriorityFeePerGas: gwei(2),
+            ...feeData
+        })
+    };
+}
+
+async function testPercentile() {
+    colorLog('cyan', '📊 feeHistory 百分位數');
+    const fees = await new FeeStrategy(stubProvider()).getFees();
+    check(fees.maxPriorityFeePerGas === gwei(3), '小費取歷史小費中位數');
+    check(fees.maxFeePerGas === gwei(23), 'maxFeePerGas 為兩倍 baseFee 加小費');
+
+    const quiet = await new FeeStrategy(stubProvider({ rewards: [0, 0] }), { minPriorityFeeGwei: 1.5 }).getFees();
+    check(quiet.maxPriorityFeePerGas === gwei(1.5), '沒有小費的區塊時使用小費下限');
+}
+
+async function testCaps() {
+    colorLog('cyan', '🧢 費用上限');
+    const capped = await new FeeStrategy(stubProvider({ rewards: [8, 9, 10] }), { maxFeeGwei: 20, maxPriorityFeeGwei: 5 }).getFees();
+    check(capped.maxFeePerGas === gwei(20) && capped.maxPriorityFeePerGas === gwei(5), '費用及小費都受上限約束');
+
+    // 節點建議的小費高於費用上限，且未設定小費上限
+    const strategy = new FeeStrategy(stubProvider({ feeData: { maxFeePerGas: gwei(50), maxPriorityFeePerGas: gwei(40) } }),
+        { policy: 'provider', maxFeeGwei: 25 });
+    const fees = await strategy.getFees();
+    check(fees.maxFeePerGas === gwei(25) && fees.maxPriorityFeePerGas === gwei(25), '小費高於費用上限時兩者都不超過費用上限');
+
+    const direct = strategy.applyCaps(gwei(10), gwei(2));
+    check(direct.maxFeePerGas === gwei(10) && direct.maxPriorityFeePerGas === gwei(2), '未超過上限的費用維持不變');
+    const floor = strategy.applyCaps(gwei(1), gwei(0.5));
+    check(floor.maxPriorityFeePerGas === gwei(1) && floor.maxFeePerGas === gwei(1), '小費提高到下限時 maxFeePerGas 不低於小費');
+}
+
+async function testConfig() {
+    colorLog('cyan', '⚙️  上下限設定');
+    const provider = stubProvider();
+    await rejects(() => new FeeStrategy(provider, { maxFeeGwei: 0.5 }), '預設小費下限 1 gwei 高於費用上限時拒絕');
+    await rejects(() => new FeeStrategy(provider, { maxFeeGwei: 10, maxPriorityFeeGwei: 20 }), '小費上限高於費用上限時拒絕');
+    const error = await rejects(() => new FeeStrategy(provider, { minPriorityFeeGwei: 3, maxPriorityFeeGwei: 2 }), '小費下限高於小費上限時拒絕');
+    check(error.message.includes('3.0 gwei') && error.message.includes('2.0 gwei'), '錯誤訊息列出不一致的設定值');
+    check(new FeeStrategy(provider, { maxFeeGwei: 0.5, minPriorityFeeGwei: 0.1 }).maxFee === gwei(0.5), '降低小費下限後可設定低於 1 gwei 的費用上限');
+    await rejects(() => new FeeStrategy(provider, { policy: 'auction' }), '不支援的策略被拒絕');
+}
+
+async function testBump() {
+    colorLog('cyan', '⏫ 替換交易的費用');
+    const strategy = new FeeStrategy(stubProvider(), { maxFeeGwei: 40, bumpPercent: 12.5 });
+    const bumped = await strategy.bump({ maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2) });
+    check(bumped.maxFeePerGas === gwei(33.75) + 1n, 'maxFeePerGas 提高 12.5%');
+    check(bumped.maxPriorityFeePerGas === gwei(3), '小費不低於目前市場小費');
+
+    const market = await strategy.bump({ maxFeePerGas: gwei(10), maxPriorityFeePerGas: gwei(1) });
+    check(market.maxFeePerGas === gwei(23), '提高後仍低於市場費用時使用市場費用');
+
+    const minimum = await new FeeStrategy(stubProvider(), { bumpPercent: 5 })
+        .bump({ maxFeePerGas: gwei(100), maxPriorityFeePerGas: gwei(10) });
+    check(minimum.maxFeePerGas === gwei(110) + 1n && minimum.maxPriorityFeePerGas === gwei(11) + 1n, '提高幅度至少 10%（節點的替換規則）');
+
+    check(await strategy.bump({ maxFeePerGas: gwei(38), maxPriorityFeePerGas: gwei(2) }) === null, '超過費用上限時回傳 null');
+    const priorityCapped = new FeeStrategy(stubProvider(), { maxPriorityFeeGwei: 3 });
+    check(await priorityCapped.bump({ maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(3) }) === null, '小費超過上限時回傳 null');
+}
+
+async function testLegacy() {
+    colorLog('cyan', '🏛️  legacy gasPrice');
+    const strategy = new FeeStrategy(stubProvider(), { policy: 'legacy', maxFeeGwei: 15 });
+    const fees = await strategy.getFees();
+    check(fees.gasPrice === gwei(15) && fees.maxFeePerGas === undefined, 'gasPrice 受費用上限約束');
+    check((await strategy.bump({ gasPrice: gwei(10) })).gasPrice === gwei(15), 'gasPrice 提高後不低於市場價格');
+    check(await strategy.bump({ gasPrice: gwei(14) }) === null, 'gasPrice 提高後超過上限時回傳 null');
+    const uncapped = await new FeeStrategy(stubProvider(), { policy: 'legacy' }).bump({ gasPrice: gwei(30) });
+    check(uncapped.gasPrice === gwei(33.75) + 1n, '未設定上限時 gasPrice 提高 12.5%');
+}
+
+run({
+    percentile: testPercentile,
+    caps: testCaps,
+    config: testConfig,
+    bump: testBump,
+    legacy: testLegacy
+}, '交易費用策略測試');
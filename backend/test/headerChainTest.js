@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * ⛓️ 區塊頭鏈追蹤測試
+ *
+ * 在程序內以 ganache 產生區塊（evm_snapshot / evm_revert 模擬重組），直接驗證 HeaderChain：
+ * - canonical: 追蹤到鏈頭，達到深度的區塊判定在鏈上
+ * - undetermined: 確認深度不足、區塊尚未被追蹤或早於可補齊範圍時無法判定，而非判定失敗
+ * - backfill: 早於追蹤範圍的區塊沿 parentHash 向前補齊後判定
+ * - reorg: 重組後舊區塊判定不在鏈上；重組越過檢查點時同步失敗
+ * - checkpoint: 檢查點持久化，重啟後節點的區塊與檢查點不一致時拒絕追蹤
+ *
+ * 使用方法:
+ * node backend/test/headerChainTest.js [test_name]   (預設 all)
+ */
+
+const ganache = require('ganache');
+const HeaderChain = require('../services/headerChain');
+const logger = require('../services/logger');
+const { colorLog, check, rejects, run } = require('./testRunner');
+
+const START_TIME = 1704067200;
+
+// HeaderChain 只使用 provider.send，直接轉給程序內的 ganache
+function startChain() {
+    const chain = ganache.provider({
+        logging: { quiet: true },
+        chain: { chainId: 31339, time: new Date(START_TIME * 1000) },
+        miner: { timestampIncrement: 1 }
+    });
+    const send = (method, params = []) => chain.request({ method, params });
+    return {
+        provider: { send },
+        send,
+        mine: (blocks = 1) => send('evm_mine', [{ blocks }]),
+        // 指定時間戳，重組後的新區塊雜湊與舊鏈不同
+        mineAt: timestamp => send('evm_mine', [{ timestamp }]),
+        block: async number => send('eth_getBlockByNumber', [`0x${number.toString(16)}`, false]),
+        close: () => chain.disconnect()
+    };
+}
+
+function memoryStore() {
+    const values = new Map();
+    return {
+        getValue: key => values.get(key),
+        setValue: (key, value) => values.set(key, value)
+    };
+}
+
+function headerChain(chain, options = {}) {
+    return new HeaderChain({
+        name: 'Test',
+        provider: chain.provider,
+        store: options.store || memoryStore(),
+        finality: 'depth',
+        checkpointDepth: 4,
+        ...options
+    });
+}
+
+async function withChain(test) {
+    const chain = startChain();
+    try {
+        await test(chain);
+    } finally {
+        await chain.close();
+    }
+}
+
+function testCanonical() {
+    colorLog('cyan', '✅ 追蹤到鏈頭');
+    return withChain(async chain => {
+        await chain.mine(10);
+        const headers = headerChain(chain);
+        const tip = await headers.sync();
+        check(tip.number === 10 && headers.checkpoint.number === 6, '追蹤到鏈頭，檢查點距鏈頭 4 個區塊');
+
+        const block = await chain.block(5);
+        const result = await headers.checkBlock(block.hash, 5, 3);
+        check(result.canonical && result.depth === 6 && result.finalized, '深度足夠的區塊在鏈上且早於檢查點');
+
+        await chain.mine(2);
+        await headers.sync();
+        check(headers.tip.number === 12 && headers.checkpoint.number === 8, '新區塊產生後鏈頭及檢查點前進');
+    });
+}
+
+function testUndetermined() {
+    colorLog('cyan', '⏸️  無法判定');
+    return withChain(async chain => {
+        await chain.mine(10);
+        const headers = headerChain(chain);
+        await headers.sync();
+
+        const tip = await chain.block(10);
+        const shallow = await headers.checkBlock(tip.hash, 10, 3);
+        check(!shallow.canonical && shallow.undetermined && shallow.reason.startsWith('確認深度不足'), '確認深度不足時無法判定');
+
+        const future = await headers.checkBlock(tip.hash, 15, 1);
+        check(!future.canonical && future.undetermined && future.reason === '區塊尚未被追蹤', '鏈頭之後的區塊尚未被追蹤');
+
+        const wrong = await headers.checkBlock(tip.hash, 9, 1);
+        check(!wrong.canonical && !wrong.undetermined, '雜湊不符的區塊確定不在鏈上');
+    });
+}
+
+function testBackfill() {
+    colorLog('cyan', '⏪ 補齊追蹤範圍之前的區塊頭');
+    return withChain(async chain => {
+        await chain.mine(20);
+        const headers = headerChain(chain, { maxHeaders: 12 });
+        await headers.sync();
+        check(!headers.getHeader(3), '啟動時只從檢查點開始追蹤');
+
+        const early = await chain.block(10);
+        const result = await headers.checkBlock(early.hash, 10, 3);
+        check(result.canonical && headers.getHeader(10)?.hash === early.hash, '沿 parentHash 補齊後判定在鏈上');
+
+        const old = await chain.block(3);
+        const outside = await headers.checkBlock(old.hash, 3, 3);
+        check(!outside.canonical && outside.undetermined && outside.reason === '區塊早於追蹤範圍', '超過 maxHeaders 的區塊無法判定');
+    });
+}
+
+function testReorg() {
+    colorLog('cyan', '🔀 鏈重組');
+    return withChain(async chain => {
+        await chain.mine(10);
+        const headers = headerChain(chain);
+        await headers.sync();
+
+        const snapshot = await chain.send('evm_snapshot');
+        await chain.mine(3);
+        await headers.sync();
+        const orphaned = await chain.block(12);
+
+        await chain.send('evm_revert', [snapshot]);
+        for (let i = 1; i <= 4; i++) {
+            await chain.mineAt(START_TIME + 1000 + i);
+        }
+        const result = await headers.checkBlock(orphaned.hash, 12, 1);
+        check(!result.canonical && !result.undetermined && result.reason === '區塊雜湊不在追蹤的鏈上', '重組後孤立區塊確定不在鏈上');
+        check(headers.getStatus().rewoundHeaders > 0 && headers.tip.hash === (await chain.block(14)).hash, '回退後沿新鏈追蹤到鏈頭');
+
+        const deep = await chain.send('evm_snapshot');
+        await chain.mine(8);
+        await headers.sync();
+        await chain.send('evm_revert', [deep]);
+        await chain.mineAt(START_TIME + 2000);
+        const error = await rejects(() => headers.checkBlock(orphaned.hash, 12, 1), '重組越過檢查點時同步失敗');
+        check(error.message.includes('越過檢查點'), '錯誤指出需人工確認的重組');
+    });
+}
+
+function testCheckpoint() {
+    colorLog('cyan', '📌 檢查點持久化');
+    return withChain(async chain => {
+        await chain.mine(10);
+        const store = memoryStore();
+        await headerChain(chain, { store }).sync();
+        const saved = store.getValue('headerCheckpoint');
+        check(saved?.number === 6, '檢查點寫入狀態存儲');
+
+        const restarted = headerChain(chain, { store });
+        await restarted.sync();
+        check(restarted.checkpoint.hash === saved.hash && restarted.tip.number === 10, '重啟後從檢查點繼續追蹤');
+
+        store.setValue('headerCheckpoint', { number: 6, hash: (await chain.block(5)).hash });
+        await rejects(() => headerChain(chain, { store }).sync(), '節點的區塊與檢查點不一致時拒絕追蹤');
+    });
+}
+
+// 重組及回補時 HeaderChain 會記錄警告，測試只輸出錯誤
+logger.configure({ level: process.env.VERBOSE ? 'debug' : 'error' });
+
+run({
+    canonical: testCanonical,
+    undetermined: testUndetermined,
+    backfill: testBackfill,
+    reorg: testReorg,
+    checkpoint: testCheckpoint
+}, '區塊頭鏈追蹤測試');
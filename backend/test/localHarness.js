@@ -0,0 +1,350 @@
+/**
+ * 🧪 本機雙鏈測試環境
+ *
+ * 不需要 Sepolia RPC、有餘額的錢包或實際等待：
+ * - 以 solc 編譯 contract/assetContract.sol 與 contract/paymentContract.sol
+ * - 在測試程序內啟動兩條獨立的 ganache EVM 鏈（不同 chainId，固定助記詞及起始時間）
+ * - 部署兩個合約並指定 Oracle 地址，再以子程序啟動 Oracle 服務連線到這兩條鏈
+ * - 區塊時間戳每個區塊只前進 1 秒，由測試呼叫 advanceTime / mine 推進，結果可重現
+ * - Oracle 預設使用從相同起始時間開始的手動時鐘（ORACLE_CLOCK=manual），advanceTime 同時推進鏈上時間及 Oracle 時鐘，
+ *   交易期限立即到期，超時測試不需實際等待
+ *
+ * 使用方法:
+ *   const LocalHarness = require('./localHarness');
+ *   const harness = new LocalHarness();
+ *   await harness.start();
+ *   await harness.asset.buyerContract.inceptTrade(...);
+ *   await harness.waitFor(async () => (await harness.api('/trade/1')).oraclePhase);
+ *   await harness.stop();
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const ethers = require('ethers');
+const ganache = require('ganache');
+const solc = require('solc');
+
+const CONTRACT_DIR = path.join(__dirname, '..', '..', 'contract');
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+// ganache 7 支援到 shanghai，編譯時需指定，避免產生新版 solc 預設的指令
+const EVM_VERSION = 'shanghai';
+const DEFAULT_START_TIME = Date.UTC(2024, 0, 1) / 1000;
+// 測試用的管理 API 令牌，用於推進 Oracle 時鐘
+const ADMIN_TOKEN = 'local-harness-admin';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let compiled = null;
+
+// 向系統取得一個未使用的連接埠
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * 編譯兩個合約（同一程序內只編譯一次）
+ * @returns {{AssetChain: {abi, bytecode}, PaymentChain: {abi, bytecode}}}
+ */
+function compileContracts() {
+    if (compiled) {
+        return compiled;
+    }
+    const input = {
+        language: 'Solidity',
+        sources: {
+            'assetContract.sol': { content: fs.readFileSync(path.join(CONTRACT_DIR, 'assetContract.sol'), 'utf8') },
+            'paymentContract.sol': { content: fs.readFileSync(path.join(CONTRACT_DIR, 'paymentContract.sol'), 'utf8') }
+        },
+        settings: {
+            evmVersion: EVM_VERSION,
+            outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+        }
+    };
+    const output = JSON.parse(solc.compile(JSON.stringify(input)));
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+    if (errors.length > 0) {
+        throw new Error(`合約編譯失敗:\n${errors.map(error => error.formattedMessage).join('\n')}`);
+    }
+
+    const artifact = (file, name) => ({
+        abi: output.contracts[file][name].abi,
+        bytecode: output.contracts[file][name].evm.bytecode.object
+    });
+    compiled = {
+        AssetChain: artifact('assetContract.sol', 'AssetChain'),
+        PaymentChain: artifact('paymentContract.sol', 'PaymentChain')
+    };
+    return compiled;
+}
+
+class LocalHarness {
+    /**
+     * @param {object} options
+     * @param {number} options.startTime - 兩條鏈創世區塊的時間戳（unix 秒），預設 2024-01-01
+     * @param {number} options.assetChainId - Asset 鏈 chainId
+     * @param {number} options.paymentChainId - Payment 鏈 chainId
+     * @param {string} options.clock - Oracle 時鐘：manual（預設，與鏈上起始時間相同）或 system
+     * @param {object} options.env - 覆寫 Oracle 的環境變數（例如 EXECUTION_WINDOW）
+     * @param {boolean} options.startOracle - 是否啟動 Oracle 服務，只測合約時可設為 false
+     * @param {boolean} options.verbose - 是否將 Oracle 輸出轉印到主控台
+     * @param {number} options.readyTimeout - 等待 Oracle 啟動的毫秒數
+     */
+    constructor(options = {}) {
+        this.startTime = options.startTime || DEFAULT_START_TIME;
+        this.assetChainId = options.assetChainId || 31337;
+        this.paymentChainId = options.paymentChainId || 31338;
+        this.clock = options.clock || 'manual';
+        this.env = options.env || {};
+        this.startOracle = options.startOracle !== false;
+        this.verbose = !!options.verbose;
+        this.readyTimeout = options.readyTimeout || 30000;
+
+        this.asset = null;
+        this.payment = null;
+        this.oracle = null;
+        this.oracleUrl = null;
+        this.oracleOutput = '';
+        this.workDir = null;
+    }
+
+    async start() {
+        const artifacts = compileContracts();
+        this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-harness-'));
+
+        this.asset = await this.startChain('asset', this.assetChainId, artifacts.AssetChain);
+        this.payment = await this.startChain('payment', this.paymentChainId, artifacts.PaymentChain);
+
+        if (this.startOracle) {
+            await this.bootOracle();
+        }
+        return this;
+    }
+
+    /**
+     * 啟動一條鏈並部署合約；帳戶 0 為 Oracle，1 為買方，2 為賣方
+     */
+    async startChain(name, chainId, artifact) {
+        const server = ganache.server({
+            logging: { quiet: true },
+            wallet: { deterministic: true, totalAccounts: 5 },
+            chain: { chainId, time: new Date(this.startTime * 1000), hardfork: EVM_VERSION },
+            miner: { timestampIncrement: 1 }
+        });
+        await server.listen(0);
+        const url = `http://127.0.0.1:${server.address().port}`;
+
+        // 關閉 ethers 的短暫結果快取，挖礦後立即讀取才會看到新區塊
+        const provider = new ethers.JsonRpcProvider(url, chainId, { staticNetwork: true, pollingInterval: 200, cacheTimeout: -1 });
+        const privateKeys = Object.values(server.provider.getInitialAccounts()).map(account => account.secretKey);
+        const [oracle, buyer, seller] = privateKeys.slice(0, 3)
+            .map(key => new ethers.NonceManager(new ethers.Wallet(key, provider)));
+
+        const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, oracle);
+        const contract = await (await factory.deploy(await oracle.getAddress())).waitForDeployment();
+        const address = await contract.getAddress();
+
+        return {
+            name,
+            chainId,
+            server,
+            url,
+            provider,
+            privateKeys,
+            oracle,
+            buyer,
+            seller,
+            address,
+            contract,
+            buyerContract: new ethers.Contract(address, artifact.abi, buyer),
+            sellerContract: new ethers.Contract(address, artifact.abi, seller)
+        };
+    }
+
+    oracleEnv(port) {
+        this.oracleUrl = `http://127.0.0.1:${port}`;
+        return {
+            PATH: process.env.PATH,
+            SERVER_PORT: String(port),
+            ...this.oracleConfig()
+        };
+    }
+
+    /**
+     * 連線到本機兩條鏈的 Oracle 配置（鍵名與環境變數相同），也可直接傳給 new Oracle() 在測試程序內啟動
+     * @param {string} stateName - 狀態目錄名稱，同時執行多個 Oracle 時需各自不同
+     */
+    oracleConfig(stateName = 'state') {
+        return {
+            ASSET_ETHEREUM_NODE_URL: this.asset.url,
+            PAYMENT_ETHEREUM_NODE_URL: this.payment.url,
+            ASSET_CONTRACT_ADDRESS: this.asset.address,
+            PAYMENT_CONTRACT_ADDRESS: this.payment.address,
+            ASSET_PRIVATE_KEY: this.asset.privateKeys[0],
+            PAYMENT_PRIVATE_KEY: this.payment.privateKeys[0],
+            // 鏈上只有測試送出的交易才會產生區塊，不等待額外確認
+            CUSTOM_CONFIRMATIONS: '1',
+            EVENT_CONFIRMATION_DEPTH: '0',
+            EVENT_POLL_INTERVAL: '1',
+            HEADER_FINALITY: 'depth',
+            HEADER_CHECKPOINT_DEPTH: '4',
+            BALANCE_CHECK_INTERVAL: '3600',
+            STATE_STORE_DIR: path.join(this.workDir, stateName),
+            API_ACCESS_LOG: path.join(this.workDir, 'access.jsonl'),
+            ADMIN_AUDIT_FILE: path.join(this.workDir, 'admin-audit.jsonl'),
+            WEBHOOK_DEAD_LETTER_FILE: path.join(this.workDir, 'webhook-dead-letters.jsonl'),
+            ORACLE_CLOCK: this.clock === 'manual' ? `manual:${this.startTime}` : this.clock,
+            ADMIN_API_TOKEN: ADMIN_TOKEN,
+            LOG_LEVEL: 'debug',
+            ...this.env
+        };
+    }
+
+    /**
+     * 以子程序啟動 Oracle；工作目錄設在暫存目錄，不會載入開發者的 .env
+     */
+    async bootOracle() {
+        this.oracleOutput = '';
+        const port = this.env.SERVER_PORT || await freePort();
+        this.oracle = spawn(process.execPath, [SERVER_PATH], {
+            cwd: this.workDir,
+            env: this.oracleEnv(port),
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        const collect = chunk => {
+            this.oracleOutput += chunk;
+            if (this.verbose) {
+                process.stdout.write(chunk);
+            }
+        };
+        this.oracle.stdout.on('data', collect);
+        this.oracle.stderr.on('data', collect);
+        const exited = new Promise(resolve => this.oracle.once('exit', resolve));
+
+        const ready = this.waitFor(async () => {
+            const response = await fetch(`${this.oracleUrl}/health`).catch(() => null);
+            return response?.ok;
+        }, { timeout: this.readyTimeout, interval: 250 });
+        const code = await Promise.race([ready.then(() => null), exited.then(code => ({ code }))]);
+        if (code) {
+            throw new Error(`Oracle 啟動失敗（結束代碼 ${code.code}）:\n${this.oracleOutput.slice(-4000)}`);
+        }
+    }
+
+    async stopOracle() {
+        if (!this.oracle || this.oracle.exitCode !== null) {
+            return;
+        }
+        const exited = new Promise(resolve => this.oracle.once('exit', resolve));
+        this.oracle.kill('SIGTERM');
+        const timer = setTimeout(() => this.oracle.kill('SIGKILL'), 10000);
+        await exited;
+        clearTimeout(timer);
+    }
+
+    // 重新啟動 Oracle（保留狀態目錄），用於測試重啟後的恢復
+    async restartOracle() {
+        await this.stopOracle();
+        await this.bootOracle();
+    }
+
+    async stop() {
+        await this.stopOracle();
+        for (const chain of [this.asset, this.payment]) {
+            if (chain) {
+                chain.provider.destroy();
+                await chain.server.close();
+            }
+        }
+        if (this.workDir) {
+            fs.rmSync(this.workDir, { recursive: true, force: true });
+        }
+    }
+
+    chains(names) {
+        return (names || ['asset', 'payment']).map(name => this[name]);
+    }
+
+    /**
+     * 挖出區塊（每個區塊時間戳前進 1 秒）
+     * @param {string[]} names - 要挖礦的鏈，預設兩條鏈
+     */
+    async mine(blocks = 1, names) {
+        for (const chain of this.chains(names)) {
+            await chain.provider.send('evm_mine', [{ blocks }]);
+        }
+    }
+
+    /**
+     * 將鏈上時間推進指定秒數並挖出一個區塊，兩條鏈同步推進；
+     * 未指定鏈且 Oracle 使用手動時鐘時，Oracle 時鐘也推進相同秒數
+     * @returns {Promise<number>} Oracle 時鐘推進期間觸發的計時器數
+     */
+    async advanceTime(seconds, names) {
+        for (const chain of this.chains(names)) {
+            await chain.provider.send('evm_increaseTime', [seconds]);
+            await chain.provider.send('evm_mine', []);
+        }
+        return !names && this.clock === 'manual' && this.oracle ? this.advanceOracleTime(seconds) : 0;
+    }
+
+    /**
+     * 推進 Oracle 的手動時鐘（POST /admin/clock），期間到期的交易期限會立即處理
+     * @returns {Promise<number>} 觸發的計時器數
+     */
+    async advanceOracleTime(seconds) {
+        const result = await this.api('/admin/clock', { method: 'POST', body: { advance: seconds }, admin: true });
+        return result.firedTimers;
+    }
+
+    async blockTimestamp(name) {
+        const block = await this[name].provider.getBlock('latest');
+        return block.timestamp;
+    }
+
+    /**
+     * 呼叫 Oracle HTTP API，回傳解析後的 JSON；options.admin 時以管理令牌驗證
+     */
+    async api(route, options = {}) {
+        const auth = options.admin ? { Authorization: `Bearer ${ADMIN_TOKEN}` } : {};
+        const response = await fetch(`${this.oracleUrl}${route}`, {
+            method: options.method || 'GET',
+            headers: { 'Content-Type': 'application/json', ...auth, ...(options.headers || {}) },
+            body: options.body ? JSON.stringify(options.body) : undefined
+        });
+        const body = await response.json().catch(() => null);
+        if (!response.ok && !options.allowError) {
+            throw new Error(`${options.method || 'GET'} ${route} 回應 ${response.status}: ${JSON.stringify(body)}`);
+        }
+        return body;
+    }
+
+    /**
+     * 重複執行 predicate 直到回傳真值（或逾時），回傳該值
+     */
+    async waitFor(predicate, { timeout = 20000, interval = 200, message = '等待條件逾時' } = {}) {
+        const deadline = Date.now() + timeout;
+        while (Date.now() < deadline) {
+            const value = await predicate();
+            if (value) {
+                return value;
+            }
+            await sleep(interval);
+        }
+        throw new Error(message);
+    }
+}
+
+LocalHarness.compileContracts = compileContracts;
+LocalHarness.sleep = sleep;
+
+module.exports = LocalHarness;
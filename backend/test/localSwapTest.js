@@ -0,0 +1,607 @@
+#!/usr/bin/env node
+
+/**
+ * 🔁 本機雙鏈跨鏈交換測試
+ *
+ * 使用 localHarness 在程序內啟動兩條 EVM 鏈並啟動 Oracle，不需要任何 RPC 或錢包設定：
+ * - normal: 完整交換流程（創建 → Oracle 設定時間 → 確認 → 以密鑰轉移）
+ * - confirmationTimeout: 未確認的交易在期限後由 Oracle 失敗並退款（推進手動時鐘，不需實際等待）
+ * - linkTakeover: 指向他人 Asset 交易的 Payment（金額不一致或後到者）不會取代已建立的跨鏈映射
+ * - chainTime: 區塊時間推進及挖礦的可重現性
+ * - embedded: 在測試程序內建立兩個 Oracle 實例（各自的鏈上合約狀態目錄），以程式介面驅動及查詢
+ * - shutdown: stop() 等待進行中的處理（交易上鏈）完成才關閉，逾時則中止等待；HTTP 路由回應 Oracle 狀態
+ * - refundRetry: 退款交易等待上鏈逾時後保留交易，期限重試時確認合約已結束才清理
+ * - restart: 在同一個狀態目錄重新啟動 Oracle，進行中的交易、跨鏈映射及區塊游標保留，重啟後繼續處理確認
+ * - backfill: 停機期間發出的時間請求在重啟時從持久化的游標回補；沒有游標時從 START_BLOCK 開始；
+ *             處理途中停機的事件留在持久化隊列，重啟後重放
+ * - reorg: 以 evm_snapshot / evm_revert 建立分歧的鏈，孤立區塊衍生的交易狀態及跨鏈映射被撤銷，游標回滾後重放新分支的事件
+ *
+ * 使用方法:
+ * node backend/test/localSwapTest.js [test_name]   (預設 all)
+ * VERBOSE=1 時輸出 Oracle 日誌
+ */
+
+const ethers = require('ethers');
+const LocalHarness = require('./localHarness');
+const Oracle = require('../oracle');
+const { FileStateStore } = require('../services/stateStore');
+const logger = require('../services/logger');
+const { colorLog, check } = require('./testRunner');
+
+const KEY_SELLER = 'sellerkey';
+const KEY_BUYER = 'buyerkey';
+const AMOUNT = ethers.parseEther('1');
+const DURATION = 3600;
+
+// 合約狀態（兩個合約相同）
+const State = { INITIATED: 0, AWAITING_CONFIRMATION: 1, CONFIRMED: 2, COMPLETED: 3, FAILED: 4 };
+
+async function send(txPromise) {
+    return (await txPromise).wait();
+}
+
+// 合約在交易結束時刪除記錄，getTrade / getPayment 回傳 id 為 0
+async function tradeState(harness, id) {
+    const trade = await harness.asset.contract.getTrade(id);
+    return { exists: trade[0] !== 0n, state: Number(trade[4]), inceptionTime: trade[5], confirmationTime: trade[6] };
+}
+
+async function paymentState(harness, id) {
+    const payment = await harness.payment.contract.getPayment(id);
+    return { exists: payment[0] !== 0n, state: Number(payment[4]), inceptionTime: payment[5], confirmationTime: payment[6] };
+}
+
+async function testNormalSwap(harness) {
+    colorLog('cyan', '🔄 完整交換流程');
+    const tradeId = 1;
+    const paymentId = 101;
+    const { asset, payment } = harness;
+    const buyer = await asset.buyer.getAddress();
+    const seller = await asset.seller.getAddress();
+
+    await send(asset.buyerContract.inceptTrade(tradeId, AMOUNT, seller, KEY_SELLER, DURATION));
+    await send(payment.buyerContract.inceptPayment(paymentId, tradeId, AMOUNT, seller, KEY_SELLER, DURATION, { value: AMOUNT }));
+
+    const incepted = await harness.waitFor(async () => {
+        const [trade, paid] = [await tradeState(harness, tradeId), await paymentState(harness, paymentId)];
+        return trade.state === State.AWAITING_CONFIRMATION && paid.state === State.AWAITING_CONFIRMATION && { trade, paid };
+    }, { message: 'Oracle 未設定創建時間' });
+    check(incepted.trade.inceptionTime > 0n, 'Oracle 已設定 Asset 交易創建時間');
+    check(incepted.paid.inceptionTime > 0n, 'Oracle 已設定 Payment 創建時間');
+
+    const tradeInfo = await harness.waitFor(async () => {
+        const info = await harness.api(`/trade/${tradeId}`, { allowError: true });
+        return info?.crossChainLink && info;
+    }, { message: 'Oracle 未建立跨鏈映射' });
+    check(String(tradeInfo.crossChainLink.paymentId) === String(paymentId), '跨鏈映射指向對應的 Payment');
+
+    await send(asset.sellerContract.confirmTrade(tradeId, AMOUNT, buyer, KEY_BUYER, { value: AMOUNT }));
+    await send(payment.buyerContract.confirmPayment(paymentId, AMOUNT, seller, KEY_SELLER));
+    await harness.waitFor(async () => (await tradeState(harness, tradeId)).confirmationTime > 0n &&
+        (await paymentState(harness, paymentId)).confirmationTime > 0n, { message: 'Oracle 未設定確認時間' });
+    check(true, 'Oracle 已設定兩條鏈的確認時間');
+
+    const sellerBefore = await payment.provider.getBalance(seller);
+    await send(payment.buyerContract.transferWithKey(paymentId, KEY_SELLER));
+    check(await payment.provider.getBalance(seller) - sellerBefore === AMOUNT, '賣方收到 Payment 鏈上的款項');
+
+    const buyerBefore = await asset.provider.getBalance(buyer);
+    const receipt = await send(asset.buyerContract.transferWithKey(tradeId, KEY_SELLER));
+    const received = await asset.provider.getBalance(buyer) - buyerBefore + receipt.fee;
+    check(received === AMOUNT, '買方收到 Asset 鏈上的資產');
+    check(!(await tradeState(harness, tradeId)).exists && !(await paymentState(harness, paymentId)).exists, '兩個合約都已結束交易');
+}
+
+async function testConfirmationTimeout(harness) {
+    colorLog('cyan', '⌛ 確認超時退款');
+    const tradeId = 2;
+    const paymentId = 102;
+    const { asset, payment } = harness;
+    const buyer = await payment.buyer.getAddress();
+    const seller = await asset.seller.getAddress();
+    // Oracle 拒絕重複使用的密鑰，每筆交易使用不同密鑰
+    const keySeller = `${KEY_SELLER}-${tradeId}`;
+
+    await send(asset.buyerContract.inceptTrade(tradeId, AMOUNT, seller, keySeller, DURATION));
+    await send(payment.buyerContract.inceptPayment(paymentId, tradeId, AMOUNT, seller, keySeller, DURATION, { value: AMOUNT }));
+    await harness.waitFor(async () => (await tradeState(harness, tradeId)).state === State.AWAITING_CONFIRMATION &&
+        (await paymentState(harness, paymentId)).state === State.AWAITING_CONFIRMATION, { message: 'Oracle 未設定創建時間' });
+    await harness.waitFor(async () => (await harness.api(`/trade/${tradeId}`, { allowError: true }))?.crossChainLink,
+        { message: 'Oracle 未建立跨鏈映射' });
+
+    const buyerBefore = await payment.provider.getBalance(buyer);
+    const fired = await harness.advanceTime(DURATION + 1);
+    check(fired > 0, `推進 ${DURATION + 1} 秒後 Oracle 期限立即到期`);
+
+    await harness.waitFor(async () => !(await tradeState(harness, tradeId)).exists &&
+        !(await paymentState(harness, paymentId)).exists, { message: 'Oracle 未處理確認超時' });
+    check(true, '兩個合約都已以確認超時結束交易');
+    check(await payment.provider.getBalance(buyer) - buyerBefore === AMOUNT, '買方取回 Payment 鏈上的款項');
+}
+
+async function testLinkTakeover(harness) {
+    colorLog('cyan', '🔗 跨鏈映射不可被取代');
+    const tradeId = 3;
+    const { asset, payment } = harness;
+    const seller = await asset.seller.getAddress();
+    const keySeller = `${KEY_SELLER}-${tradeId}`;
+
+    await send(asset.buyerContract.inceptTrade(tradeId, AMOUNT, seller, keySeller, DURATION));
+    // 金額不一致的 Payment 不會建立映射，之後的正確 Payment 才是對應交易；再後到的 Payment 不能取代它
+    await send(payment.buyerContract.inceptPayment(203, tradeId, AMOUNT / 2n, seller, `${keySeller}-203`, DURATION, { value: AMOUNT / 2n }));
+    await send(payment.buyerContract.inceptPayment(103, tradeId, AMOUNT, seller, keySeller, DURATION, { value: AMOUNT }));
+    await send(payment.buyerContract.inceptPayment(303, tradeId, AMOUNT, seller, `${keySeller}-303`, DURATION, { value: AMOUNT }));
+
+    await harness.waitFor(async () => {
+        const states = await Promise.all([203, 103, 303].map(id => paymentState(harness, id)));
+        return states.every(paid => paid.state === State.AWAITING_CONFIRMATION);
+    }, { message: 'Oracle 未處理三筆 Payment' });
+    const tradeInfo = await harness.api(`/trade/${tradeId}`);
+    check(String(tradeInfo.crossChainLink?.paymentId) === '103', '跨鏈映射指向金額一致且最先建立的 Payment');
+}
+
+async function testChainTime(harness) {
+    colorLog('cyan', '⏱️  區塊時間推進');
+    const before = await harness.blockTimestamp('asset');
+    await harness.mine(3, ['asset']);
+    check(await harness.blockTimestamp('asset') === before + 3, '每個區塊時間戳前進 1 秒');
+
+    const assetBefore = await harness.blockTimestamp('asset');
+    const paymentBefore = await harness.blockTimestamp('payment');
+    await harness.advanceTime(600);
+    check(await harness.blockTimestamp('asset') >= assetBefore + 600, 'Asset 鏈時間推進 600 秒');
+    check(await harness.blockTimestamp('payment') >= paymentBefore + 600, 'Payment 鏈時間推進 600 秒');
+}
+
+async function testEmbeddedOracles() {
+    colorLog('cyan', '🧩 同一程序內的兩個 Oracle 實例');
+    // 嵌入的 Oracle 使用測試程序的日誌，未設定 VERBOSE 時只輸出錯誤
+    logger.configure({ level: process.env.VERBOSE ? 'debug' : 'error' });
+    // 使用獨立的鏈，避免與子程序中的 Oracle 處理相同事件
+    const local = new LocalHarness({ startOracle: false });
+    const oracles = [];
+    try {
+        await local.start();
+        const first = new Oracle({ ...local.oracleConfig('first'), SERVER_PORT: 0 }, { timers: false });
+        const second = new Oracle(local.oracleConfig('second'), { http: false, timers: false });
+        oracles.push(first, second);
+        const events = [];
+        first.on('trade', event => events.push(event.type));
+        await first.start();
+        await second.start();
+        check(first.address()?.port > 0 && second.address() === null, '只有啟用 http 的實例監聽連接埠');
+
+        const tradeId = 7;
+        const paymentId = 107;
+        const { asset, payment } = local;
+        const seller = await asset.seller.getAddress();
+        const keySeller = `${KEY_SELLER}-${tradeId}`;
+        await send(asset.buyerContract.inceptTrade(tradeId, AMOUNT, seller, keySeller, DURATION));
+        await send(payment.buyerContract.inceptPayment(paymentId, tradeId, AMOUNT, seller, keySeller, DURATION, { value: AMOUNT }));
+
+        // 未啟動定時器，由 poll() 處理新事件
+        await first.poll();
+        const trades = await local.waitFor(() => {
+            const list = first.listTrades();
+            return list.asset[0]?.phase === 'awaitingConfirmation' && list.payment[0]?.phase === 'awaitingConfirmation' && list;
+        }, { message: '第一個實例未處理創建事件' });
+        check(trades.asset[0].id === String(tradeId) && trades.asset[0].paymentId === String(paymentId), 'listTrades() 回傳交易及跨鏈映射');
+
+        const trade = await first.getTrade(tradeId);
+        check(trade.trade.state === State.AWAITING_CONFIRMATION && trade.trade.inceptionTime === String(local.startTime),
+            'getTrade() 回傳合約狀態及 Oracle 時鐘的創建時間');
+        const response = await fetch(`http://127.0.0.1:${first.address().port}/trade/${tradeId}`);
+        check(response.ok && (await response.json()).crossChainLink?.paymentId === String(paymentId), 'HTTP API 回傳相同的交易資訊');
+        check(events.includes('time.fulfilled'), '交易生命週期事件由 trade 事件發出');
+        check(second.listTrades().asset.length === 0 && second.listTrades().payment.length === 0, '第二個實例的狀態與第一個互不影響');
+
+        await Promise.all(oracles.map(oracle => oracle.stop()));
+        check(oracles.every(oracle => oracle.status === 'stopped') && first.address() === null, 'stop() 關閉兩個實例及 HTTP 服務');
+    } finally {
+        await Promise.all(oracles.map(oracle => oracle.stop()));
+        await local.stop();
+    }
+}
+
+// 以 HTTP 讀取交易管理器的統計，等待 Oracle 送出的交易進入等待上鏈
+async function waitForPendingFulfill(local) {
+    await local.waitFor(async () => (await local.api('/stats', { admin: true })).transactions.asset.pending === 1,
+        { message: 'Oracle 未送出 fulfillTime 交易' });
+}
+
+async function testShutdown() {
+    colorLog('cyan', '🛑 關閉時等待進行中的處理');
+    logger.configure({ level: process.env.VERBOSE ? 'debug' : 'error' });
+    const local = new LocalHarness({ startOracle: false });
+    const oracles = [];
+    const startOracle = async (stateName, shutdownTimeout) => {
+        const oracle = new Oracle({ ...local.oracleConfig(stateName), SERVER_PORT: 0, SHUTDOWN_TIMEOUT: shutdownTimeout }, { timers: false });
+        oracles.push(oracle);
+        await oracle.start();
+        local.oracleUrl = `http://127.0.0.1:${oracle.address().port}`;
+        return oracle;
+    };
+    const inceptTrade = async tradeId => {
+        const seller = await local.asset.seller.getAddress();
+        await send(local.asset.buyerContract.inceptTrade(tradeId, AMOUNT, seller, `${KEY_SELLER}-${tradeId}`, DURATION));
+    };
+
+    try {
+        await local.start();
+        const draining = await startOracle('draining', 30);
+
+        // 拆分到 httpApi.js 的路由仍由 Oracle 的狀態回應
+        const stats = await local.api('/stats', { admin: true });
+        const deadlines = await local.api('/deadlines', { admin: true });
+        const health = await local.api('/health', { admin: true });
+        check(stats.blockProgress.asset.lastProcessed !== null && Array.isArray(deadlines.deadlines) && health.status === 'healthy',
+            '/stats、/deadlines、/health 回應 Oracle 狀態');
+        const resync = await local.api('/admin/resync', { method: 'POST', body: { assetFromBlock: 1 }, admin: true });
+        check(resync.confirmationToken && resync.target === 'asset@1,payment@last', '/admin/resync 預覽解析起始區塊');
+
+        // 停止挖礦：fulfillTime 已廣播但不會上鏈，處理函數停在等待回執
+        const events = [];
+        draining.on('trade', event => events.push(event.type));
+        draining.on('stopped', () => events.push('stopped'));
+        await inceptTrade(8);
+        await local.asset.provider.send('miner_stop', []);
+        const polling = draining.poll();
+        await waitForPendingFulfill(local);
+
+        const stopping = draining.stop();
+        await LocalHarness.sleep(500);
+        check(draining.status === 'stopping', '交易等待上鏈期間 stop() 尚未完成');
+        await local.asset.provider.send('miner_start', []);
+        await stopping;
+        await polling;
+        check(events.indexOf('time.fulfilled') !== -1 && events.indexOf('time.fulfilled') < events.indexOf('stopped'),
+            '交易上鏈、處理完成後才關閉');
+        check((await tradeState(local, 8)).state === State.AWAITING_CONFIRMATION, '關閉前送出的 fulfillTime 已生效');
+
+        const aborted = await startOracle('aborted', 1);
+        await inceptTrade(9);
+        await local.asset.provider.send('miner_stop', []);
+        const stuckPoll = aborted.poll();
+        await waitForPendingFulfill(local);
+
+        const startedAt = Date.now();
+        await aborted.stop();
+        const elapsed = Date.now() - startedAt;
+        await stuckPoll;
+        check(elapsed >= 1000 && elapsed < 8000, `逾時後中止等待上鏈的交易並完成關閉（${elapsed}ms）`);
+        check(aborted.status === 'stopped' && aborted.address() === null, '逾時關閉後 HTTP 服務已關閉');
+        await local.asset.provider.send('miner_start', []);
+    } finally {
+        await Promise.all(oracles.map(oracle => oracle.stop()));
+        await local.stop();
+    }
+}
+
+async function testRefundRetry() {
+    colorLog('cyan', '🔁 退款交易失敗後保留交易並重試');
+    logger.configure({ level: process.env.VERBOSE ? 'debug' : 'error' });
+    const local = new LocalHarness({ startOracle: false });
+    let oracle = null;
+    try {
+        await local.start();
+        // 等待上鏈 1 秒即放棄（TX_STUCK），期限在 5 秒後重試
+        oracle = new Oracle({ ...local.oracleConfig(), SERVER_PORT: 0, TX_MAX_WAIT: '1', DEADLINE_RETRY_INTERVAL: '5' }, { timers: false });
+        await oracle.start();
+        local.oracleUrl = `http://127.0.0.1:${oracle.address().port}`;
+
+        const tradeId = 10;
+        const seller = await local.asset.seller.getAddress();
+        await send(local.asset.buyerContract.inceptTrade(tradeId, AMOUNT, seller, `${KEY_SELLER}-${tradeId}`, DURATION));
+        await oracle.poll();
+        await local.waitFor(() => oracle.listTrades().asset[0]?.phase === 'awaitingConfirmation', { message: 'Oracle 未處理創建事件' });
+
+        // 鏈上時間先過期限，再停止挖礦：退款交易已廣播但不會上鏈
+        await local.advanceTime(DURATION + 1, ['asset', 'payment']);
+        await local.asset.provider.send('miner_stop', []);
+        check(await local.advanceOracleTime(DURATION + 1) === 1, '確認期限到期');
+        await local.waitFor(async () => (await local.api('/stats', { admin: true })).transactions.asset.stuck === 1,
+            { message: '退款交易未放棄等待' });
+        check(oracle.listTrades().asset.some(trade => trade.id === String(tradeId)), '退款交易等待逾時後交易仍在追蹤中');
+
+        await local.asset.provider.send('miner_start', []);
+        await local.waitFor(async () => !(await tradeState(local, tradeId)).exists, { message: '退款交易未上鏈' });
+        check(await local.advanceOracleTime(5) === 1, '期限在重試間隔後再次觸發');
+        await local.waitFor(() => oracle.listTrades().asset.length === 0, { message: 'Oracle 未清理已結束的交易' });
+        check(true, '重試時確認合約已結束交易並清理記錄');
+    } finally {
+        if (oracle) {
+            await oracle.stop();
+        }
+        await local.stop();
+    }
+}
+
+// 讀取 Oracle 已關閉的狀態目錄中持久化的值
+async function persistedValues(stateDir) {
+    const store = new FileStateStore({ dir: stateDir });
+    const { values } = await store.open();
+    await store.close();
+    return values;
+}
+
+async function testRestart() {
+    colorLog('cyan', '♻️  重新啟動後恢復狀態');
+    logger.configure({ level: process.env.VERBOSE ? 'debug' : 'error' });
+    const local = new LocalHarness({ startOracle: false });
+    const oracles = [];
+    // 啟動前註冊 trade 事件，記錄啟動回補期間的履行
+    const fulfilled = [];
+    const startOracle = async () => {
+        const config = { ...local.oracleConfig('restart'), SERVER_PORT: 0 };
+        const oracle = new Oracle(config, { timers: false });
+        oracle.on('trade', event => event.type === 'time.fulfilled' && fulfilled.push(`${event.chain}:${event.stage}`));
+        oracles.push(oracle);
+        await oracle.start();
+        return { oracle, stateDir: config.STATE_STORE_DIR };
+    };
+
+    try {
+        await local.start();
+        const { oracle: first, stateDir } = await startOracle();
+        const tradeId = 12;
+        const paymentId = 112;
+        const { asset, payment } = local;
+        const buyer = await asset.buyer.getAddress();
+        const seller = await asset.seller.getAddress();
+        const keySeller = `${KEY_SELLER}-${tradeId}`;
+        await send(asset.buyerContract.inceptTrade(tradeId, AMOUNT, seller, keySeller, DURATION));
+        await send(payment.buyerContract.inceptPayment(paymentId, tradeId, AMOUNT, seller, keySeller, DURATION, { value: AMOUNT }));
+        await first.poll();
+        await local.waitFor(async () => (await first.getTrade(tradeId)).crossChainLink &&
+            first.listTrades().payment[0]?.phase === 'awaitingConfirmation', { message: 'Oracle 未處理創建事件' });
+        const before = await first.getStatus();
+        const tradesBefore = JSON.stringify(first.listTrades());
+        await first.stop();
+        fulfilled.length = 0;
+
+        const values = await persistedValues(stateDir);
+        check(values.assetLastProcessedBlock === before.chains.asset.lastProcessedBlock &&
+            values.paymentLastProcessedBlock === before.chains.payment.lastProcessedBlock, '關閉後狀態目錄保存兩條鏈的區塊游標');
+
+        const { oracle: second } = await startOracle();
+        const after = await second.getStatus();
+        check(JSON.stringify(second.listTrades()) === tradesBefore, '重啟後進行中的交易及階段與關閉前相同');
+        check(after.crossChainMappings[tradeId] === String(paymentId), '重啟後保留跨鏈映射');
+        // 關閉前送出的 fulfillTime 交易在游標之後產生新區塊，重啟時從持久化的游標回補到鏈頭
+        check(['asset', 'payment'].every(chain => after.chains[chain].lastProcessedBlock >= before.chains[chain].lastProcessedBlock &&
+            after.chains[chain].lastProcessedBlock === after.chains[chain].currentBlock), '重啟後從持久化的區塊游標回補到鏈頭');
+
+        await send(asset.sellerContract.confirmTrade(tradeId, AMOUNT, buyer, KEY_BUYER, { value: AMOUNT }));
+        await send(payment.buyerContract.confirmPayment(paymentId, AMOUNT, seller, keySeller));
+        await second.poll();
+        await local.waitFor(async () => (await tradeState(local, tradeId)).confirmationTime > 0n &&
+            (await paymentState(local, paymentId)).confirmationTime > 0n && fulfilled.length >= 2, { message: '重啟後的 Oracle 未設定確認時間' });
+        check(fulfilled.sort().join() === 'asset:confirmation,payment:confirmation', '重啟後的 Oracle 以恢復的交易記錄處理確認，不重複履行創建時間');
+    } finally {
+        await Promise.all(oracles.map(oracle => oracle.stop()));
+        await local.stop();
+    }
+}
+
+async function testBackfill() {
+    colorLog('cyan', '⏪ 停機期間的事件回補');
+    logger.configure({ level: process.env.VERBOSE ? 'debug' : 'error' });
+    const local = new LocalHarness({ startOracle: false });
+    const oracles = [];
+    const startOracle = async (stateName, overrides = {}) => {
+        const config = { ...local.oracleConfig(stateName), SERVER_PORT: 0, ...overrides };
+        const oracle = new Oracle(config, { timers: false });
+        oracles.push(oracle);
+        await oracle.start();
+        local.oracleUrl = `http://127.0.0.1:${oracle.address().port}`;
+        return { oracle, stateDir: config.STATE_STORE_DIR };
+    };
+    const seller = async () => local.asset.seller.getAddress();
+    const inceptTrade = async tradeId =>
+        send(local.asset.buyerContract.inceptTrade(tradeId, AMOUNT, await seller(), `${KEY_SELLER}-${tradeId}`, DURATION));
+    const fulfilled = async tradeId => (await tradeState(local, tradeId)).state === State.AWAITING_CONFIRMATION;
+
+    try {
+        await local.start();
+
+        // 持久化的游標：停機期間的 Asset 交易及 Payment 在重啟時回補
+        const { oracle: first } = await startOracle('backfill');
+        await first.stop();
+        await inceptTrade(13);
+        await send(local.payment.buyerContract.inceptPayment(113, 13, AMOUNT, await seller(), `${KEY_SELLER}-13`, DURATION, { value: AMOUNT }));
+        const { oracle: second } = await startOracle('backfill');
+        await local.waitFor(async () => await fulfilled(13) && (await paymentState(local, 113)).state === State.AWAITING_CONFIRMATION,
+            { message: '重啟後未回補停機期間的時間請求' });
+        check(true, '停機期間的時間請求在重啟時從持久化的游標回補並履行');
+        const status = await second.getStatus();
+        check(status.crossChainMappings[13] === '113' && status.chains.asset.pendingEvents === 0, '回補建立跨鏈映射，事件處理後移出隊列');
+        await second.stop();
+
+        // 沒有持久化的游標：從 START_BLOCK 開始，之前的區塊不處理
+        await inceptTrade(14);
+        const startBlock = (await inceptTrade(15)).blockNumber;
+        const { oracle: fresh } = await startOracle('startBlock', { ASSET_START_BLOCK: String(startBlock) });
+        await local.waitFor(() => fulfilled(15), { message: '未處理 START_BLOCK 之後的時間請求' });
+        check(!(await fulfilled(14)) && (await tradeState(local, 14)).inceptionTime === 0n, 'START_BLOCK 之前的請求不處理');
+        check(true, '沒有持久化游標時從 START_BLOCK 回補');
+        await fresh.stop();
+
+        // 事件寫入隊列、推進游標後處理途中停機：事件留在持久化隊列，重啟後重放
+        const eventBlock = (await inceptTrade(16)).blockNumber;
+        await local.asset.provider.send('miner_stop', []);
+        const { oracle: third, stateDir } = await startOracle('journal', { SHUTDOWN_TIMEOUT: '1', ASSET_START_BLOCK: String(eventBlock) });
+        await waitForPendingFulfill(local);
+        check((await third.getStatus()).chains.asset.lastProcessedBlock >= eventBlock, '啟動回補不等待交易上鏈，游標已推進');
+        await third.stop();
+        const values = await persistedValues(stateDir);
+        check(values.assetEventQueue.some(entry => entry.tradeId === '16') && values.assetLastProcessedBlock >= eventBlock,
+            '中止的事件留在持久化隊列，游標在事件之後');
+
+        await local.asset.provider.send('miner_start', []);
+        const { oracle: fourth } = await startOracle('journal');
+        await local.waitFor(async () => (await fourth.getStatus()).chains.asset.pendingEvents === 0 &&
+            fourth.listTrades().asset.some(trade => trade.id === '16' && trade.phase === 'awaitingConfirmation'),
+            { message: '重啟後未由隊列重放事件' });
+        check(await fulfilled(16), '重啟後由持久化隊列重放事件，交易等待確認');
+    } finally {
+        await Promise.all(oracles.map(oracle => oracle.stop()));
+        await local.stop();
+    }
+}
+
+// 記錄快照及當時的區塊號（之後建立分歧鏈時的共同祖先）
+async function snapshotChain(chain) {
+    return { id: await chain.provider.send('evm_snapshot', []), ancestor: await chain.provider.getBlockNumber() };
+}
+
+/**
+ * 以快照之後的區塊建立分歧的鏈：回到快照並先挖出一個空區塊，之後的區塊雜湊及時間戳都與孤立分支不同；
+ * 孤立分支中除 dropped 以外的交易依序重新打包（如同重組後回到交易池的交易），
+ * Oracle 為孤立事件送出的 fulfillTime 因 requestId 不符而失敗，只消耗 nonce
+ */
+async function reorgChain(chain, snapshot, dropped = []) {
+    const { provider } = chain;
+    const head = await provider.getBlockNumber();
+    const raw = [];
+    for (let blockNumber = snapshot.ancestor + 1; blockNumber <= head; blockNumber++) {
+        for (const hash of (await provider.getBlock(blockNumber)).transactions) {
+            if (!dropped.includes(hash)) {
+                raw.push(ethers.Transaction.from(await provider.getTransaction(hash)).serialized);
+            }
+        }
+    }
+
+    await provider.send('evm_revert', [snapshot.id]);
+    await provider.send('evm_mine', []);
+    for (const transaction of raw) {
+        await provider.waitForTransaction(await provider.send('eth_sendRawTransaction', [transaction]), 1, 10000);
+    }
+    // 被丟棄的交易不再上鏈，買方的 nonce 需與新分支重新同步
+    chain.buyer.reset();
+}
+
+async function testReorg() {
+    colorLog('cyan', '🔀 鏈重組回滾及重放');
+    logger.configure({ level: process.env.VERBOSE ? 'debug' : 'error' });
+    const local = new LocalHarness({ startOracle: false });
+    const fulfilled = [];
+    let oracle = null;
+    const seller = async () => local.asset.seller.getAddress();
+    const inceptTrade = async tradeId =>
+        send(local.asset.buyerContract.inceptTrade(tradeId, AMOUNT, await seller(), `${KEY_SELLER}-${tradeId}`, DURATION));
+    const inceptPayment = async (paymentId, tradeId) =>
+        send(local.payment.buyerContract.inceptPayment(paymentId, tradeId, AMOUNT, await seller(), `${KEY_SELLER}-${tradeId}`, DURATION, { value: AMOUNT }));
+    const tradeIds = () => oracle.listTrades().asset.map(trade => trade.id);
+    const paymentIds = () => oracle.listTrades().payment.map(trade => trade.id);
+    // 以手動輪詢驅動 Oracle，直到條件成立
+    const pollUntil = (condition, message) => local.waitFor(async () => {
+        await oracle.poll();
+        return condition();
+    }, { message });
+
+    try {
+        await local.start();
+        oracle = new Oracle({ ...local.oracleConfig('reorg'), SERVER_PORT: 0 }, { timers: false });
+        oracle.on('trade', event => event.type === 'time.fulfilled' && fulfilled.push(event));
+        await oracle.start();
+        // 共同祖先在 Oracle 已記錄雜湊的區塊範圍內
+        await local.mine(1);
+        await pollUntil(async () => {
+            const { chains } = await oracle.getStatus();
+            return chains.asset.lastProcessedBlock === await local.asset.provider.getBlockNumber() &&
+                chains.payment.lastProcessedBlock === await local.payment.provider.getBlockNumber();
+        }, 'Oracle 未處理到最新區塊');
+
+        // 孤立分支：Asset 交易 17、18 及 Payment 118（對應交易 18）都已由 Oracle 履行
+        const assetSnapshot = await snapshotChain(local.asset);
+        const paymentSnapshot = await snapshotChain(local.payment);
+        await inceptTrade(17);
+        const orphanedTrade = await inceptTrade(18);
+        const orphanedPayment = await inceptPayment(118, 18);
+        await pollUntil(async () => (await tradeState(local, 17)).state === State.AWAITING_CONFIRMATION &&
+            (await tradeState(local, 18)).state === State.AWAITING_CONFIRMATION &&
+            (await paymentState(local, 118)).state === State.AWAITING_CONFIRMATION,
+            '孤立分支上的時間請求未履行');
+        const before = await oracle.getStatus();
+        check(before.crossChainMappings[18] === '118' && tradeIds().includes('18') && paymentIds().includes('118'),
+            '孤立分支的事件建立交易狀態及跨鏈映射');
+        const orphanedRequestId = fulfilled.find(event => event.assetTradeId === '17').requestId;
+
+        // 新分支：交易 17 在較晚的區塊重新打包，交易 18 及 Payment 118 不再上鏈
+        await reorgChain(local.asset, assetSnapshot, [orphanedTrade.hash]);
+        await reorgChain(local.payment, paymentSnapshot, [orphanedPayment.hash]);
+        check(!(await tradeState(local, 18)).exists && !(await paymentState(local, 118)).exists &&
+            (await tradeState(local, 17)).state === State.INITIATED, '新分支上交易 17 等待履行，交易 18 及 Payment 118 不存在');
+
+        await pollUntil(async () => (await tradeState(local, 17)).state === State.AWAITING_CONFIRMATION,
+            '重組後未重放新分支上的時間請求');
+        const after = await oracle.getStatus();
+        check(!tradeIds().includes('18') && !paymentIds().includes('118'), '孤立事件建立的交易狀態被撤銷');
+        check(after.crossChainMappings[18] === undefined, '孤立事件建立的跨鏈映射被撤銷');
+
+        const replays = fulfilled.filter(event => event.assetTradeId === '17' && event.chain === 'asset');
+        check(replays.length === 2 && replays.every(event => event.stage === 'inception') && replays[1].requestId !== orphanedRequestId,
+            '新分支的時間請求重新作為創建履行，而不是視為確認');
+        check(tradeIds().includes('17') && oracle.listTrades().asset.find(trade => trade.id === '17').phase === 'awaitingConfirmation',
+            '重放後交易 17 等待確認');
+        check(after.chains.asset.lastProcessedBlock > assetSnapshot.ancestor && after.chains.payment.lastProcessedBlock > paymentSnapshot.ancestor &&
+            after.chains.asset.pendingEvents === 0, '游標回滾後推進到新分支，隊列已清空');
+    } finally {
+        await oracle?.stop();
+        await local.stop();
+    }
+}
+
+const tests = {
+    normal: testNormalSwap,
+    confirmationTimeout: testConfirmationTimeout,
+    linkTakeover: testLinkTakeover,
+    chainTime: testChainTime,
+    embedded: testEmbeddedOracles,
+    shutdown: testShutdown,
+    refundRetry: testRefundRetry,
+    restart: testRestart,
+    backfill: testBackfill,
+    reorg: testReorg
+};
+
+async function main() {
+    const selected = process.argv[2] && process.argv[2] !== 'all' ? [process.argv[2]] : Object.keys(tests);
+    const unknown = selected.find(name => !tests[name]);
+    if (unknown) {
+        colorLog('red', `未知的測試: ${unknown}（可用: all, ${Object.keys(tests).join(', ')}）`);
+        process.exit(1);
+    }
+
+    const harness = new LocalHarness({ verbose: !!process.env.VERBOSE });
+    const results = {};
+    try {
+        colorLog('yellow', '🚀 啟動本機雙鏈及 Oracle...');
+        await harness.start();
+        for (const name of selected) {
+            try {
+                await tests[name](harness);
+                results[name] = true;
+            } catch (error) {
+                results[name] = false;
+                colorLog('red', `  ✘ ${name}: ${error.message}`);
+            }
+        }
+    } catch (error) {
+        colorLog('red', `❌ 測試環境啟動失敗: ${error.message}`);
+    } finally {
+        const failed = Object.values(results).some(passed => !passed) || Object.keys(results).length === 0;
+        if (failed && !harness.verbose) {
+            console.log(harness.oracleOutput.split('\n').slice(-40).join('\n'));
+        }
+        await harness.stop();
+
+        console.log('');
+        for (const [name, passed] of Object.entries(results)) {
+            colorLog(passed ? 'green' : 'red', `${passed ? '✅' : '❌'} ${name}`);
+        }
+        process.exit(failed ? 1 : 0);
+    }
+}
+
+main();
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * 🔎 日誌查詢測試
+ *
+ * 在暫存目錄中建立 text / json 格式及輪替壓縮後的日誌檔，不需要 Oracle：
+ * - parseLine: 還原 text 格式的關聯 ID 及資料欄位（含字串中的逗號、巢狀物件）及 JSON Lines，橫幅回傳 null
+ * - filter: 依時間範圍、等級、關鍵字、交易 ID 及 Payment ID 過濾
+ * - paging: 游標分頁跨越多個檔案（含 .log.gz），由新到舊不重複不遺漏，兩頁之間檔案被壓縮也能繼續
+ * - cursor: 游標所在的檔案已被清理或游標格式錯誤時回傳 INVALID_QUERY
+ *
+ * 使用方法:
+ * node backend/test/logQueryTest.js [test_name]   (預設 all)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const LogQuery = require('../services/logQuery');
+const { colorLog, check, rejects, run } = require('./testRunner');
+
+const OLD_FILE = 'oracle_2024-01-01_00-00-00.log';
+const NEW_FILE = 'oracle_2024-01-01_01-00-00.log';
+
+// 與 logger 寫入檔案的 text 格式相同
+function textLine(timestamp, level, message, data = null, correlationId = null) {
+    const correlation = correlationId ? ` (${correlationId})` : '';
+    const dataString = data
+        ? ` | ${Object.entries(data).map(([key, value]) => `${key}: ${JSON.stringify(value)}`).join(', ')}`
+        : '';
+    return `${timestamp} [${level.toUpperCase()}]${correlation} ${message}${dataString}`;
+}
+
+/**
+ * 建立兩個日誌檔：較舊的檔案已輪替壓縮（text 格式），目前檔案為 json 格式
+ * 每個檔案每分鐘一筆，共 10 + 10 筆
+ */
+function createLogDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-logs-'));
+    const banner = ['', '='.repeat(80), 'Oracle Server Started at 2024-01-01T00:00:00.000Z', '='.repeat(80)];
+    const oldLines = [...banner];
+    for (let minute = 0; minute < 10; minute++) {
+        const timestamp = `2024-01-01T00:${String(minute).padStart(2, '0')}:00.000Z`;
+        oldLines.push(minute % 5 === 0
+            ? textLine(timestamp, 'error', `交易失敗 ${minute}`, { tradeId: String(minute), reason: 'a, b' }, `trade-${minute}`)
+            : textLine(timestamp, 'info', `處理中 ${minute}`, { paymentId: `p${minute}` }));
+    }
+    fs.writeFileSync(path.join(dir, `${OLD_FILE}.gz`), zlib.gzipSync(oldLines.join('\n') + '\n'));
+
+    const newLines = [];
+    for (let minute = 0; minute < 10; minute++) {
+        const timestamp = `2024-01-01T01:${String(minute).padStart(2, '0')}:00.000Z`;
+        newLines.push(JSON.stringify({ timestamp, level: minute === 9 ? 'warn' : 'info', message: `新檔案 ${minute}`, data: { assetTradeId: String(10 + minute) } }));
+    }
+    fs.writeFileSync(path.join(dir, NEW_FILE), newLines.join('\n') + '\n');
+    return dir;
+}
+
+async function withLogs(test) {
+    const dir = createLogDir();
+    try {
+        await test(new LogQuery({ dir, defaultLimit: 100 }), dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+function search(query, params) {
+    return query.search(query.parseQuery(params));
+}
+
+function testParseLine() {
+    colorLog('cyan', '🧩 解析日誌行');
+    const text = LogQuery.parseLine(textLine('2024-01-01T00:00:00.000Z', 'warn', '付款逾時 (重試)',
+        { reason: 'a, b: c', nested: { list: [1, 2], note: 'x, y' }, amount: '100' }, 'trade-7'));
+    check(text.timestamp === '2024-01-01T00:00:00.000Z' && text.level === 'warn' && text.correlationId === 'trade-7',
+        'text 格式還原時間、等級及關聯 ID');
+    check(text.message === '付款逾時 (重試)', '訊息在資料欄位分隔處結束');
+    check(text.data.reason === 'a, b: c' && text.data.nested.list.join() === '1,2' && text.data.nested.note === 'x, y' && text.data.amount === '100',
+        'text 格式的資料欄位還原（字串中的逗號、巢狀物件）');
+
+    const single = LogQuery.parseLine('2024-01-01T00:00:00.000Z [INFO] 數值 | 42');
+    check(single.data === 42 && single.correlationId === undefined, '單一 JSON 值的資料欄位');
+
+    const json = LogQuery.parseLine(JSON.stringify({ timestamp: '2024-01-01T00:00:00.000Z', level: 'error', message: 'm', tradeId: '3', data: { a: 1 } }));
+    check(json.level === 'error' && json.tradeId === '3' && json.data.a === 1, 'JSON Lines 直接還原');
+
+    check(['', '='.repeat(80), 'Oracle Server Started at 2024-01-01T00:00:00.000Z', '{"message":"no level"}', '{broken']
+        .every(line => LogQuery.parseLine(line) === null), '橫幅、缺少欄位及無法解析的行回傳 null');
+}
+
+function testFilter() {
+    colorLog('cyan', '🧪 過濾條件');
+    return withLogs(async query => {
+        const all = await search(query, {});
+        check(all.entries.length === 20 && all.nextCursor === null, '兩個檔案（含 .log.gz）的全部日誌，橫幅不計');
+        check(all.entries[0].message === '新檔案 9' && all.entries[19].message === '交易失敗 0', '由新到舊排列');
+        check(all.scannedFiles.join() === `${NEW_FILE},${OLD_FILE}.gz`, '依序掃描目前檔案及壓縮檔');
+
+        const errors = await search(query, { level: 'error,warn' });
+        check(errors.entries.map(entry => entry.message).join() === '新檔案 9,交易失敗 5,交易失敗 0', '依等級過濾');
+
+        const range = await search(query, { from: '2024-01-01T00:08:00Z', to: '2024-01-01T01:01:00Z' });
+        check(range.entries.length === 4, '依時間範圍過濾');
+        const newer = await search(query, { from: '2024-01-01T01:05:00Z' });
+        check(newer.entries.length === 5 && newer.scannedFiles.join() === NEW_FILE, '時間範圍外的檔案不掃描');
+
+        check((await search(query, { tradeId: '5' })).entries[0].correlationId === 'trade-5', '依關聯 ID 比對交易 ID');
+        check((await search(query, { tradeId: '12' })).entries[0].message === '新檔案 2', '依 assetTradeId 欄位比對交易 ID');
+        check((await search(query, { paymentId: 'p3' })).entries[0].message === '處理中 3', '依 paymentId 欄位比對');
+        check((await search(query, { q: 'A, B' })).entries.length === 2, '關鍵字不分大小寫比對整行');
+    });
+}
+
+function testPaging() {
+    colorLog('cyan', '📄 游標分頁');
+    return withLogs(async (query, dir) => {
+        const seen = [];
+        let cursor;
+        let pages = 0;
+        do {
+            const page = await search(query, { limit: 3, ...(cursor ? { cursor } : {}) });
+            seen.push(...page.entries.map(entry => entry.message));
+            cursor = page.nextCursor;
+            pages++;
+        } while (cursor && pages < 20);
+        const all = (await search(query, {})).entries.map(entry => entry.message);
+        check(pages === 7 && seen.join() === all.join(), '跨檔案分頁的結果與一次查詢相同，不重複不遺漏');
+
+        // 第一頁之後目前檔案被輪替壓縮
+        const first = await search(query, { limit: 4 });
+        fs.writeFileSync(path.join(dir, `${NEW_FILE}.gz`), zlib.gzipSync(fs.readFileSync(path.join(dir, NEW_FILE))));
+        fs.unlinkSync(path.join(dir, NEW_FILE));
+        const second = await search(query, { limit: 4, cursor: first.nextCursor });
+        check(second.entries[0].message === '新檔案 5' && second.entries[0].file === `${NEW_FILE}.gz`,
+            '兩頁之間檔案被壓縮時從同一行繼續');
+    });
+}
+
+function testCursor() {
+    colorLog('cyan', '🚫 無效游標');
+    return withLogs(async (query, dir) => {
+        const first = await search(query, { limit: 12 });
+        check(first.entries[first.entries.length - 1].file === `${OLD_FILE}.gz`, '第一頁的最後一筆在壓縮檔中');
+
+        // 保留策略在兩頁之間刪除游標所在的檔案
+        fs.unlinkSync(path.join(dir, `${OLD_FILE}.gz`));
+        const error = await rejects(() => search(query, { limit: 12, cursor: first.nextCursor }), '游標所在的檔案已被刪除時拒絕');
+        check(error.code === 'INVALID_QUERY' && error.message.includes(OLD_FILE), '錯誤碼為 INVALID_QUERY 並指出檔案');
+
+        const malformed = await rejects(() => query.parseQuery({ cursor: Buffer.from('../etc/passwd:1').toString('base64url') }),
+            '不是日誌檔名的游標被拒絕');
+        check(malformed.code === 'INVALID_QUERY', '游標格式錯誤時錯誤碼為 INVALID_QUERY');
+        await rejects(() => query.parseQuery({ level: 'trace' }), '不支援的等級被拒絕');
+        await rejects(() => query.parseQuery({ limit: '0' }), 'limit 不是正整數時拒絕');
+    });
+}
+
+run({
+    parseLine: testParseLine,
+    filter: testFilter,
+    paging: testPaging,
+    cursor: testCursor
+}, '日誌查詢測試');
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * 🗂️ 日誌檔寫入器測試
+ *
+ * 在暫存目錄中驅動 RotatingLogWriter，不需要 Oracle：
+ * - size: 超過大小上限時輪替，舊檔案壓縮為 .log.gz，解壓後依序還原全部日誌
+ * - daily: 跨日（UTC）時輪替，停用每日輪替時不輪替
+ * - retention: 超過保留數量或保留天數的舊檔案被刪除，目前檔案保留
+ * - close: close() 寫出尚未到寫出間隔的緩衝區，關閉後的日誌直接同步寫入
+ * - exit: 程序以 process.exit 結束時同步寫出緩衝區
+ *
+ * 使用方法:
+ * node backend/test/logWriterTest.js [test_name]   (預設 all)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { spawnSync } = require('child_process');
+const RotatingLogWriter = require('../services/logWriter');
+const { colorLog, check, run } = require('./testRunner');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 在暫存目錄中建立寫入器，測試結束後關閉並刪除目錄
+async function withWriter(options, test) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-logs-'));
+    const writer = new RotatingLogWriter({ dir, prefix: 'oracle', flushInterval: 60000, ...options });
+    try {
+        await test(writer, dir);
+    } finally {
+        await writer.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// 日誌檔依開檔時間及同一秒內的序號排序（由舊到新）
+function logFiles(dir) {
+    const order = name => {
+        const match = /_(\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2})(?:_(\d+))?\.log/.exec(name);
+        return [match[1], parseInt(match[2]) || 0];
+    };
+    return fs.readdirSync(dir)
+        .filter(name => /\.log(\.gz)?$/.test(name))
+        .sort((a, b) => {
+            const [stampA, indexA] = order(a);
+            const [stampB, indexB] = order(b);
+            return stampA.localeCompare(stampB) || indexA - indexB;
+        });
+}
+
+function readLog(dir, name) {
+    const content = fs.readFileSync(path.join(dir, name));
+    return (name.endsWith('.gz') ? zlib.gunzipSync(content) : content).toString();
+}
+
+const line = index => `2024-01-01T00:00:00.000Z [INFO] 第 ${String(index).padStart(3, '0')} 筆日誌 ${'x'.repeat(40)}`;
+
+async function testSize() {
+    colorLog('cyan', '📏 大小上限輪替');
+    await withWriter({ maxSize: 300 }, async (writer, dir) => {
+        const lines = Array.from({ length: 20 }, (_, index) => line(index));
+        for (const entry of lines) {
+            writer.write(entry);
+            await writer.flush();
+        }
+        await writer.close();
+
+        const files = logFiles(dir);
+        const stats = writer.getStats();
+        check(files.length > 2 && stats.rotations === files.length - 1, `超過大小上限時輪替（${files.length} 個檔案）`);
+        check(files.slice(0, -1).every(name => name.endsWith('.log.gz')) && files[files.length - 1].endsWith('.log'),
+            '輪替後的舊檔案壓縮為 .log.gz，目前檔案未壓縮');
+        check(stats.compressed === files.length - 1 && stats.pendingCompressions === 0, 'close() 等待壓縮完成');
+        check(new Set(files.map(name => name.replace(/\.gz$/, ''))).size === files.length, '同一秒內輪替的檔名加上序號不重複');
+
+        const contents = files.map(name => readLog(dir, name));
+        check(contents.every(content => Buffer.byteLength(content) <= 300), '每個檔案不超過大小上限');
+        check(contents.join('') === lines.map(entry => `${entry}\n`).join(''), '解壓後依檔案順序還原全部日誌');
+    });
+}
+
+async function testDaily() {
+    colorLog('cyan', '📅 跨日輪替');
+    await withWriter({ compress: false }, async (writer, dir) => {
+        writer.write(line(1));
+        await writer.flush();
+        writer.write(line(2));
+        await writer.flush();
+        check(writer.getStats().rotations === 0, '同一天內不輪替');
+
+        // 模擬目前檔案於前一天開啟
+        writer.openedDay = '2000-01-01';
+        writer.write(line(3));
+        await writer.flush();
+        const files = logFiles(dir);
+        check(writer.getStats().rotations === 1 && files.length === 2, '跨日後的第一次寫出開啟新檔案');
+        check(readLog(dir, files[1]) === `${line(3)}\n`, '跨日後的日誌寫入新檔案');
+    });
+
+    await withWriter({ compress: false, rotateDaily: false }, async (writer, dir) => {
+        writer.write(line(1));
+        await writer.flush();
+        writer.openedDay = '2000-01-01';
+        writer.write(line(2));
+        await writer.flush();
+        check(writer.getStats().rotations === 0 && logFiles(dir).length === 1, '停用每日輪替時跨日不輪替');
+    });
+}
+
+async function testRetention() {
+    colorLog('cyan', '🧹 保留策略');
+    await withWriter({ maxSize: 100, compress: false, maxFiles: 2 }, async (writer, dir) => {
+        for (let index = 0; index < 6; index++) {
+            writer.write(line(index));
+            await writer.flush();
+        }
+        await writer.retention;
+        const files = logFiles(dir);
+        check(files.length === 3 && writer.getStats().deleted === 3, '只保留 maxFiles 個舊檔案及目前檔案');
+        check(files[files.length - 1] === path.basename(writer.getCurrentFile()) && readLog(dir, files[0]) === `${line(3)}\n`,
+            '保留最新的舊檔案');
+    });
+
+    await withWriter({ retentionDays: 7 }, async (writer, dir) => {
+        const expired = path.join(dir, 'oracle_2000-01-01_00-00-00.log.gz');
+        const recent = path.join(dir, 'oracle_2000-01-02_00-00-00.log.gz');
+        fs.writeFileSync(expired, zlib.gzipSync('old\n'));
+        fs.writeFileSync(recent, zlib.gzipSync('recent\n'));
+        const old = new Date(Date.now() - 10 * DAY);
+        fs.utimesSync(expired, old, old);
+
+        const deleted = await writer.applyRetention();
+        check(deleted.join() === path.basename(expired), '修改時間超過保留天數的壓縮檔被刪除');
+        check(fs.existsSync(recent) && fs.existsSync(writer.getCurrentFile()), '保留天數內的檔案及目前檔案保留');
+    });
+}
+
+async function testClose() {
+    colorLog('cyan', '🔒 關閉時寫出緩衝區');
+    await withWriter({}, async (writer, dir) => {
+        writer.write(line(1));
+        writer.write(line(2));
+        const file = writer.getCurrentFile();
+        check(fs.readFileSync(file, 'utf8') === '' && writer.getStats().buffered > 0, '寫出間隔到達前日誌留在緩衝區');
+
+        await writer.close();
+        check(fs.readFileSync(file, 'utf8') === `${line(1)}\n${line(2)}\n` && writer.getStats().buffered === 0, 'close() 寫出緩衝區');
+
+        writer.write(line(3));
+        check(fs.readFileSync(file, 'utf8').endsWith(`${line(3)}\n`), '關閉後的日誌同步寫入同一個檔案');
+        check(logFiles(dir).length === 1, '關閉後不再輪替');
+    });
+}
+
+function testExit() {
+    colorLog('cyan', '🚪 程序結束時寫出緩衝區');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-logs-'));
+    try {
+        // 子程序寫入日誌後立即 process.exit，緩衝區尚未到寫出間隔
+        const script = `
+            const RotatingLogWriter = require(${JSON.stringify(require.resolve('../services/logWriter'))});
+            const writer = new RotatingLogWriter({ dir: ${JSON.stringify(dir)}, flushInterval: 60000 });
+            writer.write('first');
+            writer.write('second');
+            process.exit(0);
+        `;
+        const result = spawnSync(process.execPath, ['-e', script], { timeout: 10000 });
+        check(result.status === 0, '子程序正常結束');
+        const files = logFiles(dir);
+        check(files.length === 1 && readLog(dir, files[0]) === 'first\nsecond\n', 'process.exit 時同步寫出緩衝區中的日誌');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+run({
+    size: testSize,
+    daily: testDaily,
+    retention: testRetention,
+    close: testClose,
+    exit: testExit
+}, '日誌檔寫入器測試');
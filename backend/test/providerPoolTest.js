@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * 🛰️ 多 RPC 節點提供者池測試
+ *
+ * 以替身節點取代各 RPC URL 的 JsonRpcProvider，不需要網路：
+ * - failover: 連線失敗或限流的節點改由下一個節點回應，連續失敗後進入冷卻並排到最後
+ * - errors: 一般 JSON-RPC 錯誤（例如合約回滾）直接回傳不切換節點，全部節點失敗時拋出最後的錯誤
+ * - quorum: 安全讀取需 quorum 個節點一致，結果不一致時追加節點，只比對共識相關欄位
+ * - disagree: 節點回傳不同的回執且沒有多數時拒絕
+ *
+ * 使用方法:
+ * node backend/test/providerPoolTest.js [test_name]   (預設 all)
+ */
+
+const ProviderPool = require('../services/providerPool');
+const logger = require('../services/logger');
+const { colorLog, check, rejects, run } = require('./testRunner');
+
+const CHAIN_ID = '0x7a69';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+function receipt(overrides = {}) {
+    return {
+        transactionHash: TX_HASH,
+        blockHash: `0x${'11'.repeat(32)}`,
+        blockNumber: '0x10',
+        transactionIndex: '0x0',
+        status: '0x1',
+        to: '0x1111111111111111111111111111111111111111',
+        from: '0x2222222222222222222222222222222222222222',
+        gasUsed: '0x5208',
+        cumulativeGasUsed: '0x5208',
+        effectiveGasPrice: '0x1',
+        logsBloom: `0x${'00'.repeat(256)}`,
+        contractAddress: null,
+        type: '0x2',
+        logs: [],
+        ...overrides
+    };
+}
+
+/**
+ * 替身節點：handler(request) 回傳 result、{ error } 或拋出錯誤（連線失敗）；calls 記錄收到的方法
+ */
+function stubNode(handler) {
+    const node = {
+        calls: [],
+        async _send(payload) {
+            const requests = Array.isArray(payload) ? payload : [payload];
+            return requests.map(request => {
+                node.calls.push(request.method);
+                if (request.method === 'eth_chainId') {
+                    return { id: request.id, jsonrpc: '2.0', result: CHAIN_ID };
+                }
+                const outcome = handler(request);
+                return outcome && outcome.error
+                    ? { id: request.id, jsonrpc: '2.0', error: outcome.error }
+                    : { id: request.id, jsonrpc: '2.0', result: outcome };
+            });
+        },
+        destroy() {}
+    };
+    return node;
+}
+
+// 連線失敗的節點
+function downNode() {
+    const node = stubNode(() => null);
+    node._send = async payload => {
+        node.calls.push(...(Array.isArray(payload) ? payload : [payload]).map(request => request.method));
+        throw new Error('connect ECONNREFUSED');
+    };
+    return node;
+}
+
+// 建立節點池並以替身節點取代各 URL 的提供者
+function createPool(nodes, options = {}) {
+    const urls = nodes.map((_, index) => `http://node-${index}.invalid`);
+    const pool = new ProviderPool(urls, { name: 'Test', ...options });
+    pool.backends.forEach((backend, index) => {
+        backend.provider.destroy();
+        backend.provider = nodes[index];
+    });
+    return pool;
+}
+
+async function withPool(nodes, options, test) {
+    const pool = createPool(nodes, options);
+    try {
+        await test(pool);
+    } finally {
+        pool.destroy();
+    }
+}
+
+const calls = (node, method) => node.calls.filter(call => call === method).length;
+
+function testFailover() {
+    colorLog('cyan', '🔀 節點切換');
+    const down = downNode();
+    const limited = stubNode(() => ({ error: { code: -32005, message: 'rate limit exceeded' } }));
+    const healthy = stubNode(request => (request.method === 'eth_blockNumber' ? '0x2a' : null));
+    return withPool([down, limited, healthy], { maxConsecutiveFailures: 1, cooldownMs: 60000 }, async pool => {
+        check(await pool.send('eth_blockNumber', []) === '0x2a', '連線失敗及限流的節點由健康節點回應');
+        check(calls(down, 'eth_blockNumber') === 1 && calls(limited, 'eth_blockNumber') === 1, '依序嘗試每個節點一次');
+        check(pool.getStatus().primary === 'http://node-2.invalid', '主要節點切換到回應的節點');
+
+        await pool.send('eth_blockNumber', []);
+        const before = calls(down, 'eth_blockNumber');
+        check(await pool.send('eth_blockNumber', []) === '0x2a' && calls(down, 'eth_blockNumber') === before,
+            '分數較高的健康節點優先，不再先嘗試失敗的節點');
+
+        const status = pool.getStatus().nodes;
+        check(status[0].failures >= 1 && status[0].lastError === 'connect ECONNREFUSED' && status[2].score === 100,
+            '狀態記錄失敗次數、最後錯誤及分數');
+        check(status[0].coolingDown && status[1].coolingDown && status[1].lastError === 'rate limit exceeded', '連續失敗的節點進入冷卻');
+        check(pool.orderedBackends()[0] === pool.backends[2], '冷卻中的節點排在健康節點之後');
+    });
+}
+
+function testErrors() {
+    colorLog('cyan', '⚠️  錯誤回應');
+    const reverting = stubNode(() => ({ error: { code: 3, message: 'execution reverted', data: '0x' } }));
+    const other = stubNode(() => '0x01');
+    return withPool([reverting, other], {}, async pool => {
+        await rejects(() => pool.send('eth_call', [{ to: '0x1111111111111111111111111111111111111111', data: '0x' }, 'latest']),
+            '合約回滾的錯誤回傳給呼叫端');
+        check(calls(other, 'eth_call') === 0, '一般 JSON-RPC 錯誤不切換節點');
+    }).then(() => withPool([downNode(), downNode()], {}, async pool => {
+        // 直接呼叫 _send：全部節點失敗時 ethers 無法偵測網路，會在背景重試並輸出警告
+        const request = { id: 1, jsonrpc: '2.0', method: 'eth_blockNumber', params: [] };
+        const error = await rejects(() => pool._send(request), '全部節點失敗時拋出錯誤');
+        check(error.message.includes('ECONNREFUSED'), '錯誤為最後一個節點的錯誤');
+    }));
+}
+
+function testQuorum() {
+    colorLog('cyan', '🤝 quorum 讀取');
+    const honest = () => stubNode(() => receipt());
+    // 額外回傳 L2 費用欄位的客戶端
+    const l2 = stubNode(() => ({ ...receipt(), l1Fee: '0x99', gasUsed: '0x5209' }));
+    const forged = stubNode(() => receipt({ status: '0x0' }));
+    return withPool([forged, honest(), l2], { quorum: 2 }, async pool => {
+        const single = createPool([honest()]);
+        check(single.getQuorumProvider() === single, '未啟用 quorum 時使用節點池本身');
+        single.destroy();
+
+        const quorum = pool.getQuorumProvider();
+        const result = await quorum.send('eth_getTransactionReceipt', [TX_HASH]);
+        check(result.status === '0x1', '兩個誠實節點一致的回執勝過竄改狀態的節點');
+        check(calls(forged, 'eth_getTransactionReceipt') === 1 && calls(l2, 'eth_getTransactionReceipt') === 1,
+            '前兩個節點不一致時追加第三個節點');
+        check(pool.getQuorumProvider() === quorum, 'quorum 提供者只建立一次');
+    });
+}
+
+function testDisagree() {
+    colorLog('cyan', '🚫 quorum 不一致');
+    const first = stubNode(() => receipt());
+    const second = stubNode(() => receipt({ logs: [{ address: '0x3333333333333333333333333333333333333333', topics: [], data: '0x01', logIndex: '0x0' }] }));
+    return withPool([first, second, downNode()], { quorum: 2 }, async pool => {
+        const error = await rejects(() => pool.getQuorumProvider().send('eth_getTransactionReceipt', [TX_HASH]),
+            '日誌不同的回執且第三個節點無法回應時拒絕');
+        check(error.message.includes('RPC quorum 未達成一致') && error.message.includes('eth_getTransactionReceipt'),
+            '錯誤指出未達成一致的方法');
+    });
+}
+
+// 節點切換及 quorum 不一致會記錄警告，測試只輸出錯誤
+logger.configure({ level: process.env.VERBOSE ? 'debug' : 'error' });
+
+run({
+    failover: testFailover,
+    errors: testErrors,
+    quorum: testQuorum,
+    disagree: testDisagree
+}, '多 RPC 節點提供者池測試');
@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+/**
+ * 🌲 回執 trie 測試
+ *
+ * 以程序內 ganache 產生含多筆交易的區塊，驗證本地重建的 receipts trie 及包含證明：
+ * - vectors: 空 trie 及以太坊 trie 測試向量的根雜湊
+ * - rebuild: 混合交易類型（legacy / EIP-2930 / EIP-1559）及日誌的區塊，重建的根雜湊等於區塊頭的 receiptsRoot
+ * - proof: 區塊內每筆回執的包含證明皆能以 receiptsRoot 驗證並還原回執內容
+ * - keys: 超過 128 筆回執（RLP 鍵跨越單位元組）時每個鍵的證明皆有效
+ * - tamper: 竄改節點、換用其他鍵或根雜湊、不存在的鍵皆拒絕
+ * - verifier: CrossChainTransactionVerifier 驗證回執包含，節點竄改回執內容時根雜湊不符
+ *
+ * 使用方法:
+ * node backend/test/receiptTrieTest.js [test_name]   (預設 all)
+ */
+
+const ethers = require('ethers');
+const ganache = require('ganache');
+const {
+    MerklePatriciaTrie,
+    buildReceiptTrie,
+    encodeReceipt,
+    decodeReceipt,
+    receiptKey,
+    EMPTY_TRIE_ROOT
+} = require('../services/receiptTrie');
+const CrossChainTransactionVerifier = require('../services/crossChainTransactionVerifier');
+const logger = require('../services/logger');
+const { colorLog, check, rejects, run } = require('./testRunner');
+
+const GAS_PRICE = '0x77359400';
+
+// 被呼叫時以呼叫者地址為 topic 發出一筆日誌的合約：CALLER PUSH1 0x20 PUSH1 0x00 LOG1 STOP
+const LOGGER_RUNTIME = '3360206000a100';
+const LOGGER_INIT = `0x6007600c60003960076000f3${LOGGER_RUNTIME}`;
+
+function startChain() {
+    const chain = ganache.provider({
+        logging: { quiet: true },
+        chain: { chainId: 31339 },
+        wallet: { deterministic: true }
+    });
+    const send = (method, params = []) => chain.request({ method, params });
+    return {
+        chain,
+        send,
+        receipt: hash => send('eth_getTransactionReceipt', [hash]),
+        block: hash => send('eth_getBlockByHash', [hash, false]),
+        close: () => chain.disconnect()
+    };
+}
+
+async function withChain(test) {
+    const chain = startChain();
+    try {
+        await test(chain);
+    } finally {
+        await chain.close();
+    }
+}
+
+/**
+ * 停止自動挖掘後送出一批交易，再挖出一個包含全部交易的區塊
+ */
+async function mineBlock(chain, count) {
+    const [from, to] = await chain.send('eth_accounts');
+    const deployment = await chain.receipt(await chain.send('eth_sendTransaction', [{ from, data: LOGGER_INIT, gas: '0x30000' }]));
+
+    await chain.send('miner_stop');
+    const hashes = [];
+    for (let i = 0; i < count; i++) {
+        const tx = { from, to: i % 3 === 0 ? deployment.contractAddress : to, value: '0x1', gas: '0x30000' };
+        if (i % 4 === 1) {
+            Object.assign(tx, { type: '0x1', accessList: [], gasPrice: GAS_PRICE });
+        } else if (i % 2 === 0) {
+            Object.assign(tx, { maxFeePerGas: GAS_PRICE, maxPriorityFeePerGas: '0x1' });
+        } else {
+            tx.gasPrice = GAS_PRICE;
+        }
+        if (tx.to === deployment.contractAddress) {
+            delete tx.value;
+        }
+        hashes.push(await chain.send('eth_sendTransaction', [tx]));
+    }
+    await chain.send('evm_mine');
+    await chain.send('miner_start');
+
+    const receipts = await Promise.all(hashes.map(hash => chain.receipt(hash)));
+    return { header: await chain.block(receipts[0].blockHash), receipts };
+}
+
+// 合成的原始回執，transactionIndex 決定在 trie 中的鍵
+function syntheticReceipt(index) {
+    return {
+        transactionIndex: ethers.toQuantity(index),
+        type: ethers.toQuantity(index % 3),
+        status: index % 5 === 0 ? '0x0' : '0x1',
+        cumulativeGasUsed: ethers.toQuantity(21000 * (index + 1)),
+        logsBloom: ethers.zeroPadValue('0x', 256),
+        logs: index % 2 === 0 ? [] : [{
+            address: ethers.getAddress(ethers.zeroPadValue(ethers.toBeHex(index + 1), 20)),
+            topics: [ethers.zeroPadValue(ethers.toBeHex(index), 32)],
+            data: ethers.toBeHex(index, 4)
+        }]
+    };
+}
+
+function testVectors() {
+    colorLog('cyan', '📐 根雜湊測試向量');
+    check(new MerklePatriciaTrie().root === EMPTY_TRIE_ROOT &&
+        EMPTY_TRIE_ROOT === '0x56e81f171bcc55a6ff8345e692c0f86e5b48e01b996cadc001622fb5e363b421', '空 trie 的根雜湊');
+
+    const utf8 = text => ethers.hexlify(ethers.toUtf8Bytes(text));
+    const trie = new MerklePatriciaTrie([['do', 'verb'], ['horse', 'stallion'], ['doge', 'coin'], ['dog', 'puppy']]
+        .map(([key, value]) => [utf8(key), utf8(value)]));
+    check(trie.root === '0x5991bb8c6514148a29db676a14ac506cd2cd5775ace63c30a4fe457715e9ac84', '以太坊 trie 測試向量（擴展、分支及內嵌節點）');
+    check(ethers.toUtf8String(MerklePatriciaTrie.verifyProof(trie.root, utf8('dog'), trie.getProof(utf8('dog')))) === 'puppy',
+        '分支節點上的值可由證明取出');
+}
+
+function testRebuild() {
+    colorLog('cyan', '🔁 重建區塊的 receipts trie');
+    return withChain(async chain => {
+        const { header, receipts } = await mineBlock(chain, 20);
+        check(receipts.every(receipt => receipt.blockHash === header.hash) && header.transactions.length === 20, '20 筆交易挖在同一個區塊');
+        check(new Set(receipts.map(receipt => receipt.type)).size === 3 && receipts.some(receipt => receipt.logs.length > 0),
+            '區塊包含三種交易類型及帶日誌的回執');
+
+        check(buildReceiptTrie(receipts).root === header.receiptsRoot, '重建的根雜湊等於區塊頭的 receiptsRoot');
+        check(buildReceiptTrie([...receipts].reverse()).root === header.receiptsRoot, '回執順序不影響重建結果（依交易索引排序）');
+        check(buildReceiptTrie(receipts.slice(1)).root !== header.receiptsRoot, '缺少回執時根雜湊不符');
+    });
+}
+
+function testProof() {
+    colorLog('cyan', '🧾 包含證明');
+    return withChain(async chain => {
+        const { header, receipts } = await mineBlock(chain, 20);
+        const trie = buildReceiptTrie(receipts);
+
+        for (const receipt of receipts) {
+            const key = receiptKey(receipt.transactionIndex);
+            const proven = decodeReceipt(MerklePatriciaTrie.verifyProof(header.receiptsRoot, key, trie.getProof(key)));
+            if (proven.status !== 1 || proven.cumulativeGasUsed !== BigInt(receipt.cumulativeGasUsed) ||
+                proven.logs.length !== receipt.logs.length || proven.type !== Number(receipt.type)) {
+                throw new Error(`檢查失敗: 交易 ${receipt.transactionIndex} 的證明內容與回執不符`);
+            }
+        }
+        check(true, '每筆回執的證明皆以 receiptsRoot 驗證並還原狀態、類型及累計 gas');
+
+        const logged = receipts.find(receipt => receipt.logs.length > 0);
+        const key = receiptKey(logged.transactionIndex);
+        const [log] = decodeReceipt(MerklePatriciaTrie.verifyProof(header.receiptsRoot, key, trie.getProof(key))).logs;
+        check(log.address === ethers.getAddress(logged.logs[0].address) &&
+            log.topics[0] === logged.logs[0].topics[0] && log.data === logged.logs[0].data, '證明還原的日誌與節點回傳的一致');
+    });
+}
+
+function testKeys() {
+    colorLog('cyan', '🔑 交易索引鍵');
+    check(receiptKey(0) === '0x80' && receiptKey(127) === '0x7f' && receiptKey(128) === '0x8180', '交易索引以 RLP 編碼為鍵');
+
+    const receipts = Array.from({ length: 200 }, (_, index) => syntheticReceipt(index));
+    const trie = buildReceiptTrie(receipts);
+    for (const receipt of receipts) {
+        const key = receiptKey(receipt.transactionIndex);
+        const value = MerklePatriciaTrie.verifyProof(trie.root, key, trie.getProof(key));
+        if (value !== encodeReceipt(receipt)) {
+            throw new Error(`檢查失敗: 交易 ${receipt.transactionIndex} 的證明取出錯誤的回執`);
+        }
+    }
+    check(true, '200 筆回執的證明皆取出對應的回執');
+
+    const decoded = decodeReceipt(encodeReceipt(receipts[5]));
+    check(decoded.status === 0 && decoded.type === 2 && decoded.logs[0].data === '0x00000005', '失敗交易的狀態及日誌編碼可還原');
+    const legacy = decodeReceipt(encodeReceipt({ ...receipts[4], type: '0x0', status: undefined, root: ethers.ZeroHash }));
+    check(legacy.type === 0 && legacy.status === null && legacy.root === ethers.ZeroHash, 'Byzantium 之前以狀態根取代 status');
+}
+
+async function testTamper() {
+    colorLog('cyan', '🧨 竄改的證明');
+    const receipts = Array.from({ length: 40 }, (_, index) => syntheticReceipt(index));
+    const trie = buildReceiptTrie(receipts);
+    const key = receiptKey(17);
+    const proof = trie.getProof(key);
+
+    const forged = [...proof];
+    const leaf = ethers.getBytes(forged[forged.length - 1]);
+    leaf[leaf.length - 1] ^= 0xff;
+    forged[forged.length - 1] = ethers.hexlify(leaf);
+    await rejects(() => MerklePatriciaTrie.verifyProof(trie.root, key, forged), '竄改葉節點後證明缺少被引用的節點');
+
+    await rejects(() => MerklePatriciaTrie.verifyProof(trie.root, key, proof.slice(0, -1)), '缺少節點的證明被拒絕');
+    await rejects(() => MerklePatriciaTrie.verifyProof(trie.root, receiptKey(18), proof), '換用其他鍵時證明路徑不符');
+    await rejects(() => MerklePatriciaTrie.verifyProof(buildReceiptTrie(receipts.slice(1)).root, key, proof), '其他 trie 的根雜湊無法驗證');
+    await rejects(() => trie.getProof(receiptKey(40)), '不存在的鍵無法產生證明');
+}
+
+function testVerifier() {
+    colorLog('cyan', '🔍 回執包含驗證');
+    return withChain(async chain => {
+        const { header, receipts } = await mineBlock(chain, 6);
+        const provider = new ethers.BrowserProvider(chain.chain, undefined, { staticNetwork: true });
+        try {
+            const verifier = new CrossChainTransactionVerifier(provider);
+            const target = receipts.find(receipt => receipt.logs.length > 0);
+            const result = await verifier.verifyReceiptInclusion(target.transactionHash, header.hash);
+            check(result.receiptsRoot === header.receiptsRoot && result.transactionIndex === Number(target.transactionIndex) &&
+                result.receipt.logs.length === 1, '回執證明以區塊頭的 receiptsRoot 驗證');
+
+            // 節點把日誌內容換掉：回執仍屬於該區塊，但重建的根雜湊與區塊頭不符
+            const send = provider.send.bind(provider);
+            verifier.provider = verifier.readProvider = {
+                send: async (method, params) => {
+                    const response = await send(method, params);
+                    if (method === 'eth_getTransactionReceipt' && response.transactionHash === target.transactionHash) {
+                        response.logs = response.logs.map(log => ({ ...log, data: ethers.zeroPadValue('0x01', 32) }));
+                    }
+                    return response;
+                }
+            };
+            const error = await rejects(() => verifier.verifyReceiptInclusion(target.transactionHash, header.hash), '竄改的回執內容被拒絕');
+            check(error.message.startsWith('回執根雜湊不符'), '錯誤指出回執根雜湊不符');
+        } finally {
+            provider.destroy();
+        }
+    });
+}
+
+// 驗證器會記錄初始化及回退查詢的訊息，測試只輸出錯誤
+logger.configure({ level: process.env.VERBOSE ? 'debug' : 'error' });
+
+run({
+    vectors: testVectors,
+    rebuild: testRebuild,
+    proof: testProof,
+    keys: testKeys,
+    tamper: testTamper,
+    verifier: testVerifier
+}, '回執 trie 測試');
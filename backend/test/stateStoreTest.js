@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * 💾 狀態持久化存儲測試
+ *
+ * 在暫存目錄中開啟 FileStateStore，以重新開啟模擬程序重啟，不需要區塊鏈：
+ * - replay: 快照加上之後的 journal 重建集合及值，未關閉（崩潰）時也不遺失已記錄的變更
+ * - torn: 最後一筆寫到一半的記錄被截斷，之後的寫入接在有效內容之後
+ * - corrupt: journal 中間出現無法解析的行時拒絕開啟，不截斷之後的記錄
+ * - compactCrash: 壓縮時在快照 rename 之後、清空 journal 之前崩潰，重放舊 journal 得到相同狀態
+ * - bigint: BigInt 經由 journal 及快照保存後仍為 BigInt
+ *
+ * 使用方法:
+ * node backend/test/stateStoreTest.js [test_name]   (預設 all)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStateStore, PersistentMap, serialize, deserialize } = require('../services/stateStore');
+const logger = require('../services/logger');
+const { colorLog, check, rejects, run } = require('./testRunner');
+
+// 開啟存儲並註冊 trades 集合，依載入的內容填充
+async function openStore(dir) {
+    const store = new FileStateStore({ dir, name: 'test_state' });
+    const trades = new PersistentMap(store, 'trades');
+    const state = await store.open();
+    trades.restore(state.collections.trades);
+    return { store, trades, state };
+}
+
+// 模擬崩潰：只釋放檔案描述符，不壓縮
+function crash(store) {
+    fs.closeSync(store.fd);
+    store.fd = null;
+}
+
+async function withDir(test) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-state-'));
+    try {
+        await test(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const journalOf = store => fs.readFileSync(store.journalFile, 'utf8');
+
+async function testReplay() {
+    colorLog('cyan', '🔁 快照 + journal 重放');
+    await withDir(async dir => {
+        const { store, trades } = await openStore(dir);
+        trades.set('1', { status: 'open' });
+        trades.set('2', { status: 'open' });
+        store.setValue('cursor', 100);
+        await store.compact();
+        check(journalOf(store) === '' && fs.existsSync(store.snapshotFile), '壓縮後寫入快照並清空 journal');
+
+        trades.get('1').status = 'paid';
+        trades.persist('1');
+        trades.delete('2');
+        trades.set('3', { status: 'open' });
+        store.setValue('cursor', 120);
+        crash(store);
+
+        const reopened = await openStore(dir);
+        check(reopened.trades.get('1').status === 'paid' && !reopened.trades.has('2') && reopened.trades.get('3').status === 'open',
+            '快照之後的修改、刪除及新增由 journal 重放');
+        check(reopened.store.getValue('cursor') === 120, '值以最後一筆記錄為準');
+        check(reopened.store.seq === 7, 'seq 從快照及 journal 接續');
+        await reopened.store.close();
+
+        const afterClose = await openStore(dir);
+        check(afterClose.trades.size === 2 && afterClose.store.getValue('cursor') === 120 && journalOf(afterClose.store) === '',
+            '正常關閉時壓縮為快照，重新開啟得到相同狀態');
+        crash(afterClose.store);
+    });
+}
+
+async function testTorn() {
+    colorLog('cyan', '✂️  不完整的最後一筆記錄');
+    await withDir(async dir => {
+        const { store, trades } = await openStore(dir);
+        trades.set('1', { status: 'open' });
+        trades.set('2', { status: 'open' });
+        crash(store);
+        const valid = fs.readFileSync(store.journalFile, 'utf8');
+        fs.appendFileSync(store.journalFile, '{"type":"set","collection":"trades","key":"3","val');
+
+        const reopened = await openStore(dir);
+        check(reopened.trades.size === 2 && !reopened.trades.has('3'), '寫到一半的記錄不套用');
+        check(journalOf(reopened.store) === valid, 'journal 截斷到最後一筆完整記錄');
+
+        reopened.trades.set('4', { status: 'open' });
+        crash(reopened.store);
+        const again = await openStore(dir);
+        check(again.trades.size === 3 && again.trades.has('4'), '截斷後的新記錄接在有效內容之後');
+        crash(again.store);
+    });
+}
+
+async function testCorrupt() {
+    colorLog('cyan', '🧨 journal 中間損毀');
+    await withDir(async dir => {
+        const { store, trades } = await openStore(dir);
+        trades.set('1', { status: 'open' });
+        crash(store);
+        fs.appendFileSync(store.journalFile, '{"type":"set","coll\n');
+        fs.appendFileSync(store.journalFile, `${serialize({ type: 'set', collection: 'trades', key: '2', value: { status: 'open' }, seq: 9 })}\n`);
+        const before = fs.readFileSync(store.journalFile, 'utf8');
+        const error = await rejects(() => openStore(dir), '損毀的行之後仍有記錄時拒絕開啟');
+        check(error.code === 'STATE_JOURNAL_CORRUPT' && error.message.includes('第 2 行') && error.message.includes('1 筆記錄'),
+            '錯誤指出損毀的行號及之後的記錄數');
+        check(fs.readFileSync(store.journalFile, 'utf8') === before, '拒絕開啟時不截斷 journal');
+    });
+}
+
+async function testCompactCrash() {
+    colorLog('cyan', '💥 壓縮途中崩潰');
+    await withDir(async dir => {
+        const { store, trades } = await openStore(dir);
+        trades.set('1', { status: 'open' });
+        trades.set('2', { status: 'open' });
+        trades.delete('1');
+        trades.clear();
+        trades.set('3', { status: 'open' });
+        trades.get('3').status = 'paid';
+        trades.persist('3');
+        store.setValue('cursor', 5);
+        store.setValue('cursor', 7);
+        const journal = journalOf(store);
+
+        // 快照已 rename，清空 journal 前程序結束
+        const ftruncateSync = fs.ftruncateSync;
+        fs.ftruncateSync = () => {
+            throw new Error('模擬崩潰');
+        };
+        try {
+            await rejects(() => store.compact(), '清空 journal 前中斷壓縮');
+        } finally {
+            fs.ftruncateSync = ftruncateSync;
+        }
+        crash(store);
+        check(fs.existsSync(store.snapshotFile) && journalOf(store) === journal, '新快照已寫入且舊 journal 仍在');
+
+        const reopened = await openStore(dir);
+        check(Array.from(reopened.trades.keys()).join() === '3' && reopened.trades.get('3').status === 'paid',
+            '新快照上重放舊 journal 得到相同的集合（含 clear 及刪除）');
+        check(reopened.store.getValue('cursor') === 7 && reopened.store.seq === store.seq, '值及 seq 與崩潰前相同');
+
+        reopened.trades.set('4', { status: 'open' });
+        crash(reopened.store);
+        const again = await openStore(dir);
+        check(again.trades.size === 2 && again.trades.has('4'), '之後的記錄正常接續');
+        crash(again.store);
+    });
+}
+
+async function testBigInt() {
+    colorLog('cyan', '🔢 BigInt 保存');
+    const value = { amount: 2n ** 200n, nested: [{ fee: -5n }], plain: { $bigint: '1', note: 'x' } };
+    const restored = deserialize(serialize(value));
+    check(restored.amount === 2n ** 200n && restored.nested[0].fee === -5n, 'serialize / deserialize 還原巢狀的 BigInt');
+    check(typeof restored.plain === 'object' && restored.plain.note === 'x', '帶有其他欄位的 $bigint 物件維持原樣');
+
+    await withDir(async dir => {
+        const { store, trades } = await openStore(dir);
+        trades.set('1', { amount: 10n ** 30n });
+        store.setValue('block', 123n);
+        crash(store);
+
+        const fromJournal = await openStore(dir);
+        check(fromJournal.trades.get('1').amount === 10n ** 30n && fromJournal.store.getValue('block') === 123n,
+            '由 journal 重放時還原 BigInt');
+        await fromJournal.store.close();
+
+        const fromSnapshot = await openStore(dir);
+        check(fromSnapshot.trades.get('1').amount === 10n ** 30n && fromSnapshot.store.getValue('block') === 123n,
+            '由快照載入時還原 BigInt');
+        crash(fromSnapshot.store);
+    });
+}
+
+// 截斷記錄時會輸出警告，測試只輸出錯誤
+logger.configure({ level: process.env.VERBOSE ? 'debug' : 'error' });
+
+run({
+    replay: testReplay,
+    torn: testTorn,
+    corrupt: testCorrupt,
+    compactCrash: testCompactCrash,
+    bigint: testBigInt
+}, '狀態持久化存儲測試');
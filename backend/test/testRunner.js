@@ -0,0 +1,65 @@
+/**
+ * 🧪 單元測試共用的輸出及執行函數
+ *
+ * 各測試檔案以 { 名稱: 測試函數 } 呼叫 run()，依命令列參數選擇測試（預設 all），
+ * 任一測試失敗時以結束碼 1 離開，供 npm test 串接。
+ */
+
+const colors = {
+    reset: '\x1b[0m',
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    cyan: '\x1b[36m'
+};
+
+function colorLog(color, message) {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function check(condition, message) {
+    if (!condition) {
+        throw new Error(`檢查失敗: ${message}`);
+    }
+    colorLog('green', `  ✔ ${message}`);
+}
+
+// 預期函數拋出錯誤，回傳該錯誤供進一步檢查
+async function rejects(fn, message) {
+    try {
+        await fn();
+    } catch (error) {
+        check(true, message);
+        return error;
+    }
+    throw new Error(`檢查失敗: ${message}（未拋出錯誤）`);
+}
+
+async function run(tests, title) {
+    const selected = process.argv[2] && process.argv[2] !== 'all' ? [process.argv[2]] : Object.keys(tests);
+    const unknown = selected.find(name => !tests[name]);
+    if (unknown) {
+        colorLog('red', `未知的測試: ${unknown}（可用: all, ${Object.keys(tests).join(', ')}）`);
+        process.exit(1);
+    }
+
+    colorLog('yellow', `🚀 ${title}`);
+    const results = {};
+    for (const name of selected) {
+        try {
+            await tests[name]();
+            results[name] = true;
+        } catch (error) {
+            results[name] = false;
+            colorLog('red', `  ✘ ${name}: ${error.message}`);
+        }
+    }
+
+    console.log('');
+    for (const [name, passed] of Object.entries(results)) {
+        colorLog(passed ? 'green' : 'red', `${passed ? '✅' : '❌'} ${name}`);
+    }
+    process.exit(Object.values(results).every(Boolean) ? 0 : 1);
+}
+
+module.exports = { colorLog, check, rejects, run };
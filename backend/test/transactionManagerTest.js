@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * 📮 交易管理器測試
+ *
+ * 以替身簽名者及 provider 驅動 TransactionManager，不需要區塊鏈：
+ * - confirmed: 廣播後查到回執即完成並移除追蹤
+ * - transient: 查詢回執或 nonce 的節點錯誤在等待時限內重試，交易上鏈後仍回傳回執
+ * - stuck: 節點持續錯誤到等待時限時以 TX_STUCK 拒絕並標記放棄，上鏈後由監看器移除
+ * - taken: nonce 被其他交易使用時以 NONCE_TAKEN 拒絕
+ *
+ * 使用方法:
+ * node backend/test/transactionManagerTest.js [test_name]   (預設 all)
+ */
+
+const TransactionManager = require('../services/transactionManager');
+const logger = require('../services/logger');
+const { colorLog, check, rejects, run } = require('./testRunner');
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+
+/**
+ * 替身鏈：記錄廣播的交易，由測試決定何時上鏈及哪些查詢失敗
+ */
+function stubChain() {
+    const chain = {
+        sent: [],
+        mined: new Map(), // hash -> receipt
+        minedNonce: 0,
+        failures: 0, // 接下來幾次查詢拋出節點錯誤
+        alwaysFail: false,
+        query(result) {
+            if (chain.alwaysFail || chain.failures > 0) {
+                chain.failures = Math.max(0, chain.failures - 1);
+                throw new Error('connection reset');
+            }
+            return result();
+        },
+        mine(hash, status = 1) {
+            chain.mined.set(hash, { hash, status, gasUsed: 21000n, fee: 21000n });
+            chain.minedNonce++;
+        }
+    };
+    const provider = {
+        getTransactionCount: async (address, tag) => chain.query(() => tag === 'pending' ? chain.sent.length : chain.minedNonce),
+        getTransactionReceipt: async hash => chain.query(() => chain.mined.get(hash) || null),
+        getTransaction: async hash => chain.sent.find(tx => tx.hash === hash) || null
+    };
+    const signer = {
+        provider,
+        getAddress: async () => ADDRESS,
+        sendTransaction: async request => {
+            const tx = { ...request, hash: `0x${String(chain.sent.length + 1).padStart(64, '0')}` };
+            chain.sent.push(tx);
+            return tx;
+        }
+    };
+    const feeStrategy = {
+        policy: 'stub',
+        estimateGasLimit: async () => 21000n,
+        getFees: async () => ({ gasPrice: 1n }),
+        bump: async () => null
+    };
+    return { chain, signer, feeStrategy };
+}
+
+async function withManager(options, test) {
+    const { chain, signer, feeStrategy } = stubChain();
+    const manager = new TransactionManager(signer, { name: 'Test', feeStrategy, pollIntervalMs: 20, ...options });
+    await manager.initialize();
+    try {
+        await test(manager, chain);
+    } finally {
+        manager.stop();
+    }
+}
+
+// 等到替身鏈收到第 count 筆廣播
+async function broadcasted(chain, count = 1) {
+    while (chain.sent.length < count) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    return chain.sent[count - 1];
+}
+
+function testConfirmed() {
+    colorLog('cyan', '✅ 交易上鏈');
+    return withManager({}, async (manager, chain) => {
+        const sending = manager.send({ to: ADDRESS, data: '0x' }, { label: 'confirmed' });
+        const tx = await broadcasted(chain);
+        check(tx.nonce === 0 && manager.pending.size === 1, '以下一個 nonce 廣播並追蹤');
+        chain.mine(tx.hash);
+        const receipt = await sending;
+        check(receipt.hash === tx.hash && manager.pending.size === 0 && manager.stats.confirmed === 1, '回傳回執並移除追蹤');
+    });
+}
+
+function testTransient() {
+    colorLog('cyan', '🔌 節點暫時錯誤');
+    return withManager({ maxWaitMs: 5000 }, async (manager, chain) => {
+        const sending = manager.send({ to: ADDRESS, data: '0x' }, { label: 'transient' });
+        const tx = await broadcasted(chain);
+        chain.failures = 5;
+        while (chain.failures > 0) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        chain.mine(tx.hash);
+        const receipt = await sending;
+        check(receipt.hash === tx.hash && manager.pending.size === 0, '查詢失敗後重試，交易上鏈時回傳回執');
+    });
+}
+
+function testStuck() {
+    colorLog('cyan', '🧱 持續錯誤到等待時限');
+    return withManager({ maxWaitMs: 200 }, async (manager, chain) => {
+        const sending = manager.send({ to: ADDRESS, data: '0x' }, { label: 'stuck' });
+        const tx = await broadcasted(chain);
+        chain.alwaysFail = true;
+        const error = await rejects(() => sending, '等待時限到期時拒絕');
+        check(error.code === 'TX_STUCK' && error.cause?.message === 'connection reset' && error.hashes[0] === tx.hash,
+            '錯誤為 TX_STUCK 並附上最後的節點錯誤及交易雜湊');
+        check(manager.pending.get(0)?.abandoned === true && manager.getStats().stuck === 1, '交易仍在追蹤中並標記為放棄等待');
+
+        chain.alwaysFail = false;
+        chain.mine(tx.hash);
+        await manager.checkDeadlines();
+        check(manager.pending.size === 0, '放棄等待的交易上鏈後由監看器移除');
+    });
+}
+
+function testTaken() {
+    colorLog('cyan', '🔀 nonce 被其他交易使用');
+    return withManager({}, async (manager, chain) => {
+        const sending = manager.send({ to: ADDRESS, data: '0x' }, { label: 'taken' });
+        await broadcasted(chain);
+        chain.minedNonce = 1;
+        const error = await rejects(() => sending, 'nonce 已上鏈但沒有本交易的回執');
+        check(error.code === 'NONCE_TAKEN' && manager.pending.size === 0, '以 NONCE_TAKEN 拒絕並移除追蹤');
+    });
+}
+
+// 交易管理器會記錄每次廣播及重試，測試只輸出錯誤
+logger.configure({ level: process.env.VERBOSE ? 'debug' : 'error' });
+
+run({
+    confirmed: testConfirmed,
+    transient: testTransient,
+    stuck: testStuck,
+    taken: testTaken
+}, '交易管理器測試');